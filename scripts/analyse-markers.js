@@ -0,0 +1,416 @@
+// Marker analyser - scores every marker image of an experience before it ships
+// Checks the advice in the README ("Marker Image Requirements") instead of
+// leaving it to whoever prints the card:
+// - feature points: how many corners the detector finds, and whether they
+//   cover the whole image or bunch up in one corner
+// - contrast: brightness histogram spread
+// - self-similarity: features that look like other features elsewhere in
+//   the image (repetitive patterns), and mirror/rotational symmetry
+// - resolution: pixels per printed centimetre at the configured size
+// - aspect ratio: image shape versus physicalWidth / physicalHeight
+//
+// Each marker gets a 0-100 score; the script exits with an error if any
+// marker scores below the threshold, which fails `npm run build`. Images that
+// are still Git LFS pointers or hosted elsewhere are skipped with a warning.
+//
+// Checks public/experience.json and the campaign experiences in
+// public/experiences/, or just the manifest given with --manifest.
+//
+// Usage: npm run analyse-markers [-- --manifest public/experience.json --min-score 50]
+// The threshold can also be set with the MARKER_MIN_SCORE environment variable.
+
+import { existsSync, readdirSync, readFileSync } from 'fs';
+import { dirname, join, resolve } from 'path';
+import { fileURLToPath } from 'url';
+import jpeg from 'jpeg-js';
+import { PNG } from 'pngjs';
+import { DEFAULT_DETECTOR_OPTIONS } from '../src/marker-detector.js';
+import { detectCorners, extractFeatures, hammingDistance, resizeGrayscale, toGrayscale } from '../src/image-features.js';
+
+const rootDir = join(dirname(fileURLToPath(import.meta.url)), '..');
+const publicDir = join(rootDir, 'public');
+
+// What a good marker looks like; each check scores 1 at its target
+const TARGETS = {
+  minSide: 512, // px - shortest image side (README minimum)
+  printDpi: 150, // Pixels per inch at the printed size
+  aspectTolerance: 0.02, // Relative aspect-ratio mismatch that is still fine
+  aspectLimit: 0.1, // Mismatch that scores 0 (content and pose visibly stretched)
+  corners: 300, // Corners found at the detector's reference size
+  grid: 4, // Distribution is checked on a grid x grid layout
+  cellCorners: 3, // Corners a grid cell needs to count as covered
+  contrastStd: 60, // Brightness standard deviation (0-255)
+  contrastRange: 180, // Brightness range between the 5th and 95th percentile
+  repeatDistance: 16, // px - features closer than this are the same feature
+  repeatBits: 24, // Descriptors this close (bits of 256) are look-alikes
+  maxRepeated: 0.5 // Share of features with a look-alike that scores 0
+};
+
+// Contribution of each check to the score. The score is a weighted geometric
+// mean, so one failed check (a checkerboard's repetition, a stretched aspect
+// ratio) pulls the whole score down instead of being averaged away
+const WEIGHTS = {
+  features: 0.2,
+  distribution: 0.15,
+  contrast: 0.15,
+  repetition: 0.2,
+  symmetry: 0.1,
+  resolution: 0.1,
+  aspect: 0.1
+};
+
+// Floor for a single check in the geometric mean (0 would zero the score)
+const MIN_CHECK_SCORE = 0.01;
+
+const HISTOGRAM_BARS = ' ▁▂▃▄▅▆▇█';
+
+function getArg(name, fallback) {
+  const index = process.argv.indexOf(`--${name}`);
+  return index >= 0 && process.argv[index + 1] ? process.argv[index + 1] : fallback;
+}
+
+function clamp01(value) {
+  return Math.max(0, Math.min(1, value));
+}
+
+/**
+ * Decode a JPEG or PNG file to RGBA pixels
+ * @param {Buffer} data - File contents
+ * @returns {Object|null} { width, height, data }, or null for other formats
+ */
+function decodeImage(data) {
+  if (data[0] === 0xff && data[1] === 0xd8) {
+    return jpeg.decode(data, { useTArray: true, formatAsRGBA: true });
+  }
+  if (data.readUInt32BE(0) === 0x89504e47) {
+    return PNG.sync.read(data);
+  }
+  return null;
+}
+
+/**
+ * Brightness histogram and contrast measures
+ * @param {Uint8Array} gray - Grayscale pixels
+ * @returns {Object} { histogram (16 bins, fractions), mean, std, range, score }
+ */
+function analyseContrast(gray) {
+  const counts = new Uint32Array(256);
+  let sum = 0;
+  for (let i = 0; i < gray.length; i++) {
+    counts[gray[i]]++;
+    sum += gray[i];
+  }
+  const mean = sum / gray.length;
+  let variance = 0;
+  for (let value = 0; value < 256; value++) {
+    variance += counts[value] * (value - mean) ** 2;
+  }
+  const std = Math.sqrt(variance / gray.length);
+
+  // Percentiles from the cumulative histogram
+  const percentile = (fraction) => {
+    let seen = 0;
+    for (let value = 0; value < 256; value++) {
+      seen += counts[value];
+      if (seen >= fraction * gray.length) {
+        return value;
+      }
+    }
+    return 255;
+  };
+  const range = percentile(0.95) - percentile(0.05);
+
+  const histogram = new Array(16).fill(0);
+  for (let value = 0; value < 256; value++) {
+    histogram[value >> 4] += counts[value] / gray.length;
+  }
+
+  const score = Math.min(clamp01(std / TARGETS.contrastStd), clamp01(range / TARGETS.contrastRange));
+  return { histogram, mean, std, range, score };
+}
+
+/**
+ * Corner count and how evenly the corners cover the image
+ * @param {Object} image - { gray, width, height } at the detector's reference size
+ * @returns {Object} { count, density (per 10k px), cells (grid counts), coverage, featureScore, distributionScore }
+ */
+function analyseFeatures({ gray, width, height }) {
+  const border = 16;
+  const corners = detectCorners(gray, width, height, {
+    fastThreshold: DEFAULT_DETECTOR_OPTIONS.fastThreshold,
+    maxFeatures: Infinity,
+    border
+  });
+
+  // Grid over the area corners can be found in
+  const { grid } = TARGETS;
+  const cells = new Array(grid * grid).fill(0);
+  const cellWidth = (width - 2 * border) / grid;
+  const cellHeight = (height - 2 * border) / grid;
+  for (const corner of corners) {
+    const column = Math.min(grid - 1, Math.floor((corner.x - border) / cellWidth));
+    const row = Math.min(grid - 1, Math.floor((corner.y - border) / cellHeight));
+    cells[row * grid + column]++;
+  }
+  const coverage = cells.filter((count) => count >= TARGETS.cellCorners).length / cells.length;
+
+  return {
+    count: corners.length,
+    density: corners.length / (width * height) * 10000,
+    cells,
+    coverage,
+    featureScore: clamp01(corners.length / TARGETS.corners),
+    distributionScore: coverage
+  };
+}
+
+/**
+ * Share of features that have a look-alike elsewhere in the image
+ * Such features match in several places, so the detector cannot tell which
+ * part of the marker it is looking at
+ * @param {Object} image - { gray, width, height } at the detector's reference size
+ * @returns {Object} { repeated (0..1), score }
+ */
+function analyseRepetition({ gray, width, height }) {
+  const { keypoints, descriptors } = extractFeatures(gray, width, height, {
+    fastThreshold: DEFAULT_DETECTOR_OPTIONS.fastThreshold,
+    maxFeatures: DEFAULT_DETECTOR_OPTIONS.referenceFeatures
+  });
+  if (keypoints.length === 0) {
+    return { repeated: 0, score: 0 };
+  }
+
+  const minDistanceSq = TARGETS.repeatDistance ** 2;
+  let repeated = 0;
+  for (let i = 0; i < keypoints.length; i++) {
+    for (let j = 0; j < keypoints.length; j++) {
+      const dx = keypoints[i].x - keypoints[j].x;
+      const dy = keypoints[i].y - keypoints[j].y;
+      if (dx * dx + dy * dy < minDistanceSq) {
+        continue;
+      }
+      if (hammingDistance(descriptors, i, descriptors, j) <= TARGETS.repeatBits) {
+        repeated++;
+        break;
+      }
+    }
+  }
+  const share = repeated / keypoints.length;
+  return { repeated: share, score: clamp01(1 - share / TARGETS.maxRepeated) };
+}
+
+/**
+ * Correlation between the image and its mirrored / rotated copies
+ * A symmetric marker looks the same from two directions, so its pose flips
+ * @param {Object} image - { gray, width, height }
+ * @returns {Object} { mirror, flip, rotation (correlations -1..1), score }
+ */
+function analyseSymmetry({ gray, width, height }) {
+  const pixels = width * height;
+  let mean = 0;
+  for (let i = 0; i < pixels; i++) {
+    mean += gray[i];
+  }
+  mean /= pixels;
+
+  const correlate = (mapIndex) => {
+    let product = 0;
+    let energy = 0;
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const a = gray[y * width + x] - mean;
+        product += a * (gray[mapIndex(x, y)] - mean);
+        energy += a * a;
+      }
+    }
+    return energy > 0 ? product / energy : 1;
+  };
+
+  const mirror = correlate((x, y) => y * width + (width - 1 - x));
+  const flip = correlate((x, y) => (height - 1 - y) * width + x);
+  const rotation = correlate((x, y) => (height - 1 - y) * width + (width - 1 - x));
+  return { mirror, flip, rotation, score: clamp01(1 - Math.max(mirror, flip, rotation)) };
+}
+
+/**
+ * Print resolution and aspect ratio against the configured physical size
+ * @param {number} width - Image width in pixels
+ * @param {number} height - Image height in pixels
+ * @param {Object} marker - Manifest marker with physicalWidth / physicalHeight (meters)
+ * @returns {Object} { pixelsPerCm, dpi, mismatch, resolutionScore, aspectScore }
+ */
+function analyseSize(width, height, marker) {
+  const pixelsPerCm = Math.min(width / (marker.physicalWidth * 100), height / (marker.physicalHeight * 100));
+  const dpi = pixelsPerCm * 2.54;
+  const mismatch = Math.abs((width / height) / (marker.physicalWidth / marker.physicalHeight) - 1);
+  return {
+    pixelsPerCm,
+    dpi,
+    mismatch,
+    resolutionScore: Math.min(clamp01(Math.min(width, height) / TARGETS.minSide), clamp01(dpi / TARGETS.printDpi)),
+    aspectScore: clamp01(1 - Math.max(0, mismatch - TARGETS.aspectTolerance) / (TARGETS.aspectLimit - TARGETS.aspectTolerance))
+  };
+}
+
+/**
+ * Analyse one decoded marker image
+ * @param {Object} image - { width, height, data } RGBA pixels
+ * @param {Object} marker - Manifest marker
+ * @returns {Object} Report with every measure, the 0-100 score and issues found
+ */
+function analyseMarker(image, marker) {
+  const gray = toGrayscale(image.data, image.width, image.height);
+  const scale = Math.min(1, DEFAULT_DETECTOR_OPTIONS.referenceSize / Math.max(image.width, image.height));
+  const reference = resizeGrayscale(gray, image.width, image.height, scale);
+
+  const contrast = analyseContrast(gray);
+  const features = analyseFeatures(reference);
+  const repetition = analyseRepetition(reference);
+  const symmetry = analyseSymmetry(reference);
+  const size = analyseSize(image.width, image.height, marker);
+
+  const scores = {
+    features: features.featureScore,
+    distribution: features.distributionScore,
+    contrast: contrast.score,
+    repetition: repetition.score,
+    symmetry: symmetry.score,
+    resolution: size.resolutionScore,
+    aspect: size.aspectScore
+  };
+  const score = Math.round(100 * Object.entries(WEIGHTS).reduce(
+    (product, [name, weight]) => product * Math.max(MIN_CHECK_SCORE, scores[name]) ** weight, 1));
+
+  const issues = [];
+  if (features.count < DEFAULT_DETECTOR_OPTIONS.minFeatures) {
+    issues.push(`only ${features.count} feature points - add detail (text, shapes, texture)`);
+  }
+  if (features.coverage < 0.75) {
+    issues.push(`features cover ${Math.round(features.coverage * 100)}% of the image - plain areas track poorly when they fill the view`);
+  }
+  if (contrast.score < 0.6) {
+    issues.push('low contrast - use darker darks and lighter lights');
+  }
+  if (repetition.repeated > 0.2) {
+    issues.push(`${Math.round(repetition.repeated * 100)}% of features repeat elsewhere - avoid repetitive patterns`);
+  }
+  if (symmetry.score < 0.3) {
+    issues.push('image is nearly symmetric - the marker may be tracked upside down or mirrored');
+  }
+  if (Math.min(image.width, image.height) < TARGETS.minSide) {
+    issues.push(`${image.width}x${image.height} px is below the ${TARGETS.minSide} px minimum`);
+  }
+  if (size.dpi < TARGETS.printDpi) {
+    issues.push(`only ${Math.round(size.dpi)} dpi at the printed size - the print will be blurry`);
+  }
+  if (size.mismatch > TARGETS.aspectTolerance) {
+    issues.push(`image aspect ${(image.width / image.height).toFixed(3)} does not match ` +
+      `physicalWidth/physicalHeight ${(marker.physicalWidth / marker.physicalHeight).toFixed(3)} ` +
+      `(${Math.round(size.mismatch * 100)}% off)`);
+  }
+
+  return { width: image.width, height: image.height, contrast, features, repetition, symmetry, size, scores, score, issues };
+}
+
+/**
+ * Print a marker report
+ */
+function printReport(marker, report, minScore) {
+  const { contrast, features, repetition, symmetry, size, scores } = report;
+  const percent = (value) => `${Math.round(value * 100)}`.padStart(3);
+  const histogram = contrast.histogram
+    .map((share) => HISTOGRAM_BARS[Math.min(8, Math.ceil(share / Math.max(...contrast.histogram) * 8))])
+    .join('');
+
+  console.log(`\n${report.score >= minScore ? '✅' : '❌'} ${marker.id} (${marker.imagePath}): score ${report.score}/100`);
+  console.log(`  Features      ${percent(scores.features)}  ${features.count} corners, ${features.density.toFixed(1)} per 10k px`);
+  console.log(`  Distribution  ${percent(scores.distribution)}  ${Math.round(features.coverage * 100)}% of ${TARGETS.grid}x${TARGETS.grid} cells covered`);
+  for (let row = 0; row < TARGETS.grid; row++) {
+    const cells = features.cells.slice(row * TARGETS.grid, (row + 1) * TARGETS.grid);
+    console.log(`                     ${cells.map((count) => String(count).padStart(5)).join('')}`);
+  }
+  console.log(`  Contrast      ${percent(scores.contrast)}  std ${contrast.std.toFixed(0)}, 5-95% range ${contrast.range} [${histogram}]`);
+  console.log(`  Repetition    ${percent(scores.repetition)}  ${Math.round(repetition.repeated * 100)}% of features have a look-alike`);
+  console.log(`  Symmetry      ${percent(scores.symmetry)}  mirror ${symmetry.mirror.toFixed(2)}, flip ${symmetry.flip.toFixed(2)}, 180° ${symmetry.rotation.toFixed(2)}`);
+  console.log(`  Resolution    ${percent(scores.resolution)}  ${report.width}x${report.height} px, ${size.pixelsPerCm.toFixed(0)} px/cm (${size.dpi.toFixed(0)} dpi) at ` +
+    `${(marker.physicalWidth * 100).toFixed(1)}x${(marker.physicalHeight * 100).toFixed(1)} cm`);
+  console.log(`  Aspect ratio  ${percent(scores.aspect)}  ${(size.mismatch * 100).toFixed(1)}% mismatch`);
+  for (const issue of report.issues) {
+    console.log(`  ⚠️ ${issue}`);
+  }
+}
+
+// The default experience and the campaign experiences, unless one manifest is given
+const manifestPaths = [resolve(rootDir, getArg('manifest', 'public/experience.json'))];
+if (!getArg('manifest', null) && existsSync(join(publicDir, 'experiences'))) {
+  for (const file of readdirSync(join(publicDir, 'experiences'))) {
+    if (file.endsWith('.json')) {
+      manifestPaths.push(join(publicDir, 'experiences', file));
+    }
+  }
+}
+const minScore = Number(getArg('min-score', process.env.MARKER_MIN_SCORE || 50));
+if (!Number.isFinite(minScore)) {
+  console.error('❌ --min-score must be a number');
+  process.exit(1);
+}
+// Each image is analysed once per printed size, however many manifests use it
+const markers = new Map();
+for (const manifestPath of manifestPaths) {
+  const manifest = JSON.parse(readFileSync(manifestPath, 'utf-8'));
+  for (const marker of manifest.markers || []) {
+    const key = `${marker.imagePath}|${marker.physicalWidth}|${marker.physicalHeight}`;
+    if (!markers.has(key)) {
+      markers.set(key, manifestPaths.length > 1 ? { ...marker, id: `${manifest.id}/${marker.id}` } : marker);
+    }
+  }
+}
+
+console.log(`Analysing marker images (minimum score ${minScore})...`);
+const failed = [];
+let analysed = 0;
+for (const marker of markers.values()) {
+  const src = marker.imagePath;
+  if (typeof src !== 'string' || !src.startsWith('/')) {
+    console.warn(`⚠️ ${marker.id}: ${src} is not in public/ - skipped`);
+    continue;
+  }
+  const file = join(publicDir, src.split(/[?#]/)[0]);
+  if (!existsSync(file)) {
+    console.error(`❌ ${marker.id}: ${src} not found in public/`);
+    failed.push(marker.id);
+    continue;
+  }
+  const data = readFileSync(file);
+  if (data.length < 200 && data.toString('utf-8').startsWith('version https://git-lfs.github.com')) {
+    console.warn(`⚠️ ${marker.id}: ${src} is a Git LFS pointer (run git lfs pull) - skipped`);
+    continue;
+  }
+
+  let image;
+  try {
+    image = decodeImage(data);
+  } catch (error) {
+    console.error(`❌ ${marker.id}: ${src} could not be decoded: ${error.message}`);
+    failed.push(marker.id);
+    continue;
+  }
+  if (!image) {
+    console.warn(`⚠️ ${marker.id}: ${src} is not a JPEG or PNG - skipped`);
+    continue;
+  }
+
+  const report = analyseMarker(image, marker);
+  analysed++;
+  printReport(marker, report, minScore);
+  if (report.score < minScore) {
+    failed.push(marker.id);
+  }
+}
+
+if (failed.length > 0) {
+  console.error(`\n❌ Marker quality check failed for: ${failed.join(', ')}`);
+  console.error('Improve the image(s) above, or lower the threshold with --min-score / MARKER_MIN_SCORE.');
+  process.exit(1);
+}
+console.log(analysed > 0 ? '\nMarker quality check passed' : 'No marker images to analyse');
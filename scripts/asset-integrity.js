@@ -0,0 +1,74 @@
+// Asset integrity - writes SHA-256 hashes of an experience's assets into its manifest
+// Hashes every file the manifest refers to (marker images, videos, models,
+// reveal clip files) in public/ and stores them under "integrity", which the
+// asset manager (src/asset-manager.js) checks downloads against. Run it after
+// changing an asset; files that are still Git LFS pointers are skipped and
+// keep the hash they had, and hashes of files no longer referenced are removed.
+//
+// Usage: npm run integrity [-- --manifest public/experience.json]
+
+import { createHash } from 'crypto';
+import { existsSync, readFileSync, writeFileSync } from 'fs';
+import { dirname, join, resolve } from 'path';
+import { fileURLToPath } from 'url';
+
+const rootDir = join(dirname(fileURLToPath(import.meta.url)), '..');
+const publicDir = join(rootDir, 'public');
+
+function getArg(name, fallback) {
+  const index = process.argv.indexOf(`--${name}`);
+  return index >= 0 && process.argv[index + 1] ? process.argv[index + 1] : fallback;
+}
+
+const manifestPath = resolve(rootDir, getArg('manifest', 'public/experience.json'));
+const manifest = JSON.parse(readFileSync(manifestPath, 'utf-8'));
+
+// Asset URLs the manifest refers to (same-origin paths only)
+const sources = new Set();
+for (const marker of manifest.markers || []) {
+  sources.add(marker.imagePath);
+  if (marker.content?.src) {
+    sources.add(marker.content.src);
+  }
+  if (typeof marker.content?.reveal?.clip === 'string') {
+    sources.add(marker.content.reveal.clip);
+  }
+}
+
+// Start from the existing hashes, so a skipped file keeps its hash
+const integrity = { ...manifest.integrity };
+for (const src of Object.keys(integrity)) {
+  if (!sources.has(src)) {
+    console.log(`🗑️ ${src}: no longer referenced - hash removed`);
+    delete integrity[src];
+  }
+}
+
+let hashed = 0;
+let skipped = 0;
+function skip(src, reason) {
+  console.warn(`⚠️ ${src}: ${reason} - skipped${integrity[src] ? ', keeping its previous hash' : ''}`);
+  skipped++;
+}
+for (const src of sources) {
+  if (typeof src !== 'string' || !src.startsWith('/')) {
+    continue;
+  }
+  const file = join(publicDir, src.split(/[?#]/)[0]);
+  if (!existsSync(file)) {
+    skip(src, 'not found in public/');
+    continue;
+  }
+  const data = readFileSync(file);
+  if (data.length < 200 && data.toString('utf-8').startsWith('version https://git-lfs.github.com')) {
+    skip(src, 'Git LFS pointer (run git lfs pull)');
+    continue;
+  }
+  integrity[src] = createHash('sha256').update(data).digest('hex');
+  hashed++;
+  console.log(`✅ ${src}: ${integrity[src]}`);
+}
+
+manifest.integrity = integrity;
+writeFileSync(manifestPath, `${JSON.stringify(manifest, null, 2)}\n`);
+console.log(`Hashed ${hashed} file(s), wrote ${Object.keys(integrity).length} hash(es) to ${manifestPath}${skipped ? ` (${skipped} skipped)` : ''}`);
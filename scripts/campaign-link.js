@@ -0,0 +1,56 @@
+// Campaign links - signs personalised deep links for printed cards
+// Builds a link that opens a campaign's experience (public/experiences/<campaign>.json)
+// with the recipient's name and the sender's message on the card, signed with
+// the campaign key the app was built with (VITE_CAMPAIGN_KEY, see src/campaign.js).
+// Use the link as the card's QR code: npm run print-sheet -- --url "<link>"
+//
+// Usage: VITE_CAMPAIGN_KEY=... npm run campaign-link -- --url https://example.com/
+//        [--campaign birthday --card 0042 --to Sam --msg "Happy birthday!" --path]
+// --path puts the campaign and card in the path (/c/birthday/0042) instead of the query.
+
+import { existsSync } from 'fs';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+import { createCampaignLink, parseCampaignLink, verifyCampaignLink } from '../src/campaign.js';
+
+const rootDir = join(dirname(fileURLToPath(import.meta.url)), '..');
+
+function getArg(name, fallback) {
+  const index = process.argv.indexOf(`--${name}`);
+  return index >= 0 && process.argv[index + 1] ? process.argv[index + 1] : fallback;
+}
+
+const key = process.env.VITE_CAMPAIGN_KEY;
+const baseUrl = getArg('url', null);
+const link = {
+  campaign: getArg('campaign', ''),
+  card: getArg('card', ''),
+  recipient: getArg('to', ''),
+  message: getArg('msg', '')
+};
+
+if (!key) {
+  console.error('❌ Set VITE_CAMPAIGN_KEY to the campaign key the app is built with');
+  process.exit(1);
+}
+if (!baseUrl) {
+  console.error('❌ --url <deployed app URL> is required');
+  process.exit(1);
+}
+
+const url = await createCampaignLink(baseUrl, link, key, { path: process.argv.includes('--path') });
+
+// Read the link back the way the app will
+const parsed = parseCampaignLink(url);
+if (parsed.errors.length > 0) {
+  console.error(`❌ ${parsed.errors.join('\n❌ ')}`);
+  process.exit(1);
+}
+if (!(await verifyCampaignLink(parsed, key))) {
+  console.error('❌ The link does not verify - check the values');
+  process.exit(1);
+}
+if (link.campaign && !existsSync(join(rootDir, 'public', 'experiences', `${link.campaign}.json`))) {
+  console.warn(`⚠️ public/experiences/${link.campaign}.json does not exist - the link will show the default experience`);
+}
+console.log(url);
@@ -0,0 +1,378 @@
+// Print sheets - print-ready marker sheets at exact physical size
+// Tracking assumes the printed marker is exactly physicalWidth x
+// physicalHeight. This lays out one sheet per marker in the manifest with the
+// image at that size, crop marks to cut along, a calibration ruler to check
+// the printer didn't scale the page and, with --url, a QR code that opens
+// the deployed experience. Sheets are written as PDF or SVG.
+//
+// The printed height follows the image's aspect ratio, and the size actually
+// printed is written back into the manifest, so the print and the tracking
+// config always agree. --width prints (and configures) a marker at a new width.
+//
+// Usage: npm run print-sheet [-- --format pdf|svg --paper a4|letter|a3 --out print
+//        --marker default --width 12 --url https://example.com/ --manifest public/experience.json]
+// --width is in centimetres; without --marker it applies to every marker.
+
+import { deflateSync } from 'zlib';
+import { existsSync, mkdirSync, readFileSync, writeFileSync } from 'fs';
+import { dirname, join, resolve } from 'path';
+import { fileURLToPath } from 'url';
+import { PNG } from 'pngjs';
+import qrcode from 'qrcode-generator';
+
+const rootDir = join(dirname(fileURLToPath(import.meta.url)), '..');
+const publicDir = join(rootDir, 'public');
+
+// Paper sizes in mm
+const PAPER_SIZES = {
+  a4: { width: 210, height: 297 },
+  a3: { width: 297, height: 420 },
+  letter: { width: 215.9, height: 279.4 }
+};
+
+// Sheet layout in mm
+const LAYOUT = {
+  margin: 12,
+  markerTop: 34, // Marker top edge, below the title
+  cropGap: 2, // Crop marks start this far from the marker edge
+  cropLength: 6,
+  rulerLength: 100, // Shortened on narrow paper, always whole centimetres
+  qrSize: 30,
+  line: 0.2 // Line width
+};
+
+const MM_TO_PT = 72 / 25.4;
+
+function getArg(name, fallback) {
+  const index = process.argv.indexOf(`--${name}`);
+  return index >= 0 && process.argv[index + 1] ? process.argv[index + 1] : fallback;
+}
+
+/**
+ * Read a marker image's size and the data needed to embed it
+ * @param {Buffer} data - JPEG or PNG file contents
+ * @returns {Object} { mime, width, height, data, pdf: { filter, colorSpace, bytes } }
+ */
+function readImage(data) {
+  if (data[0] === 0xff && data[1] === 0xd8) {
+    // Walk the JPEG segments to the start-of-frame header; the file itself is
+    // embedded in the PDF as is (DCTDecode)
+    let offset = 2;
+    while (offset + 9 < data.length && data[offset] === 0xff) {
+      const type = data[offset + 1];
+      const isFrame = type >= 0xc0 && type <= 0xcf && type !== 0xc4 && type !== 0xc8 && type !== 0xcc;
+      if (isFrame) {
+        const components = data[offset + 9];
+        return {
+          mime: 'image/jpeg',
+          width: data.readUInt16BE(offset + 7),
+          height: data.readUInt16BE(offset + 5),
+          data,
+          pdf: {
+            filter: 'DCTDecode',
+            colorSpace: components === 1 ? 'DeviceGray' : components === 4 ? 'DeviceCMYK' : 'DeviceRGB',
+            bytes: data
+          }
+        };
+      }
+      offset += 2 + data.readUInt16BE(offset + 2);
+    }
+    throw new Error('no JPEG frame header found');
+  }
+
+  if (data.readUInt32BE(0) === 0x89504e47) {
+    // PDF has no PNG filter: decode, flatten onto white and deflate the RGB
+    const png = PNG.sync.read(data);
+    const rgb = Buffer.alloc(png.width * png.height * 3);
+    for (let i = 0, j = 0; i < png.data.length; i += 4, j += 3) {
+      const alpha = png.data[i + 3] / 255;
+      rgb[j] = Math.round(png.data[i] * alpha + 255 * (1 - alpha));
+      rgb[j + 1] = Math.round(png.data[i + 1] * alpha + 255 * (1 - alpha));
+      rgb[j + 2] = Math.round(png.data[i + 2] * alpha + 255 * (1 - alpha));
+    }
+    return {
+      mime: 'image/png',
+      width: png.width,
+      height: png.height,
+      data,
+      pdf: { filter: 'FlateDecode', colorSpace: 'DeviceRGB', bytes: deflateSync(rgb) }
+    };
+  }
+
+  throw new Error('not a JPEG or PNG image');
+}
+
+/**
+ * Lay out one marker sheet
+ * @param {Object} options
+ * @param {Object} options.paper - { width, height } in mm
+ * @param {Object} options.image - Image from readImage()
+ * @param {number} options.width - Printed marker width in mm
+ * @param {number} options.height - Printed marker height in mm
+ * @param {string} options.title - Sheet title
+ * @param {string} options.url - QR code URL, or null for none
+ * @returns {Array<Object>} Drawing primitives in mm from the top-left:
+ *   { type: 'image', x, y, width, height } | { type: 'line', x1, y1, x2, y2 } |
+ *   { type: 'rect', x, y, width, height } (filled) | { type: 'text', x, y, size, text }
+ */
+function layoutSheet({ paper, image, width, height, title, url }) {
+  const { margin, markerTop, cropGap, cropLength, qrSize } = LAYOUT;
+  const items = [];
+
+  const bottomBlock = url ? qrSize : 20; // Ruler and captions, or the QR code
+  if (width + 2 * (margin + cropGap + cropLength) > paper.width ||
+    markerTop + height + cropGap + cropLength + 6 + bottomBlock + margin > paper.height) {
+    throw new Error(`a ${width} x ${height} mm marker does not fit on the paper - use a larger --paper or a smaller --width`);
+  }
+
+  items.push({ type: 'text', x: margin, y: margin + 5, size: 5, text: title });
+  items.push({
+    type: 'text', x: margin, y: margin + 12, size: 3.2,
+    text: `Print at 100% ("Actual size"), no scaling. Marker: ${width} x ${height} mm.`
+  });
+  items.push({ type: 'text', x: margin, y: margin + 17, size: 3.2, text: 'Cut along the crop marks and keep the card flat.' });
+
+  // Marker image, centred, with crop marks at each corner
+  const x = (paper.width - width) / 2;
+  const y = markerTop;
+  items.push({ type: 'image', x, y, width, height });
+  for (const [cornerX, cornerY, dirX, dirY] of [[x, y, -1, -1], [x + width, y, 1, -1], [x, y + height, -1, 1], [x + width, y + height, 1, 1]]) {
+    const start = cropGap;
+    const end = cropGap + cropLength;
+    items.push({ type: 'line', x1: cornerX + dirX * start, y1: cornerY, x2: cornerX + dirX * end, y2: cornerY });
+    items.push({ type: 'line', x1: cornerX, y1: cornerY + dirY * start, x2: cornerX, y2: cornerY + dirY * end });
+  }
+
+  // Calibration ruler: mm ticks with centimetre labels
+  const top = y + height + cropGap + cropLength + 6;
+  const available = paper.width - 2 * margin - (url ? qrSize + 10 : 0);
+  const length = Math.min(LAYOUT.rulerLength, Math.floor(available / 10) * 10);
+  items.push({ type: 'line', x1: margin, y1: top, x2: margin + length, y2: top });
+  for (let mm = 0; mm <= length; mm++) {
+    const tick = mm % 10 === 0 ? 5 : mm % 5 === 0 ? 3.5 : 2;
+    items.push({ type: 'line', x1: margin + mm, y1: top, x2: margin + mm, y2: top + tick });
+    if (mm % 10 === 0) {
+      items.push({ type: 'text', x: margin + mm + 0.6, y: top + 8, size: 2.8, text: mm === length ? `${mm / 10} cm` : `${mm / 10}` });
+    }
+  }
+  items.push({ type: 'text', x: margin, y: top + 14, size: 3.2, text: `Calibration: this ruler must measure exactly ${length} mm.` });
+
+  if (url) {
+    const qr = qrcode(0, 'M');
+    qr.addData(url);
+    qr.make();
+    const count = qr.getModuleCount();
+    const module = qrSize / count;
+    const qrX = paper.width - margin - qrSize;
+    for (let row = 0; row < count; row++) {
+      // One rectangle per run of dark modules
+      for (let column = 0; column < count; column++) {
+        if (!qr.isDark(row, column)) {
+          continue;
+        }
+        let run = 1;
+        while (column + run < count && qr.isDark(row, column + run)) {
+          run++;
+        }
+        items.push({ type: 'rect', x: qrX + column * module, y: top + row * module, width: run * module, height: module });
+        column += run - 1;
+      }
+    }
+    items.push({ type: 'text', x: margin, y: top + 19, size: 3.2, text: `Scan to open: ${url}` });
+  }
+
+  return items;
+}
+
+function escapeXml(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/**
+ * Render a sheet as SVG (sized in mm, image embedded as a data URL)
+ * @returns {string} SVG document
+ */
+function renderSvg(paper, items, image) {
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${paper.width}mm" height="${paper.height}mm" viewBox="0 0 ${paper.width} ${paper.height}">`,
+    `<rect width="${paper.width}" height="${paper.height}" fill="#fff"/>`
+  ];
+  for (const item of items) {
+    if (item.type === 'image') {
+      lines.push(`<image x="${item.x}" y="${item.y}" width="${item.width}" height="${item.height}" preserveAspectRatio="none" ` +
+        `href="data:${image.mime};base64,${image.data.toString('base64')}"/>`);
+    } else if (item.type === 'line') {
+      lines.push(`<line x1="${item.x1}" y1="${item.y1}" x2="${item.x2}" y2="${item.y2}" stroke="#000" stroke-width="${LAYOUT.line}"/>`);
+    } else if (item.type === 'rect') {
+      lines.push(`<rect x="${item.x}" y="${item.y}" width="${item.width}" height="${item.height}" fill="#000"/>`);
+    } else if (item.type === 'text') {
+      lines.push(`<text x="${item.x}" y="${item.y}" font-family="Helvetica, Arial, sans-serif" font-size="${item.size}">${escapeXml(item.text)}</text>`);
+    }
+  }
+  lines.push('</svg>', '');
+  return lines.join('\n');
+}
+
+/**
+ * Render a sheet as a single-page PDF (Helvetica text, image as an XObject)
+ * @returns {Buffer} PDF file
+ */
+function renderPdf(paper, items, image) {
+  const pageWidth = paper.width * MM_TO_PT;
+  const pageHeight = paper.height * MM_TO_PT;
+  const pt = (mm) => (mm * MM_TO_PT).toFixed(3);
+  const ptY = (mm) => (pageHeight - mm * MM_TO_PT).toFixed(3);
+  // Latin-1 only (standard fonts), with PDF string escapes
+  const pdfString = (text) => text.replace(/[^\x20-\xff]/g, '?').replace(/[\\()]/g, '\\$&');
+
+  const content = [`${pt(LAYOUT.line)} w 0 G 0 g`];
+  for (const item of items) {
+    if (item.type === 'image') {
+      content.push(`q ${pt(item.width)} 0 0 ${pt(item.height)} ${pt(item.x)} ${ptY(item.y + item.height)} cm /Im1 Do Q`);
+    } else if (item.type === 'line') {
+      content.push(`${pt(item.x1)} ${ptY(item.y1)} m ${pt(item.x2)} ${ptY(item.y2)} l S`);
+    } else if (item.type === 'rect') {
+      content.push(`${pt(item.x)} ${ptY(item.y + item.height)} ${pt(item.width)} ${pt(item.height)} re f`);
+    } else if (item.type === 'text') {
+      content.push(`BT /F1 ${pt(item.size)} Tf ${pt(item.x)} ${ptY(item.y)} Td (${pdfString(item.text)}) Tj ET`);
+    }
+  }
+  const stream = Buffer.from(content.join('\n'), 'latin1');
+
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+    `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${pageWidth.toFixed(3)} ${pageHeight.toFixed(3)}] ` +
+      '/Resources << /Font << /F1 4 0 R >> /XObject << /Im1 6 0 R >> >> /Contents 5 0 R >>',
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>',
+    [`<< /Length ${stream.length} >>`, stream],
+    [`<< /Type /XObject /Subtype /Image /Width ${image.width} /Height ${image.height} /ColorSpace /${image.pdf.colorSpace} ` +
+      `/BitsPerComponent 8 /Filter /${image.pdf.filter} /Length ${image.pdf.bytes.length} >>`, image.pdf.bytes]
+  ];
+
+  const chunks = [Buffer.from('%PDF-1.4\n%\xe2\xe3\xcf\xd3\n', 'latin1')];
+  let size = chunks[0].length;
+  const offsets = [];
+  const append = (chunk) => {
+    const buffer = typeof chunk === 'string' ? Buffer.from(chunk, 'latin1') : chunk;
+    chunks.push(buffer);
+    size += buffer.length;
+  };
+  objects.forEach((object, index) => {
+    offsets.push(size);
+    if (Array.isArray(object)) {
+      append(`${index + 1} 0 obj\n${object[0]}\nstream\n`);
+      append(object[1]);
+      append('\nendstream\nendobj\n');
+    } else {
+      append(`${index + 1} 0 obj\n${object}\nendobj\n`);
+    }
+  });
+  const xref = size;
+  append(`xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`);
+  for (const offset of offsets) {
+    append(`${String(offset).padStart(10, '0')} 00000 n \n`);
+  }
+  append(`trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`);
+  return Buffer.concat(chunks);
+}
+
+const manifestPath = resolve(rootDir, getArg('manifest', 'public/experience.json'));
+const format = getArg('format', 'pdf');
+const paperName = getArg('paper', 'a4');
+const outDir = resolve(rootDir, getArg('out', 'print'));
+const onlyMarker = getArg('marker', null);
+const widthArg = getArg('width', null);
+const url = getArg('url', null);
+
+const paper = PAPER_SIZES[paperName];
+if (!paper) {
+  console.error(`❌ Unknown --paper "${paperName}" (${Object.keys(PAPER_SIZES).join(', ')})`);
+  process.exit(1);
+}
+if (format !== 'pdf' && format !== 'svg') {
+  console.error(`❌ Unknown --format "${format}" (pdf, svg)`);
+  process.exit(1);
+}
+const widthOverride = widthArg === null ? null : Number(widthArg) / 100;
+if (widthOverride !== null && !(widthOverride > 0)) {
+  console.error('❌ --width must be a positive number of centimetres');
+  process.exit(1);
+}
+
+const manifest = JSON.parse(readFileSync(manifestPath, 'utf-8'));
+const markers = (manifest.markers || []).filter((marker) => !onlyMarker || marker.id === onlyMarker);
+if (markers.length === 0) {
+  console.error(`❌ No marker${onlyMarker ? ` "${onlyMarker}"` : 's'} in ${manifestPath}`);
+  process.exit(1);
+}
+
+mkdirSync(outDir, { recursive: true });
+let failed = 0;
+let changed = 0;
+for (const marker of markers) {
+  const src = marker.imagePath;
+  const file = typeof src === 'string' && src.startsWith('/') ? join(publicDir, src.split(/[?#]/)[0]) : null;
+  if (!file || !existsSync(file)) {
+    console.error(`❌ ${marker.id}: ${src} not found in public/`);
+    failed++;
+    continue;
+  }
+  const data = readFileSync(file);
+  if (data.length < 200 && data.toString('utf-8').startsWith('version https://git-lfs.github.com')) {
+    console.error(`❌ ${marker.id}: ${src} is a Git LFS pointer (run git lfs pull)`);
+    failed++;
+    continue;
+  }
+
+  let image;
+  try {
+    image = readImage(data);
+  } catch (error) {
+    console.error(`❌ ${marker.id}: ${src}: ${error.message}`);
+    failed++;
+    continue;
+  }
+
+  // Printed size to 0.1 mm; the height always follows the image
+  const physicalWidth = Math.round((widthOverride ?? marker.physicalWidth) * 10000) / 10000;
+  const physicalHeight = Math.round(physicalWidth * image.height / image.width * 10000) / 10000;
+  const width = Math.round(physicalWidth * 10000) / 10;
+  const height = Math.round(physicalHeight * 10000) / 10;
+
+  let items;
+  try {
+    items = layoutSheet({
+      paper,
+      image,
+      width,
+      height,
+      title: `${manifest.name || manifest.id || 'Experience'} - marker "${marker.id}"`,
+      url
+    });
+  } catch (error) {
+    console.error(`❌ ${marker.id}: ${error.message}`);
+    failed++;
+    continue;
+  }
+
+  const outFile = join(outDir, `${marker.id}.${format}`);
+  writeFileSync(outFile, format === 'pdf' ? renderPdf(paper, items, image) : renderSvg(paper, items, image));
+  console.log(`🖨️ ${marker.id}: ${width} x ${height} mm on ${paperName} -> ${outFile}`);
+
+  if (marker.physicalWidth !== physicalWidth || marker.physicalHeight !== physicalHeight) {
+    console.log(`📏 ${marker.id}: physicalWidth ${marker.physicalWidth} -> ${physicalWidth}, physicalHeight ${marker.physicalHeight} -> ${physicalHeight}`);
+    marker.physicalWidth = physicalWidth;
+    marker.physicalHeight = physicalHeight;
+    changed++;
+  }
+}
+
+if (changed > 0) {
+  writeFileSync(manifestPath, `${JSON.stringify(manifest, null, 2)}\n`);
+  console.log(`Updated ${changed} marker size(s) in ${manifestPath}`);
+}
+if (failed > 0) {
+  process.exit(1);
+}
@@ -0,0 +1,117 @@
+// Redemption mock server - a local backend for gift card reveals
+// Implements the REST API src/redemption.js talks to, keeping revealed cards
+// in memory (restarting the server makes every card revealable again):
+//
+//   POST /redemption/cards/<cardId>/reveal
+//
+// Every card id is valid, with these exceptions for trying the error states:
+//   expired…   - 410, the card has expired
+//   redeemed…  - 409, the card has been used
+//   missing…   - 404, no such card
+//   failing…   - 503, the backend is down
+// A card's second reveal gets 409 "revealed". Codes are derived from the
+// card id, so a card always gets the same code.
+//
+// A malformed card id (bad percent-encoding) gets 400 "bad-request".
+//
+// Usage: npm run redemption-mock [-- --port 8788 --balance 25 --currency EUR --delay 500]
+// (--port 0 picks a free port; the listening line shows which)
+// Then build or serve the app with VITE_REDEMPTION_ENDPOINT=/redemption
+// (proxied by the Vite dev server) and open a campaign link with a card id.
+
+import { createServer } from 'http';
+import { createHash } from 'crypto';
+
+function getArg(name, fallback) {
+  const index = process.argv.indexOf(`--${name}`);
+  return index >= 0 && process.argv[index + 1] ? process.argv[index + 1] : fallback;
+}
+
+const port = Number(getArg('port', process.env.REDEMPTION_PORT || 8788));
+const balance = Number(getArg('balance', 25));
+const currency = getArg('currency', 'EUR');
+const delay = Number(getArg('delay', 300)); // ms before answering, to show the loading state
+
+const REVEAL_PATH = /^\/redemption\/cards\/([^/]+)\/reveal$/;
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // No look-alikes (0/O, 1/I)
+
+const revealed = new Set(); // Card ids revealed since the server started
+
+// The card's code, e.g. GIFT-7KQ2-M9XD
+function getCode(cardId) {
+  const hash = createHash('sha256').update(cardId).digest();
+  const chars = [...hash.subarray(0, 8)].map((byte) => CODE_ALPHABET[byte % CODE_ALPHABET.length]).join('');
+  return `GIFT-${chars.slice(0, 4)}-${chars.slice(4)}`;
+}
+
+// One year from now, as YYYY-MM-DD
+function getExpiryDate() {
+  const date = new Date();
+  date.setFullYear(date.getFullYear() + 1);
+  return date.toISOString().slice(0, 10);
+}
+
+// The answer to a reveal request: [status, body]
+function reveal(cardId) {
+  if (cardId.startsWith('expired')) {
+    return [410, { error: 'expired', expiresAt: '2026-01-31' }];
+  }
+  if (cardId.startsWith('redeemed')) {
+    return [409, { error: 'redeemed' }];
+  }
+  if (cardId.startsWith('missing')) {
+    return [404, { error: 'not-found' }];
+  }
+  if (cardId.startsWith('failing')) {
+    return [503, { error: 'unavailable', message: 'Mock backend failure' }];
+  }
+  if (revealed.has(cardId)) {
+    return [409, { error: 'revealed' }];
+  }
+  revealed.add(cardId);
+  return [200, { code: getCode(cardId), balance, currency, expiresAt: getExpiryDate() }];
+}
+
+// The app may be served from another origin (Vite dev server, preview)
+function setCorsHeaders(res) {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+}
+
+const server = createServer((req, res) => {
+  setCorsHeaders(res);
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204).end();
+    return;
+  }
+  const match = REVEAL_PATH.exec(new URL(req.url, 'http://localhost').pathname);
+  if (!match) {
+    res.writeHead(404, { 'Content-Type': 'application/json' }).end(JSON.stringify({ error: 'not-found', message: 'Unknown path' }));
+    return;
+  }
+  if (req.method !== 'POST') {
+    res.writeHead(405, { 'Content-Type': 'text/plain' }).end('POST to reveal a card\n');
+    return;
+  }
+
+  let cardId;
+  try {
+    cardId = decodeURIComponent(match[1]);
+  } catch (error) {
+    // e.g. /cards/%E0%A4%A/reveal - a URIError, not a card id
+    res.writeHead(400, { 'Content-Type': 'application/json' }).end(JSON.stringify({ error: 'bad-request', message: 'Malformed card id' }));
+    return;
+  }
+  const [status, body] = reveal(cardId);
+  const icon = status === 200 ? '🎁' : '⚠️';
+  console.log(`${icon} ${cardId}: ${status} ${status === 200 ? body.code : body.error}`);
+  setTimeout(() => {
+    res.writeHead(status, { 'Content-Type': 'application/json' }).end(JSON.stringify(body));
+  }, delay);
+});
+
+server.listen(port, () => {
+  console.log(`🎁 Redemption mock listening on http://localhost:${server.address().port}/redemption`);
+  console.log(`   Cards are worth ${balance} ${currency}; ids starting with expired, redeemed, missing or failing get those errors`);
+});
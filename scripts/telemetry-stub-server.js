@@ -0,0 +1,77 @@
+// Telemetry stub server - a local endpoint for the telemetry sink
+// Accepts the batches src/telemetry-sink.js POSTs (JSON, or text/plain from
+// sendBeacon), prints each entry and appends the batches to an NDJSON file.
+//
+// Usage: npm run telemetry-stub [-- --port 8787 --out telemetry.ndjson]
+// (--port 0 picks a free port; the listening line shows which)
+// Then open the dev server's app with ?telemetry=/telemetry (proxied by the
+// Vite dev server, so it also works from a phone) or
+// ?telemetry=http://localhost:8787/telemetry. Builds ignore ?telemetry: build
+// with VITE_TELEMETRY_ENDPOINT=/telemetry to try one with the stub.
+
+import { createServer } from 'http';
+import { appendFileSync } from 'fs';
+
+function getArg(name, fallback) {
+  const index = process.argv.indexOf(`--${name}`);
+  return index >= 0 && process.argv[index + 1] ? process.argv[index + 1] : fallback;
+}
+
+const port = Number(getArg('port', process.env.TELEMETRY_PORT || 8787));
+const outFile = getArg('out', null);
+
+const LEVEL_ICONS = { debug: '·', info: 'ℹ️', success: '✅', warning: '⚠️', error: '❌' };
+
+// The app may be served from another origin (Vite dev server, preview)
+function setCorsHeaders(res) {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+}
+
+const server = createServer((req, res) => {
+  setCorsHeaders(res);
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204).end();
+    return;
+  }
+  if (req.method !== 'POST') {
+    res.writeHead(405, { 'Content-Type': 'text/plain' }).end('POST log batches here\n');
+    return;
+  }
+
+  let body = '';
+  req.setEncoding('utf-8');
+  req.on('data', (chunk) => {
+    body += chunk;
+  });
+  req.on('end', () => {
+    let batch;
+    try {
+      batch = JSON.parse(body);
+    } catch (error) {
+      console.error(`❌ Invalid JSON from ${req.socket.remoteAddress}: ${error.message}`);
+      res.writeHead(400, { 'Content-Type': 'text/plain' }).end('Invalid JSON\n');
+      return;
+    }
+
+    const entries = Array.isArray(batch.entries) ? batch.entries : [];
+    const via = req.headers['content-type']?.startsWith('text/plain') ? 'beacon' : 'fetch';
+    console.log(`\n📥 ${entries.length} entr${entries.length === 1 ? 'y' : 'ies'} from session ${batch.sessionId} (${via})`);
+    for (const entry of entries) {
+      const time = new Date(entry.time).toLocaleTimeString();
+      console.log(`   ${LEVEL_ICONS[entry.level] || ' '} [${time}] [${entry.category}] ${entry.message}`);
+    }
+    if (outFile) {
+      appendFileSync(outFile, `${JSON.stringify({ receivedAt: new Date().toISOString(), ...batch })}\n`);
+    }
+    res.writeHead(204).end();
+  });
+});
+
+server.listen(port, () => {
+  console.log(`📡 Telemetry stub listening on http://localhost:${server.address().port}/telemetry`);
+  if (outFile) {
+    console.log(`   Writing batches to ${outFile}`);
+  }
+});
@@ -0,0 +1,307 @@
+// Asset Manager - downloads and checks the files an experience needs
+// Every asset (marker images, videos, models, audio, clips) is fetched
+// through one manager, which:
+// - reports byte progress per asset (aggregated by preload.js for the entry screen)
+// - retries network errors, timeouts and 408/429/5xx responses with
+//   exponential backoff (other failures are not retried)
+// - runs each download through a list of validators: pluggable checks that
+//   throw to reject the file. The defaults catch Git LFS pointer files
+//   served in place of the real file, unexpected content types, files of
+//   implausible size and SHA-256 mismatches against the manifest's
+//   "integrity" hashes
+// - keeps each URL's download, so an asset used twice is fetched once
+//
+// A validator is an async function ({ asset, kind, blob, size, contentType, partial, log }) => void:
+//   asset       - { src, kind, sha256?, maxSize? } as passed to load()/check()
+//   kind        - the kind's rules from ASSET_KINDS
+//   blob        - the downloaded bytes (only the first bytes if partial)
+//   size        - full file size in bytes, or null if the server didn't say
+//   contentType - response Content-Type without parameters ('' if none)
+//   partial     - true for check() probes, which only fetch the start of the file
+//   log         - the manager's logger, for problems that don't reject the file
+
+// Asset kinds and the rules the default validators apply to them
+export const ASSET_KINDS = {
+  image: { contentTypes: ['image/'], minSize: 200 },
+  video: { contentTypes: ['video/', 'application/octet-stream'], minSize: 1024 },
+  model: { contentTypes: ['model/gltf-binary', 'model/gltf+json', 'application/octet-stream', 'application/json'], minSize: 200 },
+  audio: { contentTypes: ['audio/', 'application/octet-stream'], minSize: 200 },
+  json: { contentTypes: ['application/json', 'text/plain'], minSize: 2 }
+};
+
+// Default download settings
+export const DEFAULT_ASSET_OPTIONS = {
+  retries: 3, // Extra attempts after a retryable failure
+  retryDelay: 500, // Wait before the first retry (ms), doubled for each further retry...
+  maxRetryDelay: 8000, // ...up to this (ms)
+  timeout: 30000, // Abort an attempt that takes longer (ms)
+  maxSize: 50 * 1024 * 1024, // Largest accepted file (bytes); an asset's maxSize overrides it
+  probeBytes: 64 * 1024 // Bytes check() fetches to validate a file without downloading it
+};
+
+// Git LFS pointer files start with this line (and are under 200 bytes)
+const LFS_POINTER_PREFIX = 'version https://git-lfs.github.com';
+const LFS_POINTER_MAX_SIZE = 200;
+
+/**
+ * Create an asset error
+ * @param {string} message - What went wrong
+ * @param {boolean} retryable - Whether trying again might help
+ * @returns {Error} Error with a retryable flag
+ */
+function assetError(message, retryable = false) {
+  const error = new Error(message);
+  error.retryable = retryable;
+  return error;
+}
+
+/**
+ * Reject Git LFS pointer files served instead of the real file (the build
+ * didn't fetch LFS objects - see scripts/setup-lfs.js)
+ * @param {Object} context - Validator context (see the top of this file)
+ */
+export async function lfsPointerValidator({ asset, blob }) {
+  if (blob.size >= LFS_POINTER_MAX_SIZE) {
+    return;
+  }
+  const text = await blob.text();
+  if (text.startsWith(LFS_POINTER_PREFIX)) {
+    throw assetError(`${asset.src} is a Git LFS pointer file, not the actual file. The file needs to be downloaded from Git LFS. Check Vercel build logs and ensure GIT_LFS_TOKEN is set in environment variables.`);
+  }
+}
+
+/**
+ * Reject responses whose Content-Type doesn't fit the asset kind (e.g. an
+ * HTML error page served with status 200)
+ * @param {Object} context - Validator context (see the top of this file)
+ */
+export function contentTypeValidator({ asset, kind, contentType }) {
+  if (!contentType) {
+    return; // Nothing to check against
+  }
+  if (!kind.contentTypes.some((type) => (type.endsWith('/') ? contentType.startsWith(type) : contentType === type))) {
+    throw assetError(`${asset.src} has content type "${contentType}" (expected ${kind.contentTypes.map((type) => (type.endsWith('/') ? `${type}*` : type)).join(', ')} for ${asset.kind})`);
+  }
+}
+
+/**
+ * Create a validator rejecting files too small to be real (truncated or
+ * placeholder files) or over the size limit
+ * @param {number} maxSize - Default size limit in bytes (an asset's maxSize overrides it)
+ * @returns {Function} Validator
+ */
+export function createSizeValidator(maxSize = DEFAULT_ASSET_OPTIONS.maxSize) {
+  return function sizeValidator({ asset, kind, size }) {
+    if (size === null) {
+      return;
+    }
+    if (size < kind.minSize) {
+      throw assetError(`${asset.src} is too small (${size} bytes). File may be corrupted or not properly downloaded from Git LFS.`);
+    }
+    const limit = asset.maxSize ?? maxSize;
+    if (size > limit) {
+      throw assetError(`${asset.src} is too large (${size} bytes, limit ${limit})`);
+    }
+  };
+}
+
+/**
+ * Hex SHA-256 digest of a blob
+ * @param {Blob} blob - Bytes to hash
+ * @returns {Promise<string>} Lowercase hex digest
+ */
+export async function sha256Hex(blob) {
+  const digest = await crypto.subtle.digest('SHA-256', await blob.arrayBuffer());
+  return [...new Uint8Array(digest)].map((byte) => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Reject files whose SHA-256 doesn't match the asset's expected hash (assets
+ * without one are not checked)
+ * @param {Object} context - Validator context (see the top of this file)
+ */
+export async function integrityValidator({ asset, blob, partial, log = () => {} }) {
+  if (!asset.sha256 || partial) {
+    return;
+  }
+  if (!globalThis.crypto?.subtle) {
+    // WebCrypto needs a secure context (HTTPS or localhost)
+    log(`⚠️ Cannot verify ${asset.src}: SHA-256 is unavailable outside a secure context`, 'warning', 'asset');
+    return;
+  }
+  const actual = await sha256Hex(blob);
+  if (actual !== asset.sha256.toLowerCase()) {
+    throw assetError(`${asset.src} failed its integrity check (SHA-256 ${actual}, expected ${asset.sha256})`);
+  }
+}
+
+// Validators run on every download, in order
+export const DEFAULT_VALIDATORS = [lfsPointerValidator, contentTypeValidator, createSizeValidator(), integrityValidator];
+
+/**
+ * Wait a while
+ * @param {number} ms - Milliseconds
+ * @returns {Promise<void>}
+ */
+function delay(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Full file size from a response (Content-Range total for a partial
+ * response, otherwise Content-Length)
+ * @param {Response} response - Fetch response
+ * @returns {number|null} Bytes, or null if unknown
+ */
+function responseSize(response) {
+  const range = response.headers.get('Content-Range');
+  const total = range ? Number(range.split('/')[1]) : Number(response.headers.get('Content-Length') || NaN);
+  return Number.isFinite(total) ? total : null;
+}
+
+/**
+ * Read a response body, reporting progress as chunks arrive
+ * @param {Response} response - Fetch response
+ * @param {string} contentType - Type for the blob
+ * @param {Function} onProgress - (loadedBytes, totalBytes|null) => void
+ * @param {number} limit - Stop reading after this many bytes (servers may ignore Range)
+ * @returns {Promise<Blob>}
+ */
+async function readBody(response, contentType, onProgress, limit = Infinity) {
+  const total = Math.min(responseSize(response) ?? Infinity, limit);
+  if (!response.body) {
+    const blob = await response.blob();
+    onProgress(blob.size, blob.size);
+    return blob;
+  }
+  const reader = response.body.getReader();
+  const chunks = [];
+  let loaded = 0;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) {
+      break;
+    }
+    chunks.push(value);
+    loaded += value.byteLength;
+    onProgress(loaded, Number.isFinite(total) ? total : null);
+    if (loaded >= limit) {
+      await reader.cancel();
+      break;
+    }
+  }
+  onProgress(loaded, loaded);
+  return new Blob(chunks, { type: contentType });
+}
+
+/**
+ * Create an asset manager
+ * @param {Object} options - Overrides for DEFAULT_ASSET_OPTIONS, plus:
+ * @param {Array<Function>} options.validators - Checks run on each download (default: DEFAULT_VALIDATORS)
+ * @param {Function} options.fetch - fetch implementation (default: global fetch)
+ * @param {Function} options.log - Logger (message, type, category) => void
+ * @returns {Object} { load(asset, onProgress), check(asset, onProgress), clear() }
+ */
+export function createAssetManager({ validators = DEFAULT_VALIDATORS, fetch: fetchImpl = (...args) => fetch(...args), log = () => {}, ...options } = {}) {
+  const settings = { ...DEFAULT_ASSET_OPTIONS, ...options };
+  const downloads = new Map(); // Asset URL -> Promise<Blob>
+
+  /**
+   * Fetch once, with a timeout; failures that may be temporary are retryable
+   */
+  async function attempt(asset, probe, onProgress) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), settings.timeout);
+    try {
+      let response;
+      try {
+        const headers = probe ? { Range: `bytes=0-${settings.probeBytes - 1}` } : {};
+        response = await fetchImpl(asset.src, { headers, signal: controller.signal });
+      } catch (error) {
+        throw assetError(`Could not fetch ${asset.src}: ${controller.signal.aborted ? `timed out after ${settings.timeout} ms` : error.message}`, true);
+      }
+      if (!response.ok) {
+        const retryable = response.status === 408 || response.status === 429 || response.status >= 500;
+        throw assetError(`Failed to load ${asset.src}: ${response.status} ${response.statusText}`, retryable);
+      }
+      const contentType = (response.headers.get('Content-Type') || '').split(';')[0].trim().toLowerCase();
+      let blob;
+      try {
+        blob = await readBody(response, contentType, onProgress, probe ? settings.probeBytes : Infinity);
+      } catch (error) {
+        throw assetError(`Download of ${asset.src} was interrupted: ${controller.signal.aborted ? `timed out after ${settings.timeout} ms` : error.message}`, true);
+      }
+      return { blob, contentType, size: probe ? responseSize(response) : blob.size, partial: probe };
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Download and validate, retrying with backoff
+   */
+  async function download(asset, probe, onProgress) {
+    const kind = ASSET_KINDS[asset.kind];
+    if (!kind) {
+      throw new Error(`Unknown asset kind "${asset.kind}" for ${asset.src} (expected one of: ${Object.keys(ASSET_KINDS).join(', ')})`);
+    }
+    for (let retry = 0; ; retry++) {
+      try {
+        const result = await attempt(asset, probe, onProgress);
+        for (const validate of validators) {
+          await validate({ asset, kind, ...result, log });
+        }
+        return result.blob;
+      } catch (error) {
+        if (!error.retryable || retry >= settings.retries) {
+          throw error;
+        }
+        const wait = Math.min(settings.retryDelay * 2 ** retry, settings.maxRetryDelay);
+        log(`🔁 ${error.message} - retrying in ${wait} ms (${retry + 1}/${settings.retries})`, 'warning', 'asset');
+        onProgress(0, null);
+        await delay(wait);
+      }
+    }
+  }
+
+  return {
+    /**
+     * Download and validate an asset (each URL is only downloaded once)
+     * @param {Object} asset - { src, kind, sha256?, maxSize? } - kind is a key of ASSET_KINDS
+     * @param {Function} onProgress - (loadedBytes, totalBytes|null) => void
+     * @returns {Promise<Blob>} The file
+     */
+    load(asset, onProgress = () => {}) {
+      if (!downloads.has(asset.src)) {
+        const pending = download(asset, false, onProgress);
+        // A failed download may be tried again later
+        pending.catch(() => downloads.delete(asset.src));
+        downloads.set(asset.src, pending);
+      }
+      return downloads.get(asset.src);
+    },
+
+    /**
+     * Validate an asset something else will stream (e.g. a video element)
+     * Only the first bytes are fetched (a Range request), unless the asset has
+     * a SHA-256 to verify, which needs the whole file
+     * @param {Object} asset - { src, kind, sha256?, maxSize? }
+     * @param {Function} onProgress - (loadedBytes, totalBytes|null) => void
+     * @returns {Promise<void>} Rejects if the asset is unusable
+     */
+    async check(asset, onProgress = () => {}) {
+      if (asset.sha256 || downloads.has(asset.src)) {
+        await this.load(asset, onProgress);
+        return;
+      }
+      await download(asset, true, onProgress);
+    },
+
+    /**
+     * Forget downloaded files (lets them be garbage collected)
+     */
+    clear() {
+      downloads.clear();
+    }
+  };
+}
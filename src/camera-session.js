@@ -0,0 +1,440 @@
+// Camera Session - AR fallback for browsers without WebXR image tracking
+// (iOS Safari, desktop browsers, WebXRViewer)
+//
+// Opens the rear camera with getUserMedia, finds the markers in camera frames
+// with marker-detector.js (in a Web Worker) and draws the same Three.js
+// content over the video. Detection results reach the same MarkerTracker the
+// WebXR session uses through a tracking backend, so content code gets the
+// same detected/stale/lost/pose events either way.
+//
+// There is no device tracking: the Three.js camera stays at the origin and
+// marker poses are relative to the phone camera.
+
+import * as THREE from 'three';
+import { MarkerTracker } from './marker-tracker.js';
+import { createMarkerContent } from './marker-content.js';
+import { createInteraction } from './interaction.js';
+import { SessionController, SESSION_STATE } from './session-controller.js';
+import { DEFAULT_DETECTOR_OPTIONS } from './marker-detector.js';
+
+// Default camera fallback settings
+export const DEFAULT_CAMERA_OPTIONS = {
+  fov: 65, // degrees - assumed field of view across the long side of the camera image
+  detectionSize: 480, // px - longest side of the frames passed to the detector
+  facingMode: 'environment', // Rear camera
+  detector: {} // Overrides for DEFAULT_DETECTOR_OPTIONS (marker-detector.js)
+};
+
+/**
+ * Check whether this browser can run the camera fallback
+ * @returns {boolean} True if camera access and Web Workers are available
+ */
+export function isCameraFallbackSupported() {
+  return !!navigator.mediaDevices?.getUserMedia && typeof Worker !== 'undefined';
+}
+
+/**
+ * Read the RGBA pixels of an image, scaled down to a maximum size
+ * @param {CanvasImageSource} image - Image, bitmap or video frame
+ * @param {number} width - Source width
+ * @param {number} height - Source height
+ * @param {number} maxSize - Longest side of the result in pixels
+ * @param {HTMLCanvasElement} canvas - Canvas to draw into (reused between frames)
+ * @returns {Object} { pixels: ArrayBuffer, width, height }
+ */
+function readPixels(image, width, height, maxSize, canvas = document.createElement('canvas')) {
+  const scale = Math.min(1, maxSize / Math.max(width, height));
+  canvas.width = Math.round(width * scale);
+  canvas.height = Math.round(height * scale);
+  const context = canvas.getContext('2d', { willReadFrequently: true });
+  context.drawImage(image, 0, 0, canvas.width, canvas.height);
+  const { data } = context.getImageData(0, 0, canvas.width, canvas.height);
+  return { pixels: data.buffer, width: canvas.width, height: canvas.height };
+}
+
+/**
+ * Create the tracking backend for detector results
+ * Frames passed to tracker.update() are { detections } from the detector
+ * @param {Function} startDetector - (markers) => Promise of one score per marker
+ * @returns {Object} Tracking backend ({ name, init, update, dispose })
+ */
+function createDetectionBackend(startDetector) {
+  let markerIndexes = new Map(); // Marker id -> registration index
+
+  return {
+    name: 'camera',
+
+    async init({ markers }) {
+      markerIndexes = new Map(markers.map((marker) => [marker.id, marker.index]));
+      return startDetector(markers);
+    },
+
+    update({ frame }) {
+      // Poses are already relative to the camera, which stays at the origin
+      return frame.detections
+        .filter((detection) => markerIndexes.has(detection.id))
+        .map((detection) => ({
+          index: markerIndexes.get(detection.id),
+          trackingState: 'tracked',
+          pose: detection.pose
+        }));
+    },
+
+    dispose() {
+      markerIndexes.clear();
+    }
+  };
+}
+
+/**
+ * Runs camera fallback sessions for an experience
+ * Same states, events and methods as SessionController
+ */
+export class CameraSessionController extends SessionController {
+  /**
+   * @param {Object} options - SessionController options, plus:
+   * @param {HTMLVideoElement} options.video - Video element that shows the camera feed
+   * @param {Object} options.camera - Overrides for DEFAULT_CAMERA_OPTIONS
+   * @param {MediaDevices} options.mediaDevices - Camera entry point (defaults to navigator.mediaDevices)
+   */
+  constructor({ video, camera = {}, mediaDevices = navigator.mediaDevices, ...options }) {
+    super({ ...options, xr: null });
+    this.mode = 'camera';
+    this.video = video;
+    this.cameraOptions = { ...DEFAULT_CAMERA_OPTIONS, ...camera };
+    this.mediaDevices = mediaDevices;
+
+    this.stream = null;
+    this.worker = null;
+    this.cancelDetectorStart = null; // Rejects startDetector() while the worker is starting
+    this.captureCanvas = null;
+    this.intrinsics = null; // Camera intrinsics in detection frame pixels
+    this.frameSize = null; // Camera image size the projection was set up for
+    this.nextFrameId = 0;
+    this.pendingFrame = null; // { frameId, time } of the frame being detected
+    this.detection = null; // Newest unprocessed result: { detections, time }
+
+    this.handleTrackEnded = this.handleTrackEnded.bind(this);
+    this.handleWorkerMessage = this.handleWorkerMessage.bind(this);
+  }
+
+  /**
+   * Throw if the camera fallback can't run in this browser
+   */
+  checkAvailable() {
+    if (!this.mediaDevices?.getUserMedia) {
+      throw new Error('Camera access not available');
+    }
+    if (typeof Worker === 'undefined') {
+      throw new Error('Web Workers not available');
+    }
+  }
+
+  /**
+   * Open the camera and create the tracker, detector, renderer, scene and content
+   */
+  async setUpSession() {
+    const { experience, canvas, video } = this;
+
+    // Without marker images there is nothing to detect, so this one is fatal
+    this.tracker = new MarkerTracker({
+      tracking: experience.tracking,
+      backend: this.withRecording(createDetectionBackend((markers) => this.startDetector(markers))),
+      log: this.log
+    });
+    this.log('Loading marker images...', 'info', 'asset');
+    const markers = await this.tracker.loadMarkers(experience.markers, this.assets.images);
+    this.assertStarting();
+    this.log(`Loaded ${markers.length} marker image(s): ${markers.map((m) => m.id).join(', ')}`, 'success', 'asset');
+
+    this.log('Requesting camera...', 'info');
+    const stream = await this.mediaDevices.getUserMedia({
+      audio: false,
+      video: {
+        facingMode: { ideal: this.cameraOptions.facingMode },
+        width: { ideal: 1280 },
+        height: { ideal: 720 }
+      }
+    });
+    if (this.state !== SESSION_STATE.STARTING) {
+      // end() was called while the camera was opening (e.g. at the permission
+      // prompt) and has released everything else - don't leave the camera on
+      for (const track of stream.getTracks()) {
+        track.stop();
+      }
+      this.log('Camera stopped (session ended while it opened)', 'info');
+      this.assertStarting();
+    }
+    this.stream = stream;
+    this.stream.getVideoTracks()[0]?.addEventListener('ended', this.handleTrackEnded);
+    document.addEventListener('visibilitychange', this.handlePageVisibilityChange);
+    this.pageHidden = document.visibilityState === 'hidden';
+    this.sessionHidden = false;
+    this.assertStarting();
+
+    video.srcObject = this.stream;
+    video.hidden = false;
+    document.body.classList.add('camera-mode');
+    await video.play();
+    this.assertStarting();
+    this.log(`Camera started (${video.videoWidth}x${video.videoHeight})`, 'success');
+
+    // The canvas is drawn at the camera image size and cropped like the video
+    // (object-fit: cover), so content lines up with the camera feed
+    this.renderer = new THREE.WebGLRenderer({ canvas, antialias: true, alpha: true });
+    this.renderer.setClearColor(0x000000, 0);
+    this.scene = new THREE.Scene();
+    this.camera = new THREE.PerspectiveCamera(this.cameraOptions.fov, 1, 0.01, 100);
+    this.scene.add(this.camera);
+    this.updateProjection();
+    this.referenceSpace = { type: 'camera' };
+
+    this.interaction = createInteraction({ log: this.log });
+    this.content = createMarkerContent({
+      scene: this.scene,
+      experience,
+      videos: this.assets.videos,
+      clips: this.assets.clips,
+      models: this.assets.models,
+      log: this.log,
+      onPlaybackChange: this.onPlaybackChange,
+      redemption: this.redemption,
+      interaction: this.interaction
+    });
+    this.content.attach(this.tracker);
+    this.listenForPointers();
+    if (this.quality) {
+      this.applyQuality(this.quality.tier);
+    }
+
+    // Exposed for debugging from the console while a session runs
+    window.xrScene = this.scene;
+    window.xrCamera = this.camera;
+
+    await this.initializeTracking();
+    this.assertStarting();
+
+    this.log('Starting camera render loop...', 'info', 'render');
+    this.renderer.setAnimationLoop((time) => this.renderFrame(time, null));
+  }
+
+  /**
+   * Match the renderer and camera projection to the camera image
+   * Called again when the image size changes (e.g. the phone is rotated)
+   */
+  updateProjection() {
+    const { videoWidth: width, videoHeight: height } = this.video;
+    this.frameSize = { width, height };
+    this.renderer.setSize(width, height, false);
+
+    // Pinhole intrinsics at detection resolution, square pixels
+    const scale = Math.min(1, this.cameraOptions.detectionSize / Math.max(width, height));
+    const frameWidth = Math.round(width * scale);
+    const frameHeight = Math.round(height * scale);
+    const focal = (Math.max(frameWidth, frameHeight) / 2) / Math.tan(THREE.MathUtils.degToRad(this.cameraOptions.fov) / 2);
+    this.intrinsics = { fx: focal, fy: focal, cx: frameWidth / 2, cy: frameHeight / 2 };
+
+    this.camera.fov = THREE.MathUtils.radToDeg(2 * Math.atan((frameHeight / 2) / focal));
+    this.camera.aspect = frameWidth / frameHeight;
+    this.camera.updateProjectionMatrix();
+  }
+
+  /**
+   * The renderer is sized to the camera image, which is already in device pixels
+   * @returns {number} 1
+   */
+  getBasePixelRatio() {
+    return 1;
+  }
+
+  /**
+   * Start the detector worker and describe the marker images to it
+   * @param {Array<Object>} markers - Markers registered with the tracker
+   * @returns {Promise<Array<string>>} One score per marker ('trackable' | 'untrackable'), in tracker order
+   */
+  startDetector(markers) {
+    const detectorOptions = { ...DEFAULT_DETECTOR_OPTIONS, ...this.cameraOptions.detector };
+    const images = markers.map((marker) => ({
+      id: marker.id,
+      ...readPixels(marker.image, marker.image.width, marker.image.height, detectorOptions.referenceSize),
+      physicalWidth: marker.config.physicalWidth,
+      physicalHeight: marker.config.physicalHeight
+    }));
+
+    this.worker = new Worker(new URL('./marker-detector.worker.js', import.meta.url), { type: 'module' });
+    const worker = this.worker;
+
+    return new Promise((resolve, reject) => {
+      const handleInit = ({ data }) => {
+        if (data.type === 'ready') {
+          cleanup();
+          worker.addEventListener('message', this.handleWorkerMessage);
+          resolve(data.scores);
+        } else if (data.type === 'error') {
+          cleanup();
+          reject(new Error(`Marker detector failed: ${data.message}`));
+        }
+      };
+      const handleError = () => {
+        cleanup();
+        reject(new Error('Marker detector worker failed to load'));
+      };
+      const cleanup = () => {
+        worker.removeEventListener('message', handleInit);
+        worker.removeEventListener('error', handleError);
+        this.cancelDetectorStart = null;
+      };
+      // Terminating the worker silences it - without this the promise (and
+      // start()) would never settle when the session ends while it starts
+      this.cancelDetectorStart = () => {
+        cleanup();
+        reject(new Error('Marker detector start cancelled'));
+      };
+      worker.addEventListener('message', handleInit);
+      worker.addEventListener('error', handleError);
+      worker.postMessage({ type: 'init', options: detectorOptions, markers: images }, images.map((image) => image.pixels));
+    });
+  }
+
+  /**
+   * Start the detector and mark which markers it can find (Step 4 equivalent)
+   * Failures are logged - the session keeps running without tracking
+   */
+  async initializeTracking() {
+    try {
+      this.log('Starting marker detector...', 'info', 'tracker');
+      const trackableMarkers = await this.tracker.initialize(null);
+      this.log(`✅ Camera marker tracking initialized (${trackableMarkers.length} trackable)`, 'success', 'tracker');
+    } catch (error) {
+      if (this.state !== SESSION_STATE.STARTING) {
+        // Cancelled by end() - setUpSession stops at its next check
+        return;
+      }
+      this.log(`⚠️ Marker tracking initialization failed: ${error.message}`, 'error', 'tracker');
+    }
+  }
+
+  /**
+   * Render one frame over the camera feed
+   * Tracking only advances when the detector returns a result, so the
+   * tracker's confirm frames and grace period count detections
+   * @param {number} time - Frame time in milliseconds
+   */
+  renderFrame(time) {
+    if (this.state === SESSION_STATE.RUNNING) {
+      if (this.detection) {
+        const { detections, time: detectionTime, latency } = this.detection;
+        this.detection = null;
+        this.updateTracking({ detections }, detectionTime);
+        this.frameTiming.detection = latency;
+      }
+      this.requestDetection(time);
+      this.updateQuality(time);
+    }
+
+    this.renderScene(time);
+    this.frameCount++;
+
+    if (this.frameCount === 1) {
+      this.log('✅ Camera render loop started', 'success', 'render');
+    }
+    this.dispatchFrame(time, null);
+  }
+
+  /**
+   * Send the current camera image to the detector, unless it is still busy
+   * @param {number} time - Frame time in milliseconds
+   */
+  requestDetection(time) {
+    const { video } = this;
+    if (this.pendingFrame || !this.worker || video.readyState < HTMLMediaElement.HAVE_CURRENT_DATA) {
+      return;
+    }
+    if (video.videoWidth !== this.frameSize.width || video.videoHeight !== this.frameSize.height) {
+      this.updateProjection();
+    }
+
+    this.captureCanvas = this.captureCanvas || document.createElement('canvas');
+    const frame = readPixels(video, video.videoWidth, video.videoHeight, this.cameraOptions.detectionSize, this.captureCanvas);
+    this.pendingFrame = { frameId: ++this.nextFrameId, time };
+    this.worker.postMessage({
+      type: 'detect',
+      frameId: this.pendingFrame.frameId,
+      ...frame,
+      intrinsics: this.intrinsics
+    }, [frame.pixels]);
+  }
+
+  /**
+   * Detector result (or error) for the pending frame
+   * @param {MessageEvent} event - Worker message
+   */
+  handleWorkerMessage({ data }) {
+    if (!this.pendingFrame || data.frameId !== this.pendingFrame.frameId) {
+      return;
+    }
+    const { time } = this.pendingFrame;
+    this.pendingFrame = null;
+
+    if (data.type === 'result') {
+      // Latency: from capturing the camera frame to having its detections
+      this.detection = { detections: data.detections, time, latency: performance.now() - time };
+    } else if (data.type === 'error') {
+      this.tracker?.emit('error', { error: new Error(data.message), phase: 'update' });
+    }
+  }
+
+  /**
+   * End the current session
+   * Also cancels a session that is still starting: a camera that opens
+   * afterwards is stopped straight away (see setUpSession)
+   * @returns {Promise<void>}
+   */
+  async end() {
+    const starting = this.state === SESSION_STATE.STARTING;
+    if ((!this.stream && !starting) || this.state === SESSION_STATE.ENDING || this.state === SESSION_STATE.ENDED) {
+      return;
+    }
+    this.transition(SESSION_STATE.ENDING, starting ? 'start cancelled' : 'end requested');
+    this.handleSessionEnd();
+  }
+
+  /**
+   * Camera stopped by the browser or the user (e.g. permission revoked)
+   */
+  handleTrackEnded() {
+    this.log('Camera stream ended', 'warning');
+    this.handleSessionEnd();
+  }
+
+  /**
+   * Release the camera and detector, then everything SessionController owns
+   */
+  releaseResources() {
+    if (this.stream) {
+      for (const track of this.stream.getTracks()) {
+        track.removeEventListener('ended', this.handleTrackEnded);
+        track.stop();
+      }
+      this.log('Camera stopped', 'info');
+    }
+    this.video.pause();
+    this.video.srcObject = null;
+    this.video.hidden = true;
+    document.body.classList.remove('camera-mode');
+
+    this.cancelDetectorStart?.();
+    if (this.worker) {
+      this.worker.removeEventListener('message', this.handleWorkerMessage);
+      this.worker.terminate();
+    }
+
+    this.stream = null;
+    this.worker = null;
+    this.captureCanvas = null;
+    this.pendingFrame = null;
+    this.detection = null;
+
+    super.releaseResources();
+  }
+}
@@ -0,0 +1,217 @@
+// Campaign Links - deep links that pick an experience and personalise the card
+// A campaign link names the experience to load and carries the card's
+// personal text, either as query parameters or with the ids in the path:
+//
+//   /?campaign=birthday&card=0042&to=Sam&msg=Happy%20birthday!&sig=...
+//   /c/birthday/0042?to=Sam&msg=Happy%20birthday!&sig=...
+//
+// `sig` is an HMAC-SHA256 of the other parameters with the campaign key, so
+// a link whose text, campaign or card was changed is rejected. The campaign
+// only selects one of the experiences deployed with the app
+// (/experiences/<campaign>.json); a link can never supply content URLs.
+//
+// The key is embedded in the client at build time (VITE_CAMPAIGN_KEY), so it
+// stops casual tampering, not someone who extracts it from the bundle.
+// scripts/campaign-link.js signs links with the same functions in Node.
+
+// Query parameter names
+export const CAMPAIGN_PARAMS = {
+  campaign: 'campaign',
+  card: 'card',
+  recipient: 'to',
+  message: 'msg',
+  signature: 'sig'
+};
+
+// Limits on link values
+const ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+const MAX_RECIPIENT_LENGTH = 40;
+const MAX_MESSAGE_LENGTH = 200;
+const CONTROL_CHARACTERS = /[\u0000-\u001f\u007f-\u009f]/;
+
+// Path form: /c/<campaign>[/<card>] (after the app's base path, if any)
+const PATH_PATTERN = /\/c\/([^/]+)(?:\/([^/]+))?\/?$/;
+
+/**
+ * Read the campaign parameters of a link
+ * @param {URL|string} url - Page URL
+ * @returns {Object|null} { campaign, card, recipient, message, signature, errors }
+ *   (missing values are ''), or null if the link has no campaign parameters
+ */
+export function parseCampaignLink(url) {
+  const { pathname, searchParams } = new URL(url, 'https://localhost');
+  const pathMatch = PATH_PATTERN.exec(pathname);
+  const hasParams = Object.values(CAMPAIGN_PARAMS).some((name) => searchParams.has(name));
+  if (!pathMatch && !hasParams) {
+    return null;
+  }
+
+  const decode = (value) => {
+    try {
+      return decodeURIComponent(value);
+    } catch (error) {
+      return value;
+    }
+  };
+  const link = {
+    campaign: pathMatch ? decode(pathMatch[1]) : searchParams.get(CAMPAIGN_PARAMS.campaign) || '',
+    card: (pathMatch?.[2] ? decode(pathMatch[2]) : searchParams.get(CAMPAIGN_PARAMS.card)) || '',
+    recipient: (searchParams.get(CAMPAIGN_PARAMS.recipient) || '').trim(),
+    message: (searchParams.get(CAMPAIGN_PARAMS.message) || '').trim(),
+    signature: searchParams.get(CAMPAIGN_PARAMS.signature) || '',
+    errors: []
+  };
+
+  for (const key of ['campaign', 'card']) {
+    if (link[key] && !ID_PATTERN.test(link[key])) {
+      link.errors.push(`${key}: must be 1-64 letters, digits, "-" or "_"`);
+    }
+  }
+  if (link.recipient.length > MAX_RECIPIENT_LENGTH) {
+    link.errors.push(`${CAMPAIGN_PARAMS.recipient}: longer than ${MAX_RECIPIENT_LENGTH} characters`);
+  }
+  if (link.message.length > MAX_MESSAGE_LENGTH) {
+    link.errors.push(`${CAMPAIGN_PARAMS.message}: longer than ${MAX_MESSAGE_LENGTH} characters`);
+  }
+  for (const key of ['recipient', 'message']) {
+    if (CONTROL_CHARACTERS.test(link[key])) {
+      link.errors.push(`${CAMPAIGN_PARAMS[key]}: contains control characters`);
+    }
+  }
+  return link;
+}
+
+/**
+ * The string a link signature covers
+ * @param {Object} link - { campaign, card, recipient, message }
+ * @returns {string} JSON array of the values, so no two links share one
+ */
+function signedPayload({ campaign = '', card = '', recipient = '', message = '' }) {
+  return JSON.stringify([campaign, card, recipient, message]);
+}
+
+function importKey(key, usage) {
+  return crypto.subtle.importKey('raw', new TextEncoder().encode(key), { name: 'HMAC', hash: 'SHA-256' }, false, [usage]);
+}
+
+function toBase64Url(bytes) {
+  let binary = '';
+  for (const byte of new Uint8Array(bytes)) {
+    binary += String.fromCharCode(byte);
+  }
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(text) {
+  const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+  return Uint8Array.from(binary, (char) => char.charCodeAt(0));
+}
+
+/**
+ * Sign a link's values
+ * @param {Object} link - { campaign, card, recipient, message }
+ * @param {string} key - Campaign key
+ * @returns {Promise<string>} base64url HMAC-SHA256 signature
+ */
+export async function signCampaignLink(link, key) {
+  const signature = await crypto.subtle.sign('HMAC', await importKey(key, 'sign'), new TextEncoder().encode(signedPayload(link)));
+  return toBase64Url(signature);
+}
+
+/**
+ * Check a link's signature (constant-time comparison by Web Crypto)
+ * @param {Object} link - Parsed link with its signature
+ * @param {string} key - Campaign key
+ * @returns {Promise<boolean>} True if the signature matches the values
+ */
+export async function verifyCampaignLink(link, key) {
+  let signature;
+  try {
+    signature = fromBase64Url(link.signature);
+  } catch (error) {
+    return false;
+  }
+  return crypto.subtle.verify('HMAC', await importKey(key, 'verify'), signature, new TextEncoder().encode(signedPayload(link)));
+}
+
+/**
+ * Build a signed campaign link
+ * @param {string} baseUrl - Deployed app URL
+ * @param {Object} link - { campaign, card, recipient, message }
+ * @param {string} key - Campaign key
+ * @param {Object} options
+ * @param {boolean} options.path - Put the campaign and card in the path (/c/<campaign>/<card>)
+ * @returns {Promise<string>} Link with the values and their signature
+ */
+export async function createCampaignLink(baseUrl, link, key, { path = false } = {}) {
+  const url = new URL(baseUrl);
+  const names = ['campaign', 'card', 'recipient', 'message'];
+  if (path && link.campaign) {
+    url.pathname = `${url.pathname.replace(/\/$/, '')}/c/${link.campaign}${link.card ? `/${link.card}` : ''}`;
+    names.splice(0, 2);
+  }
+  for (const name of names) {
+    if (link[name]) {
+      url.searchParams.set(CAMPAIGN_PARAMS[name], link[name]);
+    }
+  }
+  url.searchParams.set(CAMPAIGN_PARAMS.signature, await signCampaignLink(link, key));
+  return url.toString();
+}
+
+/**
+ * Read and verify the campaign link the page was opened with
+ * Anything that isn't a valid, correctly signed link is ignored (logged), so
+ * the default experience is shown without personal text
+ * @param {URL|string} url - Page URL
+ * @param {Object} options
+ * @param {string} options.key - Campaign key ('' when the build has none)
+ * @param {Function} options.log - Logger (message, type, category) => void
+ * @returns {Promise<Object|null>} { campaign, card, recipient, message }, or null
+ */
+export async function resolveCampaign(url, { key, log = () => {} }) {
+  const link = parseCampaignLink(url);
+  if (!link) {
+    return null;
+  }
+  if (!key) {
+    log('⚠️ Campaign link ignored - this build has no campaign key (VITE_CAMPAIGN_KEY)', 'warning', 'app');
+    return null;
+  }
+  if (link.errors.length > 0) {
+    log(`⚠️ Campaign link ignored - ${link.errors.join('; ')}`, 'warning', 'app');
+    return null;
+  }
+  if (!link.signature || !(await verifyCampaignLink(link, key))) {
+    log(`⚠️ Campaign link ignored - ${link.signature ? 'signature does not match' : 'not signed'}`, 'warning', 'app');
+    return null;
+  }
+  const { campaign, card, recipient, message } = link;
+  log(`🔗 Campaign link verified (campaign "${campaign || 'default'}"${card ? `, card ${card}` : ''})`, 'success', 'app');
+  return { campaign, card, recipient, message };
+}
+
+/**
+ * Manifest path of a campaign's experience
+ * @param {string} campaign - Verified campaign id ('' for the default experience)
+ * @returns {string|undefined} Path under /experiences/, or undefined for the default
+ */
+export function getCampaignExperiencePath(campaign) {
+  return campaign ? `/experiences/${campaign}.json` : undefined;
+}
+
+/**
+ * Lines of a card's personal text
+ * @param {Object|null} personalisation - Verified campaign link values
+ * @returns {Array<string>|null} Recipient line and message, or null if there is no personal text
+ */
+export function getPersonalMessage(personalisation) {
+  const lines = [];
+  if (personalisation?.recipient) {
+    lines.push(`For ${personalisation.recipient}`);
+  }
+  if (personalisation?.message) {
+    lines.push(personalisation.message);
+  }
+  return lines.length > 0 ? lines : null;
+}
@@ -0,0 +1,123 @@
+// Debug Overlay - filterable viewer over the logger's ring buffer
+// A logger sink (see logger.js) that shows entries in the on-screen debug
+// overlay. The level, category and text filters re-render from the buffer,
+// so nothing logged before a filter change is lost. The status panel above
+// the log is rebuilt with text nodes from setStatus().
+
+import { LOG_CATEGORIES, isAtLeast } from './logger.js';
+
+// Level filter choices (minimum level shown)
+const LEVEL_FILTERS = [
+  { value: 'debug', label: 'All levels' },
+  { value: 'info', label: 'Info+' },
+  { value: 'warning', label: 'Warnings+' },
+  { value: 'error', label: 'Errors' }
+];
+
+/**
+ * Format an entry as one overlay line
+ * @param {Object} entry - Log entry
+ * @returns {string} Line text
+ */
+function formatEntry(entry) {
+  return `[${new Date(entry.time).toLocaleTimeString()}] [${entry.category}] ${entry.message}`;
+}
+
+/**
+ * Fill a <select> with options
+ * @param {HTMLSelectElement} select - Select element
+ * @param {Array<Object>} options - { value, label }
+ */
+function fillSelect(select, options) {
+  select.replaceChildren(...options.map(({ value, label }) => {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = label;
+    return option;
+  }));
+}
+
+/**
+ * Create the debug overlay viewer
+ * @param {Object} options
+ * @param {Object} options.logger - Logger whose buffer is shown
+ * @param {HTMLElement} options.content - Element the log lines go in
+ * @param {HTMLElement} options.status - Element for the status panel
+ * @param {HTMLSelectElement} options.levelSelect - Minimum level filter
+ * @param {HTMLSelectElement} options.categorySelect - Category filter
+ * @param {HTMLInputElement} options.searchInput - Text filter
+ * @returns {Object} Sink ({ write }) plus setStatus() and render()
+ */
+export function createDebugOverlay({ logger, content, status, levelSelect, categorySelect, searchInput }) {
+  const filter = { level: 'debug', category: '', text: '' };
+
+  fillSelect(levelSelect, LEVEL_FILTERS);
+  fillSelect(categorySelect, [
+    { value: '', label: 'All categories' },
+    ...LOG_CATEGORIES.map((category) => ({ value: category, label: category }))
+  ]);
+
+  function matches(entry) {
+    return isAtLeast(entry, filter.level) &&
+      (!filter.category || entry.category === filter.category) &&
+      (!filter.text || entry.message.toLowerCase().includes(filter.text));
+  }
+
+  function createLine(entry) {
+    const line = document.createElement('div');
+    line.className = `debug-line debug-${entry.level}${entry.previous ? ' debug-previous' : ''}`;
+    line.textContent = formatEntry(entry);
+    return line;
+  }
+
+  function render() {
+    content.replaceChildren(...logger.entries.filter(matches).map(createLine));
+    content.scrollTop = content.scrollHeight;
+  }
+
+  levelSelect.addEventListener('change', () => {
+    filter.level = levelSelect.value;
+    render();
+  });
+  categorySelect.addEventListener('change', () => {
+    filter.category = categorySelect.value;
+    render();
+  });
+  searchInput.addEventListener('input', () => {
+    filter.text = searchInput.value.trim().toLowerCase();
+    render();
+  });
+
+  render();
+
+  return {
+    /**
+     * Show a new entry if it passes the filters
+     * @param {Object} entry - Log entry
+     */
+    write(entry) {
+      if (!matches(entry)) {
+        return;
+      }
+      content.appendChild(createLine(entry));
+      // Keep no more lines than the buffer holds
+      const excess = content.childElementCount - logger.size;
+      for (let i = 0; i < excess; i++) {
+        content.firstElementChild.remove();
+      }
+      content.scrollTop = content.scrollHeight;
+    },
+
+    /**
+     * Replace the status panel
+     * @param {Array<string>} lines - Status lines
+     */
+    setStatus(lines) {
+      const heading = document.createElement('strong');
+      heading.textContent = 'Status:';
+      status.replaceChildren(heading, ...lines.flatMap((line) => [document.createElement('br'), line]));
+    },
+
+    render
+  };
+}
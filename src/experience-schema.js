@@ -0,0 +1,365 @@
+// Experience Schema - validation for the experience manifest (public/experience.json)
+// Pure functions only (no DOM, no fetch) so the schema can be checked in Node
+//
+// Manifest shape (version 1):
+// {
+//   "version": 1,
+//   "id": "gift-card",
+//   "name": "WebXR Gift Card",
+//   "markers": [
+//     {
+//       "id": "default",
+//       "imagePath": "/marker-image.jpg",
+//       "physicalWidth": 0.1,      // meters
+//       "physicalHeight": 0.15,    // meters
+//       "content": { "type": "video", "src": "/animation.mp4", "loop": false, "muted": false,
+//                    "reveal": { "clip": "/reveals/card-open.json", "text": "A gift for you!" } } // reveal optional
+//     },
+//     {
+//       "id": "box",
+//       "imagePath": "/box-marker.jpg",
+//       "physicalWidth": 0.1,
+//       "physicalHeight": 0.1,
+//       "content": { "type": "model", "src": "/models/gift-box.glb",
+//                    "scale": 0.8,                                       // footprint / physicalWidth, optional
+//                    "offset": { "position": [0, 0, 0], "rotation": [0, 45, 0] }, // meters, degrees, optional
+//                    "animation": { "clip": "Open", "loop": true } }   // optional, default: all clips looping
+//     }
+//   ],
+//   "poseFilter": { "minCutoff": 1.0, "beta": 2.0 },    // optional, see pose-filter.js
+//   "tracking": { "confirmFrames": 3, "lostGraceMs": 500 }, // optional, see tracking-state.js
+//   "integrity": { "/animation.mp4": "<sha-256 hex>" }      // optional, see asset-manager.js
+// }
+
+import { DEFAULT_POSE_FILTER_OPTIONS } from './pose-filter.js';
+import { DEFAULT_TRACKING_OPTIONS } from './tracking-state.js';
+import { normalizeClip } from './timeline.js';
+
+// Manifest versions this build understands
+export const SUPPORTED_VERSIONS = [1];
+
+// Content types that can be attached to a marker
+export const CONTENT_TYPES = ['video', 'model'];
+
+// Parts of a reveal a clip can animate, and clip events the reveal acts on (see reveal-content.js)
+export const REVEAL_TARGETS = ['card', 'lid', 'text', 'confetti', 'video'];
+export const REVEAL_ACTIONS = ['confetti', 'playVideo'];
+
+/**
+ * Check a value is a non-empty string
+ * @param {*} value - Value to check
+ * @returns {boolean} True if value is a non-empty string
+ */
+function isNonEmptyString(value) {
+  return typeof value === 'string' && value.trim().length > 0;
+}
+
+/**
+ * Check a value is a finite number greater than zero
+ * @param {*} value - Value to check
+ * @returns {boolean} True if value is a positive number
+ */
+function isPositiveNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value) && value > 0;
+}
+
+/**
+ * Check a value is a plain object (not null, not an array)
+ * @param {*} value - Value to check
+ * @returns {boolean} True if value is an object
+ */
+function isObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Validate the content attached to a marker
+ * @param {*} content - Content declaration
+ * @param {string} path - Path of the content in the manifest (for error messages)
+ * @param {Array<Object>} errors - Error list to append to
+ */
+function validateContent(content, path, errors) {
+  if (!isObject(content)) {
+    errors.push({ path, message: 'must be an object' });
+    return;
+  }
+
+  if (!CONTENT_TYPES.includes(content.type)) {
+    errors.push({ path: `${path}.type`, message: `must be one of: ${CONTENT_TYPES.join(', ')}` });
+    return;
+  }
+
+  if (content.type === 'video') {
+    if (!isNonEmptyString(content.src)) {
+      errors.push({ path: `${path}.src`, message: 'must be a non-empty string' });
+    }
+    for (const key of ['loop', 'muted']) {
+      if (content[key] !== undefined && typeof content[key] !== 'boolean') {
+        errors.push({ path: `${path}.${key}`, message: 'must be a boolean' });
+      }
+    }
+    if (content.reveal !== undefined) {
+      validateReveal(content.reveal, `${path}.reveal`, errors);
+    }
+  }
+
+  if (content.type === 'model') {
+    validateModel(content, path, errors);
+  }
+}
+
+/**
+ * Check a value is an array of three finite numbers
+ * @param {*} value - Value to check
+ * @returns {boolean} True if value is [x, y, z]
+ */
+function isVector3(value) {
+  return Array.isArray(value) && value.length === 3 && value.every((n) => typeof n === 'number' && Number.isFinite(n));
+}
+
+/**
+ * Validate glTF model content
+ * @param {Object} content - Content declaration ({ type: 'model' })
+ * @param {string} path - Path of the content in the manifest (for error messages)
+ * @param {Array<Object>} errors - Error list to append to
+ */
+function validateModel(content, path, errors) {
+  if (!isNonEmptyString(content.src)) {
+    errors.push({ path: `${path}.src`, message: 'must be a non-empty string' });
+  } else if (!/\.(glb|gltf)$/i.test(content.src.split(/[?#]/)[0])) {
+    errors.push({ path: `${path}.src`, message: 'must be a .glb or .gltf file' });
+  }
+  if (content.scale !== undefined && !isPositiveNumber(content.scale)) {
+    errors.push({ path: `${path}.scale`, message: 'must be a positive number (model footprint / marker width)' });
+  }
+
+  if (content.offset !== undefined) {
+    if (!isObject(content.offset)) {
+      errors.push({ path: `${path}.offset`, message: 'must be an object' });
+    } else {
+      for (const key of ['position', 'rotation']) {
+        if (content.offset[key] !== undefined && !isVector3(content.offset[key])) {
+          errors.push({ path: `${path}.offset.${key}`, message: `must be [x, y, z] (${key === 'position' ? 'meters' : 'degrees'})` });
+        }
+      }
+    }
+  }
+
+  if (content.animation !== undefined) {
+    if (!isObject(content.animation)) {
+      errors.push({ path: `${path}.animation`, message: 'must be an object' });
+    } else {
+      if (content.animation.clip !== undefined && !isNonEmptyString(content.animation.clip)) {
+        errors.push({ path: `${path}.animation.clip`, message: 'must be the name of an animation in the model' });
+      }
+      if (content.animation.loop !== undefined && typeof content.animation.loop !== 'boolean') {
+        errors.push({ path: `${path}.animation.loop`, message: 'must be a boolean' });
+      }
+    }
+  }
+}
+
+/**
+ * Validate a reveal timeline clip (inline, or loaded from a clip file)
+ * @param {*} clip - Clip definition (see timeline.js)
+ * @param {string} path - Path of the clip (for error messages)
+ * @param {Array<Object>} errors - Error list to append to
+ */
+export function validateRevealClip(clip, path, errors) {
+  let normalized;
+  try {
+    normalized = normalizeClip(clip);
+  } catch (error) {
+    errors.push({ path, message: error.message });
+    return;
+  }
+  for (const track of normalized.tracks) {
+    if (!REVEAL_TARGETS.includes(track.target)) {
+      errors.push({ path, message: `track target "${track.target}" must be one of: ${REVEAL_TARGETS.join(', ')}` });
+    }
+  }
+  if (!normalized.events.some((event) => event.name === 'playVideo')) {
+    errors.push({ path, message: 'needs a "playVideo" event, or the video never starts' });
+  }
+}
+
+/**
+ * Validate the reveal sequence played before a video
+ * @param {*} reveal - Reveal declaration
+ * @param {string} path - Path of the reveal in the manifest (for error messages)
+ * @param {Array<Object>} errors - Error list to append to
+ */
+function validateReveal(reveal, path, errors) {
+  if (!isObject(reveal)) {
+    errors.push({ path, message: 'must be an object' });
+    return;
+  }
+
+  if (isObject(reveal.clip)) {
+    validateRevealClip(reveal.clip, `${path}.clip`, errors);
+  } else if (!isNonEmptyString(reveal.clip)) {
+    errors.push({ path: `${path}.clip`, message: 'must be a clip file path or an inline clip object' });
+  }
+  for (const key of ['text', 'lidColor', 'textColor']) {
+    if (reveal[key] !== undefined && typeof reveal[key] !== 'string') {
+      errors.push({ path: `${path}.${key}`, message: 'must be a string' });
+    }
+  }
+}
+
+/**
+ * Validate pose filter overrides
+ * @param {*} poseFilter - Pose filter options
+ * @param {string} path - Path of the options in the manifest (for error messages)
+ * @param {Array<Object>} errors - Error list to append to
+ */
+function validatePoseFilter(poseFilter, path, errors) {
+  if (!isObject(poseFilter)) {
+    errors.push({ path, message: 'must be an object' });
+    return;
+  }
+
+  for (const [key, value] of Object.entries(poseFilter)) {
+    if (!(key in DEFAULT_POSE_FILTER_OPTIONS)) {
+      errors.push({ path: `${path}.${key}`, message: `unknown option (expected one of: ${Object.keys(DEFAULT_POSE_FILTER_OPTIONS).join(', ')})` });
+    } else if (!isPositiveNumber(value)) {
+      errors.push({ path: `${path}.${key}`, message: 'must be a positive number' });
+    } else if (key === 'rotationSmoothing' && value > 1) {
+      errors.push({ path: `${path}.${key}`, message: 'must be between 0 and 1' });
+    } else if (key === 'confirmFrames' && !Number.isInteger(value)) {
+      errors.push({ path: `${path}.${key}`, message: 'must be a whole number of frames' });
+    }
+  }
+}
+
+/**
+ * Validate tracking hysteresis overrides
+ * @param {*} tracking - Tracking options
+ * @param {string} path - Path of the options in the manifest (for error messages)
+ * @param {Array<Object>} errors - Error list to append to
+ */
+function validateTracking(tracking, path, errors) {
+  if (!isObject(tracking)) {
+    errors.push({ path, message: 'must be an object' });
+    return;
+  }
+
+  for (const [key, value] of Object.entries(tracking)) {
+    if (!(key in DEFAULT_TRACKING_OPTIONS)) {
+      errors.push({ path: `${path}.${key}`, message: `unknown option (expected one of: ${Object.keys(DEFAULT_TRACKING_OPTIONS).join(', ')})` });
+    } else if (!isPositiveNumber(value)) {
+      errors.push({ path: `${path}.${key}`, message: 'must be a positive number' });
+    } else if (key === 'confirmFrames' && !Number.isInteger(value)) {
+      errors.push({ path: `${path}.${key}`, message: 'must be a whole number of frames' });
+    }
+  }
+}
+
+/**
+ * Validate asset integrity hashes (asset URL -> SHA-256 hex)
+ * @param {*} integrity - Integrity map
+ * @param {string} path - Path of the map in the manifest (for error messages)
+ * @param {Array<Object>} errors - Error list to append to
+ */
+function validateIntegrity(integrity, path, errors) {
+  if (!isObject(integrity)) {
+    errors.push({ path, message: 'must be an object mapping asset paths to SHA-256 hashes' });
+    return;
+  }
+
+  for (const [src, hash] of Object.entries(integrity)) {
+    if (typeof hash !== 'string' || !/^[0-9a-f]{64}$/i.test(hash)) {
+      errors.push({ path: `${path}["${src}"]`, message: 'must be a SHA-256 hash (64 hex characters)' });
+    }
+  }
+}
+
+/**
+ * Validate a single marker declaration
+ * @param {*} marker - Marker declaration
+ * @param {string} path - Path of the marker in the manifest (for error messages)
+ * @param {Array<Object>} errors - Error list to append to
+ */
+function validateMarker(marker, path, errors) {
+  if (!isObject(marker)) {
+    errors.push({ path, message: 'must be an object' });
+    return;
+  }
+
+  if (!isNonEmptyString(marker.id)) {
+    errors.push({ path: `${path}.id`, message: 'must be a non-empty string' });
+  }
+  if (!isNonEmptyString(marker.imagePath)) {
+    errors.push({ path: `${path}.imagePath`, message: 'must be a non-empty string' });
+  }
+  if (!isPositiveNumber(marker.physicalWidth)) {
+    errors.push({ path: `${path}.physicalWidth`, message: 'must be a positive number (meters)' });
+  }
+  if (!isPositiveNumber(marker.physicalHeight)) {
+    errors.push({ path: `${path}.physicalHeight`, message: 'must be a positive number (meters)' });
+  }
+  if (marker.content !== undefined) {
+    validateContent(marker.content, `${path}.content`, errors);
+  }
+}
+
+/**
+ * Validate an experience manifest
+ * @param {*} manifest - Parsed manifest JSON
+ * @returns {{valid: boolean, errors: Array<{path: string, message: string}>}} Validation result
+ */
+export function validateExperience(manifest) {
+  const errors = [];
+
+  if (!isObject(manifest)) {
+    errors.push({ path: '', message: 'manifest must be a JSON object' });
+    return { valid: false, errors };
+  }
+
+  if (!SUPPORTED_VERSIONS.includes(manifest.version)) {
+    errors.push({ path: 'version', message: `must be one of: ${SUPPORTED_VERSIONS.join(', ')}` });
+  }
+  if (!isNonEmptyString(manifest.id)) {
+    errors.push({ path: 'id', message: 'must be a non-empty string' });
+  }
+  if (manifest.name !== undefined && typeof manifest.name !== 'string') {
+    errors.push({ path: 'name', message: 'must be a string' });
+  }
+
+  if (manifest.poseFilter !== undefined) {
+    validatePoseFilter(manifest.poseFilter, 'poseFilter', errors);
+  }
+  if (manifest.tracking !== undefined) {
+    validateTracking(manifest.tracking, 'tracking', errors);
+  }
+  if (manifest.integrity !== undefined) {
+    validateIntegrity(manifest.integrity, 'integrity', errors);
+  }
+
+  if (!Array.isArray(manifest.markers) || manifest.markers.length === 0) {
+    errors.push({ path: 'markers', message: 'must be a non-empty array' });
+  } else {
+    const seenIds = new Set();
+    manifest.markers.forEach((marker, i) => {
+      const path = `markers[${i}]`;
+      validateMarker(marker, path, errors);
+      if (isObject(marker) && isNonEmptyString(marker.id)) {
+        if (seenIds.has(marker.id)) {
+          errors.push({ path: `${path}.id`, message: `duplicate marker id "${marker.id}"` });
+        }
+        seenIds.add(marker.id);
+      }
+    });
+  }
+
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Format validation errors as human-readable lines
+ * @param {Array<{path: string, message: string}>} errors - Validation errors
+ * @returns {Array<string>} One line per error
+ */
+export function formatValidationErrors(errors) {
+  return errors.map(({ path, message }) => (path ? `${path}: ${message}` : message));
+}
@@ -0,0 +1,43 @@
+// Experience - loads the experience manifest declaring markers and their content
+
+import { validateExperience, formatValidationErrors } from './experience-schema.js';
+
+// Default location of the manifest in the public folder
+const EXPERIENCE_PATH = '/experience.json';
+
+/**
+ * Load and validate the experience manifest
+ * Validation failures throw an Error whose `validationErrors` property holds
+ * one readable line per problem
+ * @param {string} path - Path to the manifest
+ * @param {Object} options
+ * @param {Function} options.log - Logger (message, type, category) => void
+ * @returns {Promise<Object>} The validated manifest
+ */
+export async function loadExperience(path = EXPERIENCE_PATH, { log = () => {} } = {}) {
+  log(`Loading experience manifest from: ${path}`, 'debug', 'asset');
+
+  const response = await fetch(path);
+  if (!response.ok) {
+    throw new Error(`Failed to load experience manifest: ${response.status} ${response.statusText}. Make sure ${path} exists in the public folder.`);
+  }
+
+  let manifest;
+  try {
+    manifest = await response.json();
+  } catch (error) {
+    throw new Error(`Experience manifest ${path} is not valid JSON: ${error.message}`);
+  }
+
+  const { valid, errors } = validateExperience(manifest);
+  if (!valid) {
+    const lines = formatValidationErrors(errors);
+    const error = new Error(`Experience manifest ${path} is invalid (${lines.length} problem${lines.length === 1 ? '' : 's'})`);
+    error.validationErrors = lines;
+    throw error;
+  }
+
+  log(`Experience manifest loaded: "${manifest.id}" (version ${manifest.version}, ${manifest.markers.length} marker${manifest.markers.length === 1 ? '' : 's'})`, 'info', 'asset');
+
+  return manifest;
+}
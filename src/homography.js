@@ -0,0 +1,339 @@
+// Homography - plane-to-image mapping and marker pose for the camera fallback
+// Estimates the homography between the marker image and a camera frame from
+// matched points (normalized DLT inside RANSAC), then recovers the marker's
+// 6DoF pose from it using the camera intrinsics.
+//
+// Pure math only (no DOM) so it runs in a Web Worker and in Node.
+
+import { composeMatrix, quaternionFromAxes } from './pose-filter.js';
+import { createRandom } from './image-features.js';
+
+// Default RANSAC settings
+export const DEFAULT_RANSAC_OPTIONS = {
+  iterations: 300, // Random 4-point samples tried
+  threshold: 4, // px - reprojection error for a match to count as an inlier
+  seed: 1 // Seed for sample selection (deterministic results)
+};
+
+/**
+ * Solve A x = b by Gaussian elimination with partial pivoting
+ * @param {Array<Array<number>>} A - Square matrix (modified in place)
+ * @param {Array<number>} b - Right-hand side (modified in place)
+ * @returns {Array<number>|null} Solution, or null if A is singular
+ */
+function solveLinearSystem(A, b) {
+  const n = b.length;
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let row = col + 1; row < n; row++) {
+      if (Math.abs(A[row][col]) > Math.abs(A[pivot][col])) {
+        pivot = row;
+      }
+    }
+    if (Math.abs(A[pivot][col]) < 1e-12) {
+      return null;
+    }
+    [A[col], A[pivot]] = [A[pivot], A[col]];
+    [b[col], b[pivot]] = [b[pivot], b[col]];
+
+    for (let row = col + 1; row < n; row++) {
+      const factor = A[row][col] / A[col][col];
+      for (let k = col; k < n; k++) {
+        A[row][k] -= factor * A[col][k];
+      }
+      b[row] -= factor * b[col];
+    }
+  }
+
+  const x = new Array(n);
+  for (let row = n - 1; row >= 0; row--) {
+    let sum = b[row];
+    for (let k = row + 1; k < n; k++) {
+      sum -= A[row][k] * x[k];
+    }
+    x[row] = sum / A[row][row];
+  }
+  return x;
+}
+
+/**
+ * Similarity transform that moves points to the origin with mean distance sqrt(2)
+ * (Hartley normalization - keeps the DLT well conditioned)
+ * @returns {Object} { scale, cx, cy }
+ */
+function normalization(points) {
+  let cx = 0;
+  let cy = 0;
+  for (const p of points) {
+    cx += p.x;
+    cy += p.y;
+  }
+  cx /= points.length;
+  cy /= points.length;
+  let meanDistance = 0;
+  for (const p of points) {
+    meanDistance += Math.hypot(p.x - cx, p.y - cy);
+  }
+  meanDistance /= points.length;
+  return { scale: meanDistance > 0 ? Math.SQRT2 / meanDistance : 1, cx, cy };
+}
+
+/**
+ * Multiply two 3x3 matrices (row-major arrays of 9)
+ */
+function multiply3(a, b) {
+  const out = new Array(9);
+  for (let r = 0; r < 3; r++) {
+    for (let c = 0; c < 3; c++) {
+      out[r * 3 + c] = a[r * 3] * b[c] + a[r * 3 + 1] * b[3 + c] + a[r * 3 + 2] * b[6 + c];
+    }
+  }
+  return out;
+}
+
+/**
+ * Compute the homography mapping src points onto dst points (4 or more pairs)
+ * @param {Array<{x, y}>} src - Source points
+ * @param {Array<{x, y}>} dst - Destination points
+ * @returns {Array<number>|null} Row-major 3x3 homography, or null if degenerate
+ */
+export function solveHomography(src, dst) {
+  if (src.length < 4 || src.length !== dst.length) {
+    return null;
+  }
+  const ns = normalization(src);
+  const nd = normalization(dst);
+
+  // Least squares with h33 = 1: accumulate the 8x8 normal equations
+  const AtA = Array.from({ length: 8 }, () => new Array(8).fill(0));
+  const Atb = new Array(8).fill(0);
+  const accumulate = (row, value) => {
+    for (let i = 0; i < 8; i++) {
+      if (row[i] === 0) {
+        continue;
+      }
+      for (let j = 0; j < 8; j++) {
+        AtA[i][j] += row[i] * row[j];
+      }
+      Atb[i] += row[i] * value;
+    }
+  };
+
+  for (let i = 0; i < src.length; i++) {
+    const x = (src[i].x - ns.cx) * ns.scale;
+    const y = (src[i].y - ns.cy) * ns.scale;
+    const u = (dst[i].x - nd.cx) * nd.scale;
+    const v = (dst[i].y - nd.cy) * nd.scale;
+    accumulate([x, y, 1, 0, 0, 0, -u * x, -u * y], u);
+    accumulate([0, 0, 0, x, y, 1, -v * x, -v * y], v);
+  }
+
+  const h = solveLinearSystem(AtA, Atb);
+  if (!h || h.some((value) => !Number.isFinite(value))) {
+    return null;
+  }
+
+  // Undo the normalization: H = Td^-1 * Hn * Ts
+  const Hn = [...h, 1];
+  const Ts = [ns.scale, 0, -ns.scale * ns.cx, 0, ns.scale, -ns.scale * ns.cy, 0, 0, 1];
+  const TdInv = [1 / nd.scale, 0, nd.cx, 0, 1 / nd.scale, nd.cy, 0, 0, 1];
+  const H = multiply3(TdInv, multiply3(Hn, Ts));
+  const norm = H[8];
+  if (Math.abs(norm) < 1e-12) {
+    return null;
+  }
+  return H.map((value) => value / norm);
+}
+
+/**
+ * Map a point through a homography
+ * @param {Array<number>} H - Row-major 3x3 homography
+ * @param {number} x - Source x
+ * @param {number} y - Source y
+ * @returns {Object} Destination point { x, y }
+ */
+export function projectPoint(H, x, y) {
+  const w = H[6] * x + H[7] * y + H[8];
+  return {
+    x: (H[0] * x + H[1] * y + H[2]) / w,
+    y: (H[3] * x + H[4] * y + H[5]) / w
+  };
+}
+
+/**
+ * Check that a quadrilateral is convex (a plausible view of a flat rectangle)
+ * @param {Array<{x, y}>} corners - Four corners in order
+ * @returns {boolean} True if convex and non-degenerate
+ */
+export function isConvexQuad(corners) {
+  let sign = 0;
+  for (let i = 0; i < 4; i++) {
+    const a = corners[i];
+    const b = corners[(i + 1) % 4];
+    const c = corners[(i + 2) % 4];
+    const cross = (b.x - a.x) * (c.y - b.y) - (b.y - a.y) * (c.x - b.x);
+    if (Math.abs(cross) < 1e-6) {
+      return false;
+    }
+    if (sign === 0) {
+      sign = Math.sign(cross);
+    } else if (Math.sign(cross) !== sign) {
+      return false;
+    }
+  }
+  return true;
+}
+
+/**
+ * Check whether any three of four points are (nearly) on one line
+ * @param {Array<{x, y}>} points - Four points
+ * @returns {boolean} True if the points can't define a homography
+ */
+function hasCollinearTriple(points) {
+  for (let skip = 0; skip < 4; skip++) {
+    const [a, b, c] = points.filter((_, i) => i !== skip);
+    const area = (b.x - a.x) * (c.y - a.y) - (b.y - a.y) * (c.x - a.x);
+    if (Math.abs(area) < 1) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Robustly estimate a homography from noisy matches with RANSAC
+ * @param {Array<{x, y}>} src - Source points
+ * @param {Array<{x, y}>} dst - Destination points (same order as src)
+ * @param {Object} options - Overrides for DEFAULT_RANSAC_OPTIONS
+ * @returns {Object|null} { homography, inliers: Array<number> } or null if none found
+ */
+export function findHomography(src, dst, options = {}) {
+  const { iterations, threshold, seed } = { ...DEFAULT_RANSAC_OPTIONS, ...options };
+  const count = src.length;
+  if (count < 4) {
+    return null;
+  }
+  const random = createRandom(seed);
+  const thresholdSq = threshold * threshold;
+
+  const countInliers = (H) => {
+    const inliers = [];
+    for (let i = 0; i < count; i++) {
+      const p = projectPoint(H, src[i].x, src[i].y);
+      const dx = p.x - dst[i].x;
+      const dy = p.y - dst[i].y;
+      if (dx * dx + dy * dy <= thresholdSq) {
+        inliers.push(i);
+      }
+    }
+    return inliers;
+  };
+
+  let best = null;
+  for (let iteration = 0; iteration < iterations; iteration++) {
+    // Pick 4 distinct matches
+    const sample = new Set();
+    while (sample.size < 4) {
+      sample.add(Math.floor(random() * count));
+    }
+    const indices = [...sample];
+    if (hasCollinearTriple(indices.map((i) => src[i])) || hasCollinearTriple(indices.map((i) => dst[i]))) {
+      // Collinear samples can't define a homography
+      continue;
+    }
+    const H = solveHomography(indices.map((i) => src[i]), indices.map((i) => dst[i]));
+    if (!H) {
+      continue;
+    }
+    const inliers = countInliers(H);
+    if (!best || inliers.length > best.inliers.length) {
+      best = { homography: H, inliers };
+      if (inliers.length === count) {
+        break;
+      }
+    }
+  }
+
+  if (!best || best.inliers.length < 4) {
+    return null;
+  }
+
+  // Refine on all inliers
+  const refined = solveHomography(best.inliers.map((i) => src[i]), best.inliers.map((i) => dst[i]));
+  if (refined) {
+    const inliers = countInliers(refined);
+    if (inliers.length >= best.inliers.length) {
+      return { homography: refined, inliers };
+    }
+  }
+  return best;
+}
+
+function cross(a, b) {
+  return { x: a.y * b.z - a.z * b.y, y: a.z * b.x - a.x * b.z, z: a.x * b.y - a.y * b.x };
+}
+
+function normalize(v) {
+  const length = Math.hypot(v.x, v.y, v.z) || 1;
+  return { x: v.x / length, y: v.y / length, z: v.z / length };
+}
+
+/**
+ * Recover a marker's pose from the homography between its image and the camera frame
+ * The pose uses the WebXR image-tracking convention: origin at the image
+ * centre, +X to the image's right, +Z towards its bottom edge and +Y out of
+ * the image. It is expressed in Three.js camera space (+X right, +Y up,
+ * looking down -Z), so it can be used with a camera at the origin.
+ * @param {Array<number>} H - Homography from marker image pixels to frame pixels
+ * @param {Object} marker - { width, height } of the marker image in pixels and
+ *   { physicalWidth, physicalHeight } in meters
+ * @param {Object} intrinsics - Camera intrinsics in frame pixels ({ fx, fy, cx, cy })
+ * @returns {Object|null} Pose shaped like XRPose ({ transform: { position, orientation, matrix } }), or null if implausible
+ */
+export function poseFromHomography(H, marker, intrinsics) {
+  const { fx, fy, cx, cy } = intrinsics;
+  const sx = marker.width / marker.physicalWidth;
+  const sz = marker.height / marker.physicalHeight;
+
+  // Plane coordinates (X, Z in meters) -> marker image pixels
+  const A = [sx, 0, marker.width / 2, 0, sz, marker.height / 2, 0, 0, 1];
+  // Frame pixels -> normalized camera rays (OpenCV convention: +Y down, +Z forward)
+  const Kinv = [1 / fx, 0, -cx / fx, 0, 1 / fy, -cy / fy, 0, 0, 1];
+  const M = multiply3(Kinv, multiply3(H, A));
+
+  let r1 = { x: M[0], y: M[3], z: M[6] };
+  let r2 = { x: M[1], y: M[4], z: M[7] };
+  let t = { x: M[2], y: M[5], z: M[8] };
+  const lambda = 2 / (Math.hypot(r1.x, r1.y, r1.z) + Math.hypot(r2.x, r2.y, r2.z));
+  const sign = t.z < 0 ? -1 : 1; // The marker must be in front of the camera
+  const scale = (v) => ({ x: v.x * lambda * sign, y: v.y * lambda * sign, z: v.z * lambda * sign });
+  r1 = scale(r1);
+  r2 = scale(r2);
+  t = scale(t);
+  if (!Number.isFinite(t.z) || t.z <= 0) {
+    return null;
+  }
+
+  // Closest orthonormal axes: X and Z from the homography, Y = Z x X
+  const xAxis = normalize(r1);
+  const zAxis = normalize({
+    x: r2.x - xAxis.x * (xAxis.x * r2.x + xAxis.y * r2.y + xAxis.z * r2.z),
+    y: r2.y - xAxis.y * (xAxis.x * r2.x + xAxis.y * r2.y + xAxis.z * r2.z),
+    z: r2.z - xAxis.z * (xAxis.x * r2.x + xAxis.y * r2.y + xAxis.z * r2.z)
+  });
+  const yAxis = cross(zAxis, xAxis);
+
+  // OpenCV camera space -> Three.js camera space (flip Y and Z)
+  const flip = (v) => ({ x: v.x, y: -v.y, z: -v.z });
+  const position = flip(t);
+  const orientation = quaternionFromAxes(flip(xAxis), flip(yAxis), flip(zAxis));
+
+  return {
+    transform: {
+      position: { ...position, w: 1 },
+      orientation,
+      matrix: composeMatrix(position, orientation)
+    },
+    emulatedPosition: false
+  };
+}
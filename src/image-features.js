@@ -0,0 +1,365 @@
+// Image Features - ORB-style keypoints and binary descriptors in plain JS
+// Used by the camera fallback (no WebXR image tracking) to find the marker
+// in camera frames: FAST-9 corners, intensity-centroid orientation and
+// rotated BRIEF descriptors, matched by Hamming distance.
+//
+// Pure math on grayscale pixel arrays (no DOM) so it runs in a Web Worker
+// and in Node.
+
+// Default extraction settings
+export const DEFAULT_FEATURE_OPTIONS = {
+  fastThreshold: 20, // Minimum brightness difference for a FAST corner
+  maxFeatures: 400, // Strongest corners kept per image
+  border: 16 // Pixels ignored at the image edge (descriptor patch radius)
+};
+
+// Descriptor layout: 256 bits stored as 8 x 32-bit words per keypoint
+export const DESCRIPTOR_WORDS = 8;
+
+// Radius of the patch used for orientation and descriptor sampling
+const PATCH_RADIUS = 15;
+
+// FAST circle of 16 pixels (radius 3), clockwise from the top
+const FAST_CIRCLE = [
+  [0, -3], [1, -3], [2, -2], [3, -1], [3, 0], [3, 1], [2, 2], [1, 3],
+  [0, 3], [-1, 3], [-2, 2], [-3, 1], [-3, 0], [-3, -1], [-2, -2], [-1, -3]
+];
+
+// Contiguous circle pixels needed for a corner (FAST-9)
+const FAST_ARC = 9;
+
+/**
+ * Create a deterministic pseudo-random generator (LCG)
+ * @param {number} seed - Initial seed
+ * @returns {Function} Returns numbers in [0, 1)
+ */
+export function createRandom(seed = 1) {
+  let state = seed >>> 0;
+  return () => {
+    state = (Math.imul(state, 1664525) + 1013904223) >>> 0;
+    return state / 4294967296;
+  };
+}
+
+// BRIEF sampling pattern: 256 point pairs inside the patch, Gaussian around
+// the centre (fixed seed so reference and frame descriptors agree)
+const BRIEF_PATTERN = (() => {
+  const random = createRandom(0x0b1ef);
+  const sigma = PATCH_RADIUS / 2.5;
+  const maxRadius = PATCH_RADIUS - 2;
+  const gaussian = () => {
+    // Box-Muller, clipped to the patch
+    const value = Math.sqrt(-2 * Math.log(random() || 1e-9)) * Math.cos(2 * Math.PI * random()) * sigma;
+    return Math.max(-maxRadius, Math.min(maxRadius, value));
+  };
+  const pattern = new Float32Array(DESCRIPTOR_WORDS * 32 * 4);
+  for (let i = 0; i < pattern.length; i++) {
+    pattern[i] = gaussian();
+  }
+  return pattern;
+})();
+
+// Horizontal extent of the circular patch for each row offset
+const PATCH_ROWS = Array.from({ length: PATCH_RADIUS + 1 }, (_, dy) =>
+  Math.floor(Math.sqrt(PATCH_RADIUS * PATCH_RADIUS - dy * dy))
+);
+
+/**
+ * Convert RGBA pixels (ImageData.data) to grayscale
+ * @param {Uint8ClampedArray} rgba - RGBA pixel data
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @returns {Uint8Array} One luminance byte per pixel
+ */
+export function toGrayscale(rgba, width, height) {
+  const gray = new Uint8Array(width * height);
+  for (let i = 0, j = 0; i < gray.length; i++, j += 4) {
+    // Integer approximation of Rec. 601 luma
+    gray[i] = (rgba[j] * 77 + rgba[j + 1] * 150 + rgba[j + 2] * 29) >> 8;
+  }
+  return gray;
+}
+
+/**
+ * Resize a grayscale image with bilinear sampling
+ * @param {Uint8Array} gray - Source pixels
+ * @param {number} width - Source width
+ * @param {number} height - Source height
+ * @param {number} scale - Size factor (e.g. 0.5 halves both sides)
+ * @returns {Object} { gray, width, height }
+ */
+export function resizeGrayscale(gray, width, height, scale) {
+  const outWidth = Math.max(1, Math.round(width * scale));
+  const outHeight = Math.max(1, Math.round(height * scale));
+  const out = new Uint8Array(outWidth * outHeight);
+  const xRatio = width / outWidth;
+  const yRatio = height / outHeight;
+
+  for (let y = 0; y < outHeight; y++) {
+    const sy = Math.min(height - 1, Math.max(0, (y + 0.5) * yRatio - 0.5));
+    const y0 = Math.floor(sy);
+    const y1 = Math.min(height - 1, y0 + 1);
+    const fy = sy - y0;
+    for (let x = 0; x < outWidth; x++) {
+      const sx = Math.min(width - 1, Math.max(0, (x + 0.5) * xRatio - 0.5));
+      const x0 = Math.floor(sx);
+      const x1 = Math.min(width - 1, x0 + 1);
+      const fx = sx - x0;
+      const top = gray[y0 * width + x0] * (1 - fx) + gray[y0 * width + x1] * fx;
+      const bottom = gray[y1 * width + x0] * (1 - fx) + gray[y1 * width + x1] * fx;
+      out[y * outWidth + x] = Math.round(top * (1 - fy) + bottom * fy);
+    }
+  }
+  return { gray: out, width: outWidth, height: outHeight };
+}
+
+/**
+ * Smooth a grayscale image with a 5-tap binomial kernel [1 4 6 4 1] / 16
+ * BRIEF compares single pixels, so noise must be removed first
+ * @returns {Uint8Array} Blurred pixels
+ */
+export function blurGrayscale(gray, width, height) {
+  const temp = new Uint16Array(gray.length);
+  const out = new Uint8Array(gray.length);
+  const clampX = (x) => (x < 0 ? 0 : x >= width ? width - 1 : x);
+  const clampY = (y) => (y < 0 ? 0 : y >= height ? height - 1 : y);
+
+  for (let y = 0; y < height; y++) {
+    const row = y * width;
+    for (let x = 0; x < width; x++) {
+      temp[row + x] = gray[row + clampX(x - 2)] + 4 * gray[row + clampX(x - 1)] + 6 * gray[row + x] +
+        4 * gray[row + clampX(x + 1)] + gray[row + clampX(x + 2)];
+    }
+  }
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const sum = temp[clampY(y - 2) * width + x] + 4 * temp[clampY(y - 1) * width + x] + 6 * temp[y * width + x] +
+        4 * temp[clampY(y + 1) * width + x] + temp[clampY(y + 2) * width + x];
+      out[y * width + x] = (sum + 128) >> 8;
+    }
+  }
+  return out;
+}
+
+/**
+ * FAST-9 corner score at one pixel
+ * @returns {number} 0 if not a corner, otherwise the summed contrast of the arc
+ */
+function fastScore(gray, width, x, y, threshold, offsets) {
+  const center = gray[y * width + x];
+  const bright = center + threshold;
+  const dark = center - threshold;
+  const base = y * width + x;
+
+  // Quick rejection: a 9-pixel arc always covers 2 of the 4 compass pixels
+  const n = gray[base + offsets[0]];
+  const e = gray[base + offsets[4]];
+  const s = gray[base + offsets[8]];
+  const w = gray[base + offsets[12]];
+  const brightCount = (n > bright) + (e > bright) + (s > bright) + (w > bright);
+  const darkCount = (n < dark) + (e < dark) + (s < dark) + (w < dark);
+  if (brightCount < 2 && darkCount < 2) {
+    return 0;
+  }
+
+  let brightRun = 0;
+  let darkRun = 0;
+  let isCorner = false;
+  // Walk the circle one and a half times so arcs can wrap around
+  for (let i = 0; i < 16 + FAST_ARC - 1; i++) {
+    const value = gray[base + offsets[i & 15]];
+    if (value > bright) {
+      brightRun++;
+      darkRun = 0;
+    } else if (value < dark) {
+      darkRun++;
+      brightRun = 0;
+    } else {
+      brightRun = 0;
+      darkRun = 0;
+    }
+    if (brightRun >= FAST_ARC || darkRun >= FAST_ARC) {
+      isCorner = true;
+      break;
+    }
+  }
+  if (!isCorner) {
+    return 0;
+  }
+
+  let score = 0;
+  for (let i = 0; i < 16; i++) {
+    const diff = Math.abs(gray[base + offsets[i]] - center) - threshold;
+    if (diff > 0) {
+      score += diff;
+    }
+  }
+  return score;
+}
+
+/**
+ * Detect FAST-9 corners with 3x3 non-maximum suppression
+ * @param {Uint8Array} gray - Grayscale pixels
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {Object} options - Overrides for DEFAULT_FEATURE_OPTIONS
+ * @returns {Array<Object>} Corners { x, y, score }, strongest first
+ */
+export function detectCorners(gray, width, height, options = {}) {
+  const { fastThreshold, maxFeatures, border } = { ...DEFAULT_FEATURE_OPTIONS, ...options };
+  const offsets = FAST_CIRCLE.map(([dx, dy]) => dy * width + dx);
+  const scores = new Float32Array(width * height);
+
+  for (let y = border; y < height - border; y++) {
+    for (let x = border; x < width - border; x++) {
+      scores[y * width + x] = fastScore(gray, width, x, y, fastThreshold, offsets);
+    }
+  }
+
+  const corners = [];
+  for (let y = border; y < height - border; y++) {
+    for (let x = border; x < width - border; x++) {
+      const i = y * width + x;
+      const score = scores[i];
+      if (score === 0) {
+        continue;
+      }
+      if (score < scores[i - 1] || score <= scores[i + 1] ||
+        score < scores[i - width - 1] || score < scores[i - width] || score < scores[i - width + 1] ||
+        score <= scores[i + width - 1] || score <= scores[i + width] || score <= scores[i + width + 1]) {
+        continue;
+      }
+      corners.push({ x, y, score });
+    }
+  }
+
+  corners.sort((a, b) => b.score - a.score);
+  return corners.slice(0, maxFeatures);
+}
+
+/**
+ * Orientation of a patch from its intensity centroid
+ * @returns {number} Angle in radians
+ */
+function patchOrientation(gray, width, x, y) {
+  let m10 = 0;
+  let m01 = 0;
+  for (let dy = -PATCH_RADIUS; dy <= PATCH_RADIUS; dy++) {
+    const extent = PATCH_ROWS[Math.abs(dy)];
+    const row = (y + dy) * width + x;
+    for (let dx = -extent; dx <= extent; dx++) {
+      const value = gray[row + dx];
+      m10 += dx * value;
+      m01 += dy * value;
+    }
+  }
+  return Math.atan2(m01, m10);
+}
+
+/**
+ * Compute oriented keypoints and rotated BRIEF descriptors for an image
+ * @param {Uint8Array} gray - Grayscale pixels
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {Object} options - Overrides for DEFAULT_FEATURE_OPTIONS
+ * @returns {Object} { keypoints: Array<{ x, y, score, angle }>, descriptors: Uint32Array }
+ */
+export function extractFeatures(gray, width, height, options = {}) {
+  const settings = { ...DEFAULT_FEATURE_OPTIONS, ...options };
+  // Descriptors sample a patch, so keep corners far enough from the edge
+  settings.border = Math.max(settings.border, PATCH_RADIUS + 1);
+
+  const corners = detectCorners(gray, width, height, settings);
+  const smooth = blurGrayscale(gray, width, height);
+  const descriptors = new Uint32Array(corners.length * DESCRIPTOR_WORDS);
+
+  const keypoints = corners.map((corner, k) => {
+    const angle = patchOrientation(smooth, width, corner.x, corner.y);
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    const base = corner.y * width + corner.x;
+
+    for (let word = 0; word < DESCRIPTOR_WORDS; word++) {
+      let bits = 0;
+      for (let bit = 0; bit < 32; bit++) {
+        const p = (word * 32 + bit) * 4;
+        const x1 = Math.round(cos * BRIEF_PATTERN[p] - sin * BRIEF_PATTERN[p + 1]);
+        const y1 = Math.round(sin * BRIEF_PATTERN[p] + cos * BRIEF_PATTERN[p + 1]);
+        const x2 = Math.round(cos * BRIEF_PATTERN[p + 2] - sin * BRIEF_PATTERN[p + 3]);
+        const y2 = Math.round(sin * BRIEF_PATTERN[p + 2] + cos * BRIEF_PATTERN[p + 3]);
+        if (smooth[base + y1 * width + x1] < smooth[base + y2 * width + x2]) {
+          bits |= 1 << bit;
+        }
+      }
+      descriptors[k * DESCRIPTOR_WORDS + word] = bits >>> 0;
+    }
+
+    return { x: corner.x, y: corner.y, score: corner.score, angle };
+  });
+
+  return { keypoints, descriptors };
+}
+
+/**
+ * Count the set bits of a 32-bit integer
+ */
+function popcount(value) {
+  value -= (value >>> 1) & 0x55555555;
+  value = (value & 0x33333333) + ((value >>> 2) & 0x33333333);
+  return (Math.imul((value + (value >>> 4)) & 0x0f0f0f0f, 0x01010101) >>> 24);
+}
+
+/**
+ * Hamming distance between two descriptors
+ * @param {Uint32Array} a - Descriptor array
+ * @param {number} ai - Index of the descriptor in a
+ * @param {Uint32Array} b - Descriptor array
+ * @param {number} bi - Index of the descriptor in b
+ * @returns {number} Number of differing bits (0..256)
+ */
+export function hammingDistance(a, ai, b, bi) {
+  let distance = 0;
+  const aBase = ai * DESCRIPTOR_WORDS;
+  const bBase = bi * DESCRIPTOR_WORDS;
+  for (let word = 0; word < DESCRIPTOR_WORDS; word++) {
+    distance += popcount(a[aBase + word] ^ b[bBase + word]);
+  }
+  return distance;
+}
+
+/**
+ * Match descriptors by brute force with a ratio test
+ * A match is kept only if it is clearly better than the second best, which
+ * drops ambiguous matches on repetitive texture
+ * @param {Uint32Array} query - Descriptors to match (e.g. camera frame)
+ * @param {Uint32Array} train - Descriptors to match against (e.g. marker image)
+ * @param {Object} options
+ * @param {number} options.maxDistance - Largest accepted Hamming distance
+ * @param {number} options.ratio - Best must be below ratio x second best
+ * @returns {Array<Object>} Matches { queryIndex, trainIndex, distance }
+ */
+export function matchFeatures(query, train, { maxDistance = 64, ratio = 0.8 } = {}) {
+  const queryCount = query.length / DESCRIPTOR_WORDS;
+  const trainCount = train.length / DESCRIPTOR_WORDS;
+  const matches = [];
+
+  for (let q = 0; q < queryCount; q++) {
+    let best = Infinity;
+    let second = Infinity;
+    let bestIndex = -1;
+    for (let t = 0; t < trainCount; t++) {
+      const distance = hammingDistance(query, q, train, t);
+      if (distance < best) {
+        second = best;
+        best = distance;
+        bestIndex = t;
+      } else if (distance < second) {
+        second = distance;
+      }
+    }
+    if (bestIndex >= 0 && best <= maxDistance && best < ratio * second) {
+      matches.push({ queryIndex: q, trainIndex: bestIndex, distance: best });
+    }
+  }
+  return matches;
+}
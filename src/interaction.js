@@ -0,0 +1,299 @@
+// Interaction - hover and tap on AR content
+// Content modules declare the objects that react to input (content.targets,
+// see marker-content.js) and listen for these events on them, dispatched with
+// Three.js's object.addEventListener / dispatchEvent:
+//
+//   hoverstart - a ray (gaze, a finger on the screen, the mouse) reached the object
+//   hoverend   - the ray left it, or the input went away
+//   pressstart - a press began on the object (XR selectstart, pointerdown)
+//   pressend   - that press ended, wherever it ended
+//   tap        - a press began and ended on the object (XR select, pointerup)
+//
+// Event fields: { type, target, source, object, point, distance } - target is
+// the registered object, object the mesh that was hit inside it, source the
+// input kind ('screen', 'gaze', 'tracked-pointer', 'mouse', 'touch', 'pen').
+//
+// In WebXR the rays come from the session's input sources: on phones a
+// 'screen' source exists while a finger is on the screen, and 'gaze' sources
+// (headsets without controllers) point where the viewer looks. Camera and
+// simulator modes have no XR input, so page pointer events are cast from the
+// scene camera through the canvas instead.
+
+import * as THREE from 'three';
+
+// Events dispatched on target objects
+export const INTERACTION_EVENTS = ['hoverstart', 'hoverend', 'pressstart', 'pressend', 'tap'];
+
+// Page UI that keeps its taps: they don't reach AR content
+export const UI_SELECTOR = 'button, a, input, select, textarea, #debug-overlay, #perf-hud, #redemption-panel';
+
+/**
+ * Check whether an object and all its parents are visible
+ * Raycaster ignores visibility, but hidden content shouldn't react
+ * @param {THREE.Object3D} object - Object to check
+ * @returns {boolean} True if the object is drawn
+ */
+function isShown(object) {
+  for (let current = object; current; current = current.parent) {
+    if (!current.visible) {
+      return false;
+    }
+  }
+  return true;
+}
+
+/**
+ * Normalized device coordinates of a pointer over a canvas
+ * Accounts for object-fit: cover (camera mode crops the canvas like the feed)
+ * @param {PointerEvent} event - Pointer event
+ * @param {HTMLCanvasElement} canvas - Canvas the scene is drawn to
+ * @returns {THREE.Vector2} x and y from -1 to 1 (+Y up)
+ */
+export function getPointerCoords(event, canvas) {
+  const rect = canvas.getBoundingClientRect();
+  let width = rect.width;
+  let height = rect.height;
+  if (getComputedStyle(canvas).objectFit === 'cover' && canvas.width && canvas.height) {
+    const scale = Math.max(rect.width / canvas.width, rect.height / canvas.height);
+    width = canvas.width * scale;
+    height = canvas.height * scale;
+  }
+  const left = rect.left + (rect.width - width) / 2;
+  const top = rect.top + (rect.height - height) / 2;
+  return new THREE.Vector2(
+    ((event.clientX - left) / width) * 2 - 1,
+    -((event.clientY - top) / height) * 2 + 1
+  );
+}
+
+/**
+ * Create the interaction layer for one session
+ * @param {Object} options
+ * @param {Function} options.log - Logger (message, type, category) => void
+ * @returns {Object} Interaction layer
+ */
+export function createInteraction({ log = () => {} } = {}) {
+  const targets = new Set(); // Registered objects
+  const inputs = new Map(); // XRInputSource or pointer id -> { hovered, pressed }
+  const raycaster = new THREE.Raycaster();
+  const rayMatrix = new THREE.Matrix4();
+
+  function dispatch(target, type, source, hit = null) {
+    target.dispatchEvent({
+      type,
+      source,
+      object: hit?.object ?? null,
+      point: hit?.point ?? null,
+      distance: hit?.distance ?? null
+    });
+  }
+
+  // The nearest shown target along the raycaster's ray: { target, hit } or null
+  function pick() {
+    const shown = [...targets].filter(isShown);
+    if (shown.length === 0) {
+      return null;
+    }
+    for (const hit of raycaster.intersectObjects(shown, true)) {
+      if (!isShown(hit.object)) {
+        continue;
+      }
+      // The hit may be a child of the registered object
+      let target = hit.object;
+      while (target && !targets.has(target)) {
+        target = target.parent;
+      }
+      if (target) {
+        return { target, hit };
+      }
+    }
+    return null;
+  }
+
+  function getInput(key) {
+    let input = inputs.get(key);
+    if (!input) {
+      input = { hovered: null, pressed: null };
+      inputs.set(key, input);
+    }
+    return input;
+  }
+
+  function setHovered(input, picked, source) {
+    const target = picked?.target ?? null;
+    if (input.hovered === target) {
+      return;
+    }
+    if (input.hovered) {
+      dispatch(input.hovered, 'hoverend', source);
+    }
+    input.hovered = target;
+    if (target) {
+      dispatch(target, 'hoverstart', source, picked.hit);
+    }
+  }
+
+  function press(input, picked, source) {
+    setHovered(input, picked, source);
+    input.pressed = picked?.target ?? null;
+    if (input.pressed) {
+      dispatch(input.pressed, 'pressstart', source, picked.hit);
+    }
+  }
+
+  // End a press; a tap if it ended on the object it began on
+  function release(input, picked, source) {
+    const pressed = input.pressed;
+    input.pressed = null;
+    if (!pressed) {
+      return;
+    }
+    dispatch(pressed, 'pressend', source, picked?.target === pressed ? picked.hit : null);
+    if (picked?.target === pressed) {
+      log(`👆 Tap on "${pressed.name || pressed.type}" (${source})`, 'debug');
+      dispatch(pressed, 'tap', source, picked.hit);
+    }
+  }
+
+  // Forget an input, ending its hover and press
+  function dropInput(key, source) {
+    const input = inputs.get(key);
+    if (!input) {
+      return;
+    }
+    if (input.pressed) {
+      dispatch(input.pressed, 'pressend', source);
+    }
+    setHovered(input, null, source);
+    inputs.delete(key);
+  }
+
+  /**
+   * Aim the raycaster along an XR input source's target ray
+   * @returns {boolean} False if the ray's pose isn't known this frame
+   */
+  function setXRRay(frame, inputSource, referenceSpace) {
+    const pose = frame.getPose(inputSource.targetRaySpace, referenceSpace);
+    if (!pose) {
+      return false;
+    }
+    rayMatrix.fromArray(pose.transform.matrix);
+    raycaster.ray.origin.setFromMatrixPosition(rayMatrix);
+    raycaster.ray.direction.set(0, 0, -1).transformDirection(rayMatrix);
+    return true;
+  }
+
+  function remove(object) {
+    targets.delete(object);
+    for (const input of inputs.values()) {
+      if (input.hovered === object) {
+        input.hovered = null;
+      }
+      if (input.pressed === object) {
+        input.pressed = null;
+      }
+    }
+  }
+
+  return {
+    /**
+     * Make an object react to input (it and its children are hit-tested)
+     * @param {THREE.Object3D} object - Object to dispatch INTERACTION_EVENTS on
+     * @returns {Function} Call to remove it again
+     */
+    add(object) {
+      targets.add(object);
+      return () => remove(object);
+    },
+
+    /**
+     * Stop an object reacting to input
+     * @param {THREE.Object3D} object - A registered object
+     */
+    remove,
+
+    /**
+     * Handle an XR session's selectstart, select or selectend event
+     * @param {XRInputSourceEvent} event - Session event
+     * @param {XRReferenceSpace} referenceSpace - Space the content is placed in
+     */
+    handleXRSelect(event, referenceSpace) {
+      const { inputSource, frame } = event;
+      const source = inputSource.targetRayMode;
+      const input = getInput(inputSource);
+      const picked = setXRRay(frame, inputSource, referenceSpace) ? pick() : null;
+      if (event.type === 'selectstart') {
+        press(input, picked, source);
+      } else if (event.type === 'select') {
+        release(input, picked, source);
+      } else if (event.type === 'selectend') {
+        // After select when the press completed; on its own when cancelled
+        release(input, null, source);
+        if (source === 'screen') {
+          // The finger has left the screen
+          dropInput(inputSource, source);
+        }
+      }
+    },
+
+    /**
+     * Update hover for the XR session's input sources - call once per frame
+     * @param {XRFrame} frame - The current XR frame
+     * @param {XRReferenceSpace} referenceSpace - Space the content is placed in
+     */
+    updateXR(frame, referenceSpace) {
+      const sources = new Set(frame.session.inputSources);
+      for (const key of inputs.keys()) {
+        if (typeof key === 'object' && !sources.has(key)) {
+          dropInput(key, key.targetRayMode);
+        }
+      }
+      if (targets.size === 0) {
+        return;
+      }
+      for (const inputSource of sources) {
+        if (setXRRay(frame, inputSource, referenceSpace)) {
+          setHovered(getInput(inputSource), pick(), inputSource.targetRayMode);
+        }
+      }
+    },
+
+    /**
+     * Handle a page pointer event (camera and simulator modes)
+     * @param {PointerEvent} event - pointerdown, pointermove, pointerup or pointercancel
+     * @param {THREE.Camera} camera - Camera the scene is rendered with
+     * @param {HTMLCanvasElement} canvas - Canvas the scene is drawn to
+     */
+    handlePointer(event, camera, canvas) {
+      const source = event.pointerType || 'mouse';
+      if (event.type === 'pointercancel') {
+        dropInput(event.pointerId, source);
+        return;
+      }
+      const input = getInput(event.pointerId);
+      raycaster.setFromCamera(getPointerCoords(event, canvas), camera);
+      const picked = pick();
+      if (event.type === 'pointerdown') {
+        press(input, picked, source);
+      } else if (event.type === 'pointermove') {
+        setHovered(input, picked, source);
+      } else if (event.type === 'pointerup') {
+        release(input, picked, source);
+        if (source !== 'mouse') {
+          // The finger or pen has left the screen
+          dropInput(event.pointerId, source);
+        }
+      }
+    },
+
+    /**
+     * End every hover and press and forget the targets
+     */
+    dispose() {
+      for (const key of [...inputs.keys()]) {
+        dropInput(key, typeof key === 'object' ? key.targetRayMode : 'mouse');
+      }
+      targets.clear();
+    }
+  };
+}
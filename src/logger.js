@@ -0,0 +1,214 @@
+// Logger - structured log entries with levels and categories
+// Every entry goes into a fixed-size ring buffer (so a long session can't grow
+// the log forever) and out to the attached sinks: the debug overlay
+// (debug-overlay.js), the console (createConsoleSink) and remote telemetry
+// (telemetry-sink.js).
+//
+// Entry: { seq, time, level, category, message, data }
+//   seq      - increasing number, unique per page load
+//   time     - Date.now() when logged
+//   level    - 'debug' | 'info' | 'success' | 'warning' | 'error'
+//   category - 'app' | 'session' | 'tracker' | 'render' | 'asset' (any string is accepted)
+//   data     - optional JSON-serializable details (e.g. an error stack)
+//
+// A sink is { write(entry), flush?(options), dispose?() }.
+
+// Level severities - 'success' is an info message shown in green
+export const LOG_LEVELS = {
+  debug: 10,
+  info: 20,
+  success: 20,
+  warning: 30,
+  error: 40
+};
+
+// Categories the overlay offers as filters
+export const LOG_CATEGORIES = ['app', 'session', 'tracker', 'render', 'asset'];
+
+// Default logger settings
+export const DEFAULT_LOGGER_OPTIONS = {
+  capacity: 1000, // Entries kept in the ring buffer
+  category: 'app' // Category for entries logged without one
+};
+
+/**
+ * Whether an entry's level is at or above a minimum level
+ * @param {Object} entry - Log entry
+ * @param {string} level - Minimum level name
+ * @returns {boolean}
+ */
+export function isAtLeast(entry, level) {
+  return (LOG_LEVELS[entry.level] ?? LOG_LEVELS.info) >= (LOG_LEVELS[level] ?? 0);
+}
+
+/**
+ * Create a logger
+ * @param {Object} options - Overrides for DEFAULT_LOGGER_OPTIONS
+ * @returns {Object} Logger
+ */
+export function createLogger(options = {}) {
+  const settings = { ...DEFAULT_LOGGER_OPTIONS, ...options };
+  const buffer = new Array(settings.capacity);
+  let start = 0; // Index of the oldest entry
+  let size = 0;
+  let seq = 0;
+  const sinks = new Set();
+
+  function push(entry) {
+    if (size < settings.capacity) {
+      buffer[(start + size) % settings.capacity] = entry;
+      size++;
+    } else {
+      buffer[start] = entry;
+      start = (start + 1) % settings.capacity;
+    }
+  }
+
+  /**
+   * Log a message
+   * @param {string} message - Message text
+   * @param {string} level - Level name (default 'info')
+   * @param {string} category - Category (default from the options)
+   * @param {Object} data - Optional details
+   * @returns {Object} The entry
+   */
+  function log(message, level = 'info', category = settings.category, data = undefined) {
+    const entry = {
+      seq: ++seq,
+      time: Date.now(),
+      level: level in LOG_LEVELS ? level : 'info',
+      category,
+      message: String(message)
+    };
+    if (data !== undefined) {
+      entry.data = data;
+    }
+    push(entry);
+    for (const sink of sinks) {
+      try {
+        sink.write(entry);
+      } catch (error) {
+        // A broken sink must not take logging down with it (or log through itself)
+        console.error('Log sink failed:', error);
+      }
+    }
+    return entry;
+  }
+
+  return {
+    log,
+
+    /**
+     * A log function with a fixed default category, in the (message, type)
+     * shape SessionController and marker content take as `log`
+     * @param {string} category - Category for entries logged without one
+     * @returns {Function} (message, level, category, data) => entry
+     */
+    scoped(category) {
+      return (message, level = 'info', entryCategory = category, data = undefined) =>
+        log(message, level, entryCategory, data);
+    },
+
+    /**
+     * Entries in the buffer, oldest first
+     */
+    get entries() {
+      const entries = [];
+      for (let i = 0; i < size; i++) {
+        entries.push(buffer[(start + i) % settings.capacity]);
+      }
+      return entries;
+    },
+
+    /**
+     * Number of entries in the buffer
+     */
+    get size() {
+      return size;
+    },
+
+    /**
+     * Put entries from an earlier page load in front of this one's
+     * They are marked `previous` and not sent to sinks again
+     * @param {Array<Object>} entries - Entries, oldest first
+     */
+    restore(entries) {
+      const current = this.entries;
+      start = 0;
+      size = 0;
+      const keep = entries.slice(-Math.max(0, settings.capacity - current.length));
+      for (const entry of keep) {
+        push({ ...entry, previous: true });
+      }
+      for (const entry of current) {
+        push(entry);
+      }
+    },
+
+    /**
+     * Empty the buffer (sinks keep what they already received)
+     */
+    clear() {
+      start = 0;
+      size = 0;
+    },
+
+    /**
+     * Attach a sink
+     * @param {Object} sink - { write(entry), flush?(options), dispose?() }
+     * @returns {Function} Detaches the sink
+     */
+    addSink(sink) {
+      sinks.add(sink);
+      return () => sinks.delete(sink);
+    },
+
+    /**
+     * Ask every sink to send what it has queued
+     * @param {Object} options - Passed to each sink (e.g. { beacon: true } on page unload)
+     */
+    flush(options = {}) {
+      for (const sink of sinks) {
+        sink.flush?.(options);
+      }
+    },
+
+    /**
+     * Flush and detach every sink
+     */
+    dispose() {
+      for (const sink of sinks) {
+        sink.dispose?.();
+      }
+      sinks.clear();
+    }
+  };
+}
+
+/**
+ * Sink writing entries to the browser console
+ * @param {Object} options
+ * @param {string} options.prefix - Text in front of every line (default '[DEBUG]')
+ * @param {string} options.level - Minimum level written (default 'debug')
+ * @returns {Object} Sink
+ */
+export function createConsoleSink({ prefix = '[DEBUG]', level = 'debug' } = {}) {
+  return {
+    write(entry) {
+      if (!isAtLeast(entry, level)) {
+        return;
+      }
+      const line = `${prefix} [${entry.category}] ${entry.message}`;
+      const args = entry.data !== undefined ? [line, entry.data] : [line];
+      if (entry.level === 'error') {
+        console.error(...args);
+      } else if (entry.level === 'warning') {
+        console.warn(...args);
+      } else if (entry.level === 'debug') {
+        console.debug(...args);
+      } else {
+        console.log(...args);
+      }
+    }
+  };
+}
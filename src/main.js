@@ -2,67 +2,155 @@
 // Step 3: WebXR Session Initialization
 // Step 4: Marker Image Registration  
 // Step 5: Marker Detection and Tracking
+// Step 6: Video Playback on the Marker
 // Using Three.js WebGLRenderer like WebXRGaussian does
-
-import * as THREE from 'three';
-import { 
-  initializeMarkerTracking, 
-  getTrackableImage,
-  updateMarkerTracking,
-  onMarkerDetected,
-  isMarkerCurrentlyDetected
-} from './marker-tracker.js';
+// The session itself is run by SessionController (session-controller.js), or
+// by CameraSessionController (camera-session.js) where WebXR AR is unavailable,
+// or by SimulatorSessionController (simulator-session.js) with ?simulate
+
+import { loadExperience } from './experience.js';
+import { SessionController, SESSION_STATE } from './session-controller.js';
+import { preloadExperience } from './preload.js';
+import { CameraSessionController, isCameraFallbackSupported } from './camera-session.js';
+import { SimulatorSessionController, loadSimulatorScript } from './simulator-session.js';
+import { createTrackingRecorder, loadRecording } from './tracking-recorder.js';
+import { createReplayBackend } from './replay-backend.js';
+import { createLogger, createConsoleSink } from './logger.js';
+import { createTelemetrySink } from './telemetry-sink.js';
+import { createDebugOverlay } from './debug-overlay.js';
+import { createPerfStats } from './perf-stats.js';
+import { createPerfHud, describeDevice } from './perf-hud.js';
+import { createQualityController } from './quality.js';
+import { registerServiceWorker } from './sw-registration.js';
+import { resolveCampaign, getCampaignExperiencePath } from './campaign.js';
+import { createSessionUI, getSessionTip } from './session-ui.js';
+import { TRACKING_STATE } from './tracking-state.js';
+import { createRedemption, createRestRedemptionAdapter, formatBalance, describeRedemptionError } from './redemption.js';
 
 const canvas = document.getElementById('xr-canvas');
-let xrSession = null;
-let xrButton = null; // Will be used for manual trigger if needed
-let referenceSpace = null;
-let xrLayer = null; // Store the XR layer for framebuffer binding
-let renderer = null; // Three.js renderer (like WebXRGaussian uses)
-
-// Debug overlay setup (hidden by default now that camera works)
-const debugContent = document.getElementById('debug-content');
-const debugToggle = document.getElementById('debug-toggle');
-let debugVisible = false; // Hide debug by default
-let frameCount = 0;
-
-// Debug logging functions
-function debugLog(message, type = 'info') {
-  const className = `debug-${type}`;
-  const line = document.createElement('div');
-  line.className = `debug-line ${className}`;
-  line.textContent = `[${new Date().toLocaleTimeString()}] ${message}`;
-  debugContent.appendChild(line);
-  debugContent.scrollTop = debugContent.scrollHeight;
-  console.log(`[DEBUG] ${message}`);
+const cameraFeed = document.getElementById('camera-feed'); // Camera fallback video
+let experience = null; // Validated experience manifest (public/experience.json, or a campaign's)
+let controller = null; // Owns the AR session, renderer, scene and tracker
+let redemption = null; // The gift card's redemption, when the campaign link names a card
+const params = new URLSearchParams(location.search);
+
+// Structured logger - a ring buffer shown in the debug overlay, mirrored to
+// the console (all of it on the dev server, warnings and errors in builds)
+// and, given a telemetry endpoint (VITE_TELEMETRY_ENDPOINT, or
+// ?telemetry=<url> on the dev server), sent to a server in batches. Builds
+// ignore ?telemetry, or a crafted link could send the log to any server.
+const logger = createLogger();
+const log = logger.scoped('app');
+logger.addSink(createConsoleSink({ level: import.meta.env.DEV ? 'debug' : 'warning' }));
+const telemetryEndpoint = (import.meta.env.DEV && params.get('telemetry')) || import.meta.env.VITE_TELEMETRY_ENDPOINT;
+const telemetryContext = { userAgent: navigator.userAgent, page: location.pathname }; // experienceId (and campaign/card ids) added once loaded
+if (telemetryEndpoint) {
+  logger.addSink(createTelemetrySink({
+    endpoint: telemetryEndpoint,
+    sessionId: crypto.randomUUID?.() || `${Date.now()}-${Math.random().toString(36).slice(2)}`,
+    context: telemetryContext
+  }));
 }
 
-function updateDebugStatus() {
-  const status = {
-    webxr: !!navigator.xr,
-    session: !!xrSession,
-    referenceSpace: !!referenceSpace,
-    canvas: !!canvas,
-    gl: !!canvas?.getContext('webgl'),
-    frames: frameCount,
-    canvasSize: canvas ? `${canvas.width}x${canvas.height}` : 'N/A'
-  };
-  
-  const statusDiv = document.getElementById('debug-status');
-  if (!statusDiv) {
-    const div = document.createElement('div');
-    div.id = 'debug-status';
-    div.className = 'debug-line debug-info';
-    debugContent.insertBefore(div, debugContent.firstChild);
+// The last page load's log is kept for the session so it survives a reload
+const LOG_STORAGE_KEY = 'webxr-gift-card:log';
+const LOG_STORAGE_ENTRIES = 200;
+try {
+  const previous = JSON.parse(sessionStorage.getItem(LOG_STORAGE_KEY) || '[]');
+  sessionStorage.removeItem(LOG_STORAGE_KEY);
+  logger.restore(previous);
+} catch (error) {
+  log(`⚠️ Could not restore the previous log: ${error.message}`, 'warning');
+}
+
+// Save the log and send queued telemetry when the page goes away (mobile
+// browsers may never fire pagehide, so hiding the page counts too)
+function handlePageExit() {
+  try {
+    sessionStorage.setItem(LOG_STORAGE_KEY, JSON.stringify(logger.entries.slice(-LOG_STORAGE_ENTRIES)));
+  } catch (error) {
+    // Storage full or disabled - the log just won't survive a reload
   }
-  
-  const statusEl = document.getElementById('debug-status');
-  statusEl.innerHTML = `<strong>Status:</strong><br>
-    WebXR: ${status.webxr ? '✅' : '❌'} | 
-    Session: ${status.session ? '✅' : '❌'} | 
-    GL: ${status.gl ? '✅' : '❌'}<br>
-    Frames: ${frameCount} | 
-    Canvas: ${status.canvasSize}`;
+  logger.flush({ beacon: true });
+}
+window.addEventListener('pagehide', handlePageExit);
+document.addEventListener('visibilitychange', () => {
+  if (document.visibilityState === 'hidden') {
+    handlePageExit();
+  }
+});
+
+// Tracking recorder - captures tracking results for offline replay (?record starts it right away)
+const recorder = createTrackingRecorder();
+if (params.has('record')) {
+  recorder.start();
+}
+
+// Adaptive quality - steps quality tiers by frame time (?quality=low|medium|high pins a tier)
+let quality;
+try {
+  quality = createQualityController({ fixedTier: params.get('quality') });
+} catch (error) {
+  log(`⚠️ ${error.message} - adapting quality instead`, 'warning', 'render');
+  quality = createQualityController();
+}
+
+// Debug overlay setup (hidden by default now that camera works) - a filterable
+// view of the logger's buffer
+const debugOverlayView = createDebugOverlay({
+  logger,
+  content: document.getElementById('debug-content'),
+  status: document.getElementById('debug-status'),
+  levelSelect: document.getElementById('debug-level'),
+  categorySelect: document.getElementById('debug-category'),
+  searchInput: document.getElementById('debug-search')
+});
+logger.addSink(debugOverlayView);
+const debugToggle = document.getElementById('debug-toggle');
+const unmuteButton = document.getElementById('unmute-button');
+const recordButton = document.getElementById('record-button');
+const downloadRecordingButton = document.getElementById('download-recording-button');
+const overlayRoot = document.getElementById('ar-overlay');
+const perfToggleButton = document.getElementById('perf-toggle-button');
+const perfHudEl = document.getElementById('perf-hud');
+const perfExportButton = document.getElementById('perf-export-button');
+const updatePrompt = document.getElementById('update-prompt');
+const updateButton = document.getElementById('update-button');
+const updateDismissButton = document.getElementById('update-dismiss-button');
+const redemptionPanel = document.getElementById('redemption-panel');
+const redemptionTitle = document.getElementById('redemption-title');
+const redemptionBalance = document.getElementById('redemption-balance');
+const redemptionCode = document.getElementById('redemption-code');
+const redemptionCopyButton = document.getElementById('redemption-copy-button');
+let debugVisible = false; // Hide debug by default
+let soundMuted = false; // Sound turned off with the mute control (kept across sessions)
+let markerSeen = false; // A marker was detected this session (picks the help tip)
+
+// Entry screens (Step 7: user-gesture entry)
+const landingScreen = document.getElementById('landing-screen');
+const startButton = document.getElementById('start-ar-button');
+const modeNote = document.getElementById('mode-note');
+const loadingEl = document.getElementById('loading');
+const loadingBar = document.getElementById('loading-bar');
+const loadingText = document.getElementById('loading-text');
+const unsupportedScreen = document.getElementById('unsupported-screen');
+const unsupportedMessage = document.getElementById('unsupported-message');
+const errorScreen = document.getElementById('error-screen');
+const errorMessage = document.getElementById('error-message');
+const errorBackButton = document.getElementById('error-back-button');
+
+// Show the session status above the log
+function updateDebugStatus() {
+  const markers = controller?.tracker ? controller.tracker.getMarkers() : [];
+  const state = controller ? controller.state : SESSION_STATE.IDLE;
+  const session = !!(controller?.session || controller?.stream);
+  debugOverlayView.setStatus([
+    `WebXR: ${navigator.xr ? '✅' : '❌'} | Session: ${session ? '✅' : '❌'} (${state}) | ` +
+      `GL: ${controller?.renderer ? '✅' : '❌'} | Mode: ${controller ? controller.mode : 'n/a'}`,
+    `Frames: ${controller ? controller.frameCount : 0} | Canvas: ${canvas ? `${canvas.width}x${canvas.height}` : 'N/A'} | ` +
+      `Quality: ${controller?.qualityTier ? controller.qualityTier.name : quality.tier.name}${quality.fixed ? ' (fixed)' : ''}`,
+    `Markers: ${markers.map((m) => `${m.id} (${m.trackable ? m.state : 'untrackable'})`).join(', ') || 'none'}`
+  ]);
 }
 
 // Force debug overlay to stay visible
@@ -99,251 +187,478 @@ debugToggle.addEventListener('click', () => {
   debugToggle.textContent = debugVisible ? 'Hide Debug' : 'Show Debug';
 });
 
+// Start/stop recording tracking frames
+function updateRecordButton() {
+  recordButton.textContent = recorder.recording ? '⏹ Stop recording' : '⏺ Record tracking';
+}
+updateRecordButton();
+
+recordButton.addEventListener('click', () => {
+  if (recorder.recording) {
+    recorder.stop();
+    log(`⏹ Tracking recording stopped (${recorder.frameCount} frames)`, 'info', 'tracker');
+  } else {
+    recorder.start();
+    log('⏺ Recording tracking frames', 'info', 'tracker');
+  }
+  updateRecordButton();
+});
+
+// Save a file from the page (e.g. the tracking recording)
+function downloadFile(filename, contents, type) {
+  const url = URL.createObjectURL(new Blob([contents], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+downloadRecordingButton.addEventListener('click', () => {
+  try {
+    const ndjson = recorder.toNDJSON();
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    downloadFile(`tracking-${experience?.id || 'session'}-${stamp}.ndjson`, ndjson, 'application/x-ndjson');
+    log(`⬇ Tracking recording saved (${recorder.frameCount} frames)`, 'success', 'tracker');
+  } catch (error) {
+    log(`⚠️ ${error.message}`, 'error', 'tracker');
+  }
+});
+
+// Performance HUD - frame timing, tracking cost, renderer stats and marker
+// uptime for the current session (?perf shows it from the start)
+const perfStats = createPerfStats();
+const perfHud = createPerfHud({ element: document.getElementById('perf-hud-stats') });
+let perfDevice = null; // Device and GPU, read once a session renders
+perfHudEl.hidden = !params.has('perf');
+
+perfToggleButton.addEventListener('click', () => {
+  perfHudEl.hidden = !perfHudEl.hidden;
+  if (!perfHudEl.hidden) {
+    perfHud.update(perfStats.summary());
+  }
+});
+
+perfExportButton.addEventListener('click', () => {
+  const stats = perfStats.toJSON({
+    build: __BUILD_INFO__,
+    device: perfDevice || describeDevice(null),
+    session: {
+      mode: controller?.mode || null,
+      experienceId: experience?.id || null,
+      experienceVersion: experience?.version || null,
+      canvas: `${canvas.width}x${canvas.height}`,
+      quality: controller?.qualityTier?.name || quality.tier.name
+    }
+  });
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+  downloadFile(`perf-${experience?.id || 'session'}-${stamp}.json`, JSON.stringify(stats, null, 2), 'application/json');
+  log(`⬇ Performance stats exported (${stats.stats.frames} frames)`, 'success', 'render');
+});
+
+// Tap-to-unmute fallback when autoplay with sound is blocked (Step 6)
+unmuteButton.addEventListener('click', () => {
+  controller?.content?.unmute();
+});
+
+// Copy the revealed gift card code (the card in AR copies it on a tap too)
+redemptionCopyButton.addEventListener('click', async () => {
+  try {
+    await navigator.clipboard.writeText(redemption.result.code);
+    redemptionCopyButton.textContent = '✓ Copied';
+    log('📋 Gift card code copied', 'success');
+  } catch (error) {
+    log(`⚠️ Could not copy the code: ${error.message}`, 'warning');
+  }
+});
+
+// In-session controls and help tips (in the dom-overlay root, so they show in
+// WebXR sessions too where the browser grants it)
+const sessionUI = createSessionUI({
+  root: overlayRoot,
+  controls: document.getElementById('session-controls'),
+  muteButton: document.getElementById('mute-button'),
+  replayButton: document.getElementById('replay-button'),
+  exitButton: document.getElementById('exit-button'),
+  tip: document.getElementById('session-tip'),
+  onMute: (muted) => {
+    soundMuted = muted;
+    controller?.content?.setMuted(muted);
+  },
+  onReplay: () => controller?.content?.replay(),
+  onExit: () => controller?.end()
+});
+
+// Offline support: production builds precache the app and its assets with a
+// service worker, and offer a reload when a new build has been deployed
+let applyUpdate = null;
+if (import.meta.env.PROD) {
+  registerServiceWorker({
+    log: logger.scoped('app'),
+    onUpdate: (apply) => {
+      applyUpdate = apply;
+      updatePrompt.hidden = false;
+    }
+  });
+}
+updateButton.addEventListener('click', () => {
+  updateButton.disabled = true;
+  applyUpdate?.();
+});
+updateDismissButton.addEventListener('click', () => {
+  updatePrompt.hidden = true;
+});
+
+// Start AR from the entry screen - browsers only grant immersive-ar from a
+// user gesture, and the same button starts a new session after one ends
+startButton.addEventListener('click', () => {
+  startARSession();
+});
+
+// Leave the error screen and go back to the entry screen (if AR can start)
+errorBackButton.addEventListener('click', () => {
+  errorScreen.hidden = true;
+  landingScreen.hidden = !controller;
+});
+
+// Show one entry screen (or none while AR runs)
+function showScreen(screen) {
+  for (const el of [landingScreen, unsupportedScreen, errorScreen]) {
+    el.hidden = el !== screen;
+  }
+}
+
+// Update the loading state while assets preload
+function updateLoading({ progress }) {
+  const percent = Math.round(progress * 100);
+  loadingBar.style.width = `${percent}%`;
+  loadingText.textContent = `Loading… ${percent}%`;
+}
+
+// Replace the entry screen with the unsupported-device screen
+function showUnsupported(message) {
+  log(`Unsupported device: ${message}`, 'error', 'session');
+  unsupportedMessage.textContent = message;
+  showScreen(unsupportedScreen);
+}
+
 // Check WebXR support
+// Resolves to { supported, message } - message says why AR is unavailable
 async function checkWebXRSupport() {
-  debugLog('Checking WebXR support...', 'info');
+  log('Checking WebXR support...', 'info', 'session');
   updateDebugStatus();
   
   if (!navigator.xr) {
-    debugLog('WebXR is not supported in this browser', 'error');
-    showError('WebXR is not supported. Please use a compatible browser like Chrome on Android.');
-    return false;
+    log('WebXR is not supported in this browser', 'error', 'session');
+    return { supported: false, message: 'This browser does not support WebXR.' };
   }
 
-  debugLog('navigator.xr found', 'success');
+  log('navigator.xr found', 'success', 'session');
   
   // Check if immersive AR is supported
   let isARSupported = false;
   try {
     isARSupported = await navigator.xr.isSessionSupported('immersive-ar');
-    debugLog(`Immersive AR supported: ${isARSupported}`, isARSupported ? 'success' : 'error');
+    log(`Immersive AR supported: ${isARSupported}`, isARSupported ? 'success' : 'error', 'session');
   } catch (error) {
-    debugLog(`Error checking AR support: ${error.message}`, 'error');
-    showError('AR mode is not supported on this device.');
-    return false;
+    log(`Error checking AR support: ${error.message}`, 'error', 'session');
+    return { supported: false, message: 'AR mode is not supported on this device.' };
   }
 
   if (!isARSupported) {
-    debugLog('Immersive AR is not supported', 'error');
-    showError('AR mode is not supported on this device.');
-    return false;
+    log('Immersive AR is not supported', 'error', 'session');
+    return { supported: false, message: 'AR mode is not supported on this device.' };
   }
 
-  return true;
+  return { supported: true, message: null };
 }
 
-// Request AR session with image tracking
-async function requestARSession() {
-  try {
-    if (!navigator.xr) {
-      throw new Error('WebXR not available');
-    }
+// Show the tap-to-unmute button while any video is muted by autoplay rules,
+// and the session controls while a session runs
+function updateUnmuteButton() {
+  unmuteButton.hidden = !controller?.content?.needsUnmute();
+  updateSessionUI();
+}
+
+// Reflect the session and sound state in the session controls
+function updateSessionUI() {
+  const content = controller?.content;
+  const state = controller?.state;
+  sessionUI.update({
+    active: Boolean(content) && controller.showsPageUI && (state === SESSION_STATE.RUNNING || state === SESSION_STATE.PAUSED),
+    hasSound: Boolean(content?.hasSound()),
+    muted: Boolean(content?.muted || content?.needsUnmute()),
+    canReplay: state === SESSION_STATE.RUNNING
+  });
+}
+
+// Show the help tip for what the tracker sees
+function updateSessionTip() {
+  const markers = controller?.tracker ? controller.tracker.getMarkers() : [];
+  markerSeen = markerSeen || markers.some((marker) => marker.state === TRACKING_STATE.DETECTED);
+  sessionUI.setTip(getSessionTip({ markers, seen: markerSeen, cardShown: Boolean(controller?.content?.isCardShown()) }));
+}
+
+// Show the revealed code and balance, or why the card can't be revealed,
+// below the AR view (immersive WebXR shows them on the card instead)
+function updateRedemptionPanel({ state, result, error }) {
+  redemptionPanel.hidden = state !== 'revealed' && state !== 'failed';
+  redemptionPanel.classList.toggle('failed', state === 'failed');
+  redemptionBalance.hidden = !result;
+  redemptionCode.hidden = !result;
+  redemptionCopyButton.hidden = !result || !navigator.clipboard;
+  if (result) {
+    redemptionTitle.textContent = '🎁 Your gift card';
+    redemptionBalance.textContent = formatBalance(result);
+    redemptionCode.textContent = result.code;
+  } else if (error) {
+    const { title, message } = describeRedemptionError(error);
+    redemptionTitle.textContent = `${title} - ${message}`;
+  }
+}
 
-    debugLog('Requesting AR session (basic camera feed only)...', 'info');
-
-    // Request immersive AR session with image tracking
-    const sessionInit = {
-      requiredFeatures: ['local'], // Required for AR
-      optionalFeatures: ['image-tracking'] // Image tracking for marker detection
-    };
-
-    debugLog('Calling navigator.xr.requestSession...', 'info');
-    xrSession = await navigator.xr.requestSession('immersive-ar', sessionInit);
-    
-    debugLog('AR session started successfully!', 'success');
-    updateDebugStatus();
-
-    // Set up Three.js WebGLRenderer (like WebXRGaussian does)
-    // This is the key difference - Three.js handles XR session properly
-    debugLog('Creating Three.js WebGLRenderer...', 'info');
-    renderer = new THREE.WebGLRenderer({ 
-      canvas: canvas,
-      antialias: false, // Like WebXRGaussian
-      alpha: true, // Transparent background so camera shows through
-      powerPreference: 'high-performance'
+// Reflect session state changes in the UI
+function handleSessionStateChange({ state, previous }) {
+  updateDebugStatus();
+  if (state === SESSION_STATE.STARTING) {
+    perfStats.reset(); // Stats describe one session
+  } else if (state === SESSION_STATE.PAUSED) {
+    perfStats.markGap();
+  }
+  if (state === SESSION_STATE.STARTING) {
+    markerSeen = false;
+  } else if (state === SESSION_STATE.RUNNING && previous === SESSION_STATE.STARTING && soundMuted) {
+    controller.content.setMuted(true);
+  }
+  updateUnmuteButton();
+  updateSessionTip();
+  startButton.disabled = !controller.canStart();
+  if (state === SESSION_STATE.STARTING) {
+    landingScreen.hidden = true;
+  } else if (state === SESSION_STATE.ENDED) {
+    // Back to the entry screen, ready for a new session
+    startButton.textContent = 'Start AR again';
+    showScreen(landingScreen);
+  }
+}
+
+// Create the session controller (once per page)
+// mode is 'webxr', 'camera' (CameraSessionController), 'simulator' (with a
+// script) or 'replay' (with a parsed tracking recording)
+function createSessionController(assets, mode, { script, recording } = {}) {
+  const options = {
+    canvas,
+    experience,
+    assets,
+    log: logger.scoped('session'),
+    onPlaybackChange: updateUnmuteButton,
+    recorder,
+    quality,
+    redemption,
+    overlayRoot
+  };
+  if (mode === 'replay') {
+    controller = new SimulatorSessionController({
+      ...options,
+      mode,
+      recorder: null,
+      createBackend: () => createReplayBackend(recording, { log: logger.scoped('tracker') })
     });
-    
-    // Set clear color to transparent (important for camera feed to show!)
-    renderer.setClearColor(0x000000, 0); // Black with 0 alpha = transparent
-    
-    // Enable XR on the renderer (this is crucial!)
-    renderer.xr.enabled = true;
-    renderer.xr.setSession(xrSession);
-    
-    debugLog('Three.js renderer created and XR enabled', 'success');
-    debugLog(`Renderer size: ${renderer.getSize(new THREE.Vector2()).x}x${renderer.getSize(new THREE.Vector2()).y}`, 'info');
-    
-    // Set renderer size to match screen
-    const screenWidth = window.innerWidth || canvas.offsetWidth;
-    const screenHeight = window.innerHeight || canvas.offsetHeight;
-    renderer.setSize(screenWidth, screenHeight);
-    debugLog(`Renderer resized to: ${screenWidth}x${screenHeight}`, 'info');
-    
-    // Get the WebGL context from Three.js renderer
-    const gl = renderer.getContext();
-    debugLog(`WebGL context from Three.js renderer obtained`, 'success');
-    
-    // The XR session is now managed by Three.js renderer
-    // Three.js automatically creates the XRWebGLLayer and handles camera feed
-    debugLog('Three.js is managing XR session - camera feed should work', 'info');
-    
-    // Three.js renderer handles canvas sizing automatically
-    // Verify canvas is visible
-    const canvasStyle = window.getComputedStyle(canvas);
-    debugLog(`Canvas display: ${canvasStyle.display}, visibility: ${canvasStyle.visibility}`, 'info');
-    debugLog(`Canvas position: ${canvasStyle.position}, z-index: ${canvasStyle.zIndex}`, 'info');
-    debugLog(`Canvas dimensions: ${canvas.offsetWidth}x${canvas.offsetHeight}`, 'info');
-
-    // Get reference space for tracking
-    debugLog('Requesting reference space...', 'info');
-    referenceSpace = await xrSession.requestReferenceSpace('local');
-    debugLog('Reference space obtained', 'success');
-    updateDebugStatus();
-
-    // Handle session end
-    xrSession.addEventListener('end', handleSessionEnd);
-
-    // Initialize marker tracking (Step 4)
-    try {
-      debugLog('Initializing marker tracking...', 'info');
-      const trackedImage = await initializeMarkerTracking(xrSession);
-      if (trackedImage) {
-        debugLog('✅ Marker tracking initialized', 'success');
-        
-        // Set up marker detection callback (Step 5)
-        onMarkerDetected((pose) => {
-          debugLog('🎯 Marker detected! Ready for animation!', 'success');
-          // Animation will be triggered here in Step 6
-        });
-      } else {
-        debugLog('ℹ️ Marker image loaded but tracking not available on this platform', 'warning');
-        debugLog('ℹ️ This is normal on Mac/Desktop - will work on Android Chrome', 'warning');
-      }
-    } catch (error) {
-      // Only show error if it's not a platform limitation
-      if (!error.message.includes('expected on Mac/Desktop')) {
-        debugLog(`⚠️ Marker tracking initialization failed: ${error.message}`, 'error');
+  } else if (mode === 'simulator') {
+    controller = new SimulatorSessionController({ ...options, script });
+  } else if (mode === 'camera') {
+    controller = new CameraSessionController({ ...options, video: cameraFeed });
+  } else {
+    controller = new SessionController(options);
+  }
+  controller.on('statechange', handleSessionStateChange);
+  controller.on('frame', ({ time, frameCount, timing, tracking }) => {
+    perfStats.addFrame({ time, timing, tracking, rendererInfo: controller.renderer?.info });
+    if (frameCount === 1) {
+      perfDevice = describeDevice(controller.renderer);
+    }
+    // Update debug status and the performance HUD periodically
+    if (frameCount % 60 === 0) {
+      updateDebugStatus();
+    }
+    if (frameCount % 30 === 0) {
+      updateSessionTip();
+      if (!perfHudEl.hidden) {
+        perfHud.update(perfStats.summary());
       }
-      // Continue anyway - we can still test the AR session
     }
+  });
+}
 
-    // Start the render loop using Three.js renderer
-    // Three.js handles the XR frame loop automatically
-    debugLog('Starting Three.js XR render loop...', 'info');
-    
-    // Create a simple scene (needed for Three.js to render)
-    const scene = new THREE.Scene();
-    const camera = new THREE.PerspectiveCamera(75, screenWidth / screenHeight, 0.1, 1000);
-    scene.add(camera);
-    
-    // Store scene and camera for later use (marker tracking, video rendering)
-    window.xrScene = scene;
-    window.xrCamera = camera;
-    
-    // Start the render loop
-    renderer.setAnimationLoop((time, frame) => {
-      // Three.js automatically handles XR rendering and camera feed
-      renderer.render(scene, camera);
-      frameCount++;
-      
-      // Update marker tracking (Step 5)
-      if (xrSession && referenceSpace && frame) {
-        const markerPose = updateMarkerTracking(frame, referenceSpace);
-        
-        if (markerPose) {
-          // Marker is detected - we have its pose
-          // This will be used in Step 6 to position the video/animation
-          // For now, we just track it (logging happens in marker-tracker.js)
-        }
-      }
-      
-      if (frameCount === 1) {
-        debugLog('✅ Three.js render loop started', 'success');
-        debugLog('Camera feed should be visible via Three.js XR', 'info');
-      }
-      
-      // Update debug status periodically
-      if (frameCount % 60 === 0) {
-        updateDebugStatus();
-      }
-    });
+// Request AR session with image tracking
+async function startARSession() {
+  if (!controller.canStart()) {
+    return false;
+  }
+  try {
+    await controller.start();
+    if (controller.state !== SESSION_STATE.RUNNING && controller.state !== SESSION_STATE.PAUSED) {
+      return false;
+    }
+    log(`Session initialized (${controller.mode} mode)`, 'success', 'session');
 
-    debugLog('WebXR session initialized - camera feed should be visible', 'success');
-    debugLog('If you see black screen, the XRWebGLLayer may not be rendering', 'warning');
-    
     // iOS WebXRViewer specific note
     if (navigator.userAgent.includes('WebXRViewer')) {
-      debugLog('⚠️ iOS WebXRViewer detected - camera feed support may be limited', 'warning');
-      debugLog('Consider testing on Android Chrome for full WebXR support', 'info');
+      log('⚠️ iOS WebXRViewer detected - camera feed support may be limited', 'warning', 'session');
+      log('Consider testing on Android Chrome for full WebXR support', 'info', 'session');
     }
-    
     return true;
-
   } catch (error) {
-    debugLog(`Failed to start AR session: ${error.message}`, 'error');
-    debugLog(`Error stack: ${error.stack}`, 'error');
+    log(`Failed to start: ${error.message}`, 'error', 'session', { stack: error.stack });
     showError(`Failed to start AR: ${error.message}`);
     return false;
   }
 }
 
-// Three.js handles the render loop automatically via setAnimationLoop
-// No need for manual onXRFrame function - Three.js does it all!
+// Show error message on the error screen
+function showError(message) {
+  // Callers have logged the error itself
+  log(`Showing the error screen: ${message}`, 'debug');
+  errorMessage.textContent = message;
+  // Nowhere to go back to until AR is ready to start
+  errorBackButton.hidden = !controller;
+  showScreen(errorScreen);
+}
 
-// Handle session end
-function handleSessionEnd() {
-  debugLog('AR session ended', 'warning');
-  
-  // Stop Three.js animation loop
-  if (renderer) {
-    renderer.setAnimationLoop(null);
-    debugLog('Three.js animation loop stopped', 'info');
+// Set up revealing the gift card named by a campaign link - the backend is
+// fixed at build time (VITE_REDEMPTION_ENDPOINT) so a link can't point the
+// card at another server
+function createCardRedemption(cardId) {
+  const endpoint = import.meta.env.VITE_REDEMPTION_ENDPOINT;
+  if (!cardId) {
+    return null;
   }
-  
-  xrSession = null;
-  referenceSpace = null;
-  renderer = null;
-  updateDebugStatus();
-  
-  // Reset canvas
-  const gl = canvas.getContext('webgl');
-  if (gl) {
-    gl.clearColor(0, 0, 0, 0);
-    gl.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT);
+  if (!endpoint) {
+    log(`ℹ️ Card "${cardId}" can't be revealed: no redemption endpoint configured (VITE_REDEMPTION_ENDPOINT)`, 'warning');
+    return null;
   }
-}
-
-// Show error message (temporary - no UI, so we'll use console and alert)
-function showError(message) {
-  console.error('ERROR:', message);
-  // In production, you might want to show a user-friendly message
-  // For now, we'll just log it
-  alert(message); // Temporary - will be removed when we have proper error handling
+  const cardRedemption = createRedemption({
+    adapter: createRestRedemptionAdapter({ endpoint }),
+    cardId,
+    log: logger.scoped('app')
+  });
+  cardRedemption.on('change', updateRedemptionPanel);
+  updateRedemptionPanel(cardRedemption);
+  return cardRedemption;
 }
 
 // Initialize WebXR when page loads
 async function init() {
-  debugLog('Initializing WebXR Gift Card...', 'info');
-  debugLog(`User Agent: ${navigator.userAgent}`, 'info');
-  debugLog(`HTTPS: ${location.protocol === 'https:'}`, location.protocol === 'https:' ? 'success' : 'error');
-
-  // Check support
-  const isSupported = await checkWebXRSupport();
-  if (!isSupported) {
-    debugLog('WebXR support check failed', 'error');
+  log('Initializing WebXR Gift Card...', 'info');
+  log(`User Agent: ${navigator.userAgent}`, 'info');
+  log(`HTTPS: ${location.protocol === 'https:'}`, location.protocol === 'https:' ? 'success' : 'error');
+
+  // A signed campaign link picks the experience and personalises the card;
+  // anything else gets the default experience (public/experience.json)
+  let campaign = null;
+  try {
+    campaign = await resolveCampaign(location.href, { key: import.meta.env.VITE_CAMPAIGN_KEY || '', log });
+  } catch (error) {
+    // e.g. no Web Crypto outside a secure context - show the card without
+    // personal text rather than not at all
+    log(`⚠️ Campaign link could not be checked (${error.message}) - using the default experience`, 'warning', 'session');
+  }
+
+  // Load the experience manifest (markers and their content)
+  try {
+    let manifest;
+    try {
+      manifest = await loadExperience(getCampaignExperiencePath(campaign?.campaign), { log });
+    } catch (error) {
+      if (!campaign?.campaign) {
+        throw error;
+      }
+      log(`⚠️ Campaign "${campaign.campaign}" experience unavailable (${error.message}) - using the default experience`, 'warning', 'asset');
+      manifest = await loadExperience(undefined, { log });
+    }
+    experience = campaign ? { ...manifest, personalisation: campaign } : manifest;
+    telemetryContext.experienceId = experience.id;
+    if (campaign) {
+      telemetryContext.campaignId = campaign.campaign || null;
+      telemetryContext.cardId = campaign.card || null;
+    }
+    redemption = createCardRedemption(campaign?.card);
+    log(`Experience "${experience.id}" loaded (v${experience.version}, ${experience.markers.length} marker(s))`, 'success', 'asset');
+  } catch (error) {
+    log(`❌ ${error.message}`, 'error', 'asset');
+    for (const line of error.validationErrors || []) {
+      log(`  • ${line}`, 'error', 'asset');
+    }
+    const details = error.validationErrors ? `\n\n${error.validationErrors.join('\n')}` : '';
+    showError(`Could not load the experience: ${error.message}${details}`);
     return;
   }
 
-  // Automatically request AR session (no UI needed as per requirements)
-  // Note: This will request camera permission automatically
-  debugLog('Attempting to start AR session...', 'info');
-  const sessionStarted = await requestARSession();
-  
-  if (sessionStarted) {
-    debugLog('✅ WebXR AR session is active and ready for marker tracking', 'success');
+  // Pick the session mode: ?replay plays back a tracking recording and
+  // ?simulate runs scripted marker poses on a desktop, otherwise WebXR,
+  // falling back to camera tracking without WebXR AR
+  let mode = 'webxr';
+  let script = null;
+  let recording = null;
+  if (params.get('replay')) {
+    mode = 'replay';
+    const recordingPath = params.get('replay');
+    try {
+      recording = await loadRecording(recordingPath);
+    } catch (error) {
+      log(`❌ ${error.message}`, 'error', 'tracker');
+      showError(error.message);
+      return;
+    }
+    log(`⏯️ Replaying ${recordingPath} (${recording.frames.length} frames, recorded with ${recording.header.backend} on ${recording.header.startedAt})`, 'warning', 'tracker');
+    modeNote.textContent = 'Replay mode: marker poses come from a tracking recording, no camera is used.';
+    modeNote.hidden = false;
+  } else if (params.has('simulate')) {
+    mode = 'simulator';
+    const scriptPath = params.get('simulate');
+    if (scriptPath) {
+      try {
+        script = await loadSimulatorScript(scriptPath);
+      } catch (error) {
+        log(`❌ ${error.message}`, 'error', 'tracker');
+        showError(error.message);
+        return;
+      }
+    }
+    log(`🧪 Simulator mode (${scriptPath || 'default script'})`, 'warning');
+    modeNote.textContent = 'Simulator mode: marker poses are scripted, no camera is used.';
+    modeNote.hidden = false;
   } else {
-    debugLog('❌ Failed to start AR session', 'error');
+    const support = await checkWebXRSupport();
+    if (!support.supported) {
+      log('WebXR support check failed', 'error', 'session');
+      if (!isCameraFallbackSupported()) {
+        showUnsupported(support.message);
+        return;
+      }
+      mode = 'camera';
+      log('📷 Using camera fallback mode (getUserMedia + in-browser marker detection)', 'warning', 'session');
+      modeNote.textContent = 'This browser doesn\'t support WebXR AR, so the card is found with the camera instead. Hold the card flat and well lit.';
+      modeNote.hidden = false;
+    }
   }
+
+  // Preload marker images and videos behind the entry screen
+  log('Preloading experience assets...', 'info', 'asset');
+  const assets = await preloadExperience(experience, updateLoading, { log: logger.scoped('asset') });
+  for (const error of assets.errors) {
+    log(`⚠️ ${error.message}`, 'error', 'asset');
+  }
+  log(`Preloaded ${assets.images.size} marker image(s), ${assets.videos.size} video(s), ${assets.clips.size} reveal clip(s), ${assets.models.size} model(s)`, 'success', 'asset');
+
+  createSessionController(assets, mode, { script, recording });
+
+  // Wait for the user to tap Start AR - immersive-ar needs a user gesture
+  loadingEl.hidden = true;
+  startButton.disabled = false;
+  log('Ready - tap "Start AR" to begin', 'success');
 }
 
 // Start initialization when DOM is ready
@@ -0,0 +1,381 @@
+// Marker Content - the content shown on each marker during a session
+// Creates the content declared in the manifest, smooths marker poses, and
+// follows the tracker's detected/stale/lost/pose events (Step 6). Video
+// content with a reveal clip plays the card reveal first (reveal-content.js);
+// model content shows a preloaded glTF model (model-content.js). A verified
+// campaign link's personal text (experience.personalisation, campaign.js) is
+// shown on every card: as the reveal's text, or standing behind the content.
+// With a redemption (redemption.js), a gift card to tap and turn over appears
+// on each marker once its content has played (redemption-content.js).
+// Content declares the objects that react to taps and hover in its `targets`
+// array; they're registered with the session's interaction layer
+// (interaction.js) for as long as the content exists.
+
+import { createVideoContent } from './video-content.js';
+import { createRevealContent } from './reveal-content.js';
+import { createModelContent } from './model-content.js';
+import { createPoseFilter } from './pose-filter.js';
+import { createTextMesh } from './text-mesh.js';
+import { createRedemptionContent } from './redemption-content.js';
+import { getPersonalMessage } from './campaign.js';
+
+/**
+ * Create the content for every marker in the experience
+ * @param {Object} options
+ * @param {THREE.Scene} options.scene - Scene the content is added to
+ * @param {Object} options.experience - Validated experience manifest, with the campaign link's personalisation if any
+ * @param {Map<string, HTMLVideoElement>} options.videos - Preloaded videos by marker id
+ * @param {Map<string, Object>} options.clips - Preloaded reveal clips by marker id
+ * @param {Map<string, Object>} options.models - Preloaded glTF models by marker id
+ * @param {Function} options.log - Logger (message, type, category) => void, e.g. logger.scoped('session') (logger.js)
+ * @param {Function} options.onPlaybackChange - Called after playback or sound changes
+ * @param {Object} options.redemption - The card's redemption (createRedemption), if the link names a card
+ * @param {Object} options.interaction - Interaction layer (createInteraction) the content's targets are added to
+ * @returns {Object} Content manager
+ */
+export function createMarkerContent({ scene, experience, videos = new Map(), clips = new Map(), models = new Map(), log = () => {}, onPlaybackChange = () => {}, redemption = null, interaction = null }) {
+  const contents = new Map(); // Marker id -> video or model content anchored to that marker
+  const poseFilters = new Map(); // Marker id -> pose filter smoothing that marker's pose
+  const filteredPoses = new Map(); // Marker id -> { time, pose } last filtered, so a frame is filtered once
+  const unsubscribers = [];
+  let pausedContents = []; // Content that was playing when the content was paused
+  let paused = false;
+  let muted = false; // Sound turned off with the mute control
+  const message = getPersonalMessage(experience.personalisation);
+  const messageMeshes = []; // Personal text planes added to non-reveal content
+  const cards = new Map(); // Marker id -> redemption card on that marker
+
+  for (const marker of experience.markers) {
+    let content;
+    if (marker.content?.type === 'video') {
+      content = createMarkerVideo(marker);
+    } else if (marker.content?.type === 'model') {
+      const gltf = models.get(marker.id);
+      if (!gltf) {
+        // The load error was reported during preloading
+        log(`⚠️ No model for marker "${marker.id}" (${marker.content.src} did not load)`, 'warning', 'asset');
+        continue;
+      }
+      content = createModelContent(marker, gltf, log);
+      log(`Model content ready for marker "${marker.id}": ${marker.content.src} (${gltf.animations.length} animation(s))`, 'info', 'asset');
+    } else {
+      continue;
+    }
+    if (message && !content.timeline) {
+      addMessage(marker, content);
+    }
+    if (redemption) {
+      addRedemptionCard(marker, content);
+    }
+    addTargets(content.targets);
+    scene.add(content.object);
+    contents.set(marker.id, content);
+  }
+
+  // Let the interaction layer dispatch taps and hovers to content objects
+  function addTargets(targets = []) {
+    if (!interaction) {
+      return;
+    }
+    for (const target of targets) {
+      unsubscribers.push(interaction.add(target));
+    }
+  }
+
+  // Stand the personal text up behind the card, facing the viewer
+  function addMessage(marker, content) {
+    const mesh = createTextMesh(message, { width: marker.physicalWidth });
+    mesh.position.set(0, mesh.geometry.parameters.height / 2 + 0.005, -marker.physicalHeight / 2 - 0.002);
+    content.object.add(mesh);
+    messageMeshes.push(mesh);
+  }
+
+  // Lay the gift card on the marker; it shows once a video has ended, or on
+  // first show for looping videos and models
+  function addRedemptionCard(marker, content) {
+    const card = createRedemptionContent({ marker, parent: content.object, redemption, log });
+    if (playsOnce(content)) {
+      const { video } = content;
+      const enable = () => card.enable();
+      video.addEventListener('ended', enable);
+      // Preloaded videos outlive the session
+      unsubscribers.push(() => video.removeEventListener('ended', enable));
+    }
+    addTargets(card.targets);
+    cards.set(marker.id, card);
+  }
+
+  // Video content that stops at its end (rather than looping)
+  function playsOnce(content) {
+    return Boolean(content.video) && !content.video.loop;
+  }
+
+  // Create a marker's video content, with its reveal if it has a clip
+  function createMarkerVideo(marker) {
+    const content = createVideoContent(marker, videos.get(marker.id), log);
+    content.video.addEventListener('error', () => {
+      log(`⚠️ Video ${marker.content.src} failed to load for "${marker.id}"`, 'error', 'asset');
+    });
+    if (!clips.has(marker.id)) {
+      log(`Video content ready for marker "${marker.id}": ${marker.content.src}`, 'info', 'asset');
+      return content;
+    }
+    const reveal = createRevealContent({
+      marker,
+      videoContent: content,
+      clip: clips.get(marker.id),
+      message,
+      log,
+      // The clip's playVideo event starts the video
+      playVideo: () => content.play()
+        .then(onPlaybackChange)
+        .catch((error) => log(`⚠️ Video playback failed for "${marker.id}": ${error.message}`, 'error', 'render'))
+    });
+    log(`Video content ready for marker "${marker.id}": ${marker.content.src} (reveal "${reveal.timeline.clip.id}")`, 'info', 'asset');
+    return reveal;
+  }
+
+  // Smooth a marker's raw pose before it is applied to content
+  // The detected and pose events of one frame carry the same measurement, so
+  // the second asks for the pose the first already filtered
+  function getFilteredPose(markerId, pose, time) {
+    const last = filteredPoses.get(markerId);
+    if (last && last.time === time) {
+      return last.pose;
+    }
+    let filter = poseFilters.get(markerId);
+    if (!filter) {
+      filter = createPoseFilter(experience.poseFilter);
+      poseFilters.set(markerId, filter);
+    }
+    const filtered = filter.filter(pose, time);
+    filteredPoses.set(markerId, { time, pose: filtered });
+    return filtered;
+  }
+
+  function showContent(markerId, pose) {
+    const content = contents.get(markerId);
+    if (!content) {
+      return;
+    }
+    content.update(pose);
+    if (!playsOnce(content)) {
+      cards.get(markerId)?.enable();
+    }
+    if (paused) {
+      // Shown when playback resumes
+      content.object.visible = true;
+      pausedContents.push(content);
+      return;
+    }
+    content.show()
+      .then(onPlaybackChange)
+      .catch((error) => log(`⚠️ Video playback failed for "${markerId}": ${error.message}`, 'error', 'render'));
+  }
+
+  return {
+    /**
+     * Follow a tracker's events
+     * Video starts on first detection and resumes when the marker returns
+     * @param {MarkerTracker} tracker - Tracker for the current session
+     */
+    attach(tracker) {
+      unsubscribers.push(
+        tracker.on('detected', ({ markerId, pose, recovered, timestamp }) => {
+          log(`🎯 Marker "${markerId}" ${recovered ? 'tracked again' : 'detected'}!`, 'success', 'tracker');
+          if (!recovered) {
+            // Start smoothing afresh - the marker may have moved while it was lost
+            poseFilters.get(markerId)?.reset();
+            filteredPoses.delete(markerId);
+          }
+          // Placed from the filter like every later frame, so content doesn't
+          // jump from the raw pose to the filtered one
+          showContent(markerId, getFilteredPose(markerId, pose, timestamp));
+        }),
+        tracker.on('stale', ({ markerId }) => {
+          // Content stays on the emulated pose until the marker is tracked again or lost
+          log(`⏸️ Marker "${markerId}" out of view (emulated pose)`, 'warning', 'tracker');
+        }),
+        tracker.on('lost', ({ markerId, reason }) => {
+          log(`❌ Marker "${markerId}" lost (${reason})`, 'warning', 'tracker');
+          const content = contents.get(markerId);
+          if (content) {
+            content.hide();
+            pausedContents = pausedContents.filter((c) => c !== content);
+          }
+        }),
+        // Marker is detected (or stale) - keep its content anchored
+        tracker.on('pose', ({ markerId, pose, timestamp }) => {
+          contents.get(markerId)?.update(getFilteredPose(markerId, pose, timestamp));
+        }),
+        tracker.on('error', ({ error, phase }) => {
+          log(`⚠️ Marker tracking error (${phase}): ${error.message}`, 'error', 'tracker');
+        })
+      );
+    },
+
+    /**
+     * Advance animated content (reveal timelines) - call once per frame
+     * @param {number} time - Frame time in milliseconds
+     */
+    update(time) {
+      for (const content of contents.values()) {
+        content.tick?.(time);
+      }
+      for (const card of cards.values()) {
+        card.tick(time);
+      }
+    },
+
+    /**
+     * Pause all playing videos and reveals (page or XR session hidden)
+     */
+    pause() {
+      if (paused) {
+        return;
+      }
+      paused = true;
+      pausedContents = [...contents.values()].filter((content) => content.playing);
+      for (const content of pausedContents) {
+        content.pause();
+      }
+    },
+
+    /**
+     * Resume the videos that were playing when pause() was called
+     */
+    resume() {
+      if (!paused) {
+        return;
+      }
+      paused = false;
+      const contents = pausedContents;
+      pausedContents = [];
+      for (const content of contents) {
+        content.show()
+          .then(onPlaybackChange)
+          .catch((error) => log(`⚠️ Video playback failed for "${content.markerId}": ${error.message}`, 'error', 'render'));
+      }
+    },
+
+    /**
+     * Apply a quality tier's budgets (see quality.js) to the content
+     * @param {Object} tier - Quality tier
+     */
+    setQuality(tier) {
+      for (const content of contents.values()) {
+        content.setMaxHeight?.(tier.maxVideoHeight);
+        content.setParticleBudget?.(tier.maxParticles);
+      }
+    },
+
+    /**
+     * Check if any video is muted only because autoplay with sound was blocked
+     * @returns {boolean} True if a user gesture is needed to turn sound on
+     */
+    needsUnmute() {
+      return [...contents.values()].some((content) => content.needsUnmute());
+    },
+
+    /**
+     * Turn sound on for every video - must run from a user gesture
+     * @returns {Promise<void>}
+     */
+    unmute() {
+      const pending = [...contents.values()].filter((content) => content.needsUnmute());
+      if (pending.length === 0) {
+        return Promise.resolve();
+      }
+      return Promise.all(pending.map((content) => content.unmute()))
+        .then(() => log('🔊 Video sound enabled', 'success', 'render'))
+        .catch((error) => log(`⚠️ Could not enable sound: ${error.message}`, 'error', 'render'))
+        .finally(onPlaybackChange);
+    },
+
+    /**
+     * Whether sound was turned off with setMuted()
+     */
+    get muted() {
+      return muted;
+    },
+
+    /**
+     * Check if any content has sound (a video the manifest doesn't mute)
+     * @returns {boolean} True if a mute control is useful
+     */
+    hasSound() {
+      return [...contents.values()].some((content) => content.hasSound);
+    },
+
+    /**
+     * Turn sound off for every video, or back on - turning it on must run
+     * from a user gesture
+     * @param {boolean} value - True to turn sound off
+     * @returns {Promise<void>}
+     */
+    setMuted(value) {
+      muted = value;
+      return Promise.all([...contents.values()].map((content) => content.setMuted(value)))
+        .then(() => log(value ? '🔇 Sound off' : '🔊 Sound on', 'info', 'render'))
+        .catch((error) => log(`⚠️ Could not turn sound ${value ? 'off' : 'on'}: ${error.message}`, 'error', 'render'))
+        .finally(onPlaybackChange);
+    },
+
+    /**
+     * Play the content on the markers in view again from the start; their
+     * gift cards hide until a video that plays once has ended again
+     */
+    replay() {
+      if (paused) {
+        return;
+      }
+      for (const [markerId, content] of contents) {
+        if (!content.object.visible) {
+          continue;
+        }
+        if (playsOnce(content)) {
+          cards.get(markerId)?.disable();
+        }
+        log(`🔁 Replaying content on "${markerId}"`, 'info', 'render');
+        content.replay()
+          .then(onPlaybackChange)
+          .catch((error) => log(`⚠️ Video playback failed for "${markerId}": ${error.message}`, 'error', 'render'));
+      }
+    },
+
+    /**
+     * Check if a gift card is showing on a marker in view
+     * @returns {boolean} True if there's a card to tap
+     */
+    isCardShown() {
+      return [...cards].some(([markerId, card]) => card.enabled && contents.get(markerId).object.visible);
+    },
+
+    /**
+     * Stop following the tracker and release all content
+     */
+    dispose() {
+      for (const unsubscribe of unsubscribers.splice(0)) {
+        unsubscribe();
+      }
+      for (const mesh of messageMeshes.splice(0)) {
+        mesh.removeFromParent();
+        mesh.geometry.dispose();
+        mesh.material.map.dispose();
+        mesh.material.dispose();
+      }
+      for (const card of cards.values()) {
+        card.dispose();
+      }
+      cards.clear();
+      for (const content of contents.values()) {
+        content.dispose();
+      }
+      contents.clear();
+      poseFilters.clear();
+      filteredPoses.clear();
+      pausedContents = [];
+      onPlaybackChange();
+    }
+  };
+}
@@ -0,0 +1,162 @@
+// Marker Detector - finds marker images in camera frames without WebXR
+// Used by the camera fallback: each marker image is described once (at
+// several scales, so it can be found near and far), then every camera frame
+// is matched against it and the marker pose is recovered from the homography.
+//
+// Pure logic only (no DOM) - marker-detector.worker.js runs it off the main
+// thread, and it can be run on synthetic frames in Node.
+
+import { extractFeatures, matchFeatures, resizeGrayscale } from './image-features.js';
+import { findHomography, isConvexQuad, poseFromHomography, projectPoint } from './homography.js';
+
+// Default detector settings
+export const DEFAULT_DETECTOR_OPTIONS = {
+  referenceSize: 320, // px - longest side the marker image is described at
+  pyramidLevels: 4, // Marker image scales described (for near and far markers)
+  pyramidScale: 0.7, // Size factor between scales
+  referenceFeatures: 300, // Features kept per marker scale
+  frameFeatures: 500, // Features kept per camera frame
+  fastThreshold: 20, // FAST corner threshold
+  minFeatures: 60, // Fewer features than this and the marker is untrackable
+  minInliers: 15, // Matches that must agree on one homography for a detection
+  maxDistance: 64, // Largest accepted descriptor distance (bits of 256)
+  ratio: 0.8, // Ratio test between best and second best match
+  ransacThreshold: 4 // px - reprojection error allowed for inliers
+};
+
+/**
+ * Create a detector for a set of marker images
+ * @param {Object} options - Overrides for DEFAULT_DETECTOR_OPTIONS
+ * @returns {Object} Detector with addMarker(marker) and detect(frame, intrinsics)
+ */
+export function createMarkerDetector(options = {}) {
+  const settings = { ...DEFAULT_DETECTOR_OPTIONS, ...options };
+  const markers = [];
+
+  return {
+    /**
+     * Describe a marker image so it can be detected
+     * @param {Object} marker
+     * @param {string} marker.id - Marker id
+     * @param {Uint8Array} marker.gray - Grayscale pixels of the marker image
+     * @param {number} marker.width - Image width in pixels
+     * @param {number} marker.height - Image height in pixels
+     * @param {number} marker.physicalWidth - Printed width in meters
+     * @param {number} marker.physicalHeight - Printed height in meters
+     * @returns {Object} { id, score: 'trackable' | 'untrackable', featureCount }
+     */
+    addMarker({ id, gray, width, height, physicalWidth, physicalHeight }) {
+      const scale = Math.min(1, settings.referenceSize / Math.max(width, height));
+      const base = resizeGrayscale(gray, width, height, scale);
+
+      const levels = [];
+      let featureCount = 0;
+      for (let level = 0; level < settings.pyramidLevels; level++) {
+        const levelScale = Math.pow(settings.pyramidScale, level);
+        const image = level === 0 ? base : resizeGrayscale(base.gray, base.width, base.height, levelScale);
+        const features = extractFeatures(image.gray, image.width, image.height, {
+          fastThreshold: settings.fastThreshold,
+          maxFeatures: settings.referenceFeatures
+        });
+        if (features.keypoints.length === 0) {
+          break;
+        }
+        // Keypoints in base-image pixels, whatever scale they were found at
+        const points = features.keypoints.map((keypoint) => ({
+          x: keypoint.x * (base.width / image.width),
+          y: keypoint.y * (base.height / image.height)
+        }));
+        levels.push({ descriptors: features.descriptors, points });
+        featureCount += points.length;
+      }
+
+      const entry = {
+        id,
+        width: base.width,
+        height: base.height,
+        physicalWidth,
+        physicalHeight,
+        levels,
+        trackable: (levels[0]?.points.length || 0) >= settings.minFeatures
+      };
+      markers.push(entry);
+      return { id, score: entry.trackable ? 'trackable' : 'untrackable', featureCount };
+    },
+
+    /**
+     * Find the markers in a camera frame
+     * @param {Object} frame - { gray: Uint8Array, width, height }
+     * @param {Object} intrinsics - Camera intrinsics in frame pixels ({ fx, fy, cx, cy })
+     * @returns {Array<Object>} One entry per marker found: { id, pose, corners, inliers }
+     */
+    detect(frame, intrinsics) {
+      const trackable = markers.filter((marker) => marker.trackable);
+      if (trackable.length === 0) {
+        return [];
+      }
+
+      const features = extractFeatures(frame.gray, frame.width, frame.height, {
+        fastThreshold: settings.fastThreshold,
+        maxFeatures: settings.frameFeatures
+      });
+      if (features.keypoints.length < settings.minInliers) {
+        return [];
+      }
+
+      const detections = [];
+      for (const marker of trackable) {
+        const detection = detectMarker(marker, features, intrinsics, settings);
+        if (detection) {
+          detections.push(detection);
+        }
+      }
+      return detections;
+    }
+  };
+}
+
+/**
+ * Match one marker against a frame's features and recover its pose
+ * @returns {Object|null} { id, pose, corners, inliers } or null if not found
+ */
+function detectMarker(marker, features, intrinsics, settings) {
+  // Best match per frame keypoint across all marker scales
+  const bestByQuery = new Map();
+  for (const level of marker.levels) {
+    const matches = matchFeatures(features.descriptors, level.descriptors, settings);
+    for (const match of matches) {
+      const current = bestByQuery.get(match.queryIndex);
+      if (!current || match.distance < current.distance) {
+        bestByQuery.set(match.queryIndex, { ...match, point: level.points[match.trainIndex] });
+      }
+    }
+  }
+  if (bestByQuery.size < settings.minInliers) {
+    return null;
+  }
+
+  const src = [];
+  const dst = [];
+  for (const [queryIndex, match] of bestByQuery) {
+    src.push(match.point);
+    dst.push(features.keypoints[queryIndex]);
+  }
+
+  const result = findHomography(src, dst, { threshold: settings.ransacThreshold });
+  if (!result || result.inliers.length < settings.minInliers) {
+    return null;
+  }
+
+  // The marker outline must still look like a (perspective) rectangle
+  const corners = [[0, 0], [marker.width, 0], [marker.width, marker.height], [0, marker.height]]
+    .map(([x, y]) => projectPoint(result.homography, x, y));
+  if (!isConvexQuad(corners)) {
+    return null;
+  }
+
+  const pose = poseFromHomography(result.homography, marker, intrinsics);
+  if (!pose) {
+    return null;
+  }
+  return { id: marker.id, pose, corners, inliers: result.inliers.length };
+}
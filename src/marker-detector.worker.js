@@ -0,0 +1,36 @@
+// Marker Detector Worker - runs marker-detector.js off the main thread
+// Messages in:
+// - { type: 'init', options, markers: [{ id, pixels, width, height, physicalWidth, physicalHeight }] }
+//   (pixels: RGBA buffer of the marker image)
+// - { type: 'detect', frameId, pixels, width, height, intrinsics } (pixels: RGBA buffer of the frame)
+// Messages out:
+// - { type: 'ready', scores } - one 'trackable' | 'untrackable' per marker, in init order
+// - { type: 'result', frameId, detections } - see createMarkerDetector().detect()
+// - { type: 'error', frameId, message }
+
+import { createMarkerDetector } from './marker-detector.js';
+import { toGrayscale } from './image-features.js';
+
+let detector = null;
+
+self.addEventListener('message', ({ data }) => {
+  try {
+    if (data.type === 'init') {
+      detector = createMarkerDetector(data.options);
+      const scores = data.markers.map((marker) => detector.addMarker({
+        ...marker,
+        gray: toGrayscale(new Uint8ClampedArray(marker.pixels), marker.width, marker.height)
+      }).score);
+      self.postMessage({ type: 'ready', scores });
+    } else if (data.type === 'detect') {
+      if (!detector) {
+        throw new Error('Detector used before init');
+      }
+      const gray = toGrayscale(new Uint8ClampedArray(data.pixels), data.width, data.height);
+      const detections = detector.detect({ gray, width: data.width, height: data.height }, data.intrinsics);
+      self.postMessage({ type: 'result', frameId: data.frameId, detections });
+    }
+  } catch (error) {
+    self.postMessage({ type: 'error', frameId: data.frameId, message: error.message });
+  }
+});
@@ -1,65 +1,66 @@
 // Marker Tracker - Step 4: Marker Image Registration
 // Step 5: Marker Detection and Tracking
 // Handles loading, registering, and detecting trackable marker images
-
-let trackableImage = null;
-let markerImageLoaded = false;
-
-// Tracking state
-let isMarkerDetected = false;
-let currentMarkerPose = null;
-let onMarkerDetectedCallback = null;
-let onMarkerLostCallback = null;
-
-// Marker configuration
-const MARKER_CONFIG = {
-  imagePath: '/marker-image.jpg', // Path to marker image in public folder
-  physicalWidth: 0.1, // Physical width in meters (10cm = 0.1m)
-  physicalHeight: 0.15 // Physical height in meters (assumes square, adjust if needed)
-};
+//
+// Where tracking results come from is up to a tracking backend, so the same
+// tracker (and the content following its events) runs on WebXR image tracking,
+// the camera fallback or a scripted simulator. A backend is an object with:
+// - init({ session, markers }) -> Promise<Array<'trackable' | 'untrackable'>>,
+//   one score per marker in registration order (marker.index)
+// - update({ frame, referenceSpace, timestamp }) -> Array<{ index, trackingState, pose }>,
+//   this frame's raw results; missing markers count as 'untracked'
+// - dispose()
+// The default is the WebXR image-tracking backend (webxr-backend.js).
+//
+// Several markers can be live at once. Each registered marker keeps its own
+// tracking state and pose, keyed by the marker id from its config. Marker
+// configs come from the experience manifest (public/experience.json).
+// Detected/stale/lost transitions are debounced by tracking-state.js.
+//
+// A MarkerTracker holds all state for one XR session; create a new one per
+// session. Details (image loading, registration, transitions) go to the
+// logger passed as options.log (logger.js). Subscribe with tracker.on(type, listener), which returns an
+// unsubscribe function. Events (listener receives the event detail):
+// - detected: { markerId, timestamp, pose, recovered }
+// - stale:    { markerId, timestamp, pose }
+// - lost:     { markerId, timestamp, pose, reason }
+// - pose:     { markerId, timestamp, pose, state } - every frame a marker is visible
+// - error:    { error, phase }
+
+import { TRACKING_STATE, createTrackingStateMachine } from './tracking-state.js';
+import { createWebXRBackend } from './webxr-backend.js';
+import { createAssetManager } from './asset-manager.js';
+
+// Event types dispatched by MarkerTracker
+export const TRACKER_EVENTS = ['detected', 'stale', 'lost', 'pose', 'error'];
 
 /**
- * Load the marker image from the public folder
+ * Load a marker image from the public folder
+ * The download is checked by the asset manager's validators (Git LFS
+ * pointer, content type, size and, with a hash, SHA-256)
+ * @param {string} imagePath - Path to the marker image
+ * @param {Object} options
+ * @param {Object} options.assetManager - Asset manager to download through (default: a new one)
+ * @param {string} options.sha256 - Expected SHA-256 (hex) of the image, if known
+ * @param {Function} options.onProgress - (loadedBytes, totalBytes|null) => void
+ * @param {Function} options.log - Logger (message, type, category) => void
  * @returns {Promise<ImageBitmap>} The loaded image as ImageBitmap
  */
-async function loadMarkerImage() {
+export async function loadMarkerImage(imagePath, { assetManager = createAssetManager(), sha256, onProgress, log = () => {} } = {}) {
   try {
-    console.log('Loading marker image from:', MARKER_CONFIG.imagePath);
-    
-    // Fetch the image
-    const response = await fetch(MARKER_CONFIG.imagePath);
-    if (!response.ok) {
-      throw new Error(`Failed to load marker image: ${response.status} ${response.statusText}. File may not exist or Git LFS file not downloaded.`);
-    }
+    log(`Loading marker image from: ${imagePath}`, 'debug', 'asset');
+
+    const blob = await assetManager.load({ src: imagePath, kind: 'image', sha256 }, onProgress);
 
-    // Convert to blob
-    const blob = await response.blob();
-    
-    // Check if blob is suspiciously small (Git LFS pointer files are < 200 bytes)
-    // or if it's actually a text file (Git LFS pointer)
-    if (blob.size < 200) {
-      // Might be a Git LFS pointer - check by reading as text
-      const text = await blob.text();
-      if (text.startsWith('version https://git-lfs.github.com')) {
-        throw new Error('Marker image is a Git LFS pointer file, not the actual image. The file needs to be downloaded from Git LFS. Check Vercel build logs and ensure GIT_LFS_TOKEN is set in environment variables.');
-      }
-      // If it's small but not a pointer, might be corrupted - throw error
-      throw new Error(`Marker image file is too small (${blob.size} bytes). File may be corrupted or not properly downloaded from Git LFS.`);
-    }
-    
     // Try to create ImageBitmap from the blob
     const imageBitmap = await createImageBitmap(blob);
     
-    console.log('Marker image loaded successfully:', {
-      width: imageBitmap.width,
-      height: imageBitmap.height
-    });
+    log(`Marker image loaded: ${imagePath} (${imageBitmap.width}x${imageBitmap.height})`, 'debug', 'asset');
 
-    markerImageLoaded = true;
     return imageBitmap;
 
   } catch (error) {
-    console.error('Error loading marker image:', error);
+    log(`Error loading marker image ${imagePath}: ${error.message}`, 'error', 'asset');
     
     // Provide helpful error message
     let errorMessage = `Could not load marker image: ${error.message}`;
@@ -67,10 +68,10 @@ async function loadMarkerImage() {
       errorMessage += '\n\nGit LFS Setup Required:\n';
       errorMessage += '1. Ensure GIT_LFS_TOKEN is set in Vercel environment variables\n';
       errorMessage += '2. Check Vercel build logs for Git LFS download errors\n';
-      errorMessage += '3. Verify marker-image.jpg is properly tracked by Git LFS\n';
-      errorMessage += '4. The file should be in /public/marker-image.jpg';
+      errorMessage += `3. Verify ${imagePath} is properly tracked by Git LFS\n`;
+      errorMessage += `4. The file should be in /public${imagePath}`;
     } else {
-      errorMessage += '\n\nMake sure marker-image.jpg exists in the public folder.';
+      errorMessage += `\n\nMake sure ${imagePath} exists in the public folder.`;
     }
     
     throw new Error(errorMessage);
@@ -78,292 +79,346 @@ async function loadMarkerImage() {
 }
 
 /**
- * Check if we're on a platform that likely doesn't support image tracking
- * @returns {boolean} True if on unsupported platform
+ * Check if a marker is in a visible state (detected or stale)
+ * @param {Object} marker - Marker registry entry
+ * @returns {boolean} True if content should be shown on the marker
  */
-function isUnsupportedPlatform() {
-  const userAgent = navigator.userAgent.toLowerCase();
-  const isMac = /macintosh|mac os x/i.test(navigator.platform);
-  const isDesktop = !/android|iphone|ipad|ipod|blackberry|iemobile|opera mini/i.test(userAgent);
-  
-  return isMac || (isDesktop && !/chrome/i.test(userAgent));
+function isVisibleState(marker) {
+  return marker.state === TRACKING_STATE.DETECTED || marker.state === TRACKING_STATE.STALE;
 }
 
 /**
- * Register the marker image as a trackable image with the XR session
- * @param {XRSession} session - The WebXR session
- * @param {ImageBitmap} imageBitmap - The marker image as ImageBitmap
- * @returns {Promise<XRTrackedImageImage>} The registered trackable image
+ * Tracks a set of markers for one XR session
  */
-async function registerTrackableImage(session, imageBitmap) {
-  try {
-    console.log('Registering marker image as trackable...');
-
-    // Check if image tracking API is available
-    if (!('ImageTracking' in window) || !session.requestImageTrackableImage) {
-      const isUnsupported = isUnsupportedPlatform();
-      if (isUnsupported) {
-        console.warn('⚠️ Image tracking not available on this platform (Mac/Desktop).');
-        console.info('ℹ️ This is expected - image tracking requires Android Chrome or compatible mobile device.');
-        console.info('ℹ️ The marker image is loaded and ready. Testing on Android will enable tracking.');
-        throw new Error('Image tracking not supported on this platform (expected on Mac/Desktop)');
-      } else {
-        throw new Error('Image tracking API not available. Try enabling WebXR Incubations in chrome://flags');
-      }
+export class MarkerTracker extends EventTarget {
+  /**
+   * @param {Object} options - Tracker options
+   * @param {Object} options.tracking - Hysteresis settings (see DEFAULT_TRACKING_OPTIONS in tracking-state.js)
+   * @param {Object} options.backend - Tracking backend (defaults to WebXR image tracking)
+   * @param {Function} options.log - Logger (message, type, category) => void
+   */
+  constructor(options = {}) {
+    super();
+    this.trackingOptions = options.tracking || {};
+    this.log = options.log || (() => {});
+    this.backend = options.backend || createWebXRBackend({ log: this.log });
+    // Marker registry, in the same order as the trackedImages session option
+    // Entries: { id, config, image, ownsImage, index, trackable, machine, state, pose }
+    this.markers = [];
+    this.subscriptions = new Set();
+    this.disposed = false;
+  }
+
+  /**
+   * Subscribe to a tracker event
+   * @param {string} type - One of TRACKER_EVENTS
+   * @param {Function} listener - Receives the event detail
+   * @returns {Function} Call to unsubscribe
+   */
+  on(type, listener) {
+    if (!TRACKER_EVENTS.includes(type)) {
+      throw new Error(`Unknown marker tracker event "${type}" (expected one of: ${TRACKER_EVENTS.join(', ')})`);
     }
+    const handler = (event) => listener(event.detail);
+    const subscription = { type, handler };
+    this.addEventListener(type, handler);
+    this.subscriptions.add(subscription);
+
+    return () => {
+      if (this.subscriptions.delete(subscription)) {
+        this.removeEventListener(type, handler);
+      }
+    };
+  }
 
-    // Create XRTrackedImageImage with physical dimensions
-    // The physical dimensions tell WebXR the real-world size of the marker
-    const trackedImage = await session.requestImageTrackableImage(imageBitmap, {
-      physicalWidth: MARKER_CONFIG.physicalWidth,
-      physicalHeight: MARKER_CONFIG.physicalHeight || MARKER_CONFIG.physicalWidth // Default to square
+  /**
+   * Dispatch a tracker event to all subscribers
+   * @param {string} type - Event type
+   * @param {Object} detail - Event detail
+   */
+  emit(type, detail) {
+    this.dispatchEvent(new CustomEvent(type, { detail }));
+  }
+
+  /**
+   * Load every marker image and build the marker registry
+   * Markers whose image fails to load are skipped so the others can still track
+   * @param {Array<Object>} markerConfigs - Marker configs from the manifest ({ id, imagePath, physicalWidth, physicalHeight, content })
+   * @param {Map<string, ImageBitmap>} preloadedImages - Images already loaded, by marker id (not closed on dispose)
+   * @returns {Promise<Array<Object>>} The registered markers, in tracked image order
+   */
+  async loadMarkers(markerConfigs, preloadedImages = new Map()) {
+    this.markers = [];
+
+    const results = await Promise.allSettled(
+      markerConfigs.map((config) => preloadedImages.get(config.id) || loadMarkerImage(config.imagePath, { log: this.log }))
+    );
+
+    const errors = [];
+    results.forEach((result, i) => {
+      const config = markerConfigs[i];
+      if (result.status === 'rejected') {
+        this.log(`⚠️ Marker "${config.id}" skipped: ${result.reason.message}`, 'error', 'asset');
+        errors.push(result.reason);
+        this.emit('error', { error: result.reason, phase: 'load', markerId: config.id });
+        return;
+      }
+      this.markers.push({
+        id: config.id,
+        config: { ...config },
+        image: result.value,
+        ownsImage: !preloadedImages.has(config.id),
+        index: this.markers.length,
+        trackable: false,
+        machine: createTrackingStateMachine(this.trackingOptions),
+        state: TRACKING_STATE.LOST,
+        pose: null
+      });
     });
 
-    if (!trackedImage) {
-      throw new Error('Failed to create trackable image');
+    if (this.markers.length === 0) {
+      throw errors[0] || new Error('No markers configured');
     }
 
-    trackableImage = trackedImage;
-    console.log('✅ Marker image registered successfully:', {
-      physicalWidth: MARKER_CONFIG.physicalWidth,
-      physicalHeight: MARKER_CONFIG.physicalHeight,
-      imageWidth: imageBitmap.width,
-      imageHeight: imageBitmap.height
-    });
-
-    return trackedImage;
+    this.log(`Loaded ${this.markers.length}/${markerConfigs.length} marker images`, 'debug', 'asset');
+    return this.markers;
+  }
 
-  } catch (error) {
-    // Don't log as error if it's expected (unsupported platform)
-    if (error.message.includes('expected on Mac/Desktop')) {
-      console.warn('Marker registration skipped:', error.message);
-    } else {
-      console.error('Error registering trackable image:', error);
-    }
-    throw error;
+  /**
+   * Build the `trackedImages` entries for navigator.xr.requestSession
+   * The order of this array defines the `index` reported in tracking results
+   * @returns {Array<{image: ImageBitmap, widthInMeters: number}>} Tracked images session option
+   */
+  createTrackedImagesConfig() {
+    return this.markers.map((marker) => ({
+      image: marker.image,
+      widthInMeters: marker.config.physicalWidth
+    }));
   }
-}
 
-/**
- * Initialize marker tracking - loads and registers the marker image
- * @param {XRSession} session - The WebXR session
- * @returns {Promise<XRTrackedImageImage>} The registered trackable image
- */
-export async function initializeMarkerTracking(session) {
-  try {
-    // Load the marker image
-    const imageBitmap = await loadMarkerImage();
+  /**
+   * Initialize marker tracking - asks the backend which markers it can track
+   * The markers must already have been loaded with loadMarkers() (for WebXR,
+   * also passed to requestSession via createTrackedImagesConfig())
+   * @param {XRSession|null} session - The WebXR session (if the backend needs one)
+   * @returns {Promise<Array<Object>|null>} The trackable markers, or null if unsupported
+   */
+  async initialize(session) {
+    for (const marker of this.markers) {
+      marker.trackable = false;
+      marker.machine.reset();
+      marker.state = TRACKING_STATE.LOST;
+      marker.pose = null;
+    }
 
-    // Register it as a trackable image
     try {
-      const trackedImage = await registerTrackableImage(session, imageBitmap);
-      return trackedImage;
+      const scores = (await this.backend.init({ session, markers: this.markers })) || [];
+
+      for (const marker of this.markers) {
+        marker.trackable = scores[marker.index] === 'trackable';
+        if (!marker.trackable) {
+          this.log(`⚠️ Marker "${marker.id}" was rejected as untrackable. Use a higher contrast image with more unique features.`, 'warning', 'tracker');
+        }
+      }
+
+      const trackableMarkers = this.markers.filter((marker) => marker.trackable);
+      if (trackableMarkers.length === 0) {
+        throw new Error('All marker images were rejected as untrackable. Use higher contrast images with more unique features.');
+      }
+
+      this.log(`✅ Marker images registered successfully (${this.backend.name})`, 'debug', 'tracker', trackableMarkers.map((marker) => ({
+        id: marker.id,
+        index: marker.index,
+        physicalWidth: marker.config.physicalWidth,
+        physicalHeight: marker.config.physicalHeight
+      })));
+
+      return trackableMarkers;
     } catch (error) {
       // If registration fails due to platform limitations, that's okay
-      // The image is still loaded and ready for when testing on supported devices
+      // The images are still loaded and ready for when testing on supported devices
       if (error.message.includes('expected on Mac/Desktop')) {
-        console.info('✅ Marker image loaded and ready. Will work on Android Chrome.');
-        return null; // Return null to indicate it's not registered but that's okay
+        this.log(`Marker registration skipped: ${error.message}`, 'debug', 'tracker');
+        this.log('✅ Marker images loaded and ready. Will work on Android Chrome.', 'debug', 'tracker');
+        return null; // Return null to indicate they're not registered but that's okay
       }
-      // Re-throw other errors
+      this.log(`Failed to initialize marker tracking: ${error.message}`, 'debug', 'tracker', { stack: error.stack });
+      this.emit('error', { error, phase: 'initialize' });
       throw error;
     }
-
-  } catch (error) {
-    // Only log as error if it's not a platform limitation
-    if (!error.message.includes('expected on Mac/Desktop')) {
-      console.error('Failed to initialize marker tracking:', error);
-    }
-    throw error;
   }
-}
 
-/**
- * Get the registered trackable image
- * @returns {XRTrackedImageImage|null} The trackable image or null if not registered
- */
-export function getTrackableImage() {
-  return trackableImage;
-}
-
-/**
- * Check if marker image has been loaded
- * @returns {boolean} True if marker image is loaded
- */
-export function isMarkerImageLoaded() {
-  return markerImageLoaded;
-}
-
-/**
- * Get marker configuration (for use in other modules)
- * @returns {Object} Marker configuration
- */
-export function getMarkerConfig() {
-  return { ...MARKER_CONFIG };
-}
-
-/**
- * Update marker tracking - checks for marker in current frame
- * Should be called every frame in the render loop
- * @param {XRFrame} frame - The current XR frame
- * @param {XRReferenceSpace} referenceSpace - The reference space for pose calculations
- * @returns {XRPose|null} The marker pose if detected, null otherwise
- */
-export function updateMarkerTracking(frame, referenceSpace) {
-  if (!trackableImage || !referenceSpace) {
-    return null;
-  }
-
-  // Check if frame has image tracking results
-  if (!frame.getImageTrackingResults) {
-    return null;
-  }
-
-  try {
-    // Get all image tracking results for this frame
-    const trackingResults = frame.getImageTrackingResults();
-    
-    if (!trackingResults || trackingResults.length === 0) {
-      // No tracking results
-      if (isMarkerDetected) {
-        // Marker was detected before but is now lost
-        handleMarkerLost();
-      }
-      return null;
+  /**
+   * Update marker tracking - checks for every marker in current frame
+   * Should be called every frame in the render loop
+   * @param {XRFrame|Object} frame - The current frame (an XRFrame for the WebXR backend)
+   * @param {XRReferenceSpace} referenceSpace - The reference space for pose calculations
+   * @param {number} timestamp - Frame time in milliseconds (the setAnimationLoop time)
+   * @returns {Array<Object>} One entry per trackable marker: { id, state, trackingState, pose, lastConfidentPose }
+   */
+  update(frame, referenceSpace, timestamp = performance.now()) {
+    const trackableMarkers = this.markers.filter((marker) => marker.trackable);
+    if (this.disposed || trackableMarkers.length === 0) {
+      return [];
     }
 
-    // Find the result that matches our trackable image
-    let markerResult = null;
-    for (const result of trackingResults) {
-      if (result.trackedImage === trackableImage) {
-        markerResult = result;
-        break;
+    let resultsByIndex;
+    try {
+      // Results reference markers by their registration index
+      const trackingResults = this.backend.update({ frame, referenceSpace, timestamp }) || [];
+      resultsByIndex = new Map();
+      for (const result of trackingResults) {
+        resultsByIndex.set(result.index, result);
       }
+    } catch (error) {
+      // Don't break the render loop (might be platform-specific API differences)
+      this.log(`Error getting image tracking results: ${error.message}`, 'debug', 'tracker', { stack: error.stack });
+      this.emit('error', { error, phase: 'update' });
+      return [];
     }
 
-    if (!markerResult) {
-      // Our marker is not in the results
-      if (isMarkerDetected) {
-        handleMarkerLost();
+    return trackableMarkers.map((marker) => {
+      const result = resultsByIndex.get(marker.index);
+      this.updateMarker(marker, result, timestamp);
+      if (isVisibleState(marker) && marker.pose) {
+        this.emit('pose', { markerId: marker.id, timestamp, pose: marker.pose, state: marker.state });
       }
-      return null;
+      return {
+        id: marker.id,
+        state: marker.state,
+        trackingState: result ? result.trackingState : 'untracked',
+        pose: marker.pose,
+        lastConfidentPose: marker.machine.lastConfidentPose
+      };
+    });
+  }
+
+  /**
+   * Apply one frame's tracking result to a marker
+   * State changes go through the marker's tracking state machine, which adds
+   * confirmation frames and a grace period so markers don't flicker
+   * @param {Object} marker - Marker registry entry
+   * @param {Object|undefined} result - The marker's backend result this frame ({ trackingState, pose })
+   * @param {number} timestamp - Frame time in milliseconds
+   */
+  updateMarker(marker, result, timestamp) {
+    const trackingState = result ? result.trackingState : 'untracked';
+    const pose = result && trackingState !== 'untracked' ? result.pose : null;
+
+    const events = marker.machine.update(trackingState, pose, timestamp);
+    marker.state = marker.machine.state;
+    marker.pose = marker.machine.pose;
+
+    for (const event of events) {
+      this.logTransition(marker, event);
+      this.emit(event.type, { markerId: marker.id, ...event });
     }
+  }
 
-    // Check tracking state
-    const trackingState = markerResult.trackingState;
-    
-    if (trackingState === 'tracked') {
-      // Marker is actively being tracked
-      // Get the pose of the marker relative to the reference space
-      const pose = frame.getPose(markerResult.imageSpace, referenceSpace);
-      
-      if (pose) {
-        // Marker is detected and we have a valid pose
-        if (!isMarkerDetected) {
-          // First time detecting the marker
-          handleMarkerDetected(pose);
+  /**
+   * Log a detected/stale/lost transition, with the marker position
+   * Debug level - content (marker-content.js) logs the transitions it acts on
+   * @param {Object} marker - Marker registry entry
+   * @param {Object} event - Tracking event from the state machine
+   */
+  logTransition(marker, event) {
+    if (event.type === 'detected') {
+      const { position } = event.pose.transform;
+      this.log(`🎯 Marker "${marker.id}" ${event.recovered ? 'tracked again' : 'detected'}!`, 'debug', 'tracker', {
+        position: {
+          x: position.x.toFixed(3),
+          y: position.y.toFixed(3),
+          z: position.z.toFixed(3)
         }
-        
-        // Update current pose
-        currentMarkerPose = pose;
-        isMarkerDetected = true;
-        
-        return pose;
-      }
-    } else if (trackingState === 'emulated') {
-      // Marker not currently visible, but using last known position
-      // We can still use the pose if available
-      const pose = frame.getPose(markerResult.imageSpace, referenceSpace);
-      if (pose && isMarkerDetected) {
-        // Keep using the last known pose
-        currentMarkerPose = pose;
-        return pose;
-      } else if (isMarkerDetected) {
-        // Lost tracking
-        handleMarkerLost();
-      }
-      return null;
-    } else {
-      // trackingState === 'untracked' - marker not detected
-      if (isMarkerDetected) {
-        handleMarkerLost();
-      }
-      return null;
+      });
+    } else if (event.type === 'stale') {
+      this.log(`⏸️ Marker "${marker.id}" stale (emulated pose)`, 'debug', 'tracker');
+    } else if (event.type === 'lost') {
+      this.log(`❌ Marker "${marker.id}" lost (${event.reason})`, 'debug', 'tracker');
     }
-
-  } catch (error) {
-    // Silently handle errors (might be platform-specific API differences)
-    console.warn('Error getting image tracking results:', error);
-    return null;
   }
-}
 
-/**
- * Handle marker detection (first time marker appears)
- * @param {XRPose} pose - The marker pose
- */
-function handleMarkerDetected(pose) {
-  isMarkerDetected = true;
-  currentMarkerPose = pose;
-  
-  console.log('🎯 Marker detected!', {
-    position: {
-      x: pose.transform.position.x.toFixed(3),
-      y: pose.transform.position.y.toFixed(3),
-      z: pose.transform.position.z.toFixed(3)
-    }
-  });
+  /**
+   * Find a registered marker by id
+   * @param {string} markerId - Marker id
+   * @returns {Object|undefined} Marker registry entry
+   */
+  findMarker(markerId) {
+    return this.markers.find((marker) => marker.id === markerId);
+  }
 
-  // Call callback if registered
-  if (onMarkerDetectedCallback) {
-    onMarkerDetectedCallback(pose);
+  /**
+   * Get a summary of every registered marker
+   * @returns {Array<Object>} Entries of { id, index, trackable, state }
+   */
+  getMarkers() {
+    return this.markers.map(({ id, index, trackable, state }) => ({ id, index, trackable, state }));
   }
-}
 
-/**
- * Handle marker lost (marker no longer in view)
- */
-function handleMarkerLost() {
-  isMarkerDetected = false;
-  currentMarkerPose = null;
-  
-  console.log('❌ Marker lost');
-
-  // Call callback if registered
-  if (onMarkerLostCallback) {
-    onMarkerLostCallback();
+  /**
+   * Get marker configuration (for use in other modules)
+   * @param {string} markerId - Marker id (defaults to the first registered marker)
+   * @returns {Object|null} Marker configuration
+   */
+  getMarkerConfig(markerId) {
+    const marker = markerId === undefined ? this.markers[0] : this.findMarker(markerId);
+    return marker ? { ...marker.config } : null;
   }
-}
 
-/**
- * Register callback for when marker is first detected
- * @param {Function} callback - Callback function that receives the marker pose
- */
-export function onMarkerDetected(callback) {
-  onMarkerDetectedCallback = callback;
-}
+  /**
+   * Get current marker detection state
+   * @param {string} markerId - Marker id (omit to check whether any marker is detected)
+   * @returns {boolean} True if the marker is currently detected or stale
+   */
+  isMarkerDetected(markerId) {
+    if (markerId === undefined) {
+      return this.markers.some(isVisibleState);
+    }
+    const marker = this.findMarker(markerId);
+    return !!marker && isVisibleState(marker);
+  }
 
-/**
- * Register callback for when marker is lost
- * @param {Function} callback - Callback function
- */
-export function onMarkerLost(callback) {
-  onMarkerLostCallback = callback;
-}
+  /**
+   * Get current marker pose
+   * @param {string} markerId - Marker id
+   * @returns {XRPose|null} Current marker pose or null if not detected
+   */
+  getMarkerPose(markerId) {
+    const marker = this.findMarker(markerId);
+    return marker ? marker.pose : null;
+  }
 
-/**
- * Get current marker detection state
- * @returns {boolean} True if marker is currently detected
- */
-export function isMarkerCurrentlyDetected() {
-  return isMarkerDetected;
-}
+  /**
+   * Get every marker that is currently visible (detected or stale)
+   * @returns {Array<Object>} Entries of { id, state, pose, config }
+   */
+  getVisibleMarkers() {
+    return this.markers
+      .filter((marker) => isVisibleState(marker) && marker.pose)
+      .map((marker) => ({
+        id: marker.id,
+        state: marker.state,
+        pose: marker.pose,
+        config: { ...marker.config }
+      }));
+  }
 
-/**
- * Get current marker pose
- * @returns {XRPose|null} Current marker pose or null if not detected
- */
-export function getCurrentMarkerPose() {
-  return currentMarkerPose;
+  /**
+   * Remove all listeners, release the backend and the marker images this tracker loaded
+   * The tracker cannot be used again afterwards
+   */
+  dispose() {
+    this.backend.dispose();
+    for (const { type, handler } of this.subscriptions) {
+      this.removeEventListener(type, handler);
+    }
+    this.subscriptions.clear();
+    for (const marker of this.markers) {
+      if (marker.ownsImage) {
+        marker.image?.close?.();
+      }
+    }
+    this.markers = [];
+    this.disposed = true;
+  }
 }
-
@@ -0,0 +1,131 @@
+// Mock WebXR objects for running the marker tracking flow outside a browser
+// Mirrors the subset of Chrome's image-tracking API that webxr-backend.js uses:
+// navigator.xr.requestSession({ trackedImages }), session.getTrackedImageScores()
+// and frame.getImageTrackingResults() / frame.getPose()
+
+/**
+ * Create a pose object shaped like XRPose
+ * @param {Object} position - Position in meters ({ x, y, z })
+ * @param {Object} orientation - Orientation quaternion ({ x, y, z, w })
+ * @returns {Object} Mock XRPose
+ */
+export function createMockPose(position = { x: 0, y: 0, z: 0 }, orientation = { x: 0, y: 0, z: 0, w: 1 }) {
+  const { x, y, z, w } = orientation;
+  // Column-major rotation + translation matrix, as XRRigidTransform.matrix
+  const matrix = new Float32Array([
+    1 - 2 * (y * y + z * z), 2 * (x * y + z * w), 2 * (x * z - y * w), 0,
+    2 * (x * y - z * w), 1 - 2 * (x * x + z * z), 2 * (y * z + x * w), 0,
+    2 * (x * z + y * w), 2 * (y * z - x * w), 1 - 2 * (x * x + y * y), 0,
+    position.x, position.y, position.z, 1
+  ]);
+
+  return {
+    transform: {
+      position: { x: position.x, y: position.y, z: position.z, w: 1 },
+      orientation: { x, y, z, w },
+      matrix
+    },
+    emulatedPosition: false
+  };
+}
+
+/**
+ * Mock XRSession created with the `trackedImages` session option
+ */
+export class MockXRSession {
+  /**
+   * @param {Object} sessionInit - The options passed to requestSession
+   * @param {Object} options - Mock behaviour
+   * @param {Array<string>} options.scores - Scores returned by getTrackedImageScores ('trackable' | 'untrackable')
+   */
+  constructor(sessionInit = {}, options = {}) {
+    this.sessionInit = sessionInit;
+    this.trackedImages = sessionInit.trackedImages || [];
+    this.scores = options.scores || this.trackedImages.map(() => 'trackable');
+    this.ended = false;
+    this.listeners = {};
+  }
+
+  /**
+   * @returns {Promise<Array<string>>} One score per registered image, in registration order
+   */
+  async getTrackedImageScores() {
+    return [...this.scores];
+  }
+
+  async requestReferenceSpace(type) {
+    return { type };
+  }
+
+  addEventListener(type, listener) {
+    (this.listeners[type] = this.listeners[type] || []).push(listener);
+  }
+
+  removeEventListener(type, listener) {
+    this.listeners[type] = (this.listeners[type] || []).filter((l) => l !== listener);
+  }
+
+  async end() {
+    if (this.ended) {
+      return;
+    }
+    this.ended = true;
+    for (const listener of this.listeners.end || []) {
+      listener({ type: 'end', session: this });
+    }
+  }
+}
+
+/**
+ * Mock XRFrame reporting a fixed set of image tracking results
+ */
+export class MockXRFrame {
+  /**
+   * @param {MockXRSession} session - The owning session
+   * @param {Array<Object>} results - Entries of { index, trackingState, pose, measuredWidthInMeters }
+   */
+  constructor(session, results = []) {
+    this.session = session;
+    this.results = results.map((result) => ({
+      index: result.index,
+      trackingState: result.trackingState || 'tracked',
+      measuredWidthInMeters: result.measuredWidthInMeters ??
+        session.trackedImages[result.index]?.widthInMeters ?? 0,
+      // imageSpace is an opaque handle; the pose is looked up from it in getPose
+      imageSpace: { pose: result.pose || null }
+    }));
+  }
+
+  getImageTrackingResults() {
+    return this.results;
+  }
+
+  getPose(space) {
+    return space?.pose || null;
+  }
+}
+
+/**
+ * Mock of navigator.xr supporting immersive-ar with image tracking
+ */
+export class MockXRSystem {
+  /**
+   * @param {Object} options - Passed to every MockXRSession created
+   */
+  constructor(options = {}) {
+    this.options = options;
+    this.lastSession = null;
+  }
+
+  async isSessionSupported(mode) {
+    return mode === 'immersive-ar';
+  }
+
+  async requestSession(mode, sessionInit = {}) {
+    if (mode !== 'immersive-ar') {
+      throw new Error(`Unsupported session mode: ${mode}`);
+    }
+    this.lastSession = new MockXRSession(sessionInit, this.options);
+    return this.lastSession;
+  }
+}
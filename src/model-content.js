@@ -0,0 +1,231 @@
+// Model Content - a glTF model standing on a marker
+// Shows a preloaded glTF model (model-loader.js) anchored to the marker pose:
+// scaled so its footprint matches the marker's physicalWidth (times the
+// content's "scale"), centered on the marker with its base on the card, then
+// moved by the content's "offset". Animation clips embedded in the model play
+// through an AnimationMixer while the marker is visible and hold while it is
+// lost. The model is lit by its own lights; the key light casts a shadow onto
+// the card when the quality tier has a shadow budget.
+//
+// Has the same interface as video content (video-content.js), plus tick(time)
+// per frame.
+
+import * as THREE from 'three';
+import { clone as cloneSkinned } from 'three/addons/utils/SkeletonUtils.js';
+
+/**
+ * Create model content anchored to a marker
+ * @param {Object} marker - Marker config from the manifest ({ id, physicalWidth, physicalHeight, content })
+ * @param {Object} gltf - Preloaded glTF (shared between sessions - copied, never changed)
+ * @param {Function} log - Logger (message, type, category) => void
+ * @returns {Object} Model content controller
+ */
+export function createModelContent(marker, gltf, log = () => {}) {
+  const content = marker.content;
+  const { physicalWidth: width, physicalHeight: height } = marker;
+
+  // Copy the scene so a restarted session starts from the model's rest pose
+  // (geometry, materials and textures are shared with the preloaded glTF)
+  const model = cloneSkinned(gltf.scene);
+  model.traverse((object) => {
+    if (object.isMesh) {
+      object.castShadow = true;
+    }
+  });
+
+  // Fit the model's footprint (largest of width and depth) to the marker
+  // width, centered on the marker with its base on the card
+  const box = new THREE.Box3().setFromObject(model);
+  const size = box.getSize(new THREE.Vector3());
+  const footprint = Math.max(size.x, size.z) || Math.max(size.x, size.y, size.z) || 1;
+  const center = box.getCenter(new THREE.Vector3());
+  model.position.set(-center.x, -box.min.y, -center.z);
+  const fit = new THREE.Group();
+  fit.scale.setScalar((width * (content.scale ?? 1)) / footprint);
+  fit.add(model);
+
+  // Offset from the marker center, in marker space (meters, degrees; +Y out of the card)
+  const offset = new THREE.Group();
+  offset.position.fromArray(content.offset?.position ?? [0, 0, 0]);
+  offset.rotation.fromArray((content.offset?.rotation ?? [0, 0, 0]).map(THREE.MathUtils.degToRad));
+  offset.add(fit);
+
+  // Lights: soft sky/ground fill plus a key light from above the card
+  const hemisphere = new THREE.HemisphereLight(0xffffff, 0x444444, 2);
+  const key = new THREE.DirectionalLight(0xffffff, 2);
+  key.position.set(width * 0.5, width * 2, width);
+  key.castShadow = true;
+  const extent = Math.max(width, height) * 1.5;
+  Object.assign(key.shadow.camera, { left: -extent, right: extent, top: extent, bottom: -extent, near: 0.001, far: width * 6 });
+  key.shadow.bias = -0.0005;
+
+  // Invisible card surface that only shows the model's shadow
+  const shadowCatcher = new THREE.Mesh(
+    new THREE.PlaneGeometry(width, height),
+    new THREE.ShadowMaterial({ opacity: 0.3 })
+  );
+  shadowCatcher.rotation.x = -Math.PI / 2;
+  shadowCatcher.receiveShadow = true;
+
+  // The anchor follows the marker pose; its matrix is set directly each frame
+  const anchor = new THREE.Group();
+  anchor.name = `model-content-${marker.id}`;
+  anchor.matrixAutoUpdate = false;
+  anchor.visible = false;
+  anchor.add(offset, hemisphere, key, key.target, shadowCatcher);
+
+  // Animation clips: the one named in the manifest, or all of them
+  const mixer = new THREE.AnimationMixer(model);
+  const animation = content.animation ?? {};
+  const clips = animation.clip ? gltf.animations.filter((clip) => clip.name === animation.clip) : gltf.animations;
+  if (animation.clip && clips.length === 0) {
+    log(`⚠️ Model ${content.src} has no animation "${animation.clip}" (has: ${gltf.animations.map((clip) => clip.name).join(', ') || 'none'})`, 'warning', 'asset');
+  }
+  const actions = clips.map((clip) => {
+    const action = mixer.clipAction(clip);
+    if (animation.loop === false) {
+      action.setLoop(THREE.LoopOnce, 1);
+      action.clampWhenFinished = true;
+    }
+    return action;
+  });
+
+  let started = false;
+  let playing = false;
+  let finished = 0; // Actions played to the end (loop: false)
+  let lastTickTime = null;
+  mixer.addEventListener('finished', () => {
+    finished++;
+    playing = finished < actions.length;
+  });
+
+  return {
+    markerId: marker.id,
+    object: anchor,
+    mesh: model,
+
+    /**
+     * Whether the model's animations are playing
+     */
+    get playing() {
+      return playing;
+    },
+
+    /**
+     * Start or resume the animations
+     * @returns {Promise<void>}
+     */
+    play() {
+      if (!started) {
+        started = true;
+        for (const action of actions) {
+          action.play();
+        }
+      }
+      playing = finished < actions.length;
+      return Promise.resolve();
+    },
+
+    /**
+     * Hold the animations (keeps the current pose)
+     */
+    pause() {
+      playing = false;
+      lastTickTime = null;
+    },
+
+    /**
+     * Show the model and start or resume its animations
+     * @returns {Promise<void>}
+     */
+    show() {
+      anchor.visible = true;
+      return this.play();
+    },
+
+    /**
+     * Hide the model and hold its animations
+     */
+    hide() {
+      anchor.visible = false;
+      this.pause();
+    },
+
+    /**
+     * Position the content from the marker pose
+     * @param {XRPose} pose - The marker pose in the scene's reference space
+     */
+    update(pose) {
+      anchor.matrix.fromArray(pose.transform.matrix);
+      anchor.matrixWorldNeedsUpdate = true;
+    },
+
+    /**
+     * Play the animations again from the start
+     * @returns {Promise<void>}
+     */
+    replay() {
+      for (const action of actions) {
+        action.reset().play();
+      }
+      started = true;
+      finished = 0;
+      playing = actions.length > 0;
+      lastTickTime = null;
+      return Promise.resolve();
+    },
+
+    /**
+     * Advance the animations - call once per frame
+     * @param {number} time - Frame time in milliseconds
+     */
+    tick(time) {
+      if (!playing) {
+        return;
+      }
+      mixer.update(lastTickTime === null ? 0 : (time - lastTickTime) / 1000);
+      lastTickTime = time;
+    },
+
+    /**
+     * Models have no sound
+     * @returns {boolean} Always false
+     */
+    needsUnmute() {
+      return false;
+    },
+
+    /**
+     * Models have no sound
+     * @returns {Promise<void>}
+     */
+    unmute() {
+      return Promise.resolve();
+    },
+
+    /**
+     * Models have no sound
+     */
+    hasSound: false,
+
+    /**
+     * Models have no sound
+     * @returns {Promise<void>}
+     */
+    setMuted() {
+      return Promise.resolve();
+    },
+
+    /**
+     * Stop the animations and release this session's copy of the model
+     */
+    dispose() {
+      mixer.stopAllAction();
+      mixer.uncacheRoot(model);
+      anchor.removeFromParent();
+      shadowCatcher.geometry.dispose();
+      shadowCatcher.material.dispose();
+      key.shadow.map?.dispose();
+    }
+  };
+}
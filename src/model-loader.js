@@ -0,0 +1,54 @@
+// Model Loader - loads glTF/GLB models, including compressed ones
+// Wraps Three.js's GLTFLoader with the Draco decoder (geometry compressed with
+// KHR_draco_mesh_compression) and the meshopt decoder
+// (EXT_meshopt_compression). The Draco decoder runs in workers and is fetched
+// from DRACO_DECODER_PATH, which the Vite config serves in development and
+// copies into the build; the meshopt decoder is bundled.
+//
+// Models are downloaded by the asset manager (asset-manager.js) and parsed
+// here; files a .gltf refers to (buffers, textures) are fetched by the loader.
+
+import { LoaderUtils } from 'three';
+import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
+import { DRACOLoader } from 'three/addons/loaders/DRACOLoader.js';
+import { MeshoptDecoder } from 'three/addons/libs/meshopt_decoder.module.js';
+
+// Where the Draco decoder files (draco_wasm_wrapper.js, draco_decoder.wasm) are served
+export const DRACO_DECODER_PATH = '/draco/';
+
+/**
+ * Create a glTF model loader
+ * @param {Object} options
+ * @param {string} options.dracoDecoderPath - Directory of the Draco decoder files
+ * @returns {Object} { parse(data, src), dispose() }
+ */
+export function createModelLoader({ dracoDecoderPath = DRACO_DECODER_PATH } = {}) {
+  const dracoLoader = new DRACOLoader();
+  dracoLoader.setDecoderPath(dracoDecoderPath);
+  const loader = new GLTFLoader();
+  loader.setDRACOLoader(dracoLoader);
+  loader.setMeshoptDecoder(MeshoptDecoder);
+
+  return {
+    /**
+     * Parse a downloaded glTF/GLB model
+     * @param {ArrayBuffer} data - The .glb or .gltf file
+     * @param {string} src - URL it came from (relative resources resolve against it)
+     * @returns {Promise<Object>} The parsed glTF ({ scene, animations, ... })
+     */
+    async parse(data, src) {
+      try {
+        return await loader.parseAsync(data, LoaderUtils.extractUrlBase(src));
+      } catch (error) {
+        throw new Error(`Could not parse model ${src}: ${error.message}`);
+      }
+    },
+
+    /**
+     * Stop the Draco decoder workers (parsed models stay usable)
+     */
+    dispose() {
+      dracoLoader.dispose();
+    }
+  };
+}
@@ -0,0 +1,89 @@
+// Performance HUD - on-screen view of the performance stats summary
+// Shows what perf-stats.js collects: FPS and frame-time percentiles, time in
+// marker tracking and rendering, camera detection latency, renderer.info
+// counts and each marker's tracking uptime. Rebuilt with text nodes a few
+// times a second, not every frame.
+
+/**
+ * Format a timing summary
+ * @param {Object|null} timing - { avg, p50, p95, p99, max } in milliseconds
+ * @returns {string} Text like "avg 1.2 p95 2.0 max 4.1 ms"
+ */
+function formatTiming(timing) {
+  if (!timing) {
+    return 'n/a';
+  }
+  return `avg ${timing.avg.toFixed(1)} p95 ${timing.p95.toFixed(1)} max ${timing.max.toFixed(1)} ms`;
+}
+
+/**
+ * Format a count compactly (e.g. 12.3k)
+ * @param {number} value - Count
+ * @returns {string}
+ */
+function formatCount(value) {
+  return value >= 10000 ? `${(value / 1000).toFixed(1)}k` : String(value);
+}
+
+/**
+ * Describe the GPU and device for exported stats
+ * @param {THREE.WebGLRenderer|null} renderer - Renderer of the running session
+ * @returns {Object} { userAgent, devicePixelRatio, screen, cores, gpu }
+ */
+export function describeDevice(renderer) {
+  let gpu = null;
+  const gl = renderer?.getContext();
+  if (gl) {
+    // Unmasked names need WEBGL_debug_renderer_info (not exposed by every browser)
+    const debugInfo = gl.getExtension('WEBGL_debug_renderer_info');
+    gpu = gl.getParameter(debugInfo ? debugInfo.UNMASKED_RENDERER_WEBGL : gl.RENDERER);
+  }
+  return {
+    userAgent: navigator.userAgent,
+    devicePixelRatio: window.devicePixelRatio,
+    screen: `${screen.width}x${screen.height}`,
+    cores: navigator.hardwareConcurrency || null,
+    gpu
+  };
+}
+
+/**
+ * Create the performance HUD
+ * @param {Object} options
+ * @param {HTMLElement} options.element - Element the stats lines go in
+ * @returns {Object} { update(summary) }
+ */
+export function createPerfHud({ element }) {
+  return {
+    /**
+     * Show a stats summary
+     * @param {Object} summary - From perfStats.summary()
+     */
+    update(summary) {
+      const lines = [
+        `FPS ${summary.fps ?? 'n/a'} | frame p50 ${summary.frameTime ? summary.frameTime.p50.toFixed(1) : '-'} ` +
+          `p95 ${summary.frameTime ? summary.frameTime.p95.toFixed(1) : '-'} ` +
+          `p99 ${summary.frameTime ? summary.frameTime.p99.toFixed(1) : '-'} ms`,
+        `Tracking ${formatTiming(summary.trackingTime)}`,
+        `Render (CPU) ${formatTiming(summary.renderTime)}`
+      ];
+      if (summary.detectionLatency) {
+        lines.push(`Detection latency ${formatTiming(summary.detectionLatency)}`);
+      }
+      if (summary.renderer) {
+        const { drawCalls, triangles, geometries, textures, programs } = summary.renderer;
+        lines.push(`Draw calls ${drawCalls} | Tris ${formatCount(triangles)} | Geo ${geometries} | Tex ${textures} | Prog ${programs}`);
+      }
+      for (const [id, uptime] of Object.entries(summary.tracking)) {
+        lines.push(`${id}: tracked ${uptime.tracked}% | emulated ${uptime.emulated}% | untracked ${uptime.untracked}%`);
+      }
+      lines.push(`${summary.frames} frames, ${summary.trackingUpdates} tracking updates`);
+
+      element.replaceChildren(...lines.map((line) => {
+        const div = document.createElement('div');
+        div.textContent = line;
+        return div;
+      }));
+    }
+  };
+}
@@ -0,0 +1,230 @@
+// Performance Stats - frame timing, tracking cost and marker uptime
+// Collects what SessionController reports with each 'frame' event: frame
+// intervals, time spent in marker tracking and rendering, camera detection
+// latency, Three.js renderer.info and per-marker tracking states. Timings are
+// summarized over a rolling window of recent frames; marker uptime and frame
+// totals cover the whole session. perf-hud.js shows the summary, and
+// toJSON() exports it to compare builds and devices.
+//
+// Pure logic only (no DOM) so it can be fed recorded frames in Node.
+
+// Bumped when the exported JSON layout changes
+export const PERF_EXPORT_VERSION = 1;
+
+// Default stats settings
+export const DEFAULT_PERF_OPTIONS = {
+  windowSize: 300, // Frames in the rolling window (about 5 seconds at 60 fps)
+  maxFrameGap: 1000 // Longer gaps between frames (pauses, hidden page) aren't counted as frame time (ms)
+};
+
+const TRACKING_STATES = ['tracked', 'emulated', 'untracked'];
+
+/**
+ * Fixed-size window of recent numbers
+ * @param {number} size - Values kept
+ * @returns {Object} { push(value), values(), clear() }
+ */
+function createWindow(size) {
+  const buffer = new Float64Array(size);
+  let count = 0;
+  let next = 0;
+  return {
+    push(value) {
+      buffer[next] = value;
+      next = (next + 1) % size;
+      count = Math.min(count + 1, size);
+    },
+    values() {
+      return count < size ? buffer.slice(0, count) : buffer.slice();
+    },
+    clear() {
+      count = 0;
+      next = 0;
+    }
+  };
+}
+
+/**
+ * Value at a percentile of sorted values (nearest rank)
+ * @param {ArrayLike<number>} sorted - Values in ascending order
+ * @param {number} p - Percentile (0-100)
+ * @returns {number|null} The value, or null with no values
+ */
+export function percentile(sorted, p) {
+  if (sorted.length === 0) {
+    return null;
+  }
+  const rank = Math.ceil((p / 100) * sorted.length);
+  return sorted[Math.min(sorted.length - 1, Math.max(0, rank - 1))];
+}
+
+/**
+ * Summarize a window of timings
+ * @param {Float64Array} values - Timings in milliseconds
+ * @returns {Object|null} { avg, p50, p95, p99, max } or null with no values
+ */
+function summarize(values) {
+  if (values.length === 0) {
+    return null;
+  }
+  const sorted = values.sort();
+  const total = sorted.reduce((sum, value) => sum + value, 0);
+  const round = (value) => Math.round(value * 100) / 100;
+  return {
+    avg: round(total / sorted.length),
+    p50: round(percentile(sorted, 50)),
+    p95: round(percentile(sorted, 95)),
+    p99: round(percentile(sorted, 99)),
+    max: round(sorted[sorted.length - 1])
+  };
+}
+
+/**
+ * Read the numbers of interest from a Three.js renderer.info
+ * @param {Object} info - renderer.info
+ * @returns {Object} { drawCalls, triangles, geometries, textures, programs }
+ */
+export function readRendererInfo(info) {
+  return {
+    drawCalls: info.render.calls,
+    triangles: info.render.triangles,
+    geometries: info.memory.geometries,
+    textures: info.memory.textures,
+    programs: info.programs ? info.programs.length : 0
+  };
+}
+
+/**
+ * Create a performance stats collector
+ * @param {Object} options - Overrides for DEFAULT_PERF_OPTIONS
+ * @returns {Object} Stats collector
+ */
+export function createPerfStats(options = {}) {
+  const settings = { ...DEFAULT_PERF_OPTIONS, ...options };
+  const frameTimes = createWindow(settings.windowSize);
+  const trackingTimes = createWindow(settings.windowSize);
+  const renderTimes = createWindow(settings.windowSize);
+  const detectionLatencies = createWindow(settings.windowSize);
+  let markers = new Map(); // Marker id -> frame counts per tracking state
+  let renderer = null; // Latest renderer numbers
+  let frames = 0;
+  let trackingUpdates = 0;
+  let lastTime = null;
+  let startedAt = null;
+
+  return {
+    /**
+     * Add one frame
+     * @param {Object} frame
+     * @param {number} frame.time - Frame time in milliseconds
+     * @param {Object} frame.timing - { tracking, render, detection } in milliseconds (tracking/detection null if not run)
+     * @param {Array<Object>|null} frame.tracking - Tracker results ({ id, trackingState }) if the tracker ran
+     * @param {Object} frame.rendererInfo - Three.js renderer.info (optional)
+     */
+    addFrame({ time, timing = {}, tracking = null, rendererInfo = null }) {
+      frames++;
+      if (startedAt === null) {
+        startedAt = Date.now();
+      }
+      if (lastTime !== null) {
+        const interval = time - lastTime;
+        if (interval > 0 && interval <= settings.maxFrameGap) {
+          frameTimes.push(interval);
+        }
+      }
+      lastTime = time;
+
+      if (typeof timing.render === 'number') {
+        renderTimes.push(timing.render);
+      }
+      if (typeof timing.detection === 'number') {
+        detectionLatencies.push(timing.detection);
+      }
+      if (typeof timing.tracking === 'number') {
+        trackingTimes.push(timing.tracking);
+      }
+      if (tracking) {
+        trackingUpdates++;
+        for (const { id, trackingState } of tracking) {
+          if (!markers.has(id)) {
+            markers.set(id, { tracked: 0, emulated: 0, untracked: 0 });
+          }
+          const counts = markers.get(id);
+          counts[TRACKING_STATES.includes(trackingState) ? trackingState : 'untracked']++;
+        }
+      }
+      if (rendererInfo) {
+        renderer = readRendererInfo(rendererInfo);
+      }
+    },
+
+    /**
+     * Forget the last frame time (call when the loop pauses, so the gap isn't a frame)
+     */
+    markGap() {
+      lastTime = null;
+    },
+
+    /**
+     * Summary of the collected stats
+     * @returns {Object} { frames, fps, frameTime, trackingTime, renderTime, detectionLatency, renderer, tracking }
+     */
+    summary() {
+      const frameTime = summarize(frameTimes.values());
+      const tracking = {};
+      for (const [id, counts] of markers) {
+        const total = counts.tracked + counts.emulated + counts.untracked;
+        const percent = (count) => Math.round((count / total) * 1000) / 10;
+        tracking[id] = {
+          updates: total,
+          tracked: percent(counts.tracked),
+          emulated: percent(counts.emulated),
+          untracked: percent(counts.untracked)
+        };
+      }
+      return {
+        frames,
+        trackingUpdates,
+        fps: frameTime ? Math.round(10000 / frameTime.avg) / 10 : null,
+        frameTime,
+        trackingTime: summarize(trackingTimes.values()),
+        renderTime: summarize(renderTimes.values()),
+        detectionLatency: summarize(detectionLatencies.values()),
+        renderer,
+        tracking
+      };
+    },
+
+    /**
+     * Export the stats with a description of the run
+     * @param {Object} meta - Build, device and session details to include
+     * @returns {Object} JSON-serializable export
+     */
+    toJSON(meta = {}) {
+      return {
+        version: PERF_EXPORT_VERSION,
+        startedAt: startedAt ? new Date(startedAt).toISOString() : null,
+        exportedAt: new Date().toISOString(),
+        windowSize: settings.windowSize,
+        ...meta,
+        stats: this.summary()
+      };
+    },
+
+    /**
+     * Start over (e.g. for a new session)
+     */
+    reset() {
+      frameTimes.clear();
+      trackingTimes.clear();
+      renderTimes.clear();
+      detectionLatencies.clear();
+      markers = new Map();
+      renderer = null;
+      frames = 0;
+      trackingUpdates = 0;
+      lastTime = null;
+      startedAt = null;
+    }
+  };
+}
@@ -0,0 +1,301 @@
+// Pose Filter - smooths marker poses between the tracker and the scene
+// Position: One Euro filter (low jitter when still, low lag when moving)
+// Orientation: slerp towards the measured rotation, faster for larger turns
+// Outliers: single-frame jumps are held back until the following frames
+// confirm them; confirmed jumps snap straight to the new pose (fast path)
+//
+// Pure math only (no Three.js, no DOM) so recorded pose sequences can be
+// replayed deterministically in Node.
+
+// Default filter settings
+export const DEFAULT_POSE_FILTER_OPTIONS = {
+  minCutoff: 1.0, // Hz - position cutoff when the marker is still (lower = smoother)
+  beta: 2.0, // Cutoff increase per m/s of speed (higher = less lag when moving)
+  derivativeCutoff: 1.0, // Hz - cutoff for the velocity estimate
+  rotationSmoothing: 0.5, // Fraction of the rotation gap closed per 60 Hz frame (1 = no smoothing)
+  rotationSnapAngle: 0.5, // rad - turns larger than this per frame are applied directly
+  outlierDistance: 0.15, // m - jumps larger than this are treated as possible outliers
+  outlierAngle: 1.0, // rad - rotation jumps larger than this are treated as possible outliers
+  confirmFrames: 3 // Consecutive frames a jump must persist before it is accepted
+};
+
+// Frame interval used when timestamps are missing or not increasing
+const DEFAULT_DT = 1 / 60;
+
+/**
+ * Smoothing factor for an exponential low-pass filter
+ * @param {number} cutoff - Cutoff frequency in Hz
+ * @param {number} dt - Time step in seconds
+ * @returns {number} Smoothing factor (0..1)
+ */
+function smoothingFactor(cutoff, dt) {
+  const tau = 1 / (2 * Math.PI * cutoff);
+  return 1 / (1 + tau / dt);
+}
+
+function lerp(a, b, t) {
+  return a + (b - a) * t;
+}
+
+function distance(a, b) {
+  return Math.hypot(a.x - b.x, a.y - b.y, a.z - b.z);
+}
+
+function normalizeQuaternion(q) {
+  const length = Math.hypot(q.x, q.y, q.z, q.w) || 1;
+  return { x: q.x / length, y: q.y / length, z: q.z / length, w: q.w / length };
+}
+
+/**
+ * Angle between two unit quaternions
+ * @returns {number} Angle in radians (0..PI)
+ */
+export function quaternionAngle(a, b) {
+  const dot = Math.abs(a.x * b.x + a.y * b.y + a.z * b.z + a.w * b.w);
+  return 2 * Math.acos(Math.min(1, dot));
+}
+
+/**
+ * Spherical linear interpolation between two unit quaternions
+ * @param {Object} a - Start quaternion ({ x, y, z, w })
+ * @param {Object} b - End quaternion ({ x, y, z, w })
+ * @param {number} t - Interpolation factor (0..1)
+ * @returns {Object} Interpolated unit quaternion
+ */
+export function slerp(a, b, t) {
+  let dot = a.x * b.x + a.y * b.y + a.z * b.z + a.w * b.w;
+  // Take the short way round
+  let bx = b.x, by = b.y, bz = b.z, bw = b.w;
+  if (dot < 0) {
+    dot = -dot;
+    bx = -bx; by = -by; bz = -bz; bw = -bw;
+  }
+
+  if (dot > 0.9995) {
+    // Nearly identical - linear interpolation is accurate and stable
+    return normalizeQuaternion({
+      x: lerp(a.x, bx, t),
+      y: lerp(a.y, by, t),
+      z: lerp(a.z, bz, t),
+      w: lerp(a.w, bw, t)
+    });
+  }
+
+  const theta = Math.acos(dot);
+  const sinTheta = Math.sin(theta);
+  const wa = Math.sin((1 - t) * theta) / sinTheta;
+  const wb = Math.sin(t * theta) / sinTheta;
+  return {
+    x: a.x * wa + bx * wb,
+    y: a.y * wa + by * wb,
+    z: a.z * wa + bz * wb,
+    w: a.w * wa + bw * wb
+  };
+}
+
+/**
+ * Build a column-major 4x4 matrix from a position and orientation
+ * (same layout as XRRigidTransform.matrix)
+ * @param {Object} p - Position ({ x, y, z })
+ * @param {Object} q - Unit quaternion ({ x, y, z, w })
+ * @returns {Float32Array} 16-element matrix
+ */
+export function composeMatrix(p, q) {
+  const { x, y, z, w } = q;
+  return new Float32Array([
+    1 - 2 * (y * y + z * z), 2 * (x * y + z * w), 2 * (x * z - y * w), 0,
+    2 * (x * y - z * w), 1 - 2 * (x * x + z * z), 2 * (y * z + x * w), 0,
+    2 * (x * z + y * w), 2 * (y * z - x * w), 1 - 2 * (x * x + y * y), 0,
+    p.x, p.y, p.z, 1
+  ]);
+}
+
+/**
+ * Convert a rotation (its rotated X, Y and Z axes) to a quaternion
+ * @param {Object} xAxis - First rotation matrix column ({ x, y, z })
+ * @param {Object} yAxis - Second rotation matrix column
+ * @param {Object} zAxis - Third rotation matrix column
+ * @returns {Object} Unit quaternion ({ x, y, z, w })
+ */
+export function quaternionFromAxes(xAxis, yAxis, zAxis) {
+  const m00 = xAxis.x, m01 = yAxis.x, m02 = zAxis.x;
+  const m10 = xAxis.y, m11 = yAxis.y, m12 = zAxis.y;
+  const m20 = xAxis.z, m21 = yAxis.z, m22 = zAxis.z;
+  const trace = m00 + m11 + m22;
+  let q;
+  if (trace > 0) {
+    const s = 0.5 / Math.sqrt(trace + 1);
+    q = { x: (m21 - m12) * s, y: (m02 - m20) * s, z: (m10 - m01) * s, w: 0.25 / s };
+  } else if (m00 > m11 && m00 > m22) {
+    const s = 2 * Math.sqrt(1 + m00 - m11 - m22);
+    q = { x: 0.25 * s, y: (m01 + m10) / s, z: (m02 + m20) / s, w: (m21 - m12) / s };
+  } else if (m11 > m22) {
+    const s = 2 * Math.sqrt(1 + m11 - m00 - m22);
+    q = { x: (m01 + m10) / s, y: 0.25 * s, z: (m12 + m21) / s, w: (m02 - m20) / s };
+  } else {
+    const s = 2 * Math.sqrt(1 + m22 - m00 - m11);
+    q = { x: (m02 + m20) / s, y: (m12 + m21) / s, z: 0.25 * s, w: (m10 - m01) / s };
+  }
+  return normalizeQuaternion(q);
+}
+
+/**
+ * Split a column-major 4x4 rigid transform matrix into position and orientation
+ * (the inverse of composeMatrix)
+ * @param {ArrayLike<number>} m - 16-element matrix
+ * @returns {Object} { position: { x, y, z }, orientation: { x, y, z, w } }
+ */
+export function decomposeMatrix(m) {
+  return {
+    position: { x: m[12], y: m[13], z: m[14] },
+    orientation: quaternionFromAxes(
+      { x: m[0], y: m[1], z: m[2] },
+      { x: m[4], y: m[5], z: m[6] },
+      { x: m[8], y: m[9], z: m[10] }
+    )
+  };
+}
+
+/**
+ * Create a pose filter for one marker
+ * @param {Object} options - Overrides for DEFAULT_POSE_FILTER_OPTIONS
+ * @returns {Object} Filter with filter(pose, timestamp) and reset()
+ */
+export function createPoseFilter(options = {}) {
+  const settings = { ...DEFAULT_POSE_FILTER_OPTIONS, ...options };
+
+  // Filter state
+  let position = null; // Filtered position
+  let velocity = { x: 0, y: 0, z: 0 }; // Filtered velocity (m/s)
+  let orientation = null; // Filtered orientation
+  let lastTimestamp = null;
+
+  // Outlier state - a jump waiting for confirmation
+  let candidate = null;
+  let candidateFrames = 0;
+
+  function snapTo(p, q) {
+    position = { ...p };
+    orientation = q;
+    velocity = { x: 0, y: 0, z: 0 };
+    candidate = null;
+    candidateFrames = 0;
+  }
+
+  /**
+   * Check whether a measurement jumps away from the filtered pose
+   */
+  function isJump(p, q) {
+    return distance(p, position) > settings.outlierDistance ||
+      quaternionAngle(q, orientation) > settings.outlierAngle;
+  }
+
+  function filterPosition(p, dt) {
+    // Estimate and smooth the velocity
+    const rawVelocity = {
+      x: (p.x - position.x) / dt,
+      y: (p.y - position.y) / dt,
+      z: (p.z - position.z) / dt
+    };
+    const velocityAlpha = smoothingFactor(settings.derivativeCutoff, dt);
+    velocity = {
+      x: lerp(velocity.x, rawVelocity.x, velocityAlpha),
+      y: lerp(velocity.y, rawVelocity.y, velocityAlpha),
+      z: lerp(velocity.z, rawVelocity.z, velocityAlpha)
+    };
+
+    // Faster movement raises the cutoff, reducing lag
+    const speed = Math.hypot(velocity.x, velocity.y, velocity.z);
+    const alpha = smoothingFactor(settings.minCutoff + settings.beta * speed, dt);
+    position = {
+      x: lerp(position.x, p.x, alpha),
+      y: lerp(position.y, p.y, alpha),
+      z: lerp(position.z, p.z, alpha)
+    };
+  }
+
+  function filterOrientation(q, dt) {
+    const angle = quaternionAngle(q, orientation);
+    if (angle > settings.rotationSnapAngle) {
+      // Large real turn - follow it directly
+      orientation = q;
+      return;
+    }
+    // Frame-rate independent smoothing, eased off as the gap grows
+    const base = 1 - Math.pow(1 - settings.rotationSmoothing, dt * 60);
+    const t = Math.min(1, base + (1 - base) * (angle / settings.rotationSnapAngle));
+    orientation = normalizeQuaternion(slerp(orientation, q, t));
+  }
+
+  function output() {
+    return {
+      transform: {
+        position: { ...position, w: 1 },
+        orientation: { ...orientation },
+        matrix: composeMatrix(position, orientation)
+      },
+      emulatedPosition: false
+    };
+  }
+
+  return {
+    /**
+     * Filter one marker pose measurement
+     * @param {XRPose} pose - Raw marker pose from the tracker
+     * @param {number} timestamp - Frame time in milliseconds
+     * @returns {Object} Filtered pose shaped like XRPose ({ transform: { position, orientation, matrix } })
+     */
+    filter(pose, timestamp) {
+      const p = pose.transform.position;
+      const q = normalizeQuaternion(pose.transform.orientation);
+
+      let dt = DEFAULT_DT;
+      if (lastTimestamp !== null && timestamp > lastTimestamp) {
+        dt = (timestamp - lastTimestamp) / 1000;
+      }
+      lastTimestamp = timestamp;
+
+      if (!position) {
+        snapTo(p, q);
+        return output();
+      }
+
+      if (isJump(p, q)) {
+        // Compare with the pending jump: the same new place again confirms it
+        const matchesCandidate = candidate &&
+          distance(p, candidate.position) <= settings.outlierDistance &&
+          quaternionAngle(q, candidate.orientation) <= settings.outlierAngle;
+
+        candidateFrames = matchesCandidate ? candidateFrames + 1 : 1;
+        candidate = { position: { ...p }, orientation: q };
+
+        if (candidateFrames >= settings.confirmFrames) {
+          // Real movement - jump straight to it
+          snapTo(p, q);
+        }
+        // Otherwise hold the last filtered pose until the jump is confirmed
+        return output();
+      }
+
+      // Back in line with the filtered pose - any pending jump was an outlier
+      candidate = null;
+      candidateFrames = 0;
+
+      filterPosition(p, dt);
+      filterOrientation(q, dt);
+      return output();
+    },
+
+    /**
+     * Forget all history (e.g. when the marker is re-detected)
+     */
+    reset() {
+      position = null;
+      orientation = null;
+      velocity = { x: 0, y: 0, z: 0 };
+      lastTimestamp = null;
+      candidate = null;
+      candidateFrames = 0;
+    }
+  };
+}
@@ -0,0 +1,192 @@
+// Preload - loads an experience's marker images, videos, reveal clips and
+// glTF models before AR starts, through the asset manager (asset-manager.js).
+// Runs behind the entry screen so the first session starts without waiting,
+// and a model appears as soon as its marker is detected
+
+import { loadMarkerImage } from './marker-tracker.js';
+import { validateRevealClip, formatValidationErrors } from './experience-schema.js';
+import { createModelLoader } from './model-loader.js';
+import { createAssetManager } from './asset-manager.js';
+
+// Give up waiting for a video after this long - mobile browsers may refuse to
+// buffer video before a user gesture, and playback will still work later
+const VIDEO_PRELOAD_TIMEOUT_MS = 10000;
+
+/**
+ * Wait until a video has enough data to start playing (or the timeout passes)
+ * @param {HTMLVideoElement} video - Video element with its src set
+ * @returns {Promise<void>} Rejects if the video fails to load
+ */
+function waitForVideo(video) {
+  return new Promise((resolve, reject) => {
+    const timeout = setTimeout(done, VIDEO_PRELOAD_TIMEOUT_MS);
+
+    function done() {
+      clearTimeout(timeout);
+      video.removeEventListener('canplay', done);
+      video.removeEventListener('error', failed);
+      resolve();
+    }
+
+    function failed() {
+      clearTimeout(timeout);
+      video.removeEventListener('canplay', done);
+      video.removeEventListener('error', failed);
+      reject(new Error(`Could not load video ${video.src}`));
+    }
+
+    if (video.readyState >= HTMLMediaElement.HAVE_FUTURE_DATA) {
+      done();
+      return;
+    }
+    video.addEventListener('canplay', done);
+    video.addEventListener('error', failed);
+  });
+}
+
+/**
+ * Create and start buffering the video element for a marker's video content
+ * @param {Object} content - Video content from the manifest ({ src, loop, muted })
+ * @returns {HTMLVideoElement} The video element
+ */
+export function createVideoElement(content) {
+  const video = document.createElement('video');
+  video.src = content.src;
+  video.crossOrigin = 'anonymous';
+  video.preload = 'auto';
+  video.loop = !!content.loop;
+  video.muted = !!content.muted;
+  // Required for inline playback on mobile (otherwise iOS goes fullscreen)
+  video.playsInline = true;
+  video.setAttribute('playsinline', '');
+  video.setAttribute('webkit-playsinline', '');
+  video.load();
+  return video;
+}
+
+/**
+ * Load and check a reveal clip file
+ * @param {Object} assetManager - Asset manager to download through
+ * @param {Object} asset - { src, kind: 'json', sha256? }
+ * @param {Function} onProgress - (loadedBytes, totalBytes|null) => void
+ * @returns {Promise<Object>} Clip definition
+ */
+async function loadRevealClip(assetManager, asset, onProgress) {
+  const blob = await assetManager.load(asset, onProgress);
+  let clip;
+  try {
+    clip = JSON.parse(await blob.text());
+  } catch (error) {
+    throw new Error(`Reveal clip ${asset.src} is not valid JSON: ${error.message}`);
+  }
+  const errors = [];
+  validateRevealClip(clip, asset.src, errors);
+  if (errors.length > 0) {
+    throw new Error(`Reveal clip is invalid: ${formatValidationErrors(errors).join('; ')}`);
+  }
+  return clip;
+}
+
+/**
+ * Preload every marker image, video, reveal clip and model declared by the experience
+ * Downloads go through the asset manager (retries, validation and the
+ * manifest's SHA-256 "integrity" hashes). Individual failures are collected
+ * rather than thrown so the experience can still start with whatever loaded
+ * @param {Object} experience - Validated experience manifest
+ * @param {Function} onProgress - Called with ({ loaded, total, progress, label }) as assets download:
+ *   loaded/total count finished assets, progress (0-1) includes partly downloaded ones
+ * @param {Object} options
+ * @param {Object} options.assetManager - Asset manager to download through (default: a new one)
+ * @param {Function} options.log - Logger (message, type, category) => void
+ * @returns {Promise<Object>} { images: Map<markerId, ImageBitmap>, videos: Map<markerId, HTMLVideoElement>,
+ *   clips: Map<markerId, Object>, models: Map<markerId, Object>, errors: Array<Error> }
+ */
+export async function preloadExperience(experience, onProgress = () => {}, { assetManager = null, log = () => {} } = {}) {
+  const assets = assetManager || createAssetManager({ log });
+  const images = new Map();
+  const videos = new Map();
+  const clips = new Map(); // Reveal clip definitions (a marker without one just plays its video)
+  const models = new Map(); // Parsed glTF models
+  const errors = [];
+  let modelLoader = null; // Created for the first model (starts the Draco decoder)
+  const parsedModels = new Map(); // Model URL -> Promise of its glTF (markers may share a model)
+
+  // An asset to download: { src, kind, sha256 } with the manifest's hash
+  const asset = (src, kind) => ({ src, kind, sha256: experience.integrity?.[src] });
+
+  const tasks = [];
+  for (const marker of experience.markers) {
+    tasks.push({
+      label: marker.imagePath,
+      run: async (progress) => images.set(marker.id, await loadMarkerImage(marker.imagePath, {
+        assetManager: assets,
+        sha256: experience.integrity?.[marker.imagePath],
+        onProgress: progress,
+        log
+      }))
+    });
+    if (marker.content?.type === 'video') {
+      tasks.push({
+        label: marker.content.src,
+        run: async (progress) => {
+          // Check the file, then let the video element buffer it
+          await assets.check(asset(marker.content.src, 'video'), progress);
+          const video = createVideoElement(marker.content);
+          await waitForVideo(video);
+          videos.set(marker.id, video);
+        }
+      });
+      const clip = marker.content.reveal?.clip;
+      if (typeof clip === 'string') {
+        tasks.push({
+          label: clip,
+          run: async (progress) => clips.set(marker.id, await loadRevealClip(assets, asset(clip, 'json'), progress))
+        });
+      } else if (clip) {
+        clips.set(marker.id, clip);
+      }
+    } else if (marker.content?.type === 'model') {
+      modelLoader = modelLoader || createModelLoader();
+      const loader = modelLoader;
+      const { src } = marker.content;
+      tasks.push({
+        label: src,
+        run: async (progress) => {
+          if (!parsedModels.has(src)) {
+            parsedModels.set(src, assets.load(asset(src, 'model'), progress)
+              .then((blob) => blob.arrayBuffer())
+              .then((data) => loader.parse(data, src)));
+          }
+          models.set(marker.id, await parsedModels.get(src));
+        }
+      });
+    }
+  }
+
+  // Aggregate progress: each asset counts equally, partly by bytes downloaded
+  const fractions = new Array(tasks.length).fill(0);
+  let loaded = 0;
+  function report(label) {
+    const progress = tasks.length ? fractions.reduce((sum, fraction) => sum + fraction, 0) / tasks.length : 1;
+    onProgress({ loaded, total: tasks.length, progress, label });
+  }
+
+  report(null);
+  await Promise.all(tasks.map(async (task, index) => {
+    try {
+      await task.run((bytes, totalBytes) => {
+        // Not complete until the asset is ready (decoded, buffered)
+        fractions[index] = totalBytes ? Math.min(bytes / totalBytes, 1) * 0.95 : 0;
+        report(task.label);
+      });
+    } catch (error) {
+      errors.push(error);
+    }
+    fractions[index] = 1;
+    loaded++;
+    report(task.label);
+  }));
+  modelLoader?.dispose();
+
+  return { images, videos, clips, models, errors };
+}
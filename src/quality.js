@@ -0,0 +1,157 @@
+// Adaptive Quality - steps rendering quality tiers up and down by frame time
+// Watches frame intervals over a rolling window. When the 90th percentile
+// frame time stays above the downgrade threshold the tier drops; when it
+// stays below the (lower) upgrade threshold long enough the tier rises. The
+// gap between the thresholds, a cooldown after every change and a longer
+// wait after an upgrade that had to be undone keep the tier from flapping.
+//
+// A tier describes budgets, and the session applies them (see
+// SessionController.applyQuality): the XR framebuffer (viewport) scale,
+// the largest video texture height, the shadow map size (0 = no shadows) and
+// the particle budget content may spend.
+//
+// Pure logic only (no DOM, no WebXR) so it can be fed recorded frame times.
+
+import { percentile } from './perf-stats.js';
+
+// Quality tiers, lowest first
+export const QUALITY_TIERS = [
+  { name: 'low', framebufferScale: 0.5, maxVideoHeight: 480, shadowMapSize: 0, maxParticles: 0 },
+  { name: 'medium', framebufferScale: 0.75, maxVideoHeight: 720, shadowMapSize: 512, maxParticles: 250 },
+  { name: 'high', framebufferScale: 1, maxVideoHeight: 1080, shadowMapSize: 1024, maxParticles: 1000 }
+];
+
+// Default adaptation settings
+export const DEFAULT_QUALITY_OPTIONS = {
+  initialTier: 'medium', // Tier of the first session
+  targetFrameTime: 1000 / 60, // Display refresh interval (ms)
+  downgradeRatio: 1.35, // Drop a tier when p90 frame time > target * ratio (about 22 ms at 60 Hz)
+  upgradeRatio: 1.1, // Raise a tier when p90 frame time < target * ratio (about 18 ms at 60 Hz)...
+  upgradeHold: 5000, // ...for this long (ms)
+  cooldown: 2000, // No changes this long after a change (ms), so the window refills
+  revertWindow: 10000, // A downgrade this soon after an upgrade doubles upgradeHold
+  maxUpgradeHold: 60000, // Longest upgradeHold after repeated reverts (ms)
+  windowSize: 90, // Frames in the rolling window
+  minFrames: 30, // Frames needed before any decision
+  maxFrameGap: 1000 // Longer gaps (pauses) aren't frame time (ms)
+};
+
+/**
+ * Find a tier's index by name
+ * @param {string} name - Tier name
+ * @returns {number} Index in QUALITY_TIERS, or -1
+ */
+export function findTier(name) {
+  return QUALITY_TIERS.findIndex((tier) => tier.name === name);
+}
+
+/**
+ * Create an adaptive quality controller
+ * @param {Object} options - Overrides for DEFAULT_QUALITY_OPTIONS, plus:
+ * @param {string} options.fixedTier - Pin this tier and don't adapt (e.g. from ?quality=low)
+ * @returns {Object} Quality controller
+ */
+export function createQualityController({ fixedTier = null, ...options } = {}) {
+  const settings = { ...DEFAULT_QUALITY_OPTIONS, ...options };
+  const pinned = fixedTier !== null && findTier(fixedTier) >= 0;
+  if (fixedTier !== null && !pinned) {
+    throw new Error(`Unknown quality tier "${fixedTier}" (expected one of: ${QUALITY_TIERS.map((tier) => tier.name).join(', ')})`);
+  }
+  let tierIndex = findTier(pinned ? fixedTier : settings.initialTier);
+  if (tierIndex < 0) {
+    throw new Error(`Unknown quality tier "${settings.initialTier}"`);
+  }
+
+  let intervals = [];
+  let lastTime = null;
+  let lastChange = null; // { time, direction }
+  let goodSince = null; // When frame times first dropped below the upgrade threshold
+  let upgradeHold = settings.upgradeHold;
+
+  function change(direction, time, p90) {
+    if (direction < 0 && lastChange?.direction > 0 && time - lastChange.time < settings.revertWindow) {
+      // The last upgrade didn't hold - be slower to try again
+      upgradeHold = Math.min(upgradeHold * 2, settings.maxUpgradeHold);
+    }
+    tierIndex += direction;
+    lastChange = { time, direction };
+    intervals = [];
+    goodSince = null;
+    return {
+      tier: QUALITY_TIERS[tierIndex],
+      reason: `p90 frame time ${p90.toFixed(1)} ms ${direction < 0 ? 'above' : 'below'} ` +
+        `${(settings.targetFrameTime * (direction < 0 ? settings.downgradeRatio : settings.upgradeRatio)).toFixed(1)} ms`
+    };
+  }
+
+  return {
+    /**
+     * Current tier
+     */
+    get tier() {
+      return QUALITY_TIERS[tierIndex];
+    },
+
+    /**
+     * Whether the tier is pinned (no adaptation)
+     */
+    get fixed() {
+      return pinned;
+    },
+
+    /**
+     * Add a frame and decide whether to change tier
+     * @param {number} time - Frame time in milliseconds
+     * @returns {Object|null} { tier, reason } if the tier changed
+     */
+    addFrame(time) {
+      if (lastTime !== null) {
+        const interval = time - lastTime;
+        if (interval > 0 && interval <= settings.maxFrameGap) {
+          intervals.push(interval);
+          if (intervals.length > settings.windowSize) {
+            intervals.shift();
+          }
+        }
+      }
+      lastTime = time;
+
+      if (pinned || intervals.length < settings.minFrames ||
+        (lastChange && time - lastChange.time < settings.cooldown)) {
+        return null;
+      }
+
+      const p90 = percentile([...intervals].sort((a, b) => a - b), 90);
+      if (p90 > settings.targetFrameTime * settings.downgradeRatio) {
+        goodSince = null;
+        return tierIndex > 0 ? change(-1, time, p90) : null;
+      }
+      if (p90 < settings.targetFrameTime * settings.upgradeRatio) {
+        goodSince = goodSince ?? time;
+        if (time - goodSince >= upgradeHold && tierIndex < QUALITY_TIERS.length - 1) {
+          return change(1, time, p90);
+        }
+      } else {
+        goodSince = null;
+      }
+      return null;
+    },
+
+    /**
+     * Forget the last frame time (call when the loop pauses)
+     */
+    markGap() {
+      lastTime = null;
+    },
+
+    /**
+     * Start a new session at the current tier
+     */
+    reset() {
+      intervals = [];
+      lastTime = null;
+      lastChange = null;
+      goodSince = null;
+    }
+  };
+}
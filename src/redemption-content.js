@@ -0,0 +1,248 @@
+// Redemption Content - the gift card's code on a card lying on the marker
+// A small card appears on the marker once its content has played (see
+// marker-content.js). Tapping it (the interaction layer's 'tap' event,
+// interaction.js) reveals the card (redemption.js): it flips over to show the
+// redemption code and balance, and tapping again copies the code. A card that
+// can't be revealed (already redeemed or revealed, expired) stays face up
+// with the reason; when the backend is unreachable, tapping tries again.
+//
+// The flip is a timeline clip (timeline.js) animating these targets:
+//
+//   card - group holding both faces; rotation.z turns it over about the
+//          marker's Z axis (towards the bottom of the image), position.y lifts it
+
+import * as THREE from 'three';
+import { createTimeline } from './timeline.js';
+import { formatBalance, describeRedemptionError } from './redemption.js';
+
+// Card look, relative to the marker width
+const CARD_SCALE = 0.8; // Card width / marker width
+const CARD_ASPECT = 1.586; // Width / height, like a payment card
+const CARD_HEIGHT_ABOVE_MARKER = 0.003; // Meters, above the video and lid
+const HOVER_SCALE = 1.05; // Card grows a little while a ray is on it
+const CANVAS_WIDTH = 1024;
+const FRONT_COLOR = '#1a237e';
+const BACK_COLOR = '#fafafa';
+
+// Turns the card over about the marker's Z axis (rotation.z), lifting it so
+// it clears the marker
+const FLIP_CLIP = {
+  id: 'redemption-flip',
+  tracks: [
+    { target: 'card', property: 'rotation.z', keyframes: [{ time: 0, value: 0 }, { time: 800, value: Math.PI, easing: 'easeInOutCubic' }] },
+    {
+      target: 'card',
+      property: 'position.y',
+      keyframes: [
+        { time: 0, value: CARD_HEIGHT_ABOVE_MARKER },
+        { time: 400, value: 0.03, easing: 'easeOutQuad' },
+        { time: 800, value: CARD_HEIGHT_ABOVE_MARKER, easing: 'easeInQuad' }
+      ]
+    }
+  ]
+};
+
+/**
+ * Create one face of the card, drawn on a canvas
+ * @param {number} width - Face width in meters
+ * @param {number} height - Face height in meters
+ * @returns {Object} { mesh, draw(lines) }
+ */
+function createFace(width, height) {
+  const canvas = document.createElement('canvas');
+  canvas.width = CANVAS_WIDTH;
+  canvas.height = Math.round(CANVAS_WIDTH / CARD_ASPECT);
+  const context = canvas.getContext('2d');
+  const texture = new THREE.CanvasTexture(canvas);
+  texture.colorSpace = THREE.SRGBColorSpace;
+  const mesh = new THREE.Mesh(new THREE.PlaneGeometry(width, height), new THREE.MeshBasicMaterial({ map: texture }));
+
+  return {
+    mesh,
+
+    /**
+     * Draw the face
+     * @param {string} background - CSS background color
+     * @param {Array<Object>} lines - { text, size (px), color } from top to bottom, centered
+     */
+    draw(background, lines) {
+      context.fillStyle = background;
+      context.fillRect(0, 0, canvas.width, canvas.height);
+      context.textAlign = 'center';
+      context.textBaseline = 'middle';
+      const total = lines.reduce((sum, line) => sum + line.size * 1.3, 0);
+      let y = (canvas.height - total) / 2;
+      for (const line of lines) {
+        context.font = `bold ${line.size}px sans-serif`;
+        context.fillStyle = line.color;
+        y += line.size * 0.65;
+        context.fillText(line.text, canvas.width / 2, y, canvas.width - 80);
+        y += line.size * 0.65;
+      }
+      texture.needsUpdate = true;
+    }
+  };
+}
+
+/**
+ * Create the redemption card for a marker
+ * @param {Object} options
+ * @param {Object} options.marker - Marker config from the manifest
+ * @param {THREE.Object3D} options.parent - Marker content's anchor (marker space) the card is added to
+ * @param {Object} options.redemption - The card's redemption (createRedemption)
+ * @param {Function} options.log - Logger (message, type, category) => void
+ * @returns {Object} { targets, enabled, enable(), disable(), tick(time), dispose() }
+ */
+export function createRedemptionContent({ marker, parent, redemption, log = () => {} }) {
+  const width = marker.physicalWidth * CARD_SCALE;
+  const height = width / CARD_ASPECT;
+  let enabled = false;
+  let copied = false;
+
+  const card = new THREE.Group();
+  card.name = `redemption-${marker.id}`;
+  card.position.y = CARD_HEIGHT_ABOVE_MARKER;
+  card.visible = false;
+
+  // Front faces up (+Y); the back faces down, turned so it reads the right
+  // way up once the card has turned over about the marker's Z axis (rotation.z)
+  const front = createFace(width, height);
+  front.mesh.rotation.x = -Math.PI / 2;
+  card.add(front.mesh);
+  const back = createFace(width, height);
+  back.mesh.rotation.set(Math.PI / 2, 0, Math.PI);
+  card.add(back.mesh);
+  parent.add(card);
+
+  const flip = createTimeline(FLIP_CLIP, { targets: { card } });
+  flip.on('complete', () => log(`🎁 Gift card on "${marker.id}" turned over`, 'info', 'render'));
+
+  function drawFront() {
+    const { state, error } = redemption;
+    if (state === 'loading') {
+      front.draw(FRONT_COLOR, [{ text: 'Revealing…', size: 96, color: '#ffffff' }]);
+    } else if (state === 'failed') {
+      const { title, message } = describeRedemptionError(error);
+      front.draw(FRONT_COLOR, [
+        { text: title, size: 96, color: '#ffcdd2' },
+        { text: message, size: 44, color: '#ffffff' }
+      ]);
+    } else {
+      front.draw(FRONT_COLOR, [
+        { text: '🎁', size: 140, color: '#ffffff' },
+        { text: 'Tap to reveal your gift', size: 72, color: '#ffffff' }
+      ]);
+    }
+  }
+
+  function drawBack() {
+    const { result } = redemption;
+    if (!result) {
+      return;
+    }
+    back.draw(BACK_COLOR, [
+      { text: formatBalance(result), size: 120, color: '#1a237e' },
+      { text: result.code, size: 88, color: '#212121' },
+      { text: copied ? 'Code copied ✓' : 'Tap to copy the code', size: 52, color: '#616161' },
+      ...(result.expiresAt ? [{ text: `Valid until ${result.expiresAt}`, size: 40, color: '#9e9e9e' }] : [])
+    ]);
+  }
+
+  function update() {
+    drawFront();
+    drawBack();
+    if (enabled && redemption.state === 'revealed' && flip.state === 'idle') {
+      flip.play();
+    }
+  }
+
+  const unsubscribe = redemption.on('change', update);
+  update();
+
+  // Tap on the card - a user gesture: reveal, try again, or copy the code
+  function handleTap() {
+    if (!enabled) {
+      return;
+    }
+    if (redemption.state === 'revealed') {
+      if (flip.state === 'finished') {
+        copyCode();
+      }
+      return;
+    }
+    if (redemption.state === 'ready' || redemption.error?.retryable) {
+      // Failures are shown on the card
+      redemption.reveal().catch(() => {});
+    }
+  }
+
+  card.addEventListener('tap', handleTap);
+  card.addEventListener('hoverstart', () => card.scale.setScalar(HOVER_SCALE));
+  card.addEventListener('hoverend', () => card.scale.setScalar(1));
+
+  async function copyCode() {
+    try {
+      await navigator.clipboard.writeText(redemption.result.code);
+      copied = true;
+      drawBack();
+      log('📋 Gift card code copied', 'success', 'app');
+    } catch (error) {
+      log(`⚠️ Could not copy the code: ${error.message}`, 'warning', 'app');
+    }
+  }
+
+  return {
+    // Objects the interaction layer dispatches taps and hovers to
+    targets: [card],
+
+    /**
+     * Whether the card is showing
+     */
+    get enabled() {
+      return enabled;
+    },
+
+    /**
+     * Show the card (once the marker's content has played)
+     * A card revealed on an earlier visit turns over straight away
+     */
+    enable() {
+      if (enabled) {
+        return;
+      }
+      enabled = true;
+      card.visible = true;
+      log(`🎁 Gift card ready on "${marker.id}"`, 'info', 'render');
+      update();
+    },
+
+    /**
+     * Hide the card again (its content is replaying)
+     */
+    disable() {
+      enabled = false;
+      card.visible = false;
+    },
+
+    /**
+     * Advance the flip - call once per frame
+     * @param {number} time - Frame time in milliseconds
+     */
+    tick(time) {
+      flip.update(time);
+    },
+
+    /**
+     * Remove the card and release its textures
+     */
+    dispose() {
+      unsubscribe();
+      card.removeFromParent();
+      card.traverse((object) => {
+        object.geometry?.dispose();
+        object.material?.map?.dispose();
+        object.material?.dispose();
+      });
+    }
+  };
+}
@@ -0,0 +1,276 @@
+// Redemption - the gift card's code and balance from a redemption backend
+// The card id comes from a verified campaign link (campaign.js). Revealing
+// is one-time: the backend hands a card's code out once and refuses later
+// requests, so a forwarded link can't reveal the code again on another
+// device. The device that revealed it keeps the result (localStorage) and
+// shows it again on later visits.
+//
+// Backends are pluggable: an adapter is any object with
+//   reveal(cardId) => Promise<{ code, balance, currency, expiresAt }>
+// that rejects with a redemption error (redemptionError()) when the card
+// can't be revealed. createRestRedemptionAdapter talks to the REST API below;
+// scripts/redemption-mock-server.js implements it for development.
+//
+//   POST {endpoint}/cards/{cardId}/reveal
+//   200 { "code": "GIFT-1234-ABCD", "balance": 25, "currency": "EUR", "expiresAt": "2027-12-31" }
+//   404 { "error": "not-found" }
+//   409 { "error": "redeemed" }   - the card was used
+//   409 { "error": "revealed" }   - the code was already revealed
+//   410 { "error": "expired", "expiresAt": "2026-01-31" }
+
+// Why a card can't be revealed (error.code)
+export const REDEMPTION_ERRORS = {
+  NOT_FOUND: 'not-found',
+  REDEEMED: 'redeemed',
+  REVEALED: 'revealed',
+  EXPIRED: 'expired',
+  UNAVAILABLE: 'unavailable' // Backend unreachable or failing - worth trying again
+};
+
+// Default REST adapter settings
+export const DEFAULT_REDEMPTION_OPTIONS = {
+  timeout: 10000 // Abort a request that takes longer (ms)
+};
+
+// Event types a redemption emits
+export const REDEMPTION_EVENTS = ['change'];
+
+const STORAGE_PREFIX = 'webxr-gift-card:redemption:';
+
+/**
+ * Create a redemption error
+ * @param {string} code - One of REDEMPTION_ERRORS
+ * @param {string} message - What went wrong
+ * @param {Object} details - Extra fields from the backend (e.g. expiresAt)
+ * @returns {Error} Error with code, retryable and the details
+ */
+export function redemptionError(code, message, details = {}) {
+  const error = new Error(message);
+  Object.assign(error, details);
+  error.code = code;
+  error.retryable = code === REDEMPTION_ERRORS.UNAVAILABLE;
+  return error;
+}
+
+/**
+ * Check a backend's reveal result
+ * @param {Object} result - Parsed response body
+ * @returns {Object} { code, balance, currency, expiresAt }
+ */
+function parseRevealResult(result) {
+  if (typeof result?.code !== 'string' || !result.code ||
+    typeof result.balance !== 'number' || !(result.balance >= 0) ||
+    typeof result.currency !== 'string' || !/^[A-Z]{3}$/.test(result.currency)) {
+    throw redemptionError(REDEMPTION_ERRORS.UNAVAILABLE, 'Redemption backend sent an invalid response');
+  }
+  return {
+    code: result.code,
+    balance: result.balance,
+    currency: result.currency,
+    expiresAt: typeof result.expiresAt === 'string' ? result.expiresAt : null
+  };
+}
+
+/**
+ * Create an adapter for the REST API (see the top of this file)
+ * @param {Object} options
+ * @param {string} options.endpoint - API base URL, e.g. https://api.example.com/redemption or /redemption
+ * @param {Function} options.fetch - fetch implementation (defaults to the global fetch)
+ * @param {number} options.timeout - Overrides DEFAULT_REDEMPTION_OPTIONS.timeout
+ * @returns {Object} Adapter with reveal(cardId)
+ */
+export function createRestRedemptionAdapter({ endpoint, fetch = globalThis.fetch.bind(globalThis), timeout = DEFAULT_REDEMPTION_OPTIONS.timeout }) {
+  const base = endpoint.replace(/\/$/, '');
+
+  return {
+    async reveal(cardId) {
+      const controller = new AbortController();
+      const timer = setTimeout(() => controller.abort(), timeout);
+      let response;
+      let body = null;
+      try {
+        response = await fetch(`${base}/cards/${encodeURIComponent(cardId)}/reveal`, {
+          method: 'POST',
+          headers: { Accept: 'application/json' },
+          signal: controller.signal
+        });
+        body = await response.json().catch(() => null);
+      } catch (error) {
+        const reason = error.name === 'AbortError' ? `no answer within ${timeout} ms` : error.message;
+        throw redemptionError(REDEMPTION_ERRORS.UNAVAILABLE, `Redemption backend unreachable: ${reason}`);
+      } finally {
+        clearTimeout(timer);
+      }
+
+      if (response.ok) {
+        return parseRevealResult(body);
+      }
+      const { error: code, message, ...details } = body || {};
+      if (response.status === 404) {
+        throw redemptionError(REDEMPTION_ERRORS.NOT_FOUND, message || `Card ${cardId} not found`, details);
+      }
+      if (response.status === 410 || code === REDEMPTION_ERRORS.EXPIRED) {
+        throw redemptionError(REDEMPTION_ERRORS.EXPIRED, message || `Card ${cardId} has expired`, details);
+      }
+      if (response.status === 409) {
+        const conflict = code === REDEMPTION_ERRORS.REDEEMED ? REDEMPTION_ERRORS.REDEEMED : REDEMPTION_ERRORS.REVEALED;
+        throw redemptionError(conflict, message || `Card ${cardId} was already ${conflict}`, details);
+      }
+      throw redemptionError(REDEMPTION_ERRORS.UNAVAILABLE, message || `Redemption backend failed: ${response.status} ${response.statusText}`, details);
+    }
+  };
+}
+
+/**
+ * Create the redemption for one card
+ * Its state is observable with redemption.on('change', ({ state, result, error }) => ...):
+ * 'ready' -> 'loading' -> 'revealed' | 'failed' ('failed' with a retryable
+ * error can reveal again)
+ * @param {Object} options
+ * @param {Object} options.adapter - Backend adapter (e.g. createRestRedemptionAdapter)
+ * @param {string} options.cardId - Card id (from the campaign link)
+ * @param {Storage} options.storage - Where a revealed result is kept (null to keep nothing)
+ * @param {Function} options.log - Logger (message, type, category) => void
+ * @returns {Object} Redemption
+ */
+export function createRedemption({ adapter, cardId, storage = globalThis.localStorage ?? null, log = () => {} }) {
+  const storageKey = `${STORAGE_PREFIX}${cardId}`;
+  const listeners = new Map(REDEMPTION_EVENTS.map((type) => [type, new Set()]));
+  let state = 'ready'; // 'ready' | 'loading' | 'revealed' | 'failed'
+  let result = null;
+  let lastError = null;
+  let pending = null;
+
+  try {
+    const saved = storage?.getItem(storageKey);
+    if (saved) {
+      result = parseRevealResult(JSON.parse(saved));
+      state = 'revealed';
+    }
+  } catch (error) {
+    // Unreadable or invalid - reveal again
+  }
+
+  function setState(next, error = null) {
+    state = next;
+    lastError = error;
+    for (const listener of listeners.get('change')) {
+      listener({ state, result, error });
+    }
+  }
+
+  return {
+    cardId,
+
+    /**
+     * Reveal state: 'ready' | 'loading' | 'revealed' | 'failed'
+     */
+    get state() {
+      return state;
+    },
+
+    /**
+     * The revealed code and balance, or null before reveal() succeeds
+     */
+    get result() {
+      return result;
+    },
+
+    /**
+     * Why the last reveal failed (a redemption error), or null
+     */
+    get error() {
+      return lastError;
+    },
+
+    /**
+     * Subscribe to a redemption event
+     * @param {string} type - One of REDEMPTION_EVENTS
+     * @param {Function} listener - Receives { state, result, error }
+     * @returns {Function} Call to unsubscribe
+     */
+    on(type, listener) {
+      if (!listeners.has(type)) {
+        throw new Error(`Unknown redemption event "${type}" (expected one of: ${REDEMPTION_EVENTS.join(', ')})`);
+      }
+      listeners.get(type).add(listener);
+      return () => listeners.get(type).delete(listener);
+    },
+
+    /**
+     * Reveal the card's code and balance
+     * Only the first call asks the backend; later calls (and later visits on
+     * this device) get the same result. A card that can't be revealed
+     * (redeemed, expired, ...) isn't asked for again.
+     * @returns {Promise<Object>} { code, balance, currency, expiresAt }; rejects with a redemption error
+     */
+    reveal() {
+      if (result) {
+        return Promise.resolve(result);
+      }
+      if (state === 'failed' && !lastError.retryable) {
+        return Promise.reject(lastError);
+      }
+      if (!pending) {
+        log(`🎁 Revealing card ${cardId}...`, 'info', 'app');
+        setState('loading');
+        pending = Promise.resolve()
+          .then(() => adapter.reveal(cardId))
+          .then((revealed) => {
+            result = revealed;
+            try {
+              storage?.setItem(storageKey, JSON.stringify(revealed));
+            } catch (error) {
+              log(`⚠️ Could not keep the revealed code on this device: ${error.message}`, 'warning', 'app');
+            }
+            log(`🎁 Card ${cardId} revealed`, 'success', 'app');
+            setState('revealed');
+            return revealed;
+          }, (error) => {
+            const failure = error.code ? error : redemptionError(REDEMPTION_ERRORS.UNAVAILABLE, error.message);
+            log(`⚠️ Card ${cardId} could not be revealed (${failure.code}): ${failure.message}`, failure.retryable ? 'error' : 'warning', 'app');
+            setState('failed', failure);
+            throw failure;
+          })
+          .finally(() => {
+            pending = null;
+          });
+      }
+      return pending;
+    }
+  };
+}
+
+/**
+ * Format a balance for display
+ * @param {Object} result - Reveal result
+ * @param {string} locale - Locale (defaults to the browser's)
+ * @returns {string} e.g. "€25.00"
+ */
+export function formatBalance({ balance, currency }, locale = undefined) {
+  try {
+    return new Intl.NumberFormat(locale, { style: 'currency', currency }).format(balance);
+  } catch (error) {
+    return `${balance.toFixed(2)} ${currency}`;
+  }
+}
+
+/**
+ * A short message for a redemption error, for the card and the page
+ * @param {Error} error - Redemption error
+ * @returns {Object} { title, message }
+ */
+export function describeRedemptionError(error) {
+  switch (error.code) {
+    case REDEMPTION_ERRORS.REDEEMED:
+      return { title: 'Already redeemed', message: 'This gift card has already been used.' };
+    case REDEMPTION_ERRORS.REVEALED:
+      return { title: 'Already revealed', message: 'The code for this card was revealed on another device.' };
+    case REDEMPTION_ERRORS.EXPIRED:
+      return { title: 'Card expired', message: error.expiresAt ? `This gift card expired on ${error.expiresAt}.` : 'This gift card has expired.' };
+    case REDEMPTION_ERRORS.NOT_FOUND:
+      return { title: 'Card not found', message: 'This gift card is not known.' };
+    default:
+      return { title: 'Not available', message: 'The gift card service could not be reached. Tap to try again.' };
+  }
+}
@@ -0,0 +1,133 @@
+// Replay Backend - plays a tracking recording back through the tracker
+// A MarkerTracker backend (see marker-tracker.js) for recordings made by
+// tracking-recorder.js. Each update returns the recorded results of the
+// frame at that point in the recording, so detection callbacks, smoothing and
+// content placement behave as they did on the recorded phone. Markers are
+// matched to the current experience by id.
+//
+// Pure logic only (no DOM, no WebXR) so recordings can be replayed in Node.
+
+import { decomposeMatrix } from './pose-filter.js';
+
+/**
+ * Rebuild an XRPose-like object from a recorded matrix
+ * @param {Array<number>} matrix - Column-major 4x4 matrix
+ * @param {boolean} emulated - Whether the pose was emulated
+ * @returns {Object} Pose ({ transform: { position, orientation, matrix }, emulatedPosition })
+ */
+function poseFromMatrix(matrix, emulated) {
+  const { position, orientation } = decomposeMatrix(matrix);
+  return {
+    transform: {
+      position: { ...position, w: 1 },
+      orientation,
+      matrix: new Float32Array(matrix)
+    },
+    emulatedPosition: emulated
+  };
+}
+
+/**
+ * Create a backend that replays a recording
+ * @param {Object} recording - Parsed recording ({ header, frames } from parseRecording)
+ * @param {Object} options
+ * @param {boolean} options.loop - Start over after the last frame (default: stop, markers are lost)
+ * @param {Function} options.log - Logger (message, type, category) => void
+ * @returns {Object} Tracking backend ({ name, init, update, dispose }) plus getViewerPose() and progress
+ */
+export function createReplayBackend(recording, { loop = false, log = () => {} } = {}) {
+  const { header, frames } = recording;
+  const duration = frames.length > 0 ? frames[frames.length - 1].t : 0;
+  let indexMap = new Map(); // Recorded marker index -> current marker index
+  let startTime = null;
+  let frameIndex = -1; // Last replayed frame
+  let viewerPose = null;
+
+  return {
+    name: 'replay',
+
+    /**
+     * Recorded scores, matched to the current markers by id
+     * Markers that weren't in the recording are untrackable
+     * @returns {Promise<Array<string>>} One score per marker
+     */
+    async init({ markers }) {
+      indexMap = new Map();
+      startTime = null;
+      frameIndex = -1;
+      viewerPose = null;
+
+      return markers.map((marker) => {
+        const recorded = header.markers.find((entry) => entry.id === marker.id);
+        if (!recorded) {
+          log(`⚠️ Marker "${marker.id}" is not in the recording`, 'warning', 'tracker');
+          return 'untrackable';
+        }
+        indexMap.set(recorded.index, marker.index);
+        return header.scores[recorded.index] || 'untrackable';
+      });
+    },
+
+    /**
+     * Replay the recorded frame for this point in time
+     * @param {Object} context
+     * @param {number} context.timestamp - Frame time in milliseconds
+     * @returns {Array<Object>} Results { index, trackingState, pose }
+     */
+    update({ timestamp }) {
+      if (startTime === null) {
+        startTime = timestamp;
+      }
+      let time = timestamp - startTime;
+      if (time > duration) {
+        if (!loop || duration === 0) {
+          // Past the end - nothing is tracked any more
+          frameIndex = frames.length;
+          viewerPose = null;
+          return [];
+        }
+        time %= duration;
+        if (frameIndex >= 0 && frames[frameIndex].t > time) {
+          frameIndex = -1;
+        }
+      }
+
+      while (frameIndex + 1 < frames.length && frames[frameIndex + 1].t <= time) {
+        frameIndex++;
+      }
+      const frame = frames[frameIndex];
+      if (!frame) {
+        return [];
+      }
+
+      viewerPose = frame.v;
+      return frame.r
+        .filter((result) => indexMap.has(result.i))
+        .map((result) => ({
+          index: indexMap.get(result.i),
+          trackingState: result.s,
+          pose: result.m ? poseFromMatrix(result.m, result.s === 'emulated') : null
+        }));
+    },
+
+    /**
+     * Recorded viewer pose for the last replayed frame
+     * @returns {Array<number>|null} Column-major 4x4 matrix, or null if not recorded
+     */
+    getViewerPose() {
+      return viewerPose;
+    },
+
+    /**
+     * Replay position
+     * @returns {Object} { frame, frameCount }
+     */
+    get progress() {
+      return { frame: Math.min(frameIndex + 1, frames.length), frameCount: frames.length };
+    },
+
+    dispose() {
+      indexMap.clear();
+    }
+  };
+}
@@ -0,0 +1,267 @@
+// Reveal Content - an animated card opening before a marker's video plays
+// Wraps a marker's video content (video-content.js) with a lid that opens
+// on a hinge, a confetti burst and a line of text (or the card's personal
+// message from a campaign link), and plays a declarative timeline clip
+// (timeline.js) over them, keyed to time since the marker was first
+// detected. The clip animates these targets:
+//
+//   card     - group holding every reveal part
+//   lid      - hinge at the marker's top edge; rotation.x < 0 opens the lid
+//   text     - text plane standing behind the card (material.opacity fades it)
+//   confetti - the confetti particles
+//   video    - the video plane (material.opacity fades it)
+//
+// and acts on these clip events: "confetti" bursts the confetti, "playVideo"
+// starts the video. The timeline pauses while the marker is lost and resumes
+// where it was when the marker comes back.
+//
+// Has the same interface as video content, plus tick(time) per frame.
+
+import * as THREE from 'three';
+import { createTimeline } from './timeline.js';
+import { createTextMesh } from './text-mesh.js';
+
+// Reveal defaults (the manifest's reveal options override the colors and text)
+const DEFAULT_REVEAL_OPTIONS = {
+  text: '',
+  lidColor: '#c62828',
+  textColor: '#ffffff',
+  particleBudget: 250 // Confetti pieces until a quality tier sets the budget
+};
+
+// Confetti behaviour, in marker space (meters, +Y out of the card)
+const MAX_CONFETTI = 1000;
+const CONFETTI_GRAVITY = 1.2; // m/s², slowed down so it floats
+const CONFETTI_DRAG = 1.5; // Velocity lost per second (fraction)
+const CONFETTI_LIFETIME = 3000; // ms until the burst is gone
+const CONFETTI_COLORS = ['#ffd93d', '#ff6b6b', '#6bcf7f', '#4d96ff', '#ffffff'];
+
+/**
+ * Create the confetti particles
+ * @param {number} size - Marker width in meters (scales the burst)
+ * @returns {Object} { object, burst(count), update(deltaMs) }
+ */
+function createConfetti(size) {
+  const positions = new Float32Array(MAX_CONFETTI * 3);
+  const colors = new Float32Array(MAX_CONFETTI * 3);
+  const velocities = new Float32Array(MAX_CONFETTI * 3);
+  const color = new THREE.Color();
+  for (let i = 0; i < MAX_CONFETTI; i++) {
+    color.set(CONFETTI_COLORS[i % CONFETTI_COLORS.length]);
+    colors.set([color.r, color.g, color.b], i * 3);
+  }
+
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+  geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+  geometry.setDrawRange(0, 0);
+  const material = new THREE.PointsMaterial({ size: size * 0.04, vertexColors: true, transparent: true, depthWrite: false });
+  const points = new THREE.Points(geometry, material);
+  points.frustumCulled = false; // Bounds change every frame
+  points.visible = false;
+
+  let count = 0;
+  let age = 0;
+
+  return {
+    object: points,
+
+    /**
+     * Throw a burst of confetti up from the card
+     * @param {number} pieces - Number of pieces (0 for none)
+     */
+    burst(pieces) {
+      count = Math.min(pieces, MAX_CONFETTI);
+      age = 0;
+      for (let i = 0; i < count; i++) {
+        const angle = Math.random() * Math.PI * 2;
+        const spread = Math.random() * size * 4;
+        positions.set([(Math.random() - 0.5) * size * 0.5, 0, (Math.random() - 0.5) * size * 0.5], i * 3);
+        velocities.set([Math.cos(angle) * spread, size * (5 + Math.random() * 5), Math.sin(angle) * spread], i * 3);
+      }
+      geometry.setDrawRange(0, count);
+      geometry.attributes.position.needsUpdate = true;
+      material.opacity = 1;
+      points.visible = count > 0;
+    },
+
+    /**
+     * Move the confetti on
+     * @param {number} delta - Milliseconds since the last update
+     */
+    update(delta) {
+      if (!points.visible) {
+        return;
+      }
+      age += delta;
+      if (age >= CONFETTI_LIFETIME) {
+        points.visible = false;
+        return;
+      }
+      const dt = delta / 1000;
+      const drag = Math.max(0, 1 - CONFETTI_DRAG * dt);
+      for (let i = 0; i < count * 3; i += 3) {
+        velocities[i + 1] -= CONFETTI_GRAVITY * dt;
+        velocities[i] *= drag;
+        velocities[i + 1] *= drag;
+        velocities[i + 2] *= drag;
+        positions[i] += velocities[i] * dt;
+        positions[i + 1] += velocities[i + 1] * dt;
+        positions[i + 2] += velocities[i + 2] * dt;
+      }
+      geometry.attributes.position.needsUpdate = true;
+      // Fade out over the last third of the lifetime
+      material.opacity = Math.min(1, 3 * (1 - age / CONFETTI_LIFETIME));
+    }
+  };
+}
+
+/**
+ * Create reveal content around a marker's video content
+ * @param {Object} options
+ * @param {Object} options.marker - Marker config from the manifest
+ * @param {Object} options.videoContent - The marker's video content
+ * @param {Object} options.clip - Timeline clip definition
+ * @param {Function} options.playVideo - Starts the video (handles autoplay rules and errors)
+ * @param {Array<string>} options.message - Personal text shown instead of the reveal's text (campaign links)
+ * @param {Function} options.log - Logger (message, type, category) => void
+ * @returns {Object} Content with the video content interface plus tick(time) and setParticleBudget(count)
+ */
+export function createRevealContent({ marker, videoContent, clip, playVideo, message = null, log = () => {} }) {
+  const options = { ...DEFAULT_REVEAL_OPTIONS, ...marker.content.reveal };
+  const { physicalWidth: width, physicalHeight: height } = marker;
+  let particleBudget = options.particleBudget;
+  let videoStarted = false; // The clip's playVideo event has fired
+  let lastTickTime = null;
+
+  const card = new THREE.Group();
+  card.name = `reveal-${marker.id}`;
+
+  // The lid lies over the video and opens on a hinge along the card's top
+  // edge (image space +Z points to the bottom of the image)
+  const lid = new THREE.Group();
+  lid.position.set(0, 0.001, -height / 2);
+  const lidMaterial = new THREE.MeshBasicMaterial({ color: options.lidColor, side: THREE.DoubleSide });
+  const lidMesh = new THREE.Mesh(new THREE.PlaneGeometry(width, height), lidMaterial);
+  lidMesh.rotation.x = -Math.PI / 2;
+  lidMesh.position.z = height / 2;
+  lid.add(lidMesh);
+  card.add(lid);
+
+  // Text stands up behind the card, facing the viewer
+  const text = createTextMesh(message || options.text, { color: options.textColor, width, opacity: 0 });
+  text.position.set(0, text.geometry.parameters.height / 2 + 0.005, -height / 2 - 0.002);
+  card.add(text);
+
+  const confetti = createConfetti(width);
+  card.add(confetti.object);
+
+  const video = videoContent.mesh;
+  video.material.transparent = true;
+  videoContent.object.add(card);
+
+  const timeline = createTimeline(clip, { targets: { card, lid, text, confetti: confetti.object, video } });
+  timeline.on('event', ({ name }) => {
+    if (name === 'confetti') {
+      confetti.burst(particleBudget);
+    } else if (name === 'playVideo') {
+      videoStarted = true;
+      playVideo();
+    }
+  });
+  timeline.on('step', ({ name }) => log(`🎬 Reveal "${timeline.clip.id}" on "${marker.id}": ${name}`, 'info', 'render'));
+  timeline.on('complete', () => log(`🎬 Reveal "${timeline.clip.id}" on "${marker.id}" finished`, 'info', 'render'));
+
+  return {
+    ...videoContent,
+    timeline,
+
+    /**
+     * Whether the reveal or its video is playing
+     */
+    get playing() {
+      return timeline.state === 'playing' || videoContent.playing;
+    },
+
+    /**
+     * Show the card and start or continue the reveal
+     * @returns {Promise<void>} Resolves once the video resumes (if it had started)
+     */
+    show() {
+      videoContent.object.visible = true;
+      if (timeline.state === 'idle') {
+        timeline.play();
+      } else {
+        timeline.resume();
+      }
+      return videoStarted ? videoContent.play() : Promise.resolve();
+    },
+
+    /**
+     * Hide the card and hold the reveal where it is
+     */
+    hide() {
+      timeline.pause();
+      videoContent.hide();
+    },
+
+    /**
+     * Hold the reveal and the video (the card stays visible)
+     */
+    pause() {
+      timeline.pause();
+      videoContent.pause();
+    },
+
+    /**
+     * Play the reveal again from the start, with the video rewound until the
+     * clip starts it
+     * @returns {Promise<void>}
+     */
+    replay() {
+      videoStarted = false;
+      videoContent.pause();
+      videoContent.video.currentTime = 0;
+      timeline.play();
+      if (!videoContent.object.visible) {
+        timeline.pause(); // Continues when the marker is shown
+      }
+      return Promise.resolve();
+    },
+
+    /**
+     * Advance the reveal - call once per frame
+     * @param {number} time - Frame time in milliseconds
+     */
+    tick(time) {
+      timeline.update(time);
+      if (timeline.state === 'paused' || !videoContent.object.visible) {
+        lastTickTime = null; // The paused time isn't played
+        return;
+      }
+      confetti.update(lastTickTime === null ? 0 : time - lastTickTime);
+      lastTickTime = time;
+    },
+
+    /**
+     * Set how many confetti pieces a burst may use (quality tiers)
+     * @param {number} count - Particle budget
+     */
+    setParticleBudget(count) {
+      particleBudget = count;
+    },
+
+    /**
+     * Release the reveal parts and the video content
+     */
+    dispose() {
+      card.removeFromParent();
+      card.traverse((object) => {
+        object.geometry?.dispose();
+        object.material?.map?.dispose();
+        object.material?.dispose();
+      });
+      videoContent.dispose();
+    }
+  };
+}
@@ -0,0 +1,147 @@
+// Service Worker - offline support for venues with patchy connectivity
+// Not bundled: vite.config.js turns this file into /sw.js at build time,
+// replacing __CACHE_VERSION__ with a hash of everything precached and
+// __PRECACHE_URLS__ with the app shell (index.html and the bundled assets),
+// the experience manifests (default and campaigns) and every file they refer
+// to (marker images, videos, models, reveal clips) and the Draco decoder.
+//
+// - install: precache everything into a cache named after the version. The
+//   new worker then waits; the page shows an "update available" prompt and
+//   posts { type: 'SKIP_WAITING' } when the user accepts (sw-registration.js)
+// - activate: delete older versions' caches and take over open pages
+// - fetch (same-origin GET only):
+//   - page loads get the precached index.html (any query string)
+//   - precached files come from the cache; Range requests (video elements,
+//     asset-manager.js probes) are answered with 206 slices of the cached file
+//   - anything else goes to the network, keeping a copy in a runtime cache
+//     that is used when the network is unavailable
+
+const CACHE_VERSION = __CACHE_VERSION__;
+const PRECACHE_URLS = __PRECACHE_URLS__;
+
+const CACHE_PREFIX = 'webxr-gift-card-';
+const PRECACHE = `${CACHE_PREFIX}precache-${CACHE_VERSION}`;
+const RUNTIME_CACHE = `${CACHE_PREFIX}runtime`;
+const PRECACHED = new Set(PRECACHE_URLS.map((url) => new URL(url, self.location).href));
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(caches.open(PRECACHE).then((cache) => cache.addAll(PRECACHE_URLS)));
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    for (const name of await caches.keys()) {
+      if (name.startsWith(CACHE_PREFIX) && name !== PRECACHE && name !== RUNTIME_CACHE) {
+        await caches.delete(name);
+      }
+    }
+    await self.clients.claim();
+  })());
+});
+
+self.addEventListener('message', (event) => {
+  if (event.data?.type === 'SKIP_WAITING') {
+    self.skipWaiting();
+  }
+});
+
+/**
+ * Parse a single-range Range header ("bytes=start-end", "bytes=start-" or "bytes=-suffix")
+ * @param {string} header - Range header value
+ * @param {number} size - Full file size in bytes
+ * @returns {Object|null} { start, end } (inclusive), or null if unsatisfiable
+ */
+function parseRange(header, size) {
+  const match = /^bytes=(\d*)-(\d*)$/.exec(header.trim());
+  if (!match || (match[1] === '' && match[2] === '')) {
+    return null;
+  }
+  let start;
+  let end;
+  if (match[1] === '') {
+    // Suffix range: the last N bytes
+    start = Math.max(0, size - Number(match[2]));
+    end = size - 1;
+  } else {
+    start = Number(match[1]);
+    end = match[2] === '' ? size - 1 : Math.min(Number(match[2]), size - 1);
+  }
+  return start <= end && start < size ? { start, end } : null;
+}
+
+/**
+ * Answer a Range request from a cached full response
+ * @param {Request} request - Request with a Range header
+ * @param {Response} cached - Cached 200 response for the whole file
+ * @returns {Promise<Response>} 206 with the requested bytes, or 416
+ */
+async function rangeResponse(request, cached) {
+  const blob = await cached.blob();
+  const range = parseRange(request.headers.get('Range'), blob.size);
+  if (!range) {
+    return new Response(null, { status: 416, headers: { 'Content-Range': `bytes */${blob.size}` } });
+  }
+  const headers = new Headers(cached.headers);
+  headers.set('Content-Range', `bytes ${range.start}-${range.end}/${blob.size}`);
+  headers.set('Content-Length', String(range.end - range.start + 1));
+  headers.set('Accept-Ranges', 'bytes');
+  return new Response(blob.slice(range.start, range.end + 1), { status: 206, statusText: 'Partial Content', headers });
+}
+
+/**
+ * Network first, falling back to the runtime cache when offline
+ * @param {Request} request - GET request
+ * @returns {Promise<Response>}
+ */
+async function networkFirst(request) {
+  try {
+    const response = await fetch(request);
+    if (response.ok && response.status === 200 && !request.headers.has('Range')) {
+      const cache = await caches.open(RUNTIME_CACHE);
+      await cache.put(request, response.clone());
+    }
+    return response;
+  } catch (error) {
+    const cached = await caches.match(request, { cacheName: RUNTIME_CACHE });
+    if (!cached) {
+      throw error;
+    }
+    return request.headers.has('Range') ? rangeResponse(request, cached) : cached;
+  }
+}
+
+/**
+ * Serve a request from the precache (or the network if it's missing)
+ * @param {Request} request - GET request for a precached URL
+ * @returns {Promise<Response>}
+ */
+async function fromPrecache(request) {
+  const cache = await caches.open(PRECACHE);
+  const cached = await cache.match(request.url);
+  if (!cached) {
+    return networkFirst(request);
+  }
+  return request.headers.has('Range') ? rangeResponse(request, cached) : cached;
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  if (request.method !== 'GET' || url.origin !== self.location.origin) {
+    return;
+  }
+
+  if (request.mode === 'navigate') {
+    event.respondWith((async () => {
+      const cache = await caches.open(PRECACHE);
+      return (await cache.match('/index.html')) || networkFirst(request);
+    })());
+    return;
+  }
+
+  if (PRECACHED.has(request.url)) {
+    event.respondWith(fromPrecache(request));
+    return;
+  }
+  event.respondWith(networkFirst(request));
+});
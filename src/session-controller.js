@@ -0,0 +1,762 @@
+// Session Controller - owns one AR session at a time and everything tied to it
+// (XR session, Three.js renderer, scene, marker tracker, marker content)
+//
+// Every transition goes through an explicit state, observable with
+// controller.on('statechange', ({ state, previous, reason }) => ...):
+//
+//   idle ──start()──> starting ──> running <──> paused
+//                        │            │           │
+//                        v            └──> ending <┘
+//                      failed              │
+//                                          v
+//                                        ended
+//
+// `ended` and `failed` can start() again, so a new session can begin without
+// reloading the page. All GPU resources are released when a session ends.
+
+import * as THREE from 'three';
+import { MarkerTracker } from './marker-tracker.js';
+import { createWebXRBackend } from './webxr-backend.js';
+import { createMarkerContent } from './marker-content.js';
+import { createInteraction, UI_SELECTOR } from './interaction.js';
+
+/**
+ * Session states
+ */
+export const SESSION_STATE = {
+  IDLE: 'idle',
+  STARTING: 'starting',
+  RUNNING: 'running',
+  PAUSED: 'paused',
+  ENDING: 'ending',
+  ENDED: 'ended',
+  FAILED: 'failed'
+};
+
+// Allowed transitions (from -> to)
+const TRANSITIONS = {
+  [SESSION_STATE.IDLE]: [SESSION_STATE.STARTING],
+  [SESSION_STATE.STARTING]: [SESSION_STATE.RUNNING, SESSION_STATE.ENDING, SESSION_STATE.FAILED],
+  [SESSION_STATE.RUNNING]: [SESSION_STATE.PAUSED, SESSION_STATE.ENDING],
+  [SESSION_STATE.PAUSED]: [SESSION_STATE.RUNNING, SESSION_STATE.ENDING],
+  [SESSION_STATE.ENDING]: [SESSION_STATE.ENDED],
+  [SESSION_STATE.ENDED]: [SESSION_STATE.STARTING],
+  [SESSION_STATE.FAILED]: [SESSION_STATE.STARTING]
+};
+
+// Event types dispatched by SessionController
+// 'frame' detail: { time, frame, frameCount, timing, tracking } - timing holds
+// the milliseconds spent in tracking (null if the tracker didn't run this
+// frame), rendering and, in camera mode, detection latency; tracking is the
+// tracker's results when it ran this frame, otherwise null
+export const SESSION_EVENTS = ['statechange', 'frame'];
+
+// Page pointer events hit-tested in sessions without XR input
+const POINTER_EVENTS = ['pointerdown', 'pointermove', 'pointerup', 'pointercancel'];
+
+/**
+ * Check whether a state transition is allowed
+ * @param {string} from - Current state
+ * @param {string} to - Next state
+ * @returns {boolean} True if the transition is allowed
+ */
+export function canTransition(from, to) {
+  return (TRANSITIONS[from] || []).includes(to);
+}
+
+/**
+ * Dispose the geometries, materials and textures of everything in a scene
+ * @param {THREE.Object3D} root - Scene or object to clean up
+ */
+function disposeObjectTree(root) {
+  root.traverse((object) => {
+    object.geometry?.dispose();
+    const materials = Array.isArray(object.material) ? object.material : [object.material];
+    for (const material of materials) {
+      if (!material) {
+        continue;
+      }
+      for (const value of Object.values(material)) {
+        if (value && value.isTexture) {
+          value.dispose();
+        }
+      }
+      material.dispose();
+    }
+  });
+  root.clear();
+}
+
+/**
+ * Create the Three.js renderer for a WebXR session
+ * @param {HTMLCanvasElement} canvas - Canvas to draw to
+ * @returns {THREE.WebGLRenderer} The renderer
+ */
+function createWebGLRenderer(canvas) {
+  return new THREE.WebGLRenderer({
+    canvas,
+    antialias: false, // Like WebXRGaussian
+    alpha: true, // Transparent background so camera shows through
+    powerPreference: 'high-performance'
+  });
+}
+
+/**
+ * Runs AR sessions for an experience
+ */
+export class SessionController extends EventTarget {
+  /**
+   * @param {Object} options
+   * @param {HTMLCanvasElement} options.canvas - Canvas the renderer draws to
+   * @param {Object} options.experience - Validated experience manifest
+   * @param {Object} options.assets - Preloaded assets ({ images, videos, clips, models } from preloadExperience)
+   * @param {XRSystem} options.xr - WebXR entry point (defaults to navigator.xr)
+   * @param {Function} options.log - Logger (message, type, category) => void, e.g. logger.scoped('session') (logger.js)
+   * @param {Function} options.onPlaybackChange - Called after content playback or sound changes
+   * @param {Object} options.recorder - Tracking recorder (tracking-recorder.js) to capture sessions with
+   * @param {Object} options.quality - Adaptive quality controller (quality.js); without one, quality is fixed
+   * @param {Object} options.redemption - The gift card's redemption (redemption.js), if the link names a card
+   * @param {HTMLElement} options.overlayRoot - Element shown over immersive sessions (dom-overlay feature), if any
+   * @param {Function} options.createRenderer - (canvas) => renderer for a session (defaults to a Three.js WebGLRenderer)
+   */
+  constructor({ canvas, experience, assets = {}, xr = navigator.xr, log = () => {}, onPlaybackChange = () => {}, recorder = null, quality = null, redemption = null, overlayRoot = null, createRenderer = createWebGLRenderer }) {
+    super();
+    this.canvas = canvas;
+    this.experience = experience;
+    this.assets = { images: new Map(), videos: new Map(), clips: new Map(), models: new Map(), ...assets };
+    this.xr = xr;
+    this.log = log;
+    this.onPlaybackChange = onPlaybackChange;
+    this.recorder = recorder;
+    this.quality = quality;
+    this.redemption = redemption;
+    this.overlayRoot = overlayRoot;
+    this.createRenderer = createRenderer;
+    this.domOverlay = null; // Granted dom-overlay type ('screen' on phones), or null
+    this.qualityTier = null; // Tier applied to the current session
+    this.viewportScale = 1; // XR viewport scale requested each frame (dynamic viewport scaling)
+
+    this.mode = 'webxr'; // How the camera feed and marker poses are obtained
+    this.state = SESSION_STATE.IDLE;
+    this.session = null;
+    this.referenceSpace = null;
+    this.renderer = null;
+    this.scene = null;
+    this.camera = null;
+    this.tracker = null;
+    this.content = null;
+    this.interaction = null; // Hover and tap dispatch to content (interaction.js)
+    this.frameCount = 0;
+    this.frameTiming = { tracking: null, render: 0, detection: null }; // Filled in during a frame
+    this.trackingResults = null; // Tracker results of the current frame
+    this.pageHidden = false;
+    this.sessionHidden = false;
+
+    this.handleSessionEnd = this.handleSessionEnd.bind(this);
+    this.handleSessionVisibilityChange = this.handleSessionVisibilityChange.bind(this);
+    this.handlePageVisibilityChange = this.handlePageVisibilityChange.bind(this);
+    this.handleSelect = this.handleSelect.bind(this);
+    this.handlePointer = this.handlePointer.bind(this);
+  }
+
+  /**
+   * Subscribe to a controller event
+   * @param {string} type - One of SESSION_EVENTS
+   * @param {Function} listener - Receives the event detail
+   * @returns {Function} Call to unsubscribe
+   */
+  on(type, listener) {
+    if (!SESSION_EVENTS.includes(type)) {
+      throw new Error(`Unknown session event "${type}" (expected one of: ${SESSION_EVENTS.join(', ')})`);
+    }
+    const handler = (event) => listener(event.detail);
+    this.addEventListener(type, handler);
+    return () => this.removeEventListener(type, handler);
+  }
+
+  /**
+   * Move to a new state and notify listeners
+   * @param {string} next - Next state (one of SESSION_STATE)
+   * @param {string} reason - Why the transition happened
+   */
+  transition(next, reason) {
+    const previous = this.state;
+    if (!canTransition(previous, next)) {
+      throw new Error(`Invalid session transition: ${previous} -> ${next}`);
+    }
+    this.state = next;
+    this.log(`Session state: ${previous} → ${next}${reason ? ` (${reason})` : ''}`, 'info');
+    this.dispatchEvent(new CustomEvent('statechange', { detail: { state: next, previous, reason } }));
+  }
+
+  /**
+   * Whether page UI shows during the session: always outside WebXR, and in
+   * WebXR when the browser granted the dom-overlay feature
+   */
+  get showsPageUI() {
+    return this.mode !== 'webxr' || this.domOverlay !== null;
+  }
+
+  /**
+   * Check whether start() can be called in the current state
+   * @returns {boolean} True if a new session can be started
+   */
+  canStart() {
+    return canTransition(this.state, SESSION_STATE.STARTING);
+  }
+
+  /**
+   * Throw if this kind of session can't run in this browser
+   */
+  checkAvailable() {
+    if (!this.xr) {
+      throw new Error('WebXR not available');
+    }
+  }
+
+  /**
+   * Start an AR session with image tracking
+   * Must be called from a user gesture in browsers that require one
+   * @returns {Promise<void>} Rejects if the session could not be started
+   */
+  async start() {
+    this.checkAvailable();
+    this.transition(SESSION_STATE.STARTING, 'start requested');
+    this.frameCount = 0;
+    this.quality?.reset();
+
+    try {
+      await this.setUpSession();
+    } catch (error) {
+      if (this.state !== SESSION_STATE.STARTING) {
+        // The session ended while it was being set up
+        return;
+      }
+      this.log(`Failed to start AR session: ${error.message}`, 'error');
+      const session = this.session;
+      this.releaseResources();
+      session?.end().catch(() => {});
+      this.transition(SESSION_STATE.FAILED, error.message);
+      throw error;
+    }
+
+    if (this.state !== SESSION_STATE.STARTING) {
+      // The session ended while it was being set up
+      return;
+    }
+    this.transition(SESSION_STATE.RUNNING, 'session started');
+    if (this.pageHidden || this.sessionHidden) {
+      this.pause('hidden at start');
+    }
+  }
+
+  /**
+   * Create the tracker, XR session, renderer, scene and content
+   */
+  async setUpSession() {
+    const { experience, canvas } = this;
+
+    // Load the marker images before requesting the session (Step 4)
+    // Chrome only accepts tracked images at session creation time
+    // A fresh tracker per session - no state carries over from a previous one
+    let trackedImages = null;
+    this.tracker = new MarkerTracker({
+      tracking: experience.tracking,
+      backend: this.withRecording(createWebXRBackend({ log: this.log })),
+      log: this.log
+    });
+    try {
+      this.log('Loading marker images...', 'info', 'asset');
+      const markers = await this.tracker.loadMarkers(experience.markers, this.assets.images);
+      trackedImages = this.tracker.createTrackedImagesConfig();
+      this.log(`Loaded ${markers.length} marker image(s): ${markers.map((m) => m.id).join(', ')}`, 'success', 'asset');
+    } catch (error) {
+      this.log(`⚠️ Marker images failed to load: ${error.message}`, 'error', 'asset');
+      // Continue anyway - we can still test the AR session
+    }
+
+    this.log('Requesting AR session...', 'info');
+
+    // Request immersive AR session with image tracking
+    const sessionInit = {
+      requiredFeatures: ['local'], // Required for AR
+      optionalFeatures: ['image-tracking'] // Image tracking for marker detection
+    };
+    if (trackedImages) {
+      sessionInit.trackedImages = trackedImages;
+    }
+    // Page UI over the camera view (Chrome Android); without it the session
+    // shows no DOM at all
+    if (this.overlayRoot) {
+      sessionInit.optionalFeatures.push('dom-overlay');
+      sessionInit.domOverlay = { root: this.overlayRoot };
+    }
+
+    this.log('Calling navigator.xr.requestSession...', 'info');
+    const session = await this.xr.requestSession('immersive-ar', sessionInit);
+    if (this.state !== SESSION_STATE.STARTING) {
+      // end() cancelled the start while the session was requested (e.g. at
+      // the permission prompt) - don't leave it running
+      session.end().catch(() => {});
+      this.log('AR session ended (cancelled while it started)', 'warning');
+      this.assertStarting();
+    }
+    this.session = session;
+    this.session.addEventListener('end', this.handleSessionEnd);
+    this.session.addEventListener('visibilitychange', this.handleSessionVisibilityChange);
+    this.session.addEventListener('selectstart', this.handleSelect);
+    this.session.addEventListener('select', this.handleSelect);
+    this.session.addEventListener('selectend', this.handleSelect);
+    document.addEventListener('visibilitychange', this.handlePageVisibilityChange);
+    this.pageHidden = document.visibilityState === 'hidden';
+    this.sessionHidden = false;
+    this.log('AR session started successfully!', 'success');
+    this.domOverlay = this.session.domOverlayState?.type ?? null;
+    if (this.domOverlay) {
+      this.log(`DOM overlay granted (${this.domOverlay})`, 'success');
+    } else if (this.overlayRoot) {
+      this.log('ℹ️ DOM overlay not granted - no page UI in AR (tap to turn sound on, use Back to exit)', 'warning');
+    }
+
+    // Set up Three.js WebGLRenderer (like WebXRGaussian does)
+    // Three.js creates the XRWebGLLayer and handles the camera feed
+    this.log('Creating Three.js WebGLRenderer...', 'info', 'render');
+    this.renderer = this.createRenderer(canvas);
+
+    // Set clear color to transparent (important for camera feed to show!)
+    this.renderer.setClearColor(0x000000, 0);
+
+    // Set renderer size to match screen
+    const screenWidth = window.innerWidth || canvas.offsetWidth;
+    const screenHeight = window.innerHeight || canvas.offsetHeight;
+    this.renderer.setSize(screenWidth, screenHeight);
+
+    // Enable XR on the renderer (this is crucial!)
+    this.renderer.xr.enabled = true;
+    // Quality tiers scale the viewport each frame where the browser supports
+    // it; otherwise the current tier sets the framebuffer size for the session
+    const dynamicViewport = typeof XRView !== 'undefined' && 'requestViewportScale' in XRView.prototype;
+    this.renderer.xr.setFramebufferScaleFactor(dynamicViewport || !this.quality ? 1 : this.quality.tier.framebufferScale);
+    await this.renderer.xr.setSession(this.session);
+    if (dynamicViewport) {
+      this.installViewportScaling();
+    }
+    this.assertStarting();
+    this.log(`Three.js renderer created and XR enabled (${screenWidth}x${screenHeight})`, 'success', 'render');
+
+    // Get reference space for tracking
+    this.log('Requesting reference space...', 'info');
+    this.referenceSpace = await this.session.requestReferenceSpace('local');
+    this.assertStarting();
+    this.log('Reference space obtained', 'success');
+
+    // Create the scene and the content for each marker (Step 6)
+    this.scene = new THREE.Scene();
+    this.camera = new THREE.PerspectiveCamera(75, screenWidth / screenHeight, 0.1, 1000);
+    this.scene.add(this.camera);
+    this.interaction = createInteraction({ log: this.log });
+    this.content = createMarkerContent({
+      scene: this.scene,
+      experience,
+      videos: this.assets.videos,
+      clips: this.assets.clips,
+      models: this.assets.models,
+      log: this.log,
+      onPlaybackChange: this.onPlaybackChange,
+      redemption: this.redemption,
+      interaction: this.interaction
+    });
+    this.content.attach(this.tracker);
+    if (this.quality) {
+      this.applyQuality(this.quality.tier);
+    }
+
+    // Exposed for debugging from the console while a session runs
+    window.xrScene = this.scene;
+    window.xrCamera = this.camera;
+
+    await this.initializeTracking(trackedImages);
+    this.assertStarting();
+
+    // Start the render loop - Three.js drives it from the XR frame loop
+    this.log('Starting Three.js XR render loop...', 'info', 'render');
+    this.renderer.setAnimationLoop((time, frame) => this.renderFrame(time, frame));
+  }
+
+  /**
+   * Wrap a session's tracking backend so the recorder (if any) can capture it
+   * @param {Object} backend - Tracking backend
+   * @returns {Object} The backend to give the tracker
+   */
+  withRecording(backend) {
+    return this.recorder ? this.recorder.wrapBackend(backend, { experience: this.experience, mode: this.mode }) : backend;
+  }
+
+  /**
+   * Stop setting up if the session ended (or was ended) while awaiting
+   * Resources have already been released in that case
+   */
+  assertStarting() {
+    if (this.state !== SESSION_STATE.STARTING) {
+      throw new Error('Session ended during setup');
+    }
+  }
+
+  /**
+   * Check which registered markers are trackable (Step 4)
+   * Failures are logged - the session keeps running without tracking
+   * @param {Array<Object>|null} trackedImages - The trackedImages passed to requestSession
+   */
+  async initializeTracking(trackedImages) {
+    try {
+      if (!trackedImages) {
+        throw new Error('No marker images were registered with the session');
+      }
+      this.log('Initializing marker tracking...', 'info', 'tracker');
+      const trackableMarkers = await this.tracker.initialize(this.session);
+      if (trackableMarkers) {
+        this.log(`✅ Marker tracking initialized (${trackableMarkers.length} trackable)`, 'success', 'tracker');
+      } else {
+        this.log('ℹ️ Marker images loaded but tracking not available on this platform', 'warning', 'tracker');
+        this.log('ℹ️ This is normal on Mac/Desktop - will work on Android Chrome', 'warning', 'tracker');
+      }
+    } catch (error) {
+      // Only show error if it's not a platform limitation
+      if (!error.message.includes('expected on Mac/Desktop')) {
+        this.log(`⚠️ Marker tracking initialization failed: ${error.message}`, 'error', 'tracker');
+      }
+      // Continue anyway - we can still test the AR session
+    }
+  }
+
+  /**
+   * Render one XR frame
+   * @param {number} time - Frame time in milliseconds
+   * @param {XRFrame} frame - The current XR frame
+   */
+  renderFrame(time, frame) {
+    // Update marker tracking (Step 5) before rendering so content is drawn
+    // at this frame's marker pose; no tracking work while paused
+    if (this.state === SESSION_STATE.RUNNING && this.referenceSpace) {
+      this.updateTracking(frame, time);
+      this.updateQuality(time);
+      this.interaction.updateXR(frame, this.referenceSpace);
+    }
+
+    this.renderScene(time);
+    this.frameCount++;
+
+    if (this.frameCount === 1) {
+      this.log('✅ Three.js render loop started', 'success', 'render');
+    }
+    this.dispatchFrame(time, frame);
+  }
+
+  /**
+   * Let the quality controller see this frame and apply any tier change
+   * @param {number} time - Frame time in milliseconds
+   */
+  updateQuality(time) {
+    const change = this.quality?.addFrame(time);
+    if (change) {
+      this.log(`Quality ${this.qualityTier.name} → ${change.tier.name} (${change.reason})`, 'warning', 'render');
+      this.applyQuality(change.tier);
+    }
+  }
+
+  /**
+   * Apply a quality tier (quality.js) to the renderer, scene and content
+   * @param {Object} tier - Quality tier
+   */
+  applyQuality(tier) {
+    const { renderer, scene } = this;
+    if (renderer.xr.isPresenting) {
+      this.viewportScale = tier.framebufferScale;
+    } else {
+      renderer.setPixelRatio(this.getBasePixelRatio() * tier.framebufferScale);
+    }
+
+    // Shadow maps are off in tiers without a shadow budget; materials need
+    // recompiling when that changes
+    const shadows = tier.shadowMapSize > 0;
+    if (renderer.shadowMap.enabled !== shadows) {
+      renderer.shadowMap.enabled = shadows;
+      scene.traverse((object) => {
+        for (const material of [object.material].flat()) {
+          if (material) {
+            material.needsUpdate = true;
+          }
+        }
+      });
+    }
+    scene.traverse((object) => {
+      if (object.isLight && object.shadow && shadows && object.shadow.mapSize.x !== tier.shadowMapSize) {
+        object.shadow.mapSize.set(tier.shadowMapSize, tier.shadowMapSize);
+        object.shadow.map?.dispose();
+        object.shadow.map = null;
+      }
+    });
+
+    this.content?.setQuality(tier);
+    this.qualityTier = tier;
+  }
+
+  /**
+   * Pixel ratio of the highest quality tier outside WebXR
+   * @returns {number} Screen pixel ratio, capped at 2
+   */
+  getBasePixelRatio() {
+    return Math.min(window.devicePixelRatio || 1, 2);
+  }
+
+  /**
+   * Request the quality tier's viewport scale for every XR view
+   * Three.js asks the XR layer for each view's viewport every frame;
+   * XRView.requestViewportScale() has to come just before that call
+   */
+  installViewportScaling() {
+    const layer = this.renderer.xr.getBaseLayer();
+    if (!layer || typeof layer.getViewport !== 'function') {
+      return;
+    }
+    const getViewport = layer.getViewport.bind(layer);
+    layer.getViewport = (view) => {
+      view.requestViewportScale(this.viewportScale);
+      return getViewport(view);
+    };
+  }
+
+  /**
+   * Update marker tracking for this frame, timing it
+   * @param {XRFrame|Object} frame - Frame for the tracking backend
+   * @param {number} time - Frame time in milliseconds
+   */
+  updateTracking(frame, time) {
+    const start = performance.now();
+    this.trackingResults = this.tracker.update(frame, this.referenceSpace, time);
+    this.frameTiming.tracking = performance.now() - start;
+  }
+
+  /**
+   * Advance animated content and render the scene, timing it (CPU time to
+   * animate and submit the draw calls)
+   * @param {number} time - Frame time in milliseconds
+   */
+  renderScene(time) {
+    const start = performance.now();
+    this.content?.update(time);
+    this.renderer.render(this.scene, this.camera);
+    this.frameTiming.render = performance.now() - start;
+  }
+
+  /**
+   * Report the finished frame to 'frame' listeners and start a new timing
+   * @param {number} time - Frame time in milliseconds
+   * @param {XRFrame|null} frame - The XR frame, if any
+   */
+  dispatchFrame(time, frame) {
+    const detail = {
+      time,
+      frame,
+      frameCount: this.frameCount,
+      timing: this.frameTiming,
+      tracking: this.trackingResults
+    };
+    this.frameTiming = { tracking: null, render: 0, detection: null };
+    this.trackingResults = null;
+    this.dispatchEvent(new CustomEvent('frame', { detail }));
+  }
+
+  /**
+   * Pause tracking work and video playback
+   * @param {string} reason - Why the session is paused
+   */
+  pause(reason) {
+    if (this.state !== SESSION_STATE.RUNNING) {
+      return;
+    }
+    this.content?.pause();
+    this.quality?.markGap();
+    this.transition(SESSION_STATE.PAUSED, reason);
+  }
+
+  /**
+   * Resume tracking and the videos that were playing when paused
+   * @param {string} reason - Why the session resumes
+   */
+  resume(reason) {
+    if (this.state !== SESSION_STATE.PAUSED || this.pageHidden || this.sessionHidden) {
+      return;
+    }
+    this.transition(SESSION_STATE.RUNNING, reason);
+    this.content?.resume();
+  }
+
+  /**
+   * Page visibility changed (tab switched, screen locked)
+   */
+  handlePageVisibilityChange() {
+    this.pageHidden = document.visibilityState === 'hidden';
+    if (this.pageHidden) {
+      this.pause('page hidden');
+    } else {
+      this.resume('page visible');
+    }
+  }
+
+  /**
+   * XR session visibility changed ('visible' | 'visible-blurred' | 'hidden')
+   */
+  handleSessionVisibilityChange() {
+    const visibilityState = this.session?.visibilityState;
+    this.log(`XR session visibility: ${visibilityState}`, 'info');
+    this.sessionHidden = visibilityState === 'hidden';
+    if (this.sessionHidden) {
+      this.pause('XR session hidden');
+    } else {
+      this.resume('XR session visible');
+    }
+  }
+
+  /**
+   * XR selectstart, select or selectend (a screen tap on phones) - hit-tests
+   * the content, and a select is a user gesture, so it also turns sound on
+   * @param {XRInputSourceEvent} event - Session event
+   */
+  handleSelect(event) {
+    if (event.type === 'select') {
+      this.content?.unmute();
+    }
+    if (this.interaction && this.referenceSpace) {
+      this.interaction.handleXRSelect(event, this.referenceSpace);
+    }
+  }
+
+  /**
+   * Page pointer event outside WebXR (camera and simulator modes listen with
+   * listenForPointers() while a session runs) - hit-tests the content unless
+   * it's on the UI; a tap also turns sound on
+   * @param {PointerEvent} event - pointerdown, pointermove, pointerup or pointercancel
+   */
+  handlePointer(event) {
+    if (event.target.closest?.(UI_SELECTOR)) {
+      return;
+    }
+    if (event.type === 'pointerup') {
+      this.content?.unmute();
+    }
+    if (this.interaction && this.camera) {
+      this.interaction.handlePointer(event, this.camera, this.canvas);
+    }
+  }
+
+  /**
+   * Send page pointer events to the interaction layer (sessions without XR input)
+   */
+  listenForPointers() {
+    for (const type of POINTER_EVENTS) {
+      document.addEventListener(type, this.handlePointer);
+    }
+  }
+
+  /**
+   * End the current session
+   * Resources are released when the session's 'end' event arrives, or
+   * straight away if the session fails to end
+   * @returns {Promise<void>}
+   */
+  async end() {
+    if (this.state === SESSION_STATE.STARTING) {
+      // Release what setup has created so far; a session still being
+      // requested is ended by setUpSession when it arrives
+      const session = this.session;
+      this.transition(SESSION_STATE.ENDING, 'start cancelled');
+      this.handleSessionEnd();
+      session?.end().catch(() => {});
+      return;
+    }
+    if (!this.session || this.state === SESSION_STATE.ENDING || this.state === SESSION_STATE.ENDED) {
+      return;
+    }
+    this.transition(SESSION_STATE.ENDING, 'end requested');
+    try {
+      await this.session.end();
+    } catch (error) {
+      // No 'end' event will follow - don't stay stuck in ENDING
+      this.log(`⚠️ Ending the AR session failed: ${error.message}`, 'warning');
+      this.handleSessionEnd();
+    }
+  }
+
+  /**
+   * XR session ended (by end() or by the browser / user)
+   */
+  handleSessionEnd() {
+    if (this.state !== SESSION_STATE.ENDING) {
+      if (!canTransition(this.state, SESSION_STATE.ENDING)) {
+        return;
+      }
+      this.transition(SESSION_STATE.ENDING, 'session ended by browser');
+    }
+    this.log('AR session ended', 'warning');
+    this.releaseResources();
+    this.transition(SESSION_STATE.ENDED, 'resources released');
+  }
+
+  /**
+   * Release everything tied to the current session
+   * Safe to call with a partially set up session
+   */
+  releaseResources() {
+    if (this.session) {
+      this.session.removeEventListener('end', this.handleSessionEnd);
+      this.session.removeEventListener('visibilitychange', this.handleSessionVisibilityChange);
+      this.session.removeEventListener('selectstart', this.handleSelect);
+      this.session.removeEventListener('select', this.handleSelect);
+      this.session.removeEventListener('selectend', this.handleSelect);
+    }
+    document.removeEventListener('visibilitychange', this.handlePageVisibilityChange);
+    for (const type of POINTER_EVENTS) {
+      document.removeEventListener(type, this.handlePointer);
+    }
+
+    // Stop Three.js animation loop
+    if (this.renderer) {
+      this.renderer.setAnimationLoop(null);
+      this.log('Three.js animation loop stopped', 'info', 'render');
+    }
+
+    this.content?.dispose();
+    this.interaction?.dispose();
+    this.tracker?.dispose();
+    if (this.scene) {
+      disposeObjectTree(this.scene);
+    }
+    if (this.renderer) {
+      this.renderer.dispose();
+      this.log('Renderer and GPU resources disposed', 'info', 'render');
+    }
+
+    if (window.xrScene === this.scene) {
+      delete window.xrScene;
+      delete window.xrCamera;
+    }
+
+    this.session = null;
+    this.referenceSpace = null;
+    this.renderer = null;
+    this.scene = null;
+    this.camera = null;
+    this.tracker = null;
+    this.content = null;
+    this.interaction = null;
+    this.domOverlay = null;
+
+    // Reset canvas so the last frame doesn't linger
+    const gl = this.canvas.getContext('webgl2') || this.canvas.getContext('webgl');
+    if (gl) {
+      gl.clearColor(0, 0, 0, 0);
+      gl.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT);
+    }
+  }
+}
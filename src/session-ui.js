@@ -0,0 +1,100 @@
+// Session UI - controls and help tips shown over the AR view during a session
+// Mute, replay and exit buttons plus a one-line tip ("Point your camera at
+// the card"). They live in the overlay root, the element WebXR sessions show
+// with the dom-overlay feature; when the browser doesn't grant it, nothing
+// of the page shows in AR and the controls simply stay out of sight (taps on
+// the screen still turn sound on, and Back leaves AR).
+//
+// With dom-overlay, a tap on the page also reaches the XR session as a
+// select; taps on the UI are kept out of it with 'beforexrselect', so a
+// button press doesn't also tap the content behind it.
+
+import { TRACKING_STATE } from './tracking-state.js';
+import { UI_SELECTOR } from './interaction.js';
+
+// Help tips, by situation
+export const SESSION_TIPS = {
+  search: '📷 Point your camera at the card',
+  lost: '🔍 Card lost - point your camera at it again',
+  hold: '✋ Hold the card steady',
+  tapCard: '👆 Tap the gift card to reveal your code'
+};
+
+/**
+ * Pick the help tip for the current tracking state
+ * @param {Object} options
+ * @param {Array<Object>} options.markers - tracker.getMarkers()
+ * @param {boolean} options.seen - Whether any marker has been detected this session
+ * @param {boolean} options.cardShown - Whether a gift card is waiting to be tapped
+ * @returns {string|null} Tip text, or null for none
+ */
+export function getSessionTip({ markers, seen, cardShown = false }) {
+  const states = markers.filter((marker) => marker.trackable).map((marker) => marker.state);
+  if (states.includes(TRACKING_STATE.DETECTED)) {
+    return cardShown ? SESSION_TIPS.tapCard : null;
+  }
+  if (states.includes(TRACKING_STATE.STALE) || states.includes(TRACKING_STATE.CONFIRMING)) {
+    return SESSION_TIPS.hold;
+  }
+  return seen ? SESSION_TIPS.lost : SESSION_TIPS.search;
+}
+
+/**
+ * Create the in-session controls
+ * @param {Object} options
+ * @param {HTMLElement} options.root - Overlay root (the dom-overlay root element)
+ * @param {HTMLElement} options.controls - Element holding the buttons
+ * @param {HTMLButtonElement} options.muteButton - Turns sound off and on
+ * @param {HTMLButtonElement} options.replayButton - Plays the content again
+ * @param {HTMLButtonElement} options.exitButton - Ends the session
+ * @param {HTMLElement} options.tip - Help tip line
+ * @param {Function} options.onMute - (muted) => void
+ * @param {Function} options.onReplay - () => void
+ * @param {Function} options.onExit - () => void
+ * @returns {Object} { update(state), setTip(text) }
+ */
+export function createSessionUI({ root, controls, muteButton, replayButton, exitButton, tip, onMute, onReplay, onExit }) {
+  let muted = false;
+
+  root.addEventListener('beforexrselect', (event) => {
+    if (event.target.closest?.(UI_SELECTOR)) {
+      event.preventDefault();
+    }
+  });
+  muteButton.addEventListener('click', () => onMute(!muted));
+  replayButton.addEventListener('click', () => onReplay());
+  exitButton.addEventListener('click', () => onExit());
+
+  return {
+    /**
+     * Show or hide the controls and reflect the sound state
+     * @param {Object} state
+     * @param {boolean} state.active - A session is running or paused and its page UI shows
+     * @param {boolean} state.hasSound - Some content has sound
+     * @param {boolean} state.muted - Sound is off (by the mute control or autoplay rules)
+     * @param {boolean} state.canReplay - Replaying is possible (the session isn't paused)
+     */
+    update({ active, hasSound, muted: isMuted, canReplay }) {
+      muted = isMuted;
+      controls.hidden = !active;
+      muteButton.hidden = !hasSound;
+      muteButton.textContent = muted ? '🔇 Sound off' : '🔊 Sound on';
+      muteButton.setAttribute('aria-pressed', String(muted));
+      replayButton.disabled = !canReplay;
+      if (!active) {
+        tip.hidden = true;
+      }
+    },
+
+    /**
+     * Show a help tip (null hides it)
+     * @param {string|null} text - Tip text
+     */
+    setTip(text) {
+      tip.hidden = !text || controls.hidden;
+      if (text) {
+        tip.textContent = text;
+      }
+    }
+  };
+}
@@ -0,0 +1,222 @@
+// Simulator Backend - replays scripted marker pose timelines
+// A MarkerTracker backend (see marker-tracker.js) that needs no camera and no
+// WebXR, so detection callbacks and content placement can be exercised on a
+// desktop browser (simulator-session.js) or in Node.
+//
+// A script lists keyframes per marker id, with times in milliseconds from the
+// first update:
+//
+//   {
+//     "duration": 10000,            // optional - script length (default: last keyframe)
+//     "loop": true,                 // optional - start over after `duration`
+//     "markers": {
+//       "default": [
+//         { "time": 0, "state": "untracked" },
+//         { "time": 500, "state": "tracked", "position": { "x": 0, "y": -0.05, "z": -0.4 } },
+//         { "time": 3000, "state": "emulated", "position": { "x": 0.05, "y": -0.05, "z": -0.4 } },
+//         { "time": 6000, "state": "untracked" }
+//       ]
+//     }
+//   }
+//
+// `state` is the XR tracking state ('tracked' | 'emulated' | 'untracked') from
+// that keyframe until the next. Poses (position in meters, orientation as a
+// quaternion) are interpolated between consecutive posed keyframes; an
+// untracked keyframe has no pose. Markers missing from the script stay
+// untracked.
+//
+// Pure logic only (no DOM, no WebXR) so scripted runs are deterministic.
+
+import { composeMatrix, slerp } from './pose-filter.js';
+
+const TRACKING_STATES = ['tracked', 'emulated', 'untracked'];
+
+// Flat marker facing the viewer: image space +Y (out of the image) towards +Z
+const FACING_VIEWER = { x: Math.SQRT1_2, y: 0, z: 0, w: Math.SQRT1_2 };
+
+/**
+ * Default script for the given markers: each appears in turn in front of the
+ * viewer, drifts sideways, goes out of view (emulated) and is lost
+ * @param {Array<string>} markerIds - Marker ids from the experience
+ * @returns {Object} Simulator script
+ */
+export function createDefaultScript(markerIds) {
+  const cycle = 10000;
+  const markers = {};
+  markerIds.forEach((id, i) => {
+    const start = i * cycle;
+    const x = (i % 2 === 0 ? -1 : 1) * 0.02 * i;
+    markers[id] = [
+      { time: 0, state: 'untracked' },
+      { time: start + 500, state: 'tracked', position: { x, y: -0.02, z: -0.35 }, orientation: FACING_VIEWER },
+      { time: start + 3500, state: 'tracked', position: { x: x + 0.06, y: 0, z: -0.3 }, orientation: FACING_VIEWER },
+      { time: start + 6000, state: 'emulated', position: { x: x + 0.06, y: 0, z: -0.3 }, orientation: FACING_VIEWER },
+      { time: start + 7500, state: 'untracked' }
+    ];
+  });
+  return { duration: cycle * Math.max(1, markerIds.length), loop: true, markers };
+}
+
+/**
+ * Check a simulator script and sort its keyframes
+ * @param {Object} script - Simulator script
+ * @returns {Object} The script with keyframes sorted by time
+ */
+export function normalizeScript(script) {
+  if (!script || typeof script !== 'object' || !script.markers || typeof script.markers !== 'object') {
+    throw new Error('Simulator script must have a "markers" object');
+  }
+
+  const markers = {};
+  let lastTime = 0;
+  for (const [markerId, keyframes] of Object.entries(script.markers)) {
+    if (!Array.isArray(keyframes) || keyframes.length === 0) {
+      throw new Error(`Simulator script: marker "${markerId}" needs a non-empty keyframe array`);
+    }
+    markers[markerId] = keyframes.map((keyframe, i) => {
+      const where = `marker "${markerId}" keyframe ${i}`;
+      if (typeof keyframe.time !== 'number' || keyframe.time < 0) {
+        throw new Error(`Simulator script: ${where} needs a time >= 0 (ms)`);
+      }
+      if (!TRACKING_STATES.includes(keyframe.state)) {
+        throw new Error(`Simulator script: ${where} has state "${keyframe.state}" (expected one of: ${TRACKING_STATES.join(', ')})`);
+      }
+      if (keyframe.state !== 'untracked' && !keyframe.position) {
+        throw new Error(`Simulator script: ${where} is ${keyframe.state} but has no position`);
+      }
+      lastTime = Math.max(lastTime, keyframe.time);
+      return {
+        time: keyframe.time,
+        state: keyframe.state,
+        position: keyframe.position ? { x: 0, y: 0, z: 0, ...keyframe.position } : null,
+        orientation: keyframe.orientation ? { ...keyframe.orientation } : (keyframe.position ? { ...FACING_VIEWER } : null)
+      };
+    }).sort((a, b) => a.time - b.time);
+  }
+
+  return {
+    duration: typeof script.duration === 'number' && script.duration > 0 ? script.duration : lastTime,
+    loop: !!script.loop,
+    markers
+  };
+}
+
+/**
+ * Build an XRPose-like object
+ * @param {Object} position - { x, y, z }
+ * @param {Object} orientation - Unit quaternion { x, y, z, w }
+ * @param {boolean} emulated - Whether the pose is emulated
+ * @returns {Object} Pose ({ transform: { position, orientation, matrix }, emulatedPosition })
+ */
+function createPose(position, orientation, emulated) {
+  return {
+    transform: {
+      position: { ...position, w: 1 },
+      orientation: { ...orientation },
+      matrix: composeMatrix(position, orientation)
+    },
+    emulatedPosition: emulated
+  };
+}
+
+/**
+ * Sample a marker's keyframes at a point in time
+ * @param {Array<Object>} keyframes - Sorted keyframes
+ * @param {number} time - Script time in milliseconds
+ * @returns {Object|null} { trackingState, pose } or null before the first keyframe
+ */
+export function sampleKeyframes(keyframes, time) {
+  let index = -1;
+  for (let i = 0; i < keyframes.length && keyframes[i].time <= time; i++) {
+    index = i;
+  }
+  if (index < 0) {
+    return null;
+  }
+
+  const current = keyframes[index];
+  if (current.state === 'untracked') {
+    return { trackingState: 'untracked', pose: null };
+  }
+
+  // Interpolate towards the next keyframe if it has a pose
+  const next = keyframes[index + 1];
+  let position = current.position;
+  let orientation = current.orientation;
+  if (next && next.position && next.time > current.time) {
+    const t = (time - current.time) / (next.time - current.time);
+    position = {
+      x: current.position.x + (next.position.x - current.position.x) * t,
+      y: current.position.y + (next.position.y - current.position.y) * t,
+      z: current.position.z + (next.position.z - current.position.z) * t
+    };
+    orientation = slerp(current.orientation, next.orientation, t);
+  }
+
+  return {
+    trackingState: current.state,
+    pose: createPose(position, orientation, current.state === 'emulated')
+  };
+}
+
+/**
+ * Create a backend that replays a simulator script
+ * @param {Object} script - Simulator script (see the top of this file)
+ * @returns {Object} Tracking backend ({ name, init, update, dispose }) plus reset()
+ */
+export function createSimulatorBackend(script) {
+  const { duration, loop, markers: timelines } = normalizeScript(script);
+  let markers = [];
+  let startTime = null;
+
+  return {
+    name: 'simulator',
+
+    /**
+     * Every marker counts as trackable - the script decides when it is seen
+     * @returns {Promise<Array<string>>} One score per marker
+     */
+    async init(context) {
+      markers = context.markers;
+      startTime = null;
+      return markers.map(() => 'trackable');
+    },
+
+    /**
+     * Sample every marker's timeline at this frame's time
+     * @param {Object} context
+     * @param {number} context.timestamp - Frame time in milliseconds
+     * @returns {Array<Object>} Results { index, trackingState, pose }
+     */
+    update({ timestamp }) {
+      if (startTime === null) {
+        startTime = timestamp;
+      }
+      let time = timestamp - startTime;
+      if (loop && duration > 0) {
+        time %= duration;
+      }
+
+      const results = [];
+      for (const marker of markers) {
+        const keyframes = timelines[marker.id];
+        const sample = keyframes && sampleKeyframes(keyframes, time);
+        if (sample && sample.trackingState !== 'untracked') {
+          results.push({ index: marker.index, ...sample });
+        }
+      }
+      return results;
+    },
+
+    /**
+     * Restart the script from the beginning on the next update
+     */
+    reset() {
+      startTime = null;
+    },
+
+    dispose() {
+      markers = [];
+    }
+  };
+}
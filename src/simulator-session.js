@@ -0,0 +1,194 @@
+// Simulator Session - runs the experience on a desktop browser without a
+// camera or WebXR, for development (open the page with ?simulate, or with
+// ?replay to play back a tracking recording)
+//
+// Marker poses come from a tracking backend - by default the scripted
+// simulator backend (simulator-backend.js), or replay-backend.js - and go
+// through the same MarkerTracker and marker content as a real session, so
+// detection callbacks and content placement can be checked at a desk. The
+// viewer stays at the origin looking down -Z unless the backend reports a
+// viewer pose (recordings do).
+
+import * as THREE from 'three';
+import { MarkerTracker } from './marker-tracker.js';
+import { createMarkerContent } from './marker-content.js';
+import { createInteraction } from './interaction.js';
+import { SessionController, SESSION_STATE } from './session-controller.js';
+import { createSimulatorBackend, createDefaultScript, normalizeScript } from './simulator-backend.js';
+
+/**
+ * Load and check a simulator script
+ * @param {string} path - URL of the script JSON
+ * @returns {Promise<Object>} The script, keyframes sorted
+ */
+export async function loadSimulatorScript(path) {
+  const response = await fetch(path);
+  if (!response.ok) {
+    throw new Error(`Failed to load simulator script ${path}: ${response.status} ${response.statusText}`);
+  }
+  return normalizeScript(await response.json());
+}
+
+/**
+ * Runs simulated sessions for an experience
+ * Same states, events and methods as SessionController
+ */
+export class SimulatorSessionController extends SessionController {
+  /**
+   * @param {Object} options - SessionController options, plus:
+   * @param {Object} options.script - Simulator script (defaults to createDefaultScript for the experience's markers)
+   * @param {Function} options.createBackend - Creates the tracking backend for a session (overrides script)
+   * @param {string} options.mode - Mode name shown in the debug status (default 'simulator')
+   */
+  constructor({ script = null, createBackend = null, mode = 'simulator', ...options }) {
+    super({ ...options, xr: null });
+    this.mode = mode;
+    this.script = script || createDefaultScript(this.experience.markers.map((marker) => marker.id));
+    this.createBackend = createBackend || (() => createSimulatorBackend(this.script));
+    this.running = false;
+    this.backend = null; // The session's tracking backend
+
+    this.handleResize = this.handleResize.bind(this);
+  }
+
+  /**
+   * The simulator runs anywhere
+   */
+  checkAvailable() {}
+
+  /**
+   * Create the tracker, renderer, scene and content
+   */
+  async setUpSession() {
+    const { experience, canvas } = this;
+
+    this.tracker = new MarkerTracker({ tracking: experience.tracking, backend: this.withRecording(this.createBackend()), log: this.log });
+    this.backend = this.tracker.backend;
+    this.log('Loading marker images...', 'info', 'asset');
+    const markers = await this.tracker.loadMarkers(experience.markers, this.assets.images);
+    this.assertStarting();
+    this.log(`Loaded ${markers.length} marker image(s): ${markers.map((m) => m.id).join(', ')}`, 'success', 'asset');
+
+    this.running = true;
+    document.addEventListener('visibilitychange', this.handlePageVisibilityChange);
+    window.addEventListener('resize', this.handleResize);
+    this.pageHidden = document.visibilityState === 'hidden';
+    this.sessionHidden = false;
+
+    // A dark backdrop with a floor grid stands in for the camera feed
+    this.renderer = new THREE.WebGLRenderer({ canvas, antialias: true });
+    this.renderer.setClearColor(0x202020, 1);
+    this.scene = new THREE.Scene();
+    this.camera = new THREE.PerspectiveCamera(60, 1, 0.01, 100);
+    this.camera.matrixAutoUpdate = false; // Placed from the viewer pose, if any
+    this.scene.add(this.camera);
+    const grid = new THREE.GridHelper(2, 20, 0x555555, 0x333333);
+    grid.position.y = -0.3;
+    this.scene.add(grid);
+    this.handleResize();
+    this.referenceSpace = { type: 'simulator' };
+
+    this.interaction = createInteraction({ log: this.log });
+    this.content = createMarkerContent({
+      scene: this.scene,
+      experience,
+      videos: this.assets.videos,
+      clips: this.assets.clips,
+      models: this.assets.models,
+      log: this.log,
+      onPlaybackChange: this.onPlaybackChange,
+      redemption: this.redemption,
+      interaction: this.interaction
+    });
+    this.content.attach(this.tracker);
+    this.listenForPointers();
+    if (this.quality) {
+      this.applyQuality(this.quality.tier);
+    }
+
+    // Exposed for debugging from the console while a session runs
+    window.xrScene = this.scene;
+    window.xrCamera = this.camera;
+
+    await this.initializeTracking();
+    this.assertStarting();
+
+    this.log('Starting simulator render loop...', 'info', 'render');
+    this.renderer.setAnimationLoop((time) => this.renderFrame(time, null));
+  }
+
+  /**
+   * Match the renderer and camera to the window size
+   */
+  handleResize() {
+    if (!this.renderer) {
+      return;
+    }
+    const width = window.innerWidth || this.canvas.offsetWidth;
+    const height = window.innerHeight || this.canvas.offsetHeight;
+    this.renderer.setSize(width, height);
+    this.camera.aspect = width / height;
+    this.camera.updateProjectionMatrix();
+  }
+
+  /**
+   * Register the markers with the backend (Step 4 equivalent)
+   * Failures are logged - the session keeps running without tracking
+   */
+  async initializeTracking() {
+    try {
+      const trackableMarkers = await this.tracker.initialize(null);
+      this.log(`✅ Simulated marker tracking initialized (${trackableMarkers.length} trackable, ${this.tracker.backend.name} backend)`, 'success', 'tracker');
+    } catch (error) {
+      this.log(`⚠️ Marker tracking initialization failed: ${error.message}`, 'error', 'tracker');
+    }
+  }
+
+  /**
+   * Render one frame, moving the viewer if the backend reports its pose
+   * @param {number} time - Frame time in milliseconds
+   */
+  renderFrame(time) {
+    if (this.state === SESSION_STATE.RUNNING) {
+      this.updateTracking(null, time);
+      this.updateQuality(time);
+      const viewerMatrix = this.backend.getViewerPose?.();
+      if (viewerMatrix) {
+        this.camera.matrix.fromArray(viewerMatrix);
+      } else {
+        this.camera.matrix.identity();
+      }
+      this.camera.matrixWorldNeedsUpdate = true;
+    }
+
+    this.renderScene(time);
+    this.frameCount++;
+
+    if (this.frameCount === 1) {
+      this.log(`✅ ${this.mode} render loop started`, 'success', 'render');
+    }
+    this.dispatchFrame(time, null);
+  }
+
+  /**
+   * End the current session
+   * @returns {Promise<void>}
+   */
+  async end() {
+    if (!this.running || this.state === SESSION_STATE.ENDING || this.state === SESSION_STATE.ENDED) {
+      return;
+    }
+    this.transition(SESSION_STATE.ENDING, 'end requested');
+    this.handleSessionEnd();
+  }
+
+  /**
+   * Release everything SessionController owns
+   */
+  releaseResources() {
+    window.removeEventListener('resize', this.handleResize);
+    this.running = false;
+    this.backend = null;
+    super.releaseResources();
+  }
+}
@@ -0,0 +1,69 @@
+// Service Worker Registration - installs /sw.js and reports new builds
+// The worker (service-worker.js, generated into /sw.js by the build) precaches
+// the app and its assets so the card works offline. A new build installs a
+// new worker in the background; it waits until the user accepts the update
+// prompt, then takes over and the page reloads onto the new build.
+
+/**
+ * Register the service worker
+ * Only production builds have /sw.js, so development is never cached
+ * @param {Object} options
+ * @param {string} options.url - Worker script URL
+ * @param {Function} options.onUpdate - Called with apply() once a new build is ready; apply() switches to it and reloads
+ * @param {Function} options.log - Logger (message, type, category) => void
+ * @returns {Promise<ServiceWorkerRegistration|null>} The registration, or null without support
+ */
+export async function registerServiceWorker({ url = '/sw.js', onUpdate = () => {}, log = () => {} } = {}) {
+  if (!('serviceWorker' in navigator)) {
+    log('Service workers are not supported - no offline support', 'warning', 'app');
+    return null;
+  }
+
+  let registration;
+  try {
+    registration = await navigator.serviceWorker.register(url);
+  } catch (error) {
+    log(`⚠️ Service worker registration failed: ${error.message}`, 'error', 'app');
+    return null;
+  }
+  const hadController = !!navigator.serviceWorker.controller; // False on the very first visit
+
+  // Offer a waiting worker as an update; reload once it has taken over
+  function offer(worker) {
+    log('🆕 A new version is ready', 'info', 'app');
+    onUpdate(() => {
+      navigator.serviceWorker.addEventListener('controllerchange', () => location.reload(), { once: true });
+      worker.postMessage({ type: 'SKIP_WAITING' });
+    });
+  }
+
+  if (registration.waiting && hadController) {
+    offer(registration.waiting);
+  }
+  registration.addEventListener('updatefound', () => {
+    const worker = registration.installing;
+    worker?.addEventListener('statechange', () => {
+      if (worker.state !== 'installed') {
+        return;
+      }
+      if (navigator.serviceWorker.controller) {
+        offer(worker);
+      } else {
+        log('✅ Available offline', 'success', 'app');
+      }
+    });
+  });
+
+  // Look for a new build whenever the page comes back (the browser otherwise
+  // checks only on navigation)
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'visible') {
+      registration.update().catch(() => {
+        // Offline - try again next time
+      });
+    }
+  });
+
+  log(`Service worker registered (${hadController ? 'serving from cache' : 'first visit'})`, 'info', 'app');
+  return registration;
+}
@@ -0,0 +1,178 @@
+// Telemetry Sink - sends log entries to a remote endpoint in batches
+// A logger sink (see logger.js). Entries at or above the minimum level are
+// queued and POSTed as JSON once a batch fills up or the flush interval
+// passes. On page unload, flush({ beacon: true }) hands what is left to
+// navigator.sendBeacon, which keeps sending after the page is gone.
+//
+// Request body: { sessionId, context, sentAt, entries: [entry, ...] }
+//
+// scripts/telemetry-stub-server.js is a local endpoint for trying it out.
+
+import { isAtLeast } from './logger.js';
+
+// Default telemetry settings
+export const DEFAULT_TELEMETRY_OPTIONS = {
+  level: 'info', // Minimum level sent
+  batchSize: 50, // Entries per request
+  flushInterval: 10000, // Send a partial batch after this long (ms)
+  maxQueue: 1000 // Entries kept while the endpoint is unreachable; oldest are dropped
+};
+
+/**
+ * Create a sink that POSTs log entries to an endpoint
+ * @param {Object} options - Overrides for DEFAULT_TELEMETRY_OPTIONS, plus:
+ * @param {string} options.endpoint - URL entries are POSTed to
+ * @param {string} options.sessionId - Identifies this page load in the backend
+ * @param {Object} options.context - Sent with every batch (e.g. experience id, user agent)
+ * @param {Function} options.fetch - fetch implementation (default: global fetch)
+ * @param {Function} options.sendBeacon - (url, data) => boolean (default: navigator.sendBeacon)
+ * @returns {Object} Sink ({ write, flush, dispose }) plus pending and sent counts
+ */
+export function createTelemetrySink({
+  endpoint,
+  sessionId,
+  context = {},
+  fetch: fetchImpl = globalThis.fetch?.bind(globalThis),
+  sendBeacon = typeof navigator !== 'undefined' && navigator.sendBeacon ? navigator.sendBeacon.bind(navigator) : null,
+  ...options
+}) {
+  if (!endpoint) {
+    throw new Error('Telemetry sink needs an endpoint');
+  }
+  const settings = { ...DEFAULT_TELEMETRY_OPTIONS, ...options };
+  let queue = [];
+  let timer = null;
+  let inFlight = false;
+  let failing = false; // Last upload failed - wait for the interval before retrying
+  let sent = 0;
+  let disposed = false;
+
+  function body(entries) {
+    return JSON.stringify({ sessionId, context, sentAt: Date.now(), entries });
+  }
+
+  function schedule() {
+    if (!timer && queue.length > 0 && !disposed) {
+      timer = setTimeout(() => {
+        timer = null;
+        send();
+      }, settings.flushInterval);
+    }
+  }
+
+  // POST one batch; on failure it goes back to the front of the queue and is
+  // retried with the next flush
+  async function send() {
+    if (inFlight || queue.length === 0) {
+      return;
+    }
+    const batch = queue.splice(0, settings.batchSize);
+    inFlight = true;
+    try {
+      const response = await fetchImpl(endpoint, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: body(batch),
+        keepalive: true
+      });
+      if (!response.ok) {
+        throw new Error(`${response.status} ${response.statusText}`);
+      }
+      sent += batch.length;
+      failing = false;
+    } catch (error) {
+      // Not logged through the logger - that would queue more telemetry
+      console.warn(`Telemetry upload to ${endpoint} failed: ${error.message}`);
+      queue = batch.concat(queue).slice(-settings.maxQueue);
+      failing = true;
+    } finally {
+      inFlight = false;
+    }
+    // Full batches go straight out, but a failing endpoint waits for the interval
+    if (!failing && queue.length >= settings.batchSize) {
+      send();
+    } else {
+      schedule();
+    }
+  }
+
+  // Hand the whole queue to sendBeacon, a batch per beacon (browsers cap
+  // beacon payloads at about 64 KB)
+  function beacon() {
+    if (!sendBeacon) {
+      send();
+      return;
+    }
+    while (queue.length > 0) {
+      const batch = queue.slice(0, settings.batchSize);
+      // text/plain keeps the beacon a "simple" request, so no CORS preflight
+      // is needed for an endpoint on another origin
+      const blob = new Blob([body(batch)], { type: 'text/plain;charset=UTF-8' });
+      if (!sendBeacon(endpoint, blob)) {
+        break;
+      }
+      queue.splice(0, batch.length);
+      sent += batch.length;
+    }
+  }
+
+  return {
+    /**
+     * Queue an entry (sent once the batch is full or the interval passes)
+     * @param {Object} entry - Log entry
+     */
+    write(entry) {
+      if (disposed || entry.previous || !isAtLeast(entry, settings.level)) {
+        return;
+      }
+      queue.push(entry);
+      if (queue.length > settings.maxQueue) {
+        queue.shift();
+      }
+      if (!failing && queue.length >= settings.batchSize) {
+        send();
+      } else {
+        schedule();
+      }
+    },
+
+    /**
+     * Send queued entries now
+     * @param {Object} options
+     * @param {boolean} options.beacon - Use sendBeacon (the page is going away)
+     */
+    flush({ beacon: useBeacon = false } = {}) {
+      clearTimeout(timer);
+      timer = null;
+      if (useBeacon) {
+        beacon();
+      } else {
+        send();
+      }
+    },
+
+    /**
+     * Entries waiting to be sent
+     */
+    get pending() {
+      return queue.length;
+    },
+
+    /**
+     * Entries sent so far
+     */
+    get sent() {
+      return sent;
+    },
+
+    /**
+     * Send what is left with a beacon and stop
+     */
+    dispose() {
+      clearTimeout(timer);
+      timer = null;
+      beacon();
+      disposed = true;
+    }
+  };
+}
@@ -0,0 +1,76 @@
+// Text Mesh - lines of text drawn on a canvas and shown on a plane
+// Used for the reveal's text (reveal-content.js) and a card's personal
+// message (campaign links, campaign.js). Long lines wrap at word boundaries.
+
+import * as THREE from 'three';
+
+// Canvas size: 1024 px wide, LINE_HEIGHT px per line
+const CANVAS_WIDTH = 1024;
+const LINE_HEIGHT = 128;
+const PADDING = 20;
+
+/**
+ * Split text into lines that fit the canvas width
+ * @param {CanvasRenderingContext2D} context - Context with the font set
+ * @param {string} text - Text to wrap
+ * @param {number} maxWidth - Line width in pixels
+ * @returns {Array<string>} Lines
+ */
+function wrapText(context, text, maxWidth) {
+  const lines = [];
+  let line = '';
+  for (const word of text.split(/\s+/).filter(Boolean)) {
+    const candidate = line ? `${line} ${word}` : word;
+    if (line && context.measureText(candidate).width > maxWidth) {
+      lines.push(line);
+      line = word;
+    } else {
+      line = candidate;
+    }
+  }
+  if (line) {
+    lines.push(line);
+  }
+  return lines;
+}
+
+/**
+ * Create a plane showing lines of text
+ * @param {string|Array<string>} text - Text, or one entry per paragraph
+ * @param {Object} options
+ * @param {string} options.color - CSS text color
+ * @param {number} options.width - Plane width in meters (the height follows the line count)
+ * @param {number} options.opacity - Initial opacity (0 for text that fades in)
+ * @param {number} options.maxLines - Lines kept after wrapping
+ * @returns {THREE.Mesh} Text plane (transparent)
+ */
+export function createTextMesh(text, { color = '#ffffff', width, opacity = 1, maxLines = 4 }) {
+  const canvas = document.createElement('canvas');
+  canvas.width = CANVAS_WIDTH;
+  const context = canvas.getContext('2d');
+  const font = 'bold 96px sans-serif';
+  context.font = font;
+  const paragraphs = Array.isArray(text) ? text : [text];
+  const wrapped = paragraphs.flatMap((paragraph) => wrapText(context, paragraph, CANVAS_WIDTH - 2 * PADDING));
+  const lines = wrapped.slice(0, maxLines);
+  if (wrapped.length > maxLines) {
+    lines[maxLines - 1] += '…';
+  }
+
+  // Resizing the canvas resets the context, so the font is set again
+  canvas.height = Math.max(1, lines.length) * LINE_HEIGHT;
+  context.font = font;
+  context.fillStyle = color;
+  context.textAlign = 'center';
+  context.textBaseline = 'middle';
+  context.shadowColor = 'rgba(0, 0, 0, 0.6)';
+  context.shadowBlur = 12;
+  lines.forEach((line, index) => {
+    context.fillText(line, CANVAS_WIDTH / 2, (index + 0.5) * LINE_HEIGHT, CANVAS_WIDTH - 2 * PADDING);
+  });
+
+  const texture = new THREE.CanvasTexture(canvas);
+  texture.colorSpace = THREE.SRGBColorSpace;
+  const material = new THREE.MeshBasicMaterial({ map: texture, transparent: true, opacity, depthWrite: false });
+  return new THREE.Mesh(new THREE.PlaneGeometry(width, width * canvas.height / CANVAS_WIDTH), material);
+}
@@ -0,0 +1,402 @@
+// Timeline - keyframe animation engine for declarative clips
+// Plays a clip: tracks that animate properties of named targets between
+// keyframes, with easing, and named events fired as the playhead passes
+// them. Driven by frame times from the render loop (update(time)), so it
+// pauses cleanly (e.g. while the marker is lost) and needs no timers.
+//
+// Clip definition (times in milliseconds):
+//
+//   {
+//     "id": "card-open",
+//     "loop": false,                       // optional
+//     "steps": [                           // played one after another
+//       {
+//         "name": "open",
+//         "duration": 900,                 // optional - default: last keyframe/event
+//         "tracks": [
+//           { "target": "lid", "property": "rotation.x",
+//             "keyframes": [{ "time": 0, "value": 0 }, { "time": 900, "value": -2.2, "easing": "easeOutBack" }] }
+//         ],
+//         "events": [{ "time": 900, "name": "opened" }]
+//       }
+//     ]
+//   }
+//
+// Instead of "steps", a clip may list "tracks" and "events" directly. Step
+// times are relative to the step's start. A keyframe's easing shapes the
+// change from the previous keyframe; "step" holds the previous value. Values
+// are numbers, arrays of numbers (interpolated per component) or anything
+// else (switched at the keyframe, e.g. booleans). Before its first keyframe a
+// track holds the first value, so a clip also sets up its starting state.
+//
+// Pure logic only (no DOM, no WebGL) so clips can be checked in Node.
+
+// Easing functions: progress (0-1) -> eased progress
+export const EASINGS = {
+  linear: (t) => t,
+  step: (t) => (t < 1 ? 0 : 1),
+  easeInQuad: (t) => t * t,
+  easeOutQuad: (t) => t * (2 - t),
+  easeInOutQuad: (t) => (t < 0.5 ? 2 * t * t : -1 + (4 - 2 * t) * t),
+  easeInCubic: (t) => t * t * t,
+  easeOutCubic: (t) => 1 - Math.pow(1 - t, 3),
+  easeInOutCubic: (t) => (t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2),
+  easeOutBack: (t) => {
+    const c1 = 1.70158;
+    const c3 = c1 + 1;
+    return 1 + c3 * Math.pow(t - 1, 3) + c1 * Math.pow(t - 1, 2);
+  },
+  easeOutElastic: (t) => {
+    if (t === 0 || t === 1) {
+      return t;
+    }
+    return Math.pow(2, -10 * t) * Math.sin((t * 10 - 0.75) * ((2 * Math.PI) / 3)) + 1;
+  }
+};
+
+// Events a timeline emits (besides clip events, which arrive as 'event')
+export const TIMELINE_EVENTS = ['start', 'step', 'event', 'pause', 'resume', 'complete'];
+
+/**
+ * Check and flatten one list of tracks
+ * @param {Array<Object>} tracks - Track definitions
+ * @param {number} offset - Start time of the step they belong to
+ * @param {string} where - Location for error messages
+ * @returns {Array<Object>} Tracks with absolute keyframe times
+ */
+function normalizeTracks(tracks = [], offset, where) {
+  if (!Array.isArray(tracks)) {
+    throw new Error(`Timeline clip: ${where} "tracks" must be an array`);
+  }
+  return tracks.map((track, i) => {
+    const trackWhere = `${where} track ${i}`;
+    if (typeof track.target !== 'string' || typeof track.property !== 'string') {
+      throw new Error(`Timeline clip: ${trackWhere} needs a "target" and a "property"`);
+    }
+    if (!Array.isArray(track.keyframes) || track.keyframes.length === 0) {
+      throw new Error(`Timeline clip: ${trackWhere} needs a non-empty "keyframes" array`);
+    }
+    const keyframes = track.keyframes.map((keyframe, k) => {
+      if (typeof keyframe.time !== 'number' || keyframe.time < 0) {
+        throw new Error(`Timeline clip: ${trackWhere} keyframe ${k} needs a time >= 0 (ms)`);
+      }
+      if (keyframe.value === undefined) {
+        throw new Error(`Timeline clip: ${trackWhere} keyframe ${k} needs a value`);
+      }
+      const easing = keyframe.easing || 'linear';
+      if (!(easing in EASINGS)) {
+        throw new Error(`Timeline clip: ${trackWhere} keyframe ${k} has easing "${easing}" (expected one of: ${Object.keys(EASINGS).join(', ')})`);
+      }
+      return { time: offset + keyframe.time, value: keyframe.value, easing };
+    }).sort((a, b) => a.time - b.time);
+    return { target: track.target, property: track.property, keyframes };
+  });
+}
+
+/**
+ * Check and flatten one list of events
+ * @param {Array<Object>} events - Event definitions
+ * @param {number} offset - Start time of the step they belong to
+ * @param {string} where - Location for error messages
+ * @returns {Array<Object>} Events with absolute times
+ */
+function normalizeEvents(events = [], offset, where) {
+  if (!Array.isArray(events)) {
+    throw new Error(`Timeline clip: ${where} "events" must be an array`);
+  }
+  return events.map((event, i) => {
+    if (typeof event.time !== 'number' || event.time < 0 || typeof event.name !== 'string') {
+      throw new Error(`Timeline clip: ${where} event ${i} needs a time >= 0 (ms) and a name`);
+    }
+    return { time: offset + event.time, name: event.name, data: event.data ?? null };
+  });
+}
+
+/**
+ * Latest time used by tracks and events
+ * @param {Array<Object>} tracks - Normalized tracks
+ * @param {Array<Object>} events - Normalized events
+ * @returns {number} Milliseconds
+ */
+function endTime(tracks, events) {
+  return Math.max(
+    0,
+    ...tracks.map((track) => track.keyframes[track.keyframes.length - 1].time),
+    ...events.map((event) => event.time)
+  );
+}
+
+/**
+ * Check a clip definition and flatten its steps
+ * @param {Object} definition - Clip definition (see the top of this file)
+ * @returns {Object} { id, loop, duration, tracks, events, steps: [{ name, start, end }] }
+ */
+export function normalizeClip(definition) {
+  if (!definition || typeof definition !== 'object') {
+    throw new Error('Timeline clip must be an object');
+  }
+
+  const tracks = [];
+  const events = [];
+  const steps = [];
+  if (definition.steps !== undefined) {
+    if (!Array.isArray(definition.steps) || definition.steps.length === 0) {
+      throw new Error('Timeline clip: "steps" must be a non-empty array');
+    }
+    let start = 0;
+    definition.steps.forEach((step, i) => {
+      const name = step.name || `step ${i}`;
+      const where = `step "${name}"`;
+      const stepTracks = normalizeTracks(step.tracks, start, where);
+      const stepEvents = normalizeEvents(step.events, start, where);
+      if (step.duration !== undefined && (typeof step.duration !== 'number' || step.duration < 0)) {
+        throw new Error(`Timeline clip: ${where} duration must be a number >= 0 (ms)`);
+      }
+      const end = step.duration !== undefined ? start + step.duration : Math.max(start, endTime(stepTracks, stepEvents));
+      tracks.push(...stepTracks);
+      events.push(...stepEvents);
+      steps.push({ name, start, end });
+      start = end;
+    });
+  } else {
+    tracks.push(...normalizeTracks(definition.tracks, 0, 'clip'));
+    events.push(...normalizeEvents(definition.events, 0, 'clip'));
+  }
+
+  const lastStepEnd = steps.length > 0 ? steps[steps.length - 1].end : 0;
+  const duration = typeof definition.duration === 'number' && definition.duration >= 0
+    ? definition.duration
+    : Math.max(lastStepEnd, endTime(tracks, events));
+  return {
+    id: definition.id || 'clip',
+    loop: !!definition.loop,
+    duration,
+    tracks,
+    events: events.sort((a, b) => a.time - b.time),
+    steps
+  };
+}
+
+/**
+ * Interpolate between two keyframe values
+ * @param {*} from - Value at the start
+ * @param {*} to - Value at the end
+ * @param {number} t - Eased progress (0-1, may overshoot)
+ * @returns {*} Interpolated value
+ */
+function interpolate(from, to, t) {
+  if (typeof from === 'number' && typeof to === 'number') {
+    return from + (to - from) * t;
+  }
+  if (Array.isArray(from) && Array.isArray(to) && from.length === to.length) {
+    return from.map((value, i) => value + (to[i] - value) * t);
+  }
+  return t < 1 ? from : to;
+}
+
+/**
+ * Value of a track at a point in time
+ * @param {Object} track - Normalized track
+ * @param {number} time - Clip time in milliseconds
+ * @returns {*} Value
+ */
+export function sampleTrack(track, time) {
+  const { keyframes } = track;
+  if (time <= keyframes[0].time) {
+    return keyframes[0].value;
+  }
+  for (let i = 1; i < keyframes.length; i++) {
+    const next = keyframes[i];
+    if (time < next.time) {
+      const previous = keyframes[i - 1];
+      const progress = (time - previous.time) / (next.time - previous.time);
+      return interpolate(previous.value, next.value, EASINGS[next.easing](progress));
+    }
+  }
+  return keyframes[keyframes.length - 1].value;
+}
+
+/**
+ * Set a property by dotted path (e.g. "rotation.x", "material.opacity")
+ * Array values go through fromArray() where the property has one (Three.js
+ * vectors, eulers and colors), so "position": [x, y, z] works
+ * @param {Object} target - Object to change
+ * @param {string} path - Dotted property path
+ * @param {*} value - New value
+ */
+export function setPropertyPath(target, path, value) {
+  const keys = path.split('.');
+  const last = keys.pop();
+  let object = target;
+  for (const key of keys) {
+    object = object?.[key];
+  }
+  if (object === undefined || object === null) {
+    throw new Error(`Timeline: no property "${path}" on target`);
+  }
+  if (Array.isArray(value) && typeof object[last]?.fromArray === 'function') {
+    object[last].fromArray(value);
+  } else {
+    object[last] = value;
+  }
+}
+
+/**
+ * Create a timeline playing a clip
+ * @param {Object} definition - Clip definition (see the top of this file)
+ * @param {Object} options
+ * @param {Object} options.targets - Objects the tracks animate, by target name
+ * @param {Function} options.setProperty - (target, property, value) => void (default: setPropertyPath)
+ * @returns {Object} Timeline
+ */
+export function createTimeline(definition, { targets = {}, setProperty = setPropertyPath } = {}) {
+  const clip = normalizeClip(definition);
+  for (const track of clip.tracks) {
+    if (!(track.target in targets)) {
+      throw new Error(`Timeline clip "${clip.id}": unknown target "${track.target}" (available: ${Object.keys(targets).join(', ') || 'none'})`);
+    }
+  }
+
+  // Step starts are fired as 'step' events in time order with clip events
+  const cues = [
+    ...clip.steps.map((step, index) => ({ time: step.start, type: 'step', detail: { name: step.name, index } })),
+    ...clip.events.map((event) => ({ time: event.time, type: 'event', detail: { name: event.name, data: event.data } }))
+  ].sort((a, b) => a.time - b.time);
+
+  const listeners = new Map(TIMELINE_EVENTS.map((type) => [type, new Set()]));
+  let state = 'idle'; // 'idle' | 'playing' | 'paused' | 'finished'
+  let time = 0;
+  let lastFrameTime = null;
+  let cuedUntil = -1; // Cues at or before this clip time have fired
+
+  function emit(type, detail = {}) {
+    for (const listener of listeners.get(type)) {
+      listener({ ...detail, time });
+    }
+  }
+
+  function apply() {
+    for (const track of clip.tracks) {
+      setProperty(targets[track.target], track.property, sampleTrack(track, time));
+    }
+  }
+
+  // Fire cues with cuedUntil < cue.time <= until
+  function fireCues(until) {
+    for (const cue of cues) {
+      if (cue.time > cuedUntil && cue.time <= until) {
+        emit(cue.type, cue.detail);
+      }
+    }
+    cuedUntil = until;
+  }
+
+  return {
+    clip,
+
+    /**
+     * Playback state: 'idle' | 'playing' | 'paused' | 'finished'
+     */
+    get state() {
+      return state;
+    },
+
+    /**
+     * Playhead position in milliseconds
+     */
+    get time() {
+      return time;
+    },
+
+    /**
+     * Subscribe to a timeline event
+     * @param {string} type - One of TIMELINE_EVENTS
+     * @param {Function} listener - Receives { time, ... } ('step': name, index; 'event': name, data)
+     * @returns {Function} Call to unsubscribe
+     */
+    on(type, listener) {
+      if (!listeners.has(type)) {
+        throw new Error(`Unknown timeline event "${type}" (expected one of: ${TIMELINE_EVENTS.join(', ')})`);
+      }
+      listeners.get(type).add(listener);
+      return () => listeners.get(type).delete(listener);
+    },
+
+    /**
+     * Play from the start
+     */
+    play() {
+      time = 0;
+      cuedUntil = -1;
+      lastFrameTime = null;
+      state = 'playing';
+      apply();
+      emit('start');
+    },
+
+    /**
+     * Hold the playhead (update() no longer advances it)
+     */
+    pause() {
+      if (state !== 'playing') {
+        return;
+      }
+      state = 'paused';
+      emit('pause');
+    },
+
+    /**
+     * Continue from where pause() stopped
+     */
+    resume() {
+      if (state !== 'paused') {
+        return;
+      }
+      state = 'playing';
+      lastFrameTime = null; // The paused time isn't played
+      emit('resume');
+    },
+
+    /**
+     * Move the playhead without firing the cues in between
+     * @param {number} newTime - Clip time in milliseconds
+     */
+    seek(newTime) {
+      time = Math.max(0, Math.min(newTime, clip.duration));
+      cuedUntil = time;
+      apply();
+    },
+
+    /**
+     * Advance by the time since the last frame and apply track values
+     * Call once per frame from the render loop
+     * @param {number} frameTime - Frame time in milliseconds (setAnimationLoop time)
+     */
+    update(frameTime) {
+      if (state !== 'playing') {
+        return;
+      }
+      const delta = lastFrameTime === null ? 0 : Math.max(0, frameTime - lastFrameTime);
+      lastFrameTime = frameTime;
+      time += delta;
+
+      if (time >= clip.duration) {
+        if (clip.loop && clip.duration > 0) {
+          // Finish this pass, then start the next one
+          fireCues(clip.duration);
+          time %= clip.duration;
+          cuedUntil = -1;
+        } else {
+          time = clip.duration;
+          apply();
+          fireCues(time);
+          state = 'finished';
+          emit('complete');
+          return;
+        }
+      }
+      apply();
+      fireCues(time);
+    }
+  };
+}
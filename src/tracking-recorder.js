@@ -0,0 +1,204 @@
+// Tracking Recorder - captures what the tracking backend saw, frame by frame
+// Wraps a session's tracking backend (see marker-tracker.js) and records, per
+// frame, the timing, the viewer pose and the raw tracking results (marker
+// index, tracking state, pose matrix). Recordings export as NDJSON - one
+// header line, then one line per frame - and replay-backend.js feeds them
+// back through the tracker and scene to reproduce a customer's session.
+//
+// Header: { type: 'header', version, backend, mode, experienceId, markers: [{ id, index, physicalWidth, physicalHeight }],
+//           scores, userAgent, startedAt }
+// Frame:  { t, v, r: [{ i, s, m }] }
+//   t - milliseconds since the first recorded frame
+//   v - viewer pose matrix (column-major, 16 numbers) or null
+//   r - results: i = marker index, s = tracking state, m = pose matrix (omitted when untracked)
+
+// Bumped when the file layout changes
+export const RECORDING_VERSION = 1;
+
+// Default recorder settings
+export const DEFAULT_RECORDER_OPTIONS = {
+  maxFrames: 18000 // Frames kept (about 5 minutes at 60 fps); older frames are dropped
+};
+
+/**
+ * Round a matrix for compact output (0.01 mm is far below tracking noise)
+ * @param {ArrayLike<number>} matrix - 16-element matrix
+ * @returns {Array<number>} Rounded values
+ */
+function roundMatrix(matrix) {
+  return Array.from(matrix, (value) => Math.round(value * 1e5) / 1e5);
+}
+
+/**
+ * Create a tracking recorder
+ * @param {Object} options - Overrides for DEFAULT_RECORDER_OPTIONS
+ * @returns {Object} Recorder
+ */
+export function createTrackingRecorder(options = {}) {
+  const settings = { ...DEFAULT_RECORDER_OPTIONS, ...options };
+  let recording = false;
+  let header = null; // Describes the session the frames belong to
+  let frames = [];
+  let firstTimestamp = null;
+
+  function recordFrame(timestamp, viewerPose, results) {
+    if (firstTimestamp === null) {
+      firstTimestamp = timestamp;
+    }
+    frames.push({
+      t: Math.round((timestamp - firstTimestamp) * 10) / 10,
+      v: viewerPose ? roundMatrix(viewerPose.transform.matrix) : null,
+      r: results.map((result) => {
+        const entry = { i: result.index, s: result.trackingState };
+        if (result.pose) {
+          entry.m = roundMatrix(result.pose.transform.matrix);
+        }
+        return entry;
+      })
+    });
+    // Keep the most recent frames (drop in chunks to avoid shifting every frame)
+    if (frames.length > settings.maxFrames * 1.1) {
+      frames.splice(0, frames.length - settings.maxFrames);
+    }
+  }
+
+  return {
+    /**
+     * Whether frames are being recorded
+     */
+    get recording() {
+      return recording;
+    },
+
+    /**
+     * Number of frames recorded
+     */
+    get frameCount() {
+      return frames.length;
+    },
+
+    /**
+     * Start recording (discards any previous frames)
+     */
+    start() {
+      frames = [];
+      firstTimestamp = null;
+      recording = true;
+    },
+
+    /**
+     * Stop recording (frames are kept for export)
+     */
+    stop() {
+      recording = false;
+    },
+
+    /**
+     * Wrap a tracking backend so its frames are recorded while recording is on
+     * @param {Object} backend - Tracking backend
+     * @param {Object} info - { experience, mode } of the session
+     * @returns {Object} Tracking backend with the same behaviour
+     */
+    wrapBackend(backend, { experience, mode }) {
+      return {
+        name: backend.name,
+
+        async init(context) {
+          const scores = await backend.init(context);
+          // A new session - frames from an earlier one no longer apply
+          frames = [];
+          firstTimestamp = null;
+          header = {
+            type: 'header',
+            version: RECORDING_VERSION,
+            backend: backend.name,
+            mode,
+            experienceId: experience.id,
+            markers: context.markers.map((marker) => ({
+              id: marker.id,
+              index: marker.index,
+              physicalWidth: marker.config.physicalWidth,
+              physicalHeight: marker.config.physicalHeight
+            })),
+            scores: [...(scores || [])],
+            userAgent: typeof navigator !== 'undefined' ? navigator.userAgent : null,
+            startedAt: new Date().toISOString()
+          };
+          return scores;
+        },
+
+        update(context) {
+          const results = backend.update(context);
+          if (recording && header) {
+            const { frame, referenceSpace, timestamp } = context;
+            const viewerPose = frame?.getViewerPose && referenceSpace ? frame.getViewerPose(referenceSpace) : null;
+            recordFrame(timestamp, viewerPose, results || []);
+          }
+          return results;
+        },
+
+        dispose() {
+          backend.dispose();
+        }
+      };
+    },
+
+    /**
+     * Export the recording as NDJSON
+     * @returns {string} Header line followed by one line per frame
+     */
+    toNDJSON() {
+      if (!header) {
+        throw new Error('Nothing recorded yet - no tracking session has started');
+      }
+      return [header, ...frames].map((line) => JSON.stringify(line)).join('\n') + '\n';
+    }
+  };
+}
+
+/**
+ * Parse an NDJSON recording
+ * @param {string} text - Recording file contents
+ * @returns {Object} { header, frames }
+ */
+export function parseRecording(text) {
+  const lines = text.split('\n').filter((line) => line.trim() !== '');
+  if (lines.length === 0) {
+    throw new Error('Recording is empty');
+  }
+
+  let header;
+  try {
+    header = JSON.parse(lines[0]);
+  } catch (error) {
+    throw new Error(`Recording header is not valid JSON: ${error.message}`);
+  }
+  if (header.type !== 'header') {
+    throw new Error('Recording must start with a header line');
+  }
+  if (header.version !== RECORDING_VERSION) {
+    throw new Error(`Unsupported recording version ${header.version} (expected ${RECORDING_VERSION})`);
+  }
+
+  const frames = lines.slice(1).map((line, i) => {
+    try {
+      return JSON.parse(line);
+    } catch (error) {
+      throw new Error(`Recording frame ${i + 1} is not valid JSON: ${error.message}`);
+    }
+  });
+  return { header, frames };
+}
+
+/**
+ * Load and parse an NDJSON recording
+ * @param {string} path - URL of the recording
+ * @returns {Promise<Object>} { header, frames }
+ */
+export async function loadRecording(path) {
+  const response = await fetch(path);
+  if (!response.ok) {
+    throw new Error(`Failed to load recording ${path}: ${response.status} ${response.statusText}`);
+  }
+  return parseRecording(await response.text());
+}
@@ -0,0 +1,165 @@
+// Tracking State - hysteresis for marker detected/lost transitions
+// Raw tracking results flicker: a marker can drop to `untracked` for a single
+// frame, or be reported `tracked` for one stray frame. This state machine
+// only reports a marker as detected after N consecutive tracked frames, keeps
+// it for a grace period after it stops being seen, and reports `emulated`
+// results (pose extrapolated by the platform) as a separate stale state.
+//
+// Pure logic only (no DOM, no WebXR) so transitions can be checked in Node.
+
+/**
+ * Marker tracking states
+ * - lost: marker is not being tracked
+ * - confirming: marker was seen but not yet for enough consecutive frames
+ * - detected: marker is actively tracked by the camera
+ * - stale: marker is out of view, pose is emulated from its last known position
+ */
+export const TRACKING_STATE = {
+  LOST: 'lost',
+  CONFIRMING: 'confirming',
+  DETECTED: 'detected',
+  STALE: 'stale'
+};
+
+// Default transition settings
+export const DEFAULT_TRACKING_OPTIONS = {
+  confirmFrames: 3, // Consecutive tracked frames before a marker counts as detected
+  lostGraceMs: 500, // How long a marker may go unseen before it counts as lost
+  staleTimeoutMs: 3000 // How long a marker may stay stale (emulated) before it counts as lost
+};
+
+/**
+ * Create the tracking state machine for one marker
+ * @param {Object} options - Overrides for DEFAULT_TRACKING_OPTIONS
+ * @returns {Object} State machine with update(trackingState, pose, timestamp) and reset()
+ */
+export function createTrackingStateMachine(options = {}) {
+  const settings = { ...DEFAULT_TRACKING_OPTIONS, ...options };
+
+  let state = TRACKING_STATE.LOST;
+  let confirmCount = 0;
+  let pose = null; // Pose content should use right now
+  let lastConfidentPose = null; // Last pose measured while actually tracked
+  let lastConfidentTime = null;
+  let lastSeenTime = null; // Last frame the marker was tracked or emulated
+  let staleSince = null;
+
+  function createEvent(type, timestamp, extra = {}) {
+    return {
+      type,
+      timestamp,
+      pose: lastConfidentPose,
+      lastConfidentTime,
+      ...extra
+    };
+  }
+
+  function markDetected(measuredPose, timestamp) {
+    state = TRACKING_STATE.DETECTED;
+    pose = measuredPose;
+    lastConfidentPose = measuredPose;
+    lastConfidentTime = timestamp;
+    lastSeenTime = timestamp;
+    staleSince = null;
+  }
+
+  function markLost(timestamp, reason, events) {
+    state = TRACKING_STATE.LOST;
+    confirmCount = 0;
+    pose = null;
+    staleSince = null;
+    events.push(createEvent('lost', timestamp, { reason }));
+  }
+
+  return {
+    /**
+     * Current state (one of TRACKING_STATE)
+     */
+    get state() {
+      return state;
+    },
+
+    /**
+     * Pose content should use: the tracked or emulated pose, or the last
+     * confident pose during the lost grace period; null when not detected
+     */
+    get pose() {
+      return pose;
+    },
+
+    get lastConfidentPose() {
+      return lastConfidentPose;
+    },
+
+    /**
+     * Feed one frame's tracking result
+     * @param {string} trackingState - 'tracked' | 'emulated' | 'untracked' (missing results count as 'untracked')
+     * @param {XRPose|null} measuredPose - The marker pose this frame, if any
+     * @param {number} timestamp - Frame time in milliseconds
+     * @returns {Array<Object>} Events raised by this frame ({ type: 'detected' | 'stale' | 'lost', timestamp, pose, ... })
+     */
+    update(trackingState, measuredPose, timestamp) {
+      const events = [];
+      const isTracked = trackingState === 'tracked' && !!measuredPose;
+      const isEmulated = trackingState === 'emulated' && !!measuredPose;
+
+      switch (state) {
+        case TRACKING_STATE.LOST:
+        case TRACKING_STATE.CONFIRMING:
+          if (!isTracked) {
+            // Sightings must be consecutive
+            state = TRACKING_STATE.LOST;
+            confirmCount = 0;
+            break;
+          }
+          confirmCount++;
+          if (confirmCount >= settings.confirmFrames) {
+            markDetected(measuredPose, timestamp);
+            events.push(createEvent('detected', timestamp, { recovered: false }));
+          } else {
+            state = TRACKING_STATE.CONFIRMING;
+          }
+          break;
+
+        case TRACKING_STATE.DETECTED:
+        case TRACKING_STATE.STALE:
+          if (isTracked) {
+            const wasStale = state === TRACKING_STATE.STALE;
+            markDetected(measuredPose, timestamp);
+            if (wasStale) {
+              events.push(createEvent('detected', timestamp, { recovered: true }));
+            }
+          } else if (isEmulated) {
+            lastSeenTime = timestamp;
+            pose = measuredPose;
+            if (state === TRACKING_STATE.DETECTED) {
+              state = TRACKING_STATE.STALE;
+              staleSince = timestamp;
+              events.push(createEvent('stale', timestamp));
+            } else if (timestamp - staleSince > settings.staleTimeoutMs) {
+              markLost(timestamp, 'stale-timeout', events);
+            }
+          } else if (timestamp - lastSeenTime > settings.lostGraceMs) {
+            markLost(timestamp, 'untracked', events);
+          }
+          // Within the grace period the state and last pose are kept
+          break;
+      }
+
+      return events;
+    },
+
+    /**
+     * Return to the initial lost state, forgetting all history
+     */
+    reset() {
+      state = TRACKING_STATE.LOST;
+      confirmCount = 0;
+      pose = null;
+      lastConfidentPose = null;
+      lastConfidentTime = null;
+      lastSeenTime = null;
+      staleSince = null;
+    }
+  };
+}
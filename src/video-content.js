@@ -0,0 +1,244 @@
+// Video Content - Step 6: Video Playback on the Marker
+// Plays a marker's video on a plane sized to the printed marker and keeps it
+// anchored to the marker pose. Lower quality tiers cap the video texture
+// height (setMaxHeight): taller videos are drawn into a smaller canvas each
+// frame and that canvas is the texture instead.
+
+import * as THREE from 'three';
+import { createVideoElement } from './preload.js';
+
+/**
+ * Set up a texture showing video frames
+ * @param {THREE.Texture} texture - Video or canvas texture
+ */
+function configureTexture(texture) {
+  texture.colorSpace = THREE.SRGBColorSpace;
+  texture.minFilter = THREE.LinearFilter;
+  texture.magFilter = THREE.LinearFilter;
+}
+
+/**
+ * Create video content anchored to a marker
+ * @param {Object} marker - Marker config from the manifest ({ id, physicalWidth, physicalHeight, content })
+ * @param {HTMLVideoElement} preloadedVideo - Already buffered video element (kept alive on dispose)
+ * @param {Function} log - Logger (message, type, category) => void
+ * @returns {Object} Video content controller
+ */
+export function createVideoContent(marker, preloadedVideo = null, log = () => {}) {
+  const content = marker.content;
+  const video = preloadedVideo || createVideoElement(content);
+
+  const texture = new THREE.VideoTexture(video);
+  configureTexture(texture);
+
+  const geometry = new THREE.PlaneGeometry(marker.physicalWidth, marker.physicalHeight);
+  const material = new THREE.MeshBasicMaterial({ map: texture, side: THREE.DoubleSide });
+  const mesh = new THREE.Mesh(geometry, material);
+  // The marker's image space has +Y pointing out of the image, so lay the
+  // plane (XY) flat onto the image (XZ)
+  mesh.rotation.x = -Math.PI / 2;
+
+  // The anchor follows the marker pose; its matrix is set directly each frame
+  const anchor = new THREE.Group();
+  anchor.name = `video-content-${marker.id}`;
+  anchor.matrixAutoUpdate = false;
+  anchor.visible = false;
+  anchor.add(mesh);
+
+  let hasStarted = false;
+  let userMuted = false; // Sound turned off with the mute control (setMuted)
+  let maxHeight = Infinity; // Largest texture height (setMaxHeight)
+  let scaled = null; // Downscaled copy: { canvas, context, texture, lastTime }
+
+  /**
+   * Use the full-size video or a downscaled copy, whichever the height cap
+   * calls for (the video size is only known once its metadata has loaded)
+   */
+  function updateTextureSource() {
+    const needsScaling = video.videoHeight > maxHeight;
+    const height = Math.min(video.videoHeight, maxHeight);
+    if (scaled && (!needsScaling || scaled.canvas.height !== height)) {
+      scaled.texture.dispose();
+      scaled = null;
+      material.map = texture;
+    }
+    if (needsScaling && !scaled) {
+      const canvas = document.createElement('canvas');
+      canvas.height = height;
+      canvas.width = Math.round(video.videoWidth * (height / video.videoHeight));
+      scaled = { canvas, context: canvas.getContext('2d'), texture: new THREE.CanvasTexture(canvas), lastTime: null };
+      configureTexture(scaled.texture);
+      material.map = scaled.texture;
+    }
+  }
+
+  // Copy new video frames into the downscaled texture just before drawing
+  mesh.onBeforeRender = () => {
+    if (!scaled || video.readyState < HTMLMediaElement.HAVE_CURRENT_DATA || video.currentTime === scaled.lastTime) {
+      return;
+    }
+    scaled.lastTime = video.currentTime;
+    scaled.context.drawImage(video, 0, 0, scaled.canvas.width, scaled.canvas.height);
+    scaled.texture.needsUpdate = true;
+  };
+  video.addEventListener('loadedmetadata', updateTextureSource);
+
+  /**
+   * Start or resume playback, respecting mobile autoplay rules
+   * If playing with sound is blocked, playback falls back to muted and
+   * needsUnmute() reports true until unmute() is called from a user gesture
+   * @returns {Promise<void>}
+   */
+  async function play() {
+    if (!video.paused) {
+      return;
+    }
+    try {
+      await video.play();
+    } catch (error) {
+      if (video.muted) {
+        throw error;
+      }
+      // Autoplay with sound was blocked - retry muted
+      log(`🔇 Autoplay with sound blocked for "${marker.id}", playing muted: ${error.message}`, 'warning', 'render');
+      video.muted = true;
+      await video.play();
+    }
+    if (!hasStarted) {
+      hasStarted = true;
+      log(`▶️ Video started on marker "${marker.id}"`, 'info', 'render');
+    }
+  }
+
+  // Turn sound on - needs a user gesture
+  async function unmute() {
+    video.muted = false;
+    if (anchor.visible && video.paused) {
+      await video.play();
+    }
+  }
+
+  updateTextureSource();
+
+  return {
+    markerId: marker.id,
+    object: anchor,
+    mesh,
+    video,
+
+    /**
+     * Whether the video is playing
+     */
+    get playing() {
+      return !video.paused;
+    },
+
+    play,
+
+    /**
+     * Pause playback (keeps the current position)
+     */
+    pause() {
+      video.pause();
+    },
+
+    /**
+     * Show the content and start or resume playback
+     * @returns {Promise<void>}
+     */
+    show() {
+      anchor.visible = true;
+      return play();
+    },
+
+    /**
+     * Hide the content and pause playback
+     */
+    hide() {
+      anchor.visible = false;
+      video.pause();
+    },
+
+    /**
+     * Position the content from the marker pose
+     * @param {XRPose} pose - The marker pose in the scene's reference space
+     */
+    update(pose) {
+      anchor.matrix.fromArray(pose.transform.matrix);
+      anchor.matrixWorldNeedsUpdate = true;
+    },
+
+    /**
+     * Cap the video texture height (quality tiers)
+     * @param {number} height - Largest texture height in pixels (Infinity for none)
+     */
+    setMaxHeight(height) {
+      maxHeight = height;
+      updateTextureSource();
+    },
+
+    /**
+     * Check if the video is muted only because autoplay with sound was blocked
+     * @returns {boolean} True if a user gesture is needed to turn sound on
+     */
+    needsUnmute() {
+      return video.muted && !content.muted && !userMuted;
+    },
+
+    /**
+     * Turn sound on - must be called from a user gesture (tap / XR select)
+     * @returns {Promise<void>}
+     */
+    unmute,
+
+    /**
+     * Whether the video has sound (the manifest doesn't mute it)
+     */
+    get hasSound() {
+      return !content.muted;
+    },
+
+    /**
+     * Turn sound off, or back on (from a user gesture), with the mute control
+     * @param {boolean} muted - True to turn sound off
+     * @returns {Promise<void>}
+     */
+    setMuted(muted) {
+      userMuted = muted;
+      if (muted) {
+        video.muted = true;
+        return Promise.resolve();
+      }
+      return content.muted ? Promise.resolve() : unmute();
+    },
+
+    /**
+     * Play the video again from the start (if it is shown)
+     * @returns {Promise<void>}
+     */
+    replay() {
+      video.currentTime = 0;
+      return anchor.visible ? play() : Promise.resolve();
+    },
+
+    /**
+     * Release the video and GPU resources
+     */
+    dispose() {
+      video.pause();
+      if (preloadedVideo) {
+        // Shared with the next session - just rewind it
+        video.currentTime = 0;
+      } else {
+        video.removeAttribute('src');
+        video.load();
+      }
+      video.removeEventListener('loadedmetadata', updateTextureSource);
+      texture.dispose();
+      scaled?.texture.dispose();
+      geometry.dispose();
+      material.dispose();
+      anchor.removeFromParent();
+    }
+  };
+}
@@ -0,0 +1,80 @@
+// WebXR Backend - marker tracking with Chrome's WebXR image tracking
+// The default MarkerTracker backend (see marker-tracker.js for the interface).
+//
+// Chrome registers images at session creation: the `trackedImages` array is
+// passed to navigator.xr.requestSession, the session reports which images are
+// usable via getTrackedImageScores(), and each XRImageTrackingResult refers
+// back to its image by `index`.
+
+/**
+ * Check if we're on a platform that likely doesn't support image tracking
+ * @returns {boolean} True if on unsupported platform
+ */
+function isUnsupportedPlatform() {
+  const userAgent = navigator.userAgent.toLowerCase();
+  const isMac = /macintosh|mac os x/i.test(navigator.platform);
+  const isDesktop = !/android|iphone|ipad|ipod|blackberry|iemobile|opera mini/i.test(userAgent);
+
+  return isMac || (isDesktop && !/chrome/i.test(userAgent));
+}
+
+/**
+ * Create the WebXR image-tracking backend
+ * @param {Object} options
+ * @param {Function} options.log - Logger (message, type, category) => void
+ * @returns {Object} Tracking backend ({ name, init, update, dispose })
+ */
+export function createWebXRBackend({ log = () => {} } = {}) {
+  return {
+    name: 'webxr',
+
+    /**
+     * Check which of the marker images registered at session creation are trackable
+     * @param {Object} context
+     * @param {XRSession} context.session - The WebXR session (created with `trackedImages`)
+     * @returns {Promise<Array<string>>} One score per marker ('trackable' | 'untrackable'), in registration order
+     */
+    async init({ session }) {
+      log('Checking marker image trackability...', 'debug', 'tracker');
+
+      // Check if image tracking API is available
+      if (typeof session?.getTrackedImageScores !== 'function') {
+        if (isUnsupportedPlatform()) {
+          log('⚠️ Image tracking not available on this platform (Mac/Desktop).', 'warning', 'tracker');
+          log('ℹ️ This is expected - image tracking requires Android Chrome or compatible mobile device.', 'info', 'tracker');
+          log('ℹ️ The marker images are loaded and ready. Testing on Android will enable tracking.', 'info', 'tracker');
+          throw new Error('Image tracking not supported on this platform (expected on Mac/Desktop)');
+        }
+        throw new Error('Image tracking API not available. Try enabling WebXR Incubations in chrome://flags');
+      }
+
+      // Scores are reported in the same order as the trackedImages array
+      return (await session.getTrackedImageScores()) || [];
+    },
+
+    /**
+     * Read this frame's image tracking results
+     * @param {Object} context
+     * @param {XRFrame} context.frame - The current XR frame
+     * @param {XRReferenceSpace} context.referenceSpace - The reference space for pose calculations
+     * @returns {Array<Object>} Results { index, trackingState, pose }
+     */
+    update({ frame, referenceSpace }) {
+      // Check if frame has image tracking results
+      if (!referenceSpace || !frame?.getImageTrackingResults) {
+        return [];
+      }
+
+      // Results reference images by their index in the trackedImages array
+      const trackingResults = frame.getImageTrackingResults() || [];
+      return trackingResults.map((result) => ({
+        index: result.index,
+        trackingState: result.trackingState,
+        // Get the pose of the marker relative to the reference space
+        pose: result.trackingState !== 'untracked' ? frame.getPose(result.imageSpace, referenceSpace) : null
+      }));
+    },
+
+    dispose() {}
+  };
+}
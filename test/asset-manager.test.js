@@ -0,0 +1,176 @@
+// Asset downloads (asset-manager.js) through a fake fetch: retries, the
+// default validators and reuse of a URL's download
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHash } from 'node:crypto';
+import { createAssetManager } from '../src/asset-manager.js';
+
+const IMAGE = new Uint8Array(1024).map((_, i) => i % 256);
+const LFS_POINTER = 'version https://git-lfs.github.com/spec/v1\n' +
+  'oid sha256:4d7a214614ab2935c943f9e0ff69d22eadbb8f32b1258daaa5e2ca24d17e2393\n' +
+  'size 12345\n';
+
+/**
+ * Create a fetch answering each call with the next of `responses`
+ * @param {Array<Function>} responses - () => Response (or throw) per call; the last repeats
+ * @returns {Function} fetch, with the requests made in `calls`
+ */
+function createFakeFetch(responses) {
+  const calls = [];
+  const fakeFetch = async (url, init) => {
+    calls.push({ url, init });
+    return responses[Math.min(calls.length, responses.length) - 1]();
+  };
+  fakeFetch.calls = calls;
+  return fakeFetch;
+}
+
+// A response as a static file server sends it
+function file(body, contentType) {
+  return () => new Response(body, { status: 200, headers: { 'Content-Type': contentType } });
+}
+
+function status(code, statusText) {
+  return () => new Response('', { status: code, statusText });
+}
+
+// An asset manager retrying quickly, recording what it logs
+function createManager(fakeFetch, options = {}) {
+  const logged = [];
+  const manager = createAssetManager({
+    fetch: fakeFetch,
+    retryDelay: 1,
+    log: (message, level) => logged.push({ message, level }),
+    ...options
+  });
+  return { manager, logged };
+}
+
+test('retries a 503 and returns the file once it is served', async () => {
+  const fakeFetch = createFakeFetch([status(503, 'Service Unavailable'), file(IMAGE, 'image/jpeg')]);
+  const { manager, logged } = createManager(fakeFetch);
+  const progress = [];
+
+  const blob = await manager.load({ src: '/marker.jpg', kind: 'image' }, (loaded, total) => progress.push([loaded, total]));
+  assert.deepEqual(new Uint8Array(await blob.arrayBuffer()), IMAGE);
+  assert.equal(fakeFetch.calls.length, 2);
+  assert.deepEqual(logged.map((entry) => entry.level), ['warning']);
+  assert.match(logged[0].message, /503 Service Unavailable - retrying in 1 ms \(1\/3\)/);
+  // Progress starts over for the retry and ends at the full size
+  assert.deepEqual(progress[0], [0, null]);
+  assert.deepEqual(progress.at(-1), [IMAGE.length, IMAGE.length]);
+});
+
+test('retries network errors until the retries run out', async () => {
+  const fakeFetch = createFakeFetch([() => { throw new TypeError('Failed to fetch'); }]);
+  const { manager } = createManager(fakeFetch, { retries: 2 });
+
+  await assert.rejects(manager.load({ src: '/marker.jpg', kind: 'image' }), {
+    message: 'Could not fetch /marker.jpg: Failed to fetch',
+    retryable: true
+  });
+  assert.equal(fakeFetch.calls.length, 3);
+});
+
+test('does not retry a 404', async () => {
+  const fakeFetch = createFakeFetch([status(404, 'Not Found'), file(IMAGE, 'image/jpeg')]);
+  const { manager, logged } = createManager(fakeFetch);
+
+  await assert.rejects(manager.load({ src: '/missing.jpg', kind: 'image' }), {
+    message: 'Failed to load /missing.jpg: 404 Not Found',
+    retryable: false
+  });
+  assert.equal(fakeFetch.calls.length, 1);
+  assert.deepEqual(logged, []);
+});
+
+test('rejects a Git LFS pointer served in place of the file', async () => {
+  const fakeFetch = createFakeFetch([file(LFS_POINTER, 'image/jpeg')]);
+  const { manager } = createManager(fakeFetch);
+
+  await assert.rejects(manager.load({ src: '/marker.jpg', kind: 'image' }), /\/marker\.jpg is a Git LFS pointer file/);
+  assert.equal(fakeFetch.calls.length, 1);
+});
+
+test('rejects an HTML page served as a video', async () => {
+  const page = `<!doctype html><title>Not found</title>${' '.repeat(2048)}`;
+  const fakeFetch = createFakeFetch([file(page, 'text/html; charset=utf-8')]);
+  const { manager } = createManager(fakeFetch);
+
+  await assert.rejects(manager.load({ src: '/animation.mp4', kind: 'video' }), {
+    message: '/animation.mp4 has content type "text/html" (expected video/*, application/octet-stream for video)'
+  });
+});
+
+test('rejects a file too small to be real', async () => {
+  const fakeFetch = createFakeFetch([file(IMAGE.slice(0, 100), 'image/jpeg')]);
+  const { manager } = createManager(fakeFetch);
+
+  await assert.rejects(manager.load({ src: '/marker.jpg', kind: 'image' }), /\/marker\.jpg is too small \(100 bytes\)/);
+});
+
+test('checks the SHA-256 of a file with a hash', async () => {
+  const sha256 = createHash('sha256').update(IMAGE).digest('hex');
+  const { manager } = createManager(createFakeFetch([file(IMAGE, 'image/jpeg')]));
+  const blob = await manager.load({ src: '/marker.jpg', kind: 'image', sha256: sha256.toUpperCase() });
+  assert.equal(blob.size, IMAGE.length);
+
+  const wrong = createHash('sha256').update('something else').digest('hex');
+  const { manager: other } = createManager(createFakeFetch([file(IMAGE, 'image/jpeg')]));
+  await assert.rejects(other.load({ src: '/marker.jpg', kind: 'image', sha256: wrong }), {
+    message: `/marker.jpg failed its integrity check (SHA-256 ${sha256}, expected ${wrong})`,
+    retryable: false
+  });
+});
+
+test('a second load() of the same URL reuses the first download', async () => {
+  const fakeFetch = createFakeFetch([file(IMAGE, 'image/jpeg')]);
+  const { manager } = createManager(fakeFetch);
+  const asset = { src: '/marker.jpg', kind: 'image' };
+
+  const [first, second] = await Promise.all([manager.load(asset), manager.load(asset)]);
+  const third = await manager.load({ ...asset });
+  assert.equal(fakeFetch.calls.length, 1);
+  assert.equal(second, first);
+  assert.equal(third, first);
+
+  // clear() forgets it
+  manager.clear();
+  await manager.load(asset);
+  assert.equal(fakeFetch.calls.length, 2);
+});
+
+test('a failed download is fetched again by the next load()', async () => {
+  const fakeFetch = createFakeFetch([status(404, 'Not Found'), file(IMAGE, 'image/jpeg')]);
+  const { manager } = createManager(fakeFetch);
+  const asset = { src: '/marker.jpg', kind: 'image' };
+
+  await assert.rejects(manager.load(asset), /404/);
+  const blob = await manager.load(asset);
+  assert.equal(blob.size, IMAGE.length);
+  assert.equal(fakeFetch.calls.length, 2);
+});
+
+test('check() validates the start of a file with a Range request', async () => {
+  const probe = () => new Response(IMAGE.slice(0, 512), {
+    status: 206,
+    headers: { 'Content-Type': 'video/mp4', 'Content-Range': 'bytes 0-511/4000000' }
+  });
+  const fakeFetch = createFakeFetch([probe]);
+  const { manager } = createManager(fakeFetch, { probeBytes: 512 });
+
+  await manager.check({ src: '/animation.mp4', kind: 'video' });
+  assert.deepEqual(fakeFetch.calls[0].init.headers, { Range: 'bytes=0-511' });
+
+  // The full size counts against the limit
+  await assert.rejects(manager.check({ src: '/animation.mp4', kind: 'video', maxSize: 1000000 }), /too large \(4000000 bytes, limit 1000000\)/);
+});
+
+test('rejects an unknown asset kind', async () => {
+  const fakeFetch = createFakeFetch([file(IMAGE, 'image/jpeg')]);
+  const { manager } = createManager(fakeFetch);
+
+  await assert.rejects(manager.load({ src: '/marker.jpg', kind: 'picture' }), /Unknown asset kind "picture"/);
+  assert.equal(fakeFetch.calls.length, 0);
+});
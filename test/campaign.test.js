@@ -0,0 +1,169 @@
+// Campaign links (campaign.js): parsing both link forms, signing and
+// verifying, and what resolveCampaign ignores
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  parseCampaignLink,
+  verifyCampaignLink,
+  signCampaignLink,
+  createCampaignLink,
+  resolveCampaign,
+  getCampaignExperiencePath,
+  getPersonalMessage
+} from '../src/campaign.js';
+
+const KEY = 'test-campaign-key';
+const BASE_URL = 'https://cards.example.com/';
+const LINK = { campaign: 'birthday', card: '0042', recipient: 'Sam', message: 'Happy birthday!' };
+
+/**
+ * Resolve a link, keeping what it logs
+ * @param {string} url - Page URL
+ * @param {string} key - Campaign key
+ * @returns {Promise<Object>} { result, logged }
+ */
+async function resolve(url, key = KEY) {
+  const logged = [];
+  const result = await resolveCampaign(url, { key, log: (message, level) => logged.push({ message, level }) });
+  return { result, logged };
+}
+
+// A signed query-form link with one parameter replaced
+async function withParam(name, value) {
+  const url = new URL(await createCampaignLink(BASE_URL, LINK, KEY));
+  url.searchParams.set(name, value);
+  return url.toString();
+}
+
+test('a signed link round-trips through resolveCampaign', async () => {
+  const url = await createCampaignLink(BASE_URL, LINK, KEY);
+  assert.match(url, /^https:\/\/cards\.example\.com\/\?campaign=birthday&card=0042&to=Sam&msg=Happy\+birthday%21&sig=[A-Za-z0-9_-]{43}$/);
+
+  const { result, logged } = await resolve(url);
+  assert.deepEqual(result, LINK);
+  assert.deepEqual(logged, [{ message: '🔗 Campaign link verified (campaign "birthday", card 0042)', level: 'success' }]);
+});
+
+test('signatures cover exactly the four values', async () => {
+  const link = { ...LINK, signature: await signCampaignLink(LINK, KEY) };
+  assert.equal(await verifyCampaignLink(link, KEY), true);
+  assert.equal(await verifyCampaignLink(link, 'another-key'), false);
+
+  // Moving text between fields changes the payload too
+  assert.equal(await verifyCampaignLink({ ...link, recipient: 'Sam Happy', message: 'birthday!' }, KEY), false);
+  assert.equal(await verifyCampaignLink({ ...link, recipient: '', message: 'Sam' }, KEY), false);
+});
+
+test('rejects a link whose campaign, card, recipient or message was changed', async () => {
+  const changes = { campaign: 'wedding', card: '0043', to: 'Alex', msg: 'Happy birthday!!' };
+  for (const [name, value] of Object.entries(changes)) {
+    const { result, logged } = await resolve(await withParam(name, value));
+    assert.equal(result, null, name);
+    assert.deepEqual(logged, [{ message: '⚠️ Campaign link ignored - signature does not match', level: 'warning' }], name);
+  }
+
+  // Dropping a signed value is a change as well
+  const url = new URL(await createCampaignLink(BASE_URL, LINK, KEY));
+  url.searchParams.delete('msg');
+  assert.equal((await resolve(url.toString())).result, null);
+});
+
+test('rejects malformed, truncated and missing signatures', async () => {
+  const signature = new URL(await createCampaignLink(BASE_URL, LINK, KEY)).searchParams.get('sig');
+  for (const sig of ['not base64!', '%%%', signature.slice(0, -4), signature.slice(1), `${signature}AA`]) {
+    const { result, logged } = await resolve(await withParam('sig', sig));
+    assert.equal(result, null, sig);
+    assert.equal(logged[0].message, '⚠️ Campaign link ignored - signature does not match', sig);
+    assert.equal(await verifyCampaignLink({ ...LINK, signature: sig }, KEY), false, sig);
+  }
+
+  const url = new URL(await createCampaignLink(BASE_URL, LINK, KEY));
+  url.searchParams.delete('sig');
+  const { result, logged } = await resolve(url.toString());
+  assert.equal(result, null);
+  assert.equal(logged[0].message, '⚠️ Campaign link ignored - not signed');
+});
+
+test('ignores campaign links when the build has no key', async () => {
+  const { result, logged } = await resolve(await createCampaignLink(BASE_URL, LINK, KEY), '');
+  assert.equal(result, null);
+  assert.deepEqual(logged, [{ message: '⚠️ Campaign link ignored - this build has no campaign key (VITE_CAMPAIGN_KEY)', level: 'warning' }]);
+});
+
+test('rejects campaign and card ids outside letters, digits, "-" and "_"', async () => {
+  const ids = ['../secret', 'birthday.json', 'two words', 'x'.repeat(65), 'café'];
+  for (const id of ids) {
+    for (const key of ['campaign', 'card']) {
+      const link = { ...LINK, [key]: id };
+      // Signed, so only the id check rejects it
+      const { result, logged } = await resolve(await createCampaignLink(BASE_URL, link, KEY));
+      assert.equal(result, null, `${key} ${id}`);
+      assert.equal(logged[0].message, `⚠️ Campaign link ignored - ${key}: must be 1-64 letters, digits, "-" or "_"`, `${key} ${id}`);
+    }
+  }
+  assert.deepEqual(parseCampaignLink(`${BASE_URL}?campaign=${'x'.repeat(64)}&card=a_b-C9`).errors, []);
+});
+
+test('rejects over-long text and control characters', () => {
+  const errorsFor = (params) => parseCampaignLink(`${BASE_URL}?campaign=birthday&${new URLSearchParams(params)}`).errors;
+
+  assert.deepEqual(errorsFor({ to: 'x'.repeat(40), msg: 'x'.repeat(200) }), []);
+  assert.deepEqual(errorsFor({ to: 'x'.repeat(41), msg: 'x'.repeat(201) }), [
+    'to: longer than 40 characters',
+    'msg: longer than 200 characters'
+  ]);
+  assert.deepEqual(errorsFor({ to: 'Sam\u0007', msg: 'Line one\nline two' }), [
+    'to: contains control characters',
+    'msg: contains control characters'
+  ]);
+  assert.deepEqual(errorsFor({ msg: 'C1 \u009b control' }), ['msg: contains control characters']);
+  // Surrounding whitespace is trimmed, not an error
+  assert.deepEqual(parseCampaignLink(`${BASE_URL}?to=%20Sam%0A`), {
+    campaign: '', card: '', recipient: 'Sam', message: '', signature: '', errors: []
+  });
+});
+
+test('reads the ids from the /c/<campaign>/<card> path form', async () => {
+  const url = await createCampaignLink(`${BASE_URL}gift/`, LINK, KEY, { path: true });
+  assert.match(url, /^https:\/\/cards\.example\.com\/gift\/c\/birthday\/0042\?to=Sam&msg=Happy\+birthday%21&sig=/);
+  assert.deepEqual((await resolve(url)).result, LINK);
+
+  assert.deepEqual(parseCampaignLink('/c/birthday/'), {
+    campaign: 'birthday', card: '', recipient: '', message: '', signature: '', errors: []
+  });
+  // The path wins over query parameters of the same name
+  const link = parseCampaignLink('/c/birthday/0042?campaign=wedding&card=1');
+  assert.equal(link.campaign, 'birthday');
+  assert.equal(link.card, '0042');
+  // Decoded before the id check; an encoded ".." is resolved by URL parsing
+  assert.deepEqual(parseCampaignLink('/c/birth%2Fday/0042').errors, ['campaign: must be 1-64 letters, digits, "-" or "_"']);
+  assert.equal(parseCampaignLink('/c/%2E%2E/0042'), null);
+  assert.deepEqual(parseCampaignLink('/c/birthday/00%2042').errors, ['card: must be 1-64 letters, digits, "-" or "_"']);
+});
+
+test('reads the query-string form, with any of the parameters', async () => {
+  assert.deepEqual(parseCampaignLink(`${BASE_URL}?card=0042&sig=abc`), {
+    campaign: '', card: '0042', recipient: '', message: '', signature: 'abc', errors: []
+  });
+  // A card for the default experience
+  const defaultCard = { campaign: '', card: '0042', recipient: '', message: '' };
+  const { result, logged } = await resolve(await createCampaignLink(BASE_URL, defaultCard, KEY));
+  assert.deepEqual(result, defaultCard);
+  assert.equal(logged[0].message, '🔗 Campaign link verified (campaign "default", card 0042)');
+});
+
+test('pages without campaign parameters are not campaign links', async () => {
+  assert.equal(parseCampaignLink(`${BASE_URL}?debug&perf`), null);
+  assert.equal(parseCampaignLink('https://cards.example.com/cards/birthday'), null);
+  assert.deepEqual(await resolve(`${BASE_URL}?simulate=/simulator/lost-and-found.json`), { result: null, logged: [] });
+});
+
+test('maps a campaign to its experience and personal text', () => {
+  assert.equal(getCampaignExperiencePath('birthday'), '/experiences/birthday.json');
+  assert.equal(getCampaignExperiencePath(''), undefined);
+  assert.deepEqual(getPersonalMessage(LINK), ['For Sam', 'Happy birthday!']);
+  assert.deepEqual(getPersonalMessage({ ...LINK, recipient: '' }), ['Happy birthday!']);
+  assert.equal(getPersonalMessage({ ...LINK, recipient: '', message: '' }), null);
+  assert.equal(getPersonalMessage(null), null);
+});
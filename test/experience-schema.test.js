@@ -0,0 +1,114 @@
+// Experience manifest validation (experience-schema.js)
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile, readdir } from 'node:fs/promises';
+import { validateExperience, formatValidationErrors } from '../src/experience-schema.js';
+
+// A minimal valid manifest with one marker of each content type
+function createManifest() {
+  return {
+    version: 1,
+    id: 'gift-card',
+    name: 'WebXR Gift Card',
+    markers: [
+      {
+        id: 'default',
+        imagePath: '/marker-image.jpg',
+        physicalWidth: 0.1,
+        physicalHeight: 0.15,
+        content: { type: 'video', src: '/animation.mp4', loop: false, muted: false }
+      },
+      {
+        id: 'box',
+        imagePath: '/box-marker.jpg',
+        physicalWidth: 0.1,
+        physicalHeight: 0.1,
+        content: { type: 'model', src: '/models/gift-box.glb', offset: { rotation: [0, 45, 0] } }
+      }
+    ]
+  };
+}
+
+// The paths of a result's errors
+function errorPaths(result) {
+  return result.errors.map((error) => error.path);
+}
+
+test('accepts a valid manifest', () => {
+  assert.deepEqual(validateExperience(createManifest()), { valid: true, errors: [] });
+});
+
+test('accepts the manifests shipped in public/', async () => {
+  const publicDir = new URL('../public/', import.meta.url);
+  const experiences = await readdir(new URL('experiences/', publicDir));
+  const files = ['experience.json', ...experiences.map((name) => `experiences/${name}`)];
+  for (const file of files.filter((name) => name.endsWith('.json'))) {
+    const result = validateExperience(JSON.parse(await readFile(new URL(file, publicDir), 'utf8')));
+    assert.deepEqual(formatValidationErrors(result.errors), [], file);
+  }
+});
+
+test('rejects a manifest that is not an object', () => {
+  assert.deepEqual(validateExperience([]), { valid: false, errors: [{ path: '', message: 'manifest must be a JSON object' }] });
+});
+
+test('rejects missing or empty markers', () => {
+  const manifest = createManifest();
+  delete manifest.markers;
+  assert.deepEqual(errorPaths(validateExperience(manifest)), ['markers']);
+
+  manifest.markers = [];
+  const result = validateExperience(manifest);
+  assert.equal(result.valid, false);
+  assert.deepEqual(formatValidationErrors(result.errors), ['markers: must be a non-empty array']);
+});
+
+test('rejects an unknown content type', () => {
+  const manifest = createManifest();
+  manifest.markers[1].content.type = 'hologram';
+
+  const result = validateExperience(manifest);
+  assert.equal(result.valid, false);
+  assert.deepEqual(formatValidationErrors(result.errors), ['markers[1].content.type: must be one of: video, model']);
+});
+
+test('rejects physical sizes that are not positive numbers', () => {
+  const manifest = createManifest();
+  manifest.markers[0].physicalWidth = 0;
+  manifest.markers[0].physicalHeight = '15cm';
+  manifest.markers[1].physicalWidth = -0.1;
+  delete manifest.markers[1].physicalHeight;
+
+  assert.deepEqual(errorPaths(validateExperience(manifest)), [
+    'markers[0].physicalWidth',
+    'markers[0].physicalHeight',
+    'markers[1].physicalWidth',
+    'markers[1].physicalHeight'
+  ]);
+});
+
+test('rejects duplicate marker ids', () => {
+  const manifest = createManifest();
+  manifest.markers[1].id = 'default';
+
+  const result = validateExperience(manifest);
+  assert.equal(result.valid, false);
+  assert.deepEqual(formatValidationErrors(result.errors), ['markers[1].id: duplicate marker id "default"']);
+});
+
+test('reports every error in one pass', () => {
+  const manifest = createManifest();
+  manifest.version = 2;
+  manifest.tracking = { confirmFrames: 2.5, graceMs: 100 };
+  manifest.markers[0].content.src = '';
+  manifest.markers[1].content.src = '/models/gift-box.fbx';
+
+  assert.deepEqual(errorPaths(validateExperience(manifest)), [
+    'version',
+    'tracking.confirmFrames',
+    'tracking.graceMs',
+    'markers[0].content.src',
+    'markers[1].content.src'
+  ]);
+});
@@ -0,0 +1,99 @@
+// Logger ring buffer, sinks and restoring a previous page load's entries
+// (logger.js)
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createLogger } from '../src/logger.js';
+
+test('keeps the newest entries once the ring buffer wraps', () => {
+  const logger = createLogger({ capacity: 3 });
+  for (let i = 1; i <= 5; i++) {
+    logger.log(`message ${i}`);
+  }
+
+  assert.equal(logger.size, 3);
+  assert.deepEqual(logger.entries.map((entry) => entry.message), ['message 3', 'message 4', 'message 5']);
+  assert.deepEqual(logger.entries.map((entry) => entry.seq), [3, 4, 5]);
+
+  logger.clear();
+  assert.equal(logger.size, 0);
+  logger.log('after clear');
+  assert.deepEqual(logger.entries.map((entry) => entry.seq), [6]);
+});
+
+test('fills in defaults and sends each entry to the sinks', () => {
+  const logger = createLogger();
+  const written = [];
+  const detach = logger.addSink({ write: (entry) => written.push(entry) });
+
+  const entry = logger.scoped('tracker')('Marker found', 'success');
+  logger.log('No such level', 'loud');
+  logger.log('With details', 'error', 'asset', { status: 404 });
+  detach();
+  logger.log('Not written');
+
+  assert.deepEqual(
+    written.map(({ level, category, message, data }) => ({ level, category, message, data })),
+    [
+      { level: 'success', category: 'tracker', message: 'Marker found', data: undefined },
+      { level: 'info', category: 'app', message: 'No such level', data: undefined },
+      { level: 'error', category: 'asset', message: 'With details', data: { status: 404 } }
+    ]
+  );
+  assert.equal(written[0], entry);
+  assert.equal(logger.size, 4);
+});
+
+test('a failing sink does not stop the others', (t) => {
+  t.mock.method(console, 'error', () => {});
+  const logger = createLogger();
+  const written = [];
+  logger.addSink({ write: () => { throw new Error('broken'); } });
+  logger.addSink({ write: (entry) => written.push(entry.message) });
+
+  logger.log('still logged');
+  assert.deepEqual(written, ['still logged']);
+  assert.equal(console.error.mock.callCount(), 1);
+});
+
+test('restores the previous page load in front of this one, within capacity', () => {
+  // The first page load, saved as main.js does before unloading
+  const before = createLogger({ capacity: 10 });
+  for (let i = 1; i <= 6; i++) {
+    before.log(`before ${i}`);
+  }
+  const saved = JSON.parse(JSON.stringify(before.entries));
+
+  // After the reload
+  const logger = createLogger({ capacity: 5 });
+  const written = [];
+  logger.addSink({ write: (entry) => written.push(entry) });
+  logger.log('after 1');
+  logger.log('after 2');
+  logger.restore(saved);
+
+  assert.deepEqual(
+    logger.entries.map(({ message, previous }) => ({ message, previous })),
+    [
+      { message: 'before 4', previous: true },
+      { message: 'before 5', previous: true },
+      { message: 'before 6', previous: true },
+      { message: 'after 1', previous: undefined },
+      { message: 'after 2', previous: undefined }
+    ]
+  );
+  // Restored entries aren't sent to the sinks again
+  assert.deepEqual(written.map((entry) => entry.message), ['after 1', 'after 2']);
+
+  // New entries still push the oldest (restored) ones out
+  logger.log('after 3');
+  assert.deepEqual(logger.entries.map((entry) => entry.message), ['before 5', 'before 6', 'after 1', 'after 2', 'after 3']);
+});
+
+test('restores nothing when this page load already fills the buffer', () => {
+  const logger = createLogger({ capacity: 2 });
+  logger.log('one');
+  logger.log('two');
+  logger.restore([{ seq: 1, time: 0, level: 'info', category: 'app', message: 'old' }]);
+  assert.deepEqual(logger.entries.map((entry) => entry.message), ['one', 'two']);
+});
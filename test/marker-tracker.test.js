@@ -0,0 +1,126 @@
+// MarkerTracker driven by the WebXR backend against the mock XR objects
+// (mock-xr.js), from session creation to per-frame image tracking results
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MarkerTracker } from '../src/marker-tracker.js';
+import { createWebXRBackend } from '../src/webxr-backend.js';
+import { MockXRSystem, MockXRFrame, createMockPose } from '../src/mock-xr.js';
+
+const MARKERS = [
+  { id: 'front', imagePath: '/markers/front.jpg', physicalWidth: 0.1, physicalHeight: 0.06 },
+  { id: 'back', imagePath: '/markers/back.jpg', physicalWidth: 0.2, physicalHeight: 0.12 }
+];
+const TRACKING = { confirmFrames: 2, lostGraceMs: 100, staleTimeoutMs: 1000 };
+const POSE = createMockPose({ x: 0.1, y: 0, z: -0.5 });
+
+/**
+ * Load the markers with stand-in images and start a mock session with them
+ * @param {Object} xrOptions - MockXRSystem options (e.g. scores)
+ * @returns {Promise<Object>} { tracker, session, events }
+ */
+async function startSession(xrOptions = {}) {
+  const tracker = new MarkerTracker({ tracking: TRACKING, backend: createWebXRBackend() });
+  const images = new Map(MARKERS.map((config) => [config.id, { width: 512, height: 307 }]));
+  await tracker.loadMarkers(MARKERS, images);
+
+  const xr = new MockXRSystem(xrOptions);
+  const session = await xr.requestSession('immersive-ar', { trackedImages: tracker.createTrackedImagesConfig() });
+
+  const events = [];
+  for (const type of ['detected', 'stale', 'lost', 'error']) {
+    tracker.on(type, (detail) => events.push({ type, ...detail }));
+  }
+  return { tracker, session, events };
+}
+
+// Feed one frame of image tracking results
+function frame(tracker, session, results, timestamp) {
+  return tracker.update(new MockXRFrame(session, results), { type: 'local' }, timestamp);
+}
+
+test('registers the tracked images in marker order', async () => {
+  const { tracker, session } = await startSession();
+
+  assert.deepEqual(session.trackedImages.map((image) => image.widthInMeters), [0.1, 0.2]);
+  const trackable = await tracker.initialize(session);
+  assert.deepEqual(trackable.map((marker) => marker.id), ['front', 'back']);
+});
+
+test('a tracked image is detected after the confirmation frames', async () => {
+  const { tracker, session, events } = await startSession();
+  await tracker.initialize(session);
+
+  frame(tracker, session, [{ index: 1, trackingState: 'tracked', pose: POSE }], 0);
+  assert.equal(tracker.getMarkers()[1].state, 'confirming');
+  assert.equal(events.length, 0);
+
+  const results = frame(tracker, session, [{ index: 1, trackingState: 'tracked', pose: POSE }], 16);
+  assert.deepEqual(events.map(({ type, markerId, recovered }) => ({ type, markerId, recovered })), [
+    { type: 'detected', markerId: 'back', recovered: false }
+  ]);
+  assert.equal(results[1].trackingState, 'tracked');
+  assert.equal(tracker.getMarkerPose('back'), POSE);
+  assert.equal(tracker.isMarkerDetected('front'), false);
+});
+
+test('an emulated image turns stale, then detected again when tracked', async () => {
+  const { tracker, session, events } = await startSession();
+  await tracker.initialize(session);
+  frame(tracker, session, [{ index: 0, pose: POSE }], 0);
+  frame(tracker, session, [{ index: 0, pose: POSE }], 16);
+
+  const emulatedPose = createMockPose({ x: 0.2, y: 0, z: -0.5 });
+  frame(tracker, session, [{ index: 0, trackingState: 'emulated', pose: emulatedPose }], 32);
+  assert.equal(tracker.getMarkers()[0].state, 'stale');
+  assert.equal(tracker.getMarkerPose('front'), emulatedPose);
+  assert.equal(tracker.isMarkerDetected('front'), true);
+
+  frame(tracker, session, [{ index: 0, pose: POSE }], 48);
+  assert.deepEqual(events.map(({ type, recovered }) => ({ type, recovered })), [
+    { type: 'detected', recovered: false },
+    { type: 'stale', recovered: undefined },
+    { type: 'detected', recovered: true }
+  ]);
+});
+
+test('an untracked image is lost once the grace period has passed', async () => {
+  const { tracker, session, events } = await startSession();
+  await tracker.initialize(session);
+  frame(tracker, session, [{ index: 0, pose: POSE }], 0);
+  frame(tracker, session, [{ index: 0, pose: POSE }], 16);
+
+  // An untracked result has no pose, like a missing result
+  const results = frame(tracker, session, [{ index: 0, trackingState: 'untracked', pose: POSE }], 50);
+  assert.equal(results[0].trackingState, 'untracked');
+  assert.equal(tracker.getMarkers()[0].state, 'detected');
+  frame(tracker, session, [], 100);
+  assert.equal(tracker.getMarkers()[0].state, 'detected');
+
+  frame(tracker, session, [{ index: 0, trackingState: 'untracked' }], 117);
+  assert.deepEqual(events.map(({ type, reason }) => ({ type, reason })), [
+    { type: 'detected', reason: undefined },
+    { type: 'lost', reason: 'untracked' }
+  ]);
+  assert.equal(tracker.getMarkerPose('front'), null);
+});
+
+test('images scored untrackable are not tracked', async () => {
+  const { tracker, session, events } = await startSession({ scores: ['untrackable', 'trackable'] });
+
+  const trackable = await tracker.initialize(session);
+  assert.deepEqual(trackable.map((marker) => marker.id), ['back']);
+
+  const results = frame(tracker, session, [{ index: 0, pose: POSE }, { index: 1, pose: POSE }], 0);
+  assert.deepEqual(results.map((result) => result.id), ['back']);
+  frame(tracker, session, [{ index: 0, pose: POSE }, { index: 1, pose: POSE }], 16);
+  assert.deepEqual(events.map(({ type, markerId }) => ({ type, markerId })), [{ type: 'detected', markerId: 'back' }]);
+});
+
+test('initialize fails when every image is scored untrackable', async () => {
+  const { tracker, session, events } = await startSession({ scores: ['untrackable', 'untrackable'] });
+
+  await assert.rejects(tracker.initialize(session), /All marker images were rejected as untrackable/);
+  assert.deepEqual(events.map(({ type, phase }) => ({ type, phase })), [{ type: 'error', phase: 'initialize' }]);
+  assert.deepEqual(frame(tracker, session, [{ index: 0, pose: POSE }], 0), []);
+});
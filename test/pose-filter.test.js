@@ -0,0 +1,129 @@
+// Pose filter (pose-filter.js) on synthetic pose sequences at 60 Hz
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createPoseFilter, quaternionAngle } from '../src/pose-filter.js';
+import { createMockPose } from '../src/mock-xr.js';
+
+const FRAME_MS = 1000 / 60;
+const HOME = { x: 0, y: 0, z: -0.5 };
+
+// Rotation about the Y axis
+function yaw(angle) {
+  return { x: 0, y: Math.sin(angle / 2), z: 0, w: Math.cos(angle / 2) };
+}
+
+// Repeatable noise in -1..1 (a fixed-seed LCG)
+function createNoise(seed = 1) {
+  let state = seed;
+  return () => {
+    state = (state * 1664525 + 1013904223) % 4294967296;
+    return (state / 4294967296) * 2 - 1;
+  };
+}
+
+// A still marker measured with up to ±amplitude meters of jitter per axis
+function jitterSequence(frames, amplitude) {
+  const noise = createNoise();
+  return Array.from({ length: frames }, () => createMockPose({
+    x: HOME.x + noise() * amplitude,
+    y: HOME.y + noise() * amplitude,
+    z: HOME.z + noise() * amplitude
+  }));
+}
+
+// Feed a pose sequence, one per frame, returning the filtered positions
+function run(filter, poses, startFrame = 0) {
+  return poses.map((pose, i) => filter.filter(pose, (startFrame + i) * FRAME_MS).transform.position);
+}
+
+function spread(positions, axis) {
+  const values = positions.map((position) => position[axis]);
+  return Math.max(...values) - Math.min(...values);
+}
+
+test('the first pose passes through unchanged', () => {
+  const filter = createPoseFilter();
+  const pose = createMockPose({ x: 0.1, y: 0.2, z: -0.3 }, yaw(0.3));
+
+  const filtered = filter.filter(pose, 0);
+  assert.deepEqual(filtered.transform.position, { x: 0.1, y: 0.2, z: -0.3, w: 1 });
+  assert.ok(quaternionAngle(filtered.transform.orientation, yaw(0.3)) < 1e-6);
+});
+
+test('damps jitter on a still marker', () => {
+  const poses = jitterSequence(120, 0.003);
+  const filtered = run(createPoseFilter(), poses).slice(30);
+  const raw = poses.slice(30).map((pose) => pose.transform.position);
+
+  for (const axis of ['x', 'y', 'z']) {
+    assert.ok(spread(filtered, axis) < spread(raw, axis) / 3, `${axis} spread ${spread(filtered, axis)} vs ${spread(raw, axis)}`);
+  }
+  for (const position of filtered) {
+    assert.ok(Math.hypot(position.x - HOME.x, position.y - HOME.y, position.z - HOME.z) < 0.003);
+  }
+});
+
+test('the same sequence gives the same output', () => {
+  const poses = jitterSequence(60, 0.003);
+  assert.deepEqual(run(createPoseFilter(), poses), run(createPoseFilter(), poses));
+});
+
+test('holds back a single-frame jump and drops it as an outlier', () => {
+  const filter = createPoseFilter();
+  run(filter, Array.from({ length: 10 }, () => createMockPose(HOME)));
+
+  const [during, after] = run(filter, [
+    createMockPose({ x: HOME.x + 0.4, y: HOME.y, z: HOME.z }),
+    createMockPose(HOME)
+  ], 10);
+  assert.deepEqual(during, { ...HOME, w: 1 });
+  assert.deepEqual(after, { ...HOME, w: 1 });
+});
+
+test('follows a jump once the following frames confirm it', () => {
+  const filter = createPoseFilter({ confirmFrames: 3 });
+  run(filter, Array.from({ length: 10 }, () => createMockPose(HOME)));
+  const moved = { x: HOME.x + 0.4, y: HOME.y, z: HOME.z };
+
+  const positions = run(filter, Array.from({ length: 3 }, () => createMockPose(moved, yaw(1.5))), 10);
+  assert.deepEqual(positions.slice(0, 2), [{ ...HOME, w: 1 }, { ...HOME, w: 1 }]);
+  // Confirmed - snapped straight to the new pose, not eased towards it
+  assert.deepEqual(positions[2], { ...moved, w: 1 });
+  assert.ok(quaternionAngle(filter.filter(createMockPose(moved, yaw(1.5)), 13 * FRAME_MS).transform.orientation, yaw(1.5)) < 1e-3);
+});
+
+test('keeps up with fast motion', () => {
+  const speed = 1; // m/s, 1.7 cm per frame - below the outlier distance
+  const poses = Array.from({ length: 60 }, (_, i) => createMockPose({ x: HOME.x + speed * i * FRAME_MS / 1000, y: HOME.y, z: HOME.z }));
+
+  const lag = (options) => {
+    const positions = run(createPoseFilter(options), poses);
+    return poses[59].transform.position.x - positions[59].x;
+  };
+  // The speed term raises the cutoff: under two frames behind, and far
+  // less lag than a fixed cutoff
+  assert.ok(lag() < 2 * speed * FRAME_MS / 1000, `lag ${lag()}`);
+  assert.ok(lag() < lag({ beta: 0 }) / 4, `lag ${lag()} vs ${lag({ beta: 0 })}`);
+});
+
+test('follows a large turn directly and smooths a small one', () => {
+  const filter = createPoseFilter({ rotationSnapAngle: 0.5, outlierAngle: 1.0 });
+  filter.filter(createMockPose(HOME, yaw(0)), 0);
+
+  const turned = filter.filter(createMockPose(HOME, yaw(0.7)), FRAME_MS).transform.orientation;
+  assert.ok(quaternionAngle(turned, yaw(0.7)) < 1e-6);
+
+  const nudged = filter.filter(createMockPose(HOME, yaw(0.75)), 2 * FRAME_MS).transform.orientation;
+  const angle = quaternionAngle(nudged, yaw(0.7));
+  assert.ok(angle > 0 && angle < 0.05, `turned ${angle} of 0.05`);
+});
+
+test('reset forgets the previous pose', () => {
+  const filter = createPoseFilter();
+  run(filter, Array.from({ length: 10 }, () => createMockPose(HOME)));
+  filter.reset();
+
+  const far = { x: 1, y: 1, z: -1 };
+  assert.deepEqual(filter.filter(createMockPose(far), 1000).transform.position, { ...far, w: 1 });
+});
@@ -0,0 +1,189 @@
+// Adaptive quality hysteresis (quality.js) fed synthetic frame intervals:
+// 16 ms frames are below the upgrade threshold (18.3 ms at 60 Hz) and 30 ms
+// frames above the downgrade threshold (22.5 ms)
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createQualityController, DEFAULT_QUALITY_OPTIONS } from '../src/quality.js';
+
+const FAST = 16;
+const SLOW = 30;
+
+// Time of the first frame at or after `ms`, for frames `interval` ms apart
+function frameAt(ms, interval) {
+  return Math.ceil(ms / interval) * interval;
+}
+
+/**
+ * Drive a quality controller with frames, starting from a frame at time 0
+ * @param {Object} quality - Quality controller
+ * @returns {Object} { frames, untilChange, time, changes }
+ */
+function createFeed(quality) {
+  let time = 0;
+  const changes = [];
+  quality.addFrame(time);
+
+  function frame(interval) {
+    time += interval;
+    const change = quality.addFrame(time);
+    if (change) {
+      changes.push({ time, tier: change.tier.name, reason: change.reason });
+    }
+    return change;
+  }
+
+  return {
+    changes,
+    get time() {
+      return time;
+    },
+
+    // Add `count` frames `interval` ms apart
+    frames(count, interval) {
+      for (let i = 0; i < count; i++) {
+        frame(interval);
+      }
+    },
+
+    // Add frames `interval` ms apart until the tier changes (at most a minute of them)
+    untilChange(interval) {
+      const limit = time + 60000;
+      while (time < limit) {
+        if (frame(interval)) {
+          return changes.at(-1);
+        }
+      }
+      return null;
+    }
+  };
+}
+
+test('drops a tier once the p90 frame time passes the downgrade threshold', () => {
+  const quality = createQualityController();
+  const feed = createFeed(quality);
+  feed.frames(100, FAST);
+  assert.deepEqual(feed.changes, []);
+
+  // The window holds 90 frames, so p90 is the 81st fastest: nine slow frames
+  // aren't enough, the tenth is
+  feed.frames(9, SLOW);
+  assert.deepEqual(feed.changes, []);
+  feed.frames(1, SLOW);
+  assert.deepEqual(feed.changes, [
+    { time: feed.time, tier: 'low', reason: 'p90 frame time 30.0 ms above 22.5 ms' }
+  ]);
+  assert.equal(quality.tier.name, 'low');
+
+  // Nothing below the lowest tier
+  feed.frames(200, SLOW);
+  assert.equal(feed.changes.length, 1);
+});
+
+test('waits for the upgrade hold before raising a tier', () => {
+  const quality = createQualityController();
+  const feed = createFeed(quality);
+
+  // Decisions start once the window has minFrames intervals
+  const goodSince = DEFAULT_QUALITY_OPTIONS.minFrames * FAST;
+  const upgradeAt = frameAt(goodSince + DEFAULT_QUALITY_OPTIONS.upgradeHold, FAST);
+  feed.frames(upgradeAt / FAST - 1, FAST);
+  assert.deepEqual(feed.changes, []);
+
+  assert.deepEqual(feed.untilChange(FAST), { time: upgradeAt, tier: 'high', reason: 'p90 frame time 16.0 ms below 18.3 ms' });
+});
+
+test('a frame time between the thresholds neither drops nor raises the tier', () => {
+  const quality = createQualityController();
+  const feed = createFeed(quality);
+  feed.frames(200, FAST);
+  assert.equal(quality.tier.name, 'medium');
+
+  // 20 ms frames restart the upgrade hold without dropping a tier
+  feed.frames(1000, 20);
+  assert.deepEqual(feed.changes, []);
+  feed.frames(200, FAST);
+  assert.deepEqual(feed.changes, []);
+});
+
+test('makes no further change during the cooldown after one', () => {
+  const quality = createQualityController({ initialTier: 'high' });
+  const feed = createFeed(quality);
+
+  // The window refills to minFrames slow frames before the cooldown ends
+  const first = feed.untilChange(SLOW);
+  assert.equal(first.tier, 'medium');
+  assert.ok(DEFAULT_QUALITY_OPTIONS.minFrames * SLOW < DEFAULT_QUALITY_OPTIONS.cooldown);
+
+  const second = feed.untilChange(SLOW);
+  assert.equal(second.tier, 'low');
+  // The first frame at or after the cooldown
+  assert.equal(second.time - first.time, frameAt(DEFAULT_QUALITY_OPTIONS.cooldown, SLOW));
+});
+
+test('a pause is not counted as a frame time', () => {
+  const quality = createQualityController({ initialTier: 'high' });
+  const feed = createFeed(quality);
+  feed.frames(100, FAST);
+
+  // Counted, 20 long intervals in the window would drop the tier; gaps over
+  // maxFrameGap and ones after markGap() are left out
+  for (let i = 0; i < 10; i++) {
+    feed.frames(1, DEFAULT_QUALITY_OPTIONS.maxFrameGap + 1);
+    feed.frames(3, FAST);
+    quality.markGap();
+    feed.frames(1, 500);
+    feed.frames(3, FAST);
+  }
+  assert.deepEqual(feed.changes, []);
+});
+
+test('waits longer to upgrade again after an upgrade had to be reverted', () => {
+  const { upgradeHold, cooldown } = DEFAULT_QUALITY_OPTIONS;
+  // Fast frames decide again at the end of the cooldown, and upgrade once they
+  // have been fast for the hold
+  const upgradeAfter = (hold) => frameAt(cooldown, FAST) + frameAt(hold, FAST);
+
+  // Without an upgrade before it, a downgrade is followed by the usual hold
+  const steady = createFeed(createQualityController({ initialTier: 'high' }));
+  const drop = steady.untilChange(SLOW);
+  assert.equal(drop.tier, 'medium');
+  const recovery = steady.untilChange(FAST);
+  assert.equal(recovery.tier, 'high');
+  assert.equal(recovery.time - drop.time, upgradeAfter(upgradeHold));
+
+  // An upgrade that is undone within revertWindow doubles the hold
+  const flapping = createFeed(createQualityController());
+  assert.equal(flapping.untilChange(FAST).tier, 'high');
+  const revert = flapping.untilChange(SLOW);
+  assert.equal(revert.tier, 'medium');
+  const retry = flapping.untilChange(FAST);
+  assert.equal(retry.tier, 'high');
+  assert.equal(retry.time - revert.time, upgradeAfter(upgradeHold * 2));
+
+  // And again, up to maxUpgradeHold
+  const secondRevert = flapping.untilChange(SLOW);
+  const secondRetry = flapping.untilChange(FAST);
+  assert.equal(secondRetry.time - secondRevert.time, upgradeAfter(upgradeHold * 4));
+});
+
+test('a pinned tier never changes', () => {
+  const quality = createQualityController({ fixedTier: 'low' });
+  const feed = createFeed(quality);
+  feed.frames(1000, FAST);
+  assert.equal(quality.fixed, true);
+  assert.equal(quality.tier.name, 'low');
+  assert.deepEqual(feed.changes, []);
+
+  assert.throws(() => createQualityController({ fixedTier: 'ultra' }), /Unknown quality tier "ultra"/);
+});
+
+test('reset() starts a new session without the cooldown or the window', () => {
+  const quality = createQualityController({ initialTier: 'high' });
+  const feed = createFeed(quality);
+  feed.untilChange(SLOW);
+
+  quality.reset();
+  const afterReset = createFeed(quality);
+  assert.equal(afterReset.untilChange(SLOW).time, DEFAULT_QUALITY_OPTIONS.minFrames * SLOW);
+});
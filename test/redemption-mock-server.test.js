@@ -0,0 +1,87 @@
+// The redemption mock backend (scripts/redemption-mock-server.js), run as a
+// child process and called through the REST adapter the app uses
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+import { createRestRedemptionAdapter, REDEMPTION_ERRORS } from '../src/redemption.js';
+
+const SCRIPT = fileURLToPath(new URL('../scripts/redemption-mock-server.js', import.meta.url));
+
+let server = null;
+let endpoint = null;
+let adapter = null;
+
+before(async () => {
+  server = spawn(process.execPath, [SCRIPT, '--port', '0', '--delay', '0', '--balance', '50', '--currency', 'GBP'], {
+    stdio: ['ignore', 'pipe', 'inherit']
+  });
+  endpoint = await new Promise((resolve, reject) => {
+    let output = '';
+    server.stdout.on('data', (chunk) => {
+      output += chunk;
+      const match = /listening on (http:\/\/\S+)/.exec(output);
+      if (match) {
+        resolve(match[1]);
+      }
+    });
+    server.on('exit', (code) => reject(new Error(`Mock server exited (${code}) before listening`)));
+  });
+  adapter = createRestRedemptionAdapter({ endpoint, timeout: 5000 });
+});
+
+after(async () => {
+  if (server && server.exitCode === null) {
+    const exited = new Promise((resolve) => server.once('exit', resolve));
+    server.kill();
+    await exited;
+  }
+});
+
+// POST a reveal for a raw (already encoded) card id path segment
+async function postReveal(segment) {
+  const response = await fetch(`${endpoint}/cards/${segment}/reveal`, { method: 'POST' });
+  return { status: response.status, body: await response.json() };
+}
+
+test('reveals a card once, then answers 409 revealed', async () => {
+  const result = await adapter.reveal('card-once');
+  assert.match(result.code, /^GIFT-[A-Z2-9]{4}-[A-Z2-9]{4}$/);
+  assert.equal(result.balance, 50);
+  assert.equal(result.currency, 'GBP');
+  assert.match(result.expiresAt, /^\d{4}-\d{2}-\d{2}$/);
+
+  const second = await postReveal('card-once');
+  assert.deepEqual(second, { status: 409, body: { error: 'revealed' } });
+  await assert.rejects(adapter.reveal('card-once'), { code: REDEMPTION_ERRORS.REVEALED, retryable: false });
+});
+
+test('gives each card its own stable code', async () => {
+  const first = await adapter.reveal('card-a');
+  const second = await adapter.reveal('card-b');
+  assert.notEqual(first.code, second.code);
+});
+
+test('answers 409 redeemed for a used card', async () => {
+  assert.deepEqual(await postReveal('redeemed-1'), { status: 409, body: { error: 'redeemed' } });
+  await assert.rejects(adapter.reveal('redeemed-2'), { code: REDEMPTION_ERRORS.REDEEMED, retryable: false });
+});
+
+test('answers 410 expired with the expiry date', async () => {
+  const { status, body } = await postReveal('expired-1');
+  assert.equal(status, 410);
+  assert.equal(body.error, 'expired');
+  await assert.rejects(adapter.reveal('expired-2'), { code: REDEMPTION_ERRORS.EXPIRED, expiresAt: body.expiresAt });
+});
+
+test('answers 404 and 503 for missing and failing cards', async () => {
+  await assert.rejects(adapter.reveal('missing-1'), { code: REDEMPTION_ERRORS.NOT_FOUND });
+  await assert.rejects(adapter.reveal('failing-1'), { code: REDEMPTION_ERRORS.UNAVAILABLE, retryable: true });
+});
+
+test('answers 400 for a malformed card id and keeps running', async () => {
+  assert.deepEqual(await postReveal('%E0%A4%A'), { status: 400, body: { error: 'bad-request', message: 'Malformed card id' } });
+  // Encoded ids still work
+  assert.match((await adapter.reveal('card with spaces')).code, /^GIFT-/);
+});
@@ -0,0 +1,248 @@
+// SessionController lifecycle (session-controller.js) against the mock XR
+// objects (mock-xr.js) and a stand-in renderer, with the page's document and
+// window faked
+
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { SessionController } from '../src/session-controller.js';
+import { MockXRSystem, MockXRSession } from '../src/mock-xr.js';
+
+const EXPERIENCE = {
+  version: 1,
+  id: 'test',
+  name: 'Test',
+  tracking: {},
+  markers: [{ id: 'default', imagePath: '/marker-image.jpg', physicalWidth: 0.1, physicalHeight: 0.15 }]
+};
+const IMAGES = new Map([['default', { width: 512, height: 768 }]]);
+
+/**
+ * Stand-in for THREE.WebGLRenderer with the calls SessionController makes
+ * @returns {Object} Fake renderer, recording its XR session, loop and disposal
+ */
+function createFakeRenderer() {
+  const renderer = {
+    session: null,
+    loop: null,
+    disposed: false,
+    shadowMap: { enabled: false },
+    xr: {
+      enabled: false,
+      isPresenting: false,
+      setFramebufferScaleFactor() {},
+      async setSession(session) {
+        renderer.session = session;
+      },
+      getBaseLayer: () => null
+    },
+    setClearColor() {},
+    setSize() {},
+    setPixelRatio() {},
+    render() {},
+    setAnimationLoop(loop) {
+      renderer.loop = loop;
+    },
+    dispose() {
+      renderer.disposed = true;
+    }
+  };
+  return renderer;
+}
+
+/**
+ * Create a controller recording its state changes and the renderers it made
+ * @param {Object} xr - XR system to request sessions from
+ * @returns {Object} { controller, states, renderers }
+ */
+function createController(xr = new MockXRSystem()) {
+  const renderers = [];
+  const controller = new SessionController({
+    canvas: { getContext: () => null },
+    experience: EXPERIENCE,
+    assets: { images: IMAGES },
+    xr,
+    createRenderer: () => {
+      const renderer = createFakeRenderer();
+      renderers.push(renderer);
+      return renderer;
+    }
+  });
+  const states = [controller.state];
+  controller.on('statechange', ({ state }) => states.push(state));
+  return { controller, states, renderers };
+}
+
+// Dispatch an event to a mock session's listeners
+function fire(session, type) {
+  for (const listener of session.listeners[type] || []) {
+    listener({ type, session });
+  }
+}
+
+beforeEach(() => {
+  const document = new EventTarget();
+  document.visibilityState = 'visible';
+  globalThis.document = document;
+  globalThis.window = { innerWidth: 390, innerHeight: 844 };
+});
+
+afterEach(() => {
+  delete globalThis.document;
+  delete globalThis.window;
+});
+
+test('runs from idle to ended, pausing while the page or the XR session is hidden', async () => {
+  const xr = new MockXRSystem();
+  const { controller, states, renderers } = createController(xr);
+
+  await controller.start();
+  const session = xr.lastSession;
+  assert.equal(controller.state, 'running');
+  assert.equal(renderers[0].session, session);
+  assert.equal(renderers[0].xr.enabled, true);
+  assert.equal(typeof renderers[0].loop, 'function');
+
+  document.visibilityState = 'hidden';
+  document.dispatchEvent(new Event('visibilitychange'));
+  assert.equal(controller.state, 'paused');
+  document.visibilityState = 'visible';
+  document.dispatchEvent(new Event('visibilitychange'));
+  assert.equal(controller.state, 'running');
+
+  session.visibilityState = 'hidden';
+  fire(session, 'visibilitychange');
+  assert.equal(controller.state, 'paused');
+  // Still hidden to XR - the page becoming visible doesn't resume
+  document.dispatchEvent(new Event('visibilitychange'));
+  assert.equal(controller.state, 'paused');
+  session.visibilityState = 'visible';
+  fire(session, 'visibilitychange');
+  assert.equal(controller.state, 'running');
+
+  await controller.end();
+  assert.equal(session.ended, true);
+  assert.deepEqual(states, [
+    'idle', 'starting', 'running', 'paused', 'running', 'paused', 'running', 'ending', 'ended'
+  ]);
+});
+
+test('releasing the session disposes the renderer and removes the debugging globals', async () => {
+  const { controller, renderers } = createController();
+
+  await controller.start();
+  assert.equal(window.xrScene, controller.scene);
+  assert.equal(window.xrCamera, controller.camera);
+
+  await controller.end();
+  assert.equal(renderers[0].disposed, true);
+  assert.equal(renderers[0].loop, null);
+  assert.equal('xrScene' in window, false);
+  assert.equal('xrCamera' in window, false);
+  assert.equal(controller.renderer, null);
+  assert.equal(controller.session, null);
+
+  // Page visibility no longer reaches the ended controller
+  document.visibilityState = 'hidden';
+  document.dispatchEvent(new Event('visibilitychange'));
+  assert.equal(controller.state, 'ended');
+});
+
+test('starts again after ending, with a new session and renderer', async () => {
+  const xr = new MockXRSystem();
+  const { controller, states, renderers } = createController(xr);
+
+  await controller.start();
+  const first = xr.lastSession;
+  await controller.end();
+  assert.equal(controller.canStart(), true);
+
+  await controller.start();
+  assert.equal(controller.state, 'running');
+  assert.notEqual(xr.lastSession, first);
+  assert.equal(renderers.length, 2);
+  assert.equal(renderers[1].session, xr.lastSession);
+  assert.equal(window.xrScene, controller.scene);
+
+  await controller.end();
+  assert.deepEqual(states, ['idle', 'starting', 'running', 'ending', 'ended', 'starting', 'running', 'ending', 'ended']);
+});
+
+test('the browser ending the session releases it', async () => {
+  const xr = new MockXRSystem();
+  const { controller, states, renderers } = createController(xr);
+
+  await controller.start();
+  await xr.lastSession.end();
+  assert.equal(controller.state, 'ended');
+  assert.equal(renderers[0].disposed, true);
+  assert.deepEqual(states, ['idle', 'starting', 'running', 'ending', 'ended']);
+});
+
+test('a rejecting session.end() still reaches ended', async () => {
+  const xr = new MockXRSystem();
+  const { controller, states, renderers } = createController(xr);
+
+  await controller.start();
+  xr.lastSession.end = async () => {
+    throw new Error('InvalidStateError');
+  };
+  await controller.end();
+  assert.equal(controller.state, 'ended');
+  assert.equal(renderers[0].disposed, true);
+  assert.deepEqual(states, ['idle', 'starting', 'running', 'ending', 'ended']);
+});
+
+test('end() while the session is requested cancels the start and ends the session when it arrives', async () => {
+  let grant;
+  let session = null;
+  const xr = {
+    requestSession: (mode, sessionInit) => new Promise((resolve) => {
+      grant = () => resolve(session = new MockXRSession(sessionInit));
+    })
+  };
+  const { controller, states, renderers } = createController(xr);
+
+  const starting = controller.start();
+  // Let marker loading finish so the session is being requested
+  await new Promise((resolve) => setImmediate(resolve));
+  assert.equal(typeof grant, 'function');
+
+  await controller.end();
+  assert.equal(controller.state, 'ended');
+
+  grant();
+  await starting;
+  assert.equal(session.ended, true);
+  assert.equal(controller.state, 'ended');
+  assert.equal(controller.session, null);
+  assert.equal(renderers.length, 0);
+  assert.deepEqual(states, ['idle', 'starting', 'ending', 'ended']);
+});
+
+test('end() after the session arrived but before setup finished ends it', async () => {
+  const xr = new MockXRSystem();
+  const { controller, states, renderers } = createController(xr);
+  // Hold setup at the reference space request
+  let grantSpace;
+  const requestSession = xr.requestSession.bind(xr);
+  xr.requestSession = async (...args) => {
+    const session = await requestSession(...args);
+    session.requestReferenceSpace = (type) => new Promise((resolve) => {
+      grantSpace = () => resolve({ type });
+    });
+    return session;
+  };
+
+  const starting = controller.start();
+  while (!grantSpace) {
+    await new Promise((resolve) => setImmediate(resolve));
+  }
+
+  await controller.end();
+  grantSpace();
+  await starting;
+  assert.equal(xr.lastSession.ended, true);
+  assert.equal(controller.state, 'ended');
+  assert.equal(renderers[0].disposed, true);
+  assert.deepEqual(states, ['idle', 'starting', 'ending', 'ended']);
+});
@@ -0,0 +1,90 @@
+// MarkerTracker driven by scripted poses from the simulator backend
+// (simulator-backend.js), as the ?simulate session runs it
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { MarkerTracker } from '../src/marker-tracker.js';
+import { createSimulatorBackend, sampleKeyframes, normalizeScript } from '../src/simulator-backend.js';
+
+const FRAME_MS = 16;
+const MARKERS = [
+  { id: 'default', imagePath: '/marker-image.jpg', physicalWidth: 0.1, physicalHeight: 0.15 },
+  { id: 'box', imagePath: '/box-marker.jpg', physicalWidth: 0.1, physicalHeight: 0.1 }
+];
+
+/**
+ * Run a script through a tracker frame by frame
+ * @param {Object} script - Simulator script
+ * @param {number} duration - How long to run (ms)
+ * @param {Object} tracking - Tracking state options
+ * @returns {Promise<Array<Object>>} Tracker events as { type, markerId, timestamp, ... }
+ */
+async function runScript(script, duration, tracking = {}) {
+  const tracker = new MarkerTracker({ tracking, backend: createSimulatorBackend(script) });
+  await tracker.loadMarkers(MARKERS, new Map(MARKERS.map((config) => [config.id, { width: 512, height: 512 }])));
+  await tracker.initialize(null);
+
+  const events = [];
+  for (const type of ['detected', 'stale', 'lost']) {
+    tracker.on(type, (detail) => events.push({ type, ...detail }));
+  }
+  for (let time = 0; time <= duration; time += FRAME_MS) {
+    tracker.update(null, null, time);
+  }
+  tracker.dispose();
+  return events;
+}
+
+test('replays detected, stale, recovered and lost for the lost-and-found script', async () => {
+  const script = JSON.parse(await readFile(new URL('../public/simulator/lost-and-found.json', import.meta.url), 'utf8'));
+
+  const events = await runScript(script, 11000, { confirmFrames: 3, lostGraceMs: 500 });
+  assert.deepEqual(events.map(({ type, markerId, timestamp, recovered, reason }) => ({ type, markerId, timestamp, recovered, reason })), [
+    // Tracked from 1000 ms, confirmed on the third frame
+    { type: 'detected', markerId: 'default', timestamp: 1040, recovered: false, reason: undefined },
+    { type: 'stale', markerId: 'default', timestamp: 6000, recovered: undefined, reason: undefined },
+    // Out of view at 7000 ms, but back within the grace period
+    { type: 'detected', markerId: 'default', timestamp: 7200, recovered: true, reason: undefined },
+    // Gone at 9000 ms; lost once 500 ms have passed since the last sighting
+    { type: 'lost', markerId: 'default', timestamp: 9504, recovered: undefined, reason: 'untracked' }
+  ]);
+});
+
+test('a marker left emulated is lost after the stale timeout', async () => {
+  const script = {
+    markers: {
+      box: [
+        { time: 0, state: 'tracked', position: { x: 0, y: 0, z: -0.3 } },
+        { time: 1000, state: 'emulated', position: { x: 0.1, y: 0, z: -0.3 } }
+      ]
+    }
+  };
+
+  const events = await runScript(script, 3000, { confirmFrames: 2, staleTimeoutMs: 1500 });
+  assert.deepEqual(events.map(({ type, markerId, timestamp, reason }) => ({ type, markerId, timestamp, reason })), [
+    { type: 'detected', markerId: 'box', timestamp: 16, reason: undefined },
+    { type: 'stale', markerId: 'box', timestamp: 1008, reason: undefined },
+    { type: 'lost', markerId: 'box', timestamp: 2512, reason: 'stale-timeout' }
+  ]);
+});
+
+test('interpolates poses between keyframes', () => {
+  const { markers } = normalizeScript({
+    markers: {
+      default: [
+        { time: 1000, state: 'tracked', position: { x: 0, y: 0, z: -0.4 } },
+        { time: 2000, state: 'emulated', position: { x: 0.1, y: 0, z: -0.2 } },
+        { time: 3000, state: 'untracked' }
+      ]
+    }
+  });
+
+  assert.equal(sampleKeyframes(markers.default, 500), null);
+  const halfway = sampleKeyframes(markers.default, 1500);
+  assert.equal(halfway.trackingState, 'tracked');
+  assert.ok(Math.abs(halfway.pose.transform.position.x - 0.05) < 1e-9);
+  assert.ok(Math.abs(halfway.pose.transform.position.z + 0.3) < 1e-9);
+  assert.equal(sampleKeyframes(markers.default, 2500).pose.emulatedPosition, true);
+  assert.deepEqual(sampleKeyframes(markers.default, 3000), { trackingState: 'untracked', pose: null });
+});
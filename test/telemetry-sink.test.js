@@ -0,0 +1,224 @@
+// Telemetry sink (telemetry-sink.js) sending log batches to the telemetry stub
+// (scripts/telemetry-stub-server.js), run as a child process, with fetch and
+// sendBeacon stood in for failures and page unload
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+import { mkdtemp, readFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { createLogger } from '../src/logger.js';
+import { createTelemetrySink } from '../src/telemetry-sink.js';
+
+const SCRIPT = fileURLToPath(new URL('../scripts/telemetry-stub-server.js', import.meta.url));
+
+let server = null;
+let endpoint = null;
+let outDir = null;
+let outFile = null;
+
+before(async () => {
+  outDir = await mkdtemp(join(tmpdir(), 'telemetry-'));
+  outFile = join(outDir, 'telemetry.ndjson');
+  server = spawn(process.execPath, [SCRIPT, '--port', '0', '--out', outFile], {
+    stdio: ['ignore', 'pipe', 'inherit']
+  });
+  endpoint = await new Promise((resolve, reject) => {
+    let output = '';
+    server.stdout.on('data', (chunk) => {
+      output += chunk;
+      const match = /listening on (http:\/\/\S+)/.exec(output);
+      if (match) {
+        resolve(match[1]);
+      }
+    });
+    server.on('exit', (code) => reject(new Error(`Telemetry stub exited (${code}) before listening`)));
+  });
+});
+
+after(async () => {
+  if (server && server.exitCode === null) {
+    const exited = new Promise((resolve) => server.once('exit', resolve));
+    server.kill();
+    await exited;
+  }
+  await rm(outDir, { recursive: true, force: true });
+});
+
+// A log entry as the logger makes them
+function createEntry(seq, level = 'info') {
+  return { seq, time: Date.now(), level, category: 'app', message: `entry ${seq}` };
+}
+
+// Wait for a condition the sink reaches asynchronously
+async function until(condition, timeout = 2000) {
+  const deadline = Date.now() + timeout;
+  while (!condition()) {
+    if (Date.now() > deadline) {
+      throw new Error('Timed out waiting for the telemetry sink');
+    }
+    await new Promise((resolve) => setTimeout(resolve, 5));
+  }
+}
+
+// Batches the stub received for a session, in arrival order
+async function receivedBatches(sessionId) {
+  const lines = (await readFile(outFile, 'utf8')).split('\n').filter(Boolean);
+  return lines.map((line) => JSON.parse(line)).filter((batch) => batch.sessionId === sessionId);
+}
+
+test('sends full batches right away and the rest after the flush interval', async () => {
+  const logger = createLogger();
+  const sink = createTelemetrySink({ endpoint, sessionId: 'batches', context: { experience: 'test' }, batchSize: 50, flushInterval: 20 });
+  logger.addSink(sink);
+
+  for (let i = 1; i <= 120; i++) {
+    logger.log(`entry ${i}`, i % 2 ? 'info' : 'debug');
+  }
+  // Debug entries are below the default level
+  await until(() => sink.sent === 60);
+  assert.equal(sink.pending, 0);
+
+  const batches = await receivedBatches('batches');
+  assert.deepEqual(batches.map((batch) => batch.entries.length), [50, 10]);
+  assert.deepEqual(batches[0].context, { experience: 'test' });
+  const messages = batches.flatMap((batch) => batch.entries.map((entry) => entry.message));
+  assert.deepEqual(messages, Array.from({ length: 60 }, (_, i) => `entry ${i * 2 + 1}`));
+  sink.dispose();
+});
+
+test('retries a batch after a failed POST', async (t) => {
+  t.mock.method(console, 'warn', () => {});
+  let calls = 0;
+  const sink = createTelemetrySink({
+    endpoint,
+    sessionId: 'retry',
+    batchSize: 10,
+    flushInterval: 20,
+    fetch: (url, init) => {
+      calls++;
+      return calls === 1 ? Promise.resolve({ ok: false, status: 503, statusText: 'Service Unavailable' }) : fetch(url, init);
+    }
+  });
+
+  for (let i = 1; i <= 10; i++) {
+    sink.write(createEntry(i));
+  }
+  await until(() => console.warn.mock.callCount() === 1);
+  assert.match(console.warn.mock.calls[0].arguments[0], /failed: 503 Service Unavailable/);
+  assert.equal(sink.pending, 10);
+  assert.equal(sink.sent, 0);
+
+  // Entries written meanwhile wait behind the failed batch
+  sink.write(createEntry(11));
+  await until(() => sink.sent === 11);
+  const batches = await receivedBatches('retry');
+  assert.deepEqual(batches.map((batch) => batch.entries.map((entry) => entry.seq)), [
+    [1, 2, 3, 4, 5, 6, 7, 8, 9, 10],
+    [11]
+  ]);
+  sink.dispose();
+});
+
+test('drops the oldest entries past maxQueue while the endpoint is unreachable', async (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const beacons = [];
+  const sink = createTelemetrySink({
+    endpoint,
+    sessionId: 'dropping',
+    batchSize: 50,
+    maxQueue: 100,
+    flushInterval: 60000,
+    fetch: () => Promise.reject(new TypeError('Failed to fetch')),
+    sendBeacon: (url, blob) => beacons.push(blob)
+  });
+
+  for (let i = 1; i <= 250; i++) {
+    sink.write(createEntry(i));
+  }
+  await until(() => console.warn.mock.callCount() === 1);
+  assert.equal(sink.pending, 100);
+
+  sink.dispose();
+  const sent = await Promise.all(beacons.map(async (blob) => JSON.parse(await blob.text())));
+  assert.deepEqual(sent.flatMap((batch) => batch.entries.map((entry) => entry.seq)), Array.from({ length: 100 }, (_, i) => i + 151));
+});
+
+test('hands the queue to sendBeacon a batch per beacon on unload', async (t) => {
+  t.mock.method(console, 'warn', () => {});
+  let fetchFails = true;
+  const beacons = [];
+  const sink = createTelemetrySink({
+    endpoint,
+    sessionId: 'beacon',
+    batchSize: 50,
+    flushInterval: 60000,
+    fetch: (url, init) => (fetchFails ? Promise.reject(new TypeError('Failed to fetch')) : fetch(url, init)),
+    // Posted like a browser beacon: text/plain, no preflight
+    sendBeacon: (url, blob) => {
+      beacons.push(fetch(url, { method: 'POST', headers: { 'Content-Type': blob.type }, body: blob }));
+      return true;
+    }
+  });
+
+  // The first batch fails, so the rest queues up behind it
+  for (let i = 1; i <= 120; i++) {
+    sink.write(createEntry(i));
+  }
+  await until(() => console.warn.mock.callCount() === 1);
+  assert.equal(sink.pending, 120);
+
+  fetchFails = false;
+  sink.flush({ beacon: true });
+  assert.equal(sink.pending, 0);
+  assert.equal(sink.sent, 120);
+  await Promise.all(beacons);
+
+  const batches = await receivedBatches('beacon');
+  assert.deepEqual(batches.map((batch) => batch.entries.length), [50, 50, 20]);
+  assert.deepEqual(batches.flatMap((batch) => batch.entries.map((entry) => entry.seq)), Array.from({ length: 120 }, (_, i) => i + 1));
+  sink.dispose();
+});
+
+test('keeps what a refused beacon would have sent', async () => {
+  let accepted = 1;
+  const sizes = [];
+  const sink = createTelemetrySink({
+    endpoint,
+    sessionId: 'refused',
+    batchSize: 10,
+    flushInterval: 60000,
+    fetch: () => new Promise(() => {}), // Never answers, so entries queue up
+    sendBeacon: (url, blob) => {
+      sizes.push(blob.size);
+      return accepted-- > 0;
+    }
+  });
+
+  for (let i = 1; i <= 25; i++) {
+    sink.write(createEntry(i));
+  }
+  // The first batch of 10 is stuck in flight
+  assert.equal(sink.pending, 15);
+  sink.flush({ beacon: true });
+  assert.equal(sizes.length, 2);
+  assert.equal(sink.sent, 10);
+  assert.equal(sink.pending, 5);
+  sink.dispose();
+});
+
+test('skips entries below the level and ones restored from an earlier page load', () => {
+  const sink = createTelemetrySink({ endpoint, sessionId: 'levels', level: 'warning', fetch: () => new Promise(() => {}) });
+  sink.write(createEntry(1, 'info'));
+  sink.write(createEntry(2, 'warning'));
+  sink.write({ ...createEntry(3, 'error'), previous: true });
+  sink.write(createEntry(4, 'error'));
+  assert.equal(sink.pending, 2);
+  sink.dispose();
+});
+
+test('needs an endpoint', () => {
+  assert.throws(() => createTelemetrySink({ sessionId: 'none' }), /needs an endpoint/);
+});
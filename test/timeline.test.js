@@ -0,0 +1,195 @@
+// Timeline clips (timeline.js): clip checking and playback driven by frame times
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeClip, createTimeline, setPropertyPath, EASINGS } from '../src/timeline.js';
+
+// A two-step clip: the lid opens, then the text fades in
+const CARD_OPEN = {
+  id: 'card-open',
+  steps: [
+    {
+      name: 'open',
+      tracks: [{ target: 'lid', property: 'rotation.x', keyframes: [{ time: 0, value: 0 }, { time: 1000, value: -2 }] }],
+      events: [{ time: 1000, name: 'opened' }]
+    },
+    {
+      name: 'message',
+      duration: 500,
+      tracks: [
+        { target: 'text', property: 'material.opacity', keyframes: [{ time: 0, value: 0 }, { time: 500, value: 1, easing: 'easeInQuad' }] },
+        { target: 'text', property: 'visible', keyframes: [{ time: 0, value: false }, { time: 100, value: true }] }
+      ],
+      events: [{ time: 250, name: 'playVideo', data: { muted: false } }]
+    }
+  ]
+};
+
+function createTargets() {
+  return {
+    lid: { rotation: { x: 0 } },
+    text: { material: { opacity: 0 }, visible: false }
+  };
+}
+
+/**
+ * Create a timeline recording every event it emits
+ * @returns {Object} { timeline, targets, events } - events as 'type' or 'type:name'
+ */
+function createRecordedTimeline(definition = CARD_OPEN) {
+  const targets = createTargets();
+  const timeline = createTimeline(definition, { targets });
+  const events = [];
+  for (const type of ['start', 'step', 'event', 'complete']) {
+    timeline.on(type, (detail) => events.push(detail.name ? `${type}:${detail.name}` : type));
+  }
+  return { timeline, targets, events };
+}
+
+test('normalizeClip flattens steps into absolute times', () => {
+  const clip = normalizeClip(CARD_OPEN);
+
+  assert.equal(clip.duration, 1500);
+  assert.equal(clip.loop, false);
+  assert.deepEqual(clip.steps, [{ name: 'open', start: 0, end: 1000 }, { name: 'message', start: 1000, end: 1500 }]);
+  assert.deepEqual(clip.tracks[1].keyframes.map((keyframe) => keyframe.time), [1000, 1500]);
+  assert.deepEqual(clip.events.map(({ time, name }) => ({ time, name })), [{ time: 1000, name: 'opened' }, { time: 1250, name: 'playVideo' }]);
+  assert.equal(clip.tracks[0].keyframes[0].easing, 'linear');
+});
+
+test('normalizeClip rejects invalid clips', () => {
+  const track = (keyframes) => ({ tracks: [{ target: 'lid', property: 'rotation.x', keyframes }] });
+  const cases = [
+    [null, /must be an object/],
+    [{ steps: [] }, /"steps" must be a non-empty array/],
+    [{ tracks: {} }, /clip "tracks" must be an array/],
+    [{ tracks: [{ property: 'rotation.x', keyframes: [{ time: 0, value: 0 }] }] }, /clip track 0 needs a "target" and a "property"/],
+    [track([]), /clip track 0 needs a non-empty "keyframes" array/],
+    [track([{ time: -1, value: 0 }]), /keyframe 0 needs a time >= 0/],
+    [track([{ time: 0 }]), /keyframe 0 needs a value/],
+    [track([{ time: 0, value: 0, easing: 'bouncy' }]), /has easing "bouncy" \(expected one of: linear, step/],
+    [{ events: [{ time: 100 }] }, /clip event 0 needs a time >= 0 \(ms\) and a name/],
+    [{ steps: [{ name: 'open', duration: -5 }] }, /step "open" duration must be a number >= 0/],
+    [{ steps: [{}, { events: [{ name: 'x' }] }] }, /step "step 1" event 0 needs a time/]
+  ];
+  for (const [definition, message] of cases) {
+    assert.throws(() => normalizeClip(definition), message, JSON.stringify(definition));
+  }
+});
+
+test('createTimeline rejects tracks for unknown targets', () => {
+  assert.throws(() => createTimeline(CARD_OPEN, { targets: { lid: {} } }), /unknown target "text" \(available: lid\)/);
+});
+
+test('play applies the starting values', () => {
+  const { timeline, targets, events } = createRecordedTimeline();
+  targets.lid.rotation.x = 5;
+
+  timeline.play();
+  assert.equal(timeline.state, 'playing');
+  assert.equal(targets.lid.rotation.x, 0);
+  assert.deepEqual(events, ['start']);
+});
+
+test('update interpolates values with easing from frame deltas', () => {
+  const { timeline, targets } = createRecordedTimeline();
+  timeline.play();
+
+  // The first frame only sets the reference time
+  timeline.update(10000);
+  assert.equal(timeline.time, 0);
+  timeline.update(10500);
+  assert.equal(targets.lid.rotation.x, -1);
+
+  timeline.update(11050);
+  assert.equal(targets.lid.rotation.x, -2);
+  assert.equal(targets.text.visible, false);
+  timeline.update(11250);
+  // easeInQuad, halfway through: a quarter of the way
+  assert.equal(targets.text.material.opacity, EASINGS.easeInQuad(0.5));
+  assert.equal(targets.text.visible, true);
+});
+
+test('step easing holds the previous value until the keyframe', () => {
+  const targets = { light: { on: 0 } };
+  const timeline = createTimeline({ tracks: [{ target: 'light', property: 'on', keyframes: [{ time: 0, value: 0 }, { time: 100, value: 1, easing: 'step' }] }] }, { targets });
+  timeline.play();
+  timeline.update(0);
+
+  timeline.update(99);
+  assert.equal(targets.light.on, 0);
+  timeline.update(100);
+  assert.equal(targets.light.on, 1);
+});
+
+test('fires step starts and clip events once, in time order, then completes', () => {
+  const { timeline, targets, events } = createRecordedTimeline();
+  const data = [];
+  timeline.on('event', (detail) => data.push(detail.data));
+  timeline.play();
+  timeline.update(0);
+
+  timeline.update(999);
+  assert.deepEqual(events, ['start', 'step:open']);
+  timeline.update(1000);
+  assert.deepEqual(events, ['start', 'step:open', 'step:message', 'event:opened']);
+  timeline.update(1300);
+  timeline.update(1400);
+  assert.deepEqual(events.slice(4), ['event:playVideo']);
+  assert.deepEqual(data, [null, { muted: false }]);
+
+  // A long frame ends the clip on its final values
+  timeline.update(5000);
+  assert.deepEqual(events.slice(5), ['complete']);
+  assert.equal(timeline.state, 'finished');
+  assert.equal(timeline.time, 1500);
+  assert.equal(targets.text.material.opacity, 1);
+  timeline.update(6000);
+  assert.equal(events.length, 6);
+});
+
+test('a looping clip fires its events on every pass and never completes', () => {
+  const { timeline, events } = createRecordedTimeline({ ...CARD_OPEN, loop: true });
+  timeline.play();
+  timeline.update(0);
+
+  timeline.update(1200);
+  timeline.update(1600);
+  assert.equal(timeline.state, 'playing');
+  assert.equal(timeline.time, 100);
+  timeline.update(2700);
+  assert.deepEqual(events, [
+    'start',
+    'step:open', 'step:message', 'event:opened', 'event:playVideo',
+    'step:open', 'step:message', 'event:opened'
+  ]);
+});
+
+test('paused time is not played', () => {
+  const { timeline, targets } = createRecordedTimeline();
+  timeline.play();
+  timeline.update(0);
+  timeline.update(250);
+
+  timeline.pause();
+  timeline.update(800);
+  assert.equal(timeline.state, 'paused');
+  assert.equal(timeline.time, 250);
+
+  timeline.resume();
+  timeline.update(5000);
+  timeline.update(5250);
+  assert.equal(timeline.time, 500);
+  assert.equal(targets.lid.rotation.x, -1);
+});
+
+test('setPropertyPath sets nested properties and uses fromArray', () => {
+  const position = { value: null, fromArray(array) { this.value = array; } };
+  const target = { position, material: { opacity: 1 } };
+
+  setPropertyPath(target, 'position', [1, 2, 3]);
+  setPropertyPath(target, 'material.opacity', 0.5);
+  assert.deepEqual(position.value, [1, 2, 3]);
+  assert.equal(target.material.opacity, 0.5);
+  assert.throws(() => setPropertyPath(target, 'scale.x', 1), /no property "scale.x"/);
+});
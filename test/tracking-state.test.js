@@ -0,0 +1,125 @@
+// Tracking state machine transitions (tracking-state.js)
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { TRACKING_STATE, createTrackingStateMachine } from '../src/tracking-state.js';
+
+const OPTIONS = { confirmFrames: 3, lostGraceMs: 500, staleTimeoutMs: 3000 };
+const POSE = { transform: { position: { x: 0, y: 0, z: -0.5 } } };
+const EMULATED_POSE = { transform: { position: { x: 0.1, y: 0, z: -0.5 } } };
+const POSES = { tracked: POSE, emulated: EMULATED_POSE, untracked: null };
+
+/**
+ * Feed frames to a machine, collecting the events they raise
+ * @param {Object} machine - Tracking state machine
+ * @param {Array<Array>} frames - [trackingState, timestamp] pairs
+ * @returns {Array<Object>} The events, as { type, timestamp, ...extra }
+ */
+function feed(machine, frames) {
+  return frames.flatMap(([trackingState, timestamp]) => machine.update(trackingState, POSES[trackingState], timestamp));
+}
+
+// A machine that has just detected its marker at 32 ms
+function createDetected() {
+  const machine = createTrackingStateMachine(OPTIONS);
+  feed(machine, [['tracked', 0], ['tracked', 16], ['tracked', 32]]);
+  assert.equal(machine.state, TRACKING_STATE.DETECTED);
+  return machine;
+}
+
+test('needs confirmFrames consecutive tracked frames before detected', () => {
+  const machine = createTrackingStateMachine(OPTIONS);
+
+  assert.deepEqual(feed(machine, [['tracked', 0], ['tracked', 16]]), []);
+  assert.equal(machine.state, TRACKING_STATE.CONFIRMING);
+  assert.equal(machine.pose, null);
+
+  const events = feed(machine, [['tracked', 32]]);
+  assert.deepEqual(events.map(({ type, timestamp, recovered }) => ({ type, timestamp, recovered })), [
+    { type: 'detected', timestamp: 32, recovered: false }
+  ]);
+  assert.equal(machine.state, TRACKING_STATE.DETECTED);
+  assert.equal(machine.pose, POSE);
+});
+
+test('a gap while confirming starts the count again', () => {
+  const machine = createTrackingStateMachine(OPTIONS);
+
+  feed(machine, [['tracked', 0], ['tracked', 16], ['untracked', 32]]);
+  assert.equal(machine.state, TRACKING_STATE.LOST);
+  // An emulated frame doesn't count as a sighting either
+  assert.deepEqual(feed(machine, [['tracked', 48], ['tracked', 64], ['emulated', 80], ['tracked', 96]]), []);
+  assert.equal(machine.state, TRACKING_STATE.CONFIRMING);
+  assert.equal(feed(machine, [['tracked', 112], ['tracked', 128]])[0].type, 'detected');
+});
+
+test('keeps a detected marker through the lost grace period', () => {
+  const machine = createDetected();
+
+  assert.deepEqual(feed(machine, [['untracked', 48], ['untracked', 300], ['untracked', 532]]), []);
+  assert.equal(machine.state, TRACKING_STATE.DETECTED);
+  // Content stays on the last confident pose meanwhile
+  assert.equal(machine.pose, POSE);
+
+  const events = feed(machine, [['untracked', 533]]);
+  assert.deepEqual(events.map(({ type, timestamp, reason, pose }) => ({ type, timestamp, reason, pose })), [
+    { type: 'lost', timestamp: 533, reason: 'untracked', pose: POSE }
+  ]);
+  assert.equal(machine.state, TRACKING_STATE.LOST);
+  assert.equal(machine.pose, null);
+});
+
+test('re-acquiring during the grace period raises no events', () => {
+  const machine = createDetected();
+
+  assert.deepEqual(feed(machine, [['untracked', 48], ['untracked', 400], ['tracked', 450]]), []);
+  assert.equal(machine.state, TRACKING_STATE.DETECTED);
+  // The grace period starts over from the new sighting
+  assert.deepEqual(feed(machine, [['untracked', 900], ['untracked', 950]]), []);
+  assert.equal(feed(machine, [['untracked', 951]])[0].type, 'lost');
+});
+
+test('an emulated pose turns stale and is lost after staleTimeoutMs', () => {
+  const machine = createDetected();
+
+  const stale = feed(machine, [['emulated', 100]]);
+  assert.deepEqual(stale.map(({ type, timestamp }) => ({ type, timestamp })), [{ type: 'stale', timestamp: 100 }]);
+  assert.equal(machine.state, TRACKING_STATE.STALE);
+  assert.equal(machine.pose, EMULATED_POSE);
+  assert.equal(machine.lastConfidentPose, POSE);
+
+  assert.deepEqual(feed(machine, [['emulated', 1000], ['emulated', 3100]]), []);
+  assert.equal(machine.state, TRACKING_STATE.STALE);
+
+  const lost = feed(machine, [['emulated', 3101]]);
+  assert.deepEqual(lost.map(({ type, reason }) => ({ type, reason })), [{ type: 'lost', reason: 'stale-timeout' }]);
+  assert.equal(machine.state, TRACKING_STATE.LOST);
+});
+
+test('a stale marker tracked again is detected as recovered', () => {
+  const machine = createDetected();
+  feed(machine, [['emulated', 100]]);
+
+  const events = feed(machine, [['tracked', 200]]);
+  assert.deepEqual(events.map(({ type, recovered }) => ({ type, recovered })), [{ type: 'detected', recovered: true }]);
+  assert.equal(machine.state, TRACKING_STATE.DETECTED);
+});
+
+test('a stale marker that disappears is lost after the grace period', () => {
+  const machine = createDetected();
+  feed(machine, [['emulated', 100]]);
+
+  assert.deepEqual(feed(machine, [['untracked', 600]]), []);
+  assert.equal(machine.state, TRACKING_STATE.STALE);
+  assert.equal(feed(machine, [['untracked', 601]])[0].reason, 'untracked');
+});
+
+test('reset returns to lost and forgets the last pose', () => {
+  const machine = createDetected();
+  machine.reset();
+
+  assert.equal(machine.state, TRACKING_STATE.LOST);
+  assert.equal(machine.pose, null);
+  assert.equal(machine.lastConfidentPose, null);
+  assert.deepEqual(feed(machine, [['tracked', 1000]]), []);
+});
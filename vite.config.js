@@ -1,6 +1,117 @@
 import { defineConfig } from 'vite';
 import basicSsl from '@vitejs/plugin-basic-ssl';
 import { networkInterfaces } from 'os';
+import { execSync } from 'child_process';
+import { existsSync, readdirSync, readFileSync } from 'fs';
+import { join } from 'path';
+import { createHash } from 'crypto';
+
+// Build details exported with performance stats, so runs can be compared across builds
+function getBuildInfo() {
+  const { version } = JSON.parse(readFileSync(new URL('./package.json', import.meta.url), 'utf-8'));
+  let commit = null;
+  try {
+    commit = execSync('git rev-parse --short HEAD', { encoding: 'utf-8', stdio: ['ignore', 'pipe', 'ignore'] }).trim();
+  } catch (error) {
+    // Not a git checkout (e.g. a source archive)
+  }
+  return { version, commit, builtAt: new Date().toISOString() };
+}
+
+// Draco decoder files for compressed glTF models (src/model-loader.js loads
+// them from /draco/ at runtime): served from three's copy in development and
+// copied into the build
+const DRACO_DIR = 'node_modules/three/examples/jsm/libs/draco/gltf';
+const DRACO_FILES = ['draco_wasm_wrapper.js', 'draco_decoder.wasm', 'draco_decoder.js'];
+
+function dracoDecoder() {
+  return {
+    name: 'draco-decoder',
+    configureServer(server) {
+      server.middlewares.use('/draco', (req, res, next) => {
+        const file = req.url.split('?')[0].replace(/^\//, '');
+        if (!DRACO_FILES.includes(file)) {
+          return next();
+        }
+        res.setHeader('Content-Type', file.endsWith('.wasm') ? 'application/wasm' : 'text/javascript');
+        res.end(readFileSync(join(DRACO_DIR, file)));
+      });
+    },
+    generateBundle() {
+      for (const file of DRACO_FILES) {
+        this.emitFile({ type: 'asset', fileName: `draco/${file}`, source: readFileSync(join(DRACO_DIR, file)) });
+      }
+    }
+  };
+}
+
+// Files the experience manifests refer to (public/ paths), for precaching:
+// the default experience and the campaign experiences in public/experiences/
+function getExperienceAssets() {
+  const manifests = ['/experience.json'];
+  if (existsSync('public/experiences')) {
+    for (const file of readdirSync('public/experiences')) {
+      if (file.endsWith('.json')) {
+        manifests.push(`/experiences/${file}`);
+      }
+    }
+  }
+  const urls = new Set(manifests);
+  let hasModels = false;
+  for (const path of manifests) {
+    const manifest = JSON.parse(readFileSync(join('public', path), 'utf-8'));
+    for (const marker of manifest.markers || []) {
+      urls.add(marker.imagePath);
+      if (marker.content?.src) {
+        urls.add(marker.content.src);
+      }
+      if (typeof marker.content?.reveal?.clip === 'string') {
+        urls.add(marker.content.reveal.clip);
+      }
+      hasModels = hasModels || marker.content?.type === 'model';
+    }
+  }
+  return { urls: [...urls].filter((url) => url?.startsWith('/')), hasModels };
+}
+
+// Generates /sw.js from src/service-worker.js at build time: the precache list
+// is the built app shell plus the experiences' assets, and the cache version
+// is a hash of all of them, so any change to the build or an asset makes
+// browsers install the new worker (and the app show its update prompt)
+function serviceWorker() {
+  return {
+    name: 'service-worker',
+    apply: 'build',
+    enforce: 'post', // After index.html is added to the bundle
+    generateBundle(options, bundle) {
+      const { urls, hasModels } = getExperienceAssets();
+      const hash = createHash('sha256');
+      const precache = [];
+      for (const [fileName, output] of Object.entries(bundle)) {
+        // Draco is only needed for models; its asm.js fallback isn't precached
+        if (fileName.endsWith('.map') || (fileName.startsWith('draco/') && (!hasModels || fileName === 'draco/draco_decoder.js'))) {
+          continue;
+        }
+        precache.push(`/${fileName}`);
+        hash.update(fileName).update(output.type === 'chunk' ? output.code : output.source);
+      }
+      for (const url of urls) {
+        const file = join('public', url);
+        if (!existsSync(file)) {
+          this.warn(`${url} is in the experience manifest but not in public/ - not precached`);
+          continue;
+        }
+        precache.push(url);
+        hash.update(url).update(readFileSync(file));
+      }
+
+      const source = readFileSync('src/service-worker.js', 'utf-8')
+        .replace('= __CACHE_VERSION__;', `= ${JSON.stringify(hash.digest('hex').slice(0, 16))};`)
+        .replace('= __PRECACHE_URLS__;', `= ${JSON.stringify(precache, null, 2)};`);
+      this.emitFile({ type: 'asset', fileName: 'sw.js', source });
+    }
+  };
+}
 
 // Custom plugin to display IP address prominently
 function displayNetworkIP() {
@@ -36,11 +147,19 @@ function displayNetworkIP() {
 }
 
 export default defineConfig({
-  plugins: [basicSsl(), displayNetworkIP()],
+  plugins: [basicSsl(), displayNetworkIP(), dracoDecoder(), serviceWorker()],
+  define: {
+    __BUILD_INFO__: JSON.stringify(getBuildInfo())
+  },
   server: {
     https: true,
     host: true, // Allow external connections (for mobile testing)
-    port: 5173
+    port: 5173,
+    // ?telemetry=/telemetry sends logs to the local stub (npm run telemetry-stub)
+    proxy: {
+      '/telemetry': 'http://localhost:8787',
+      '/redemption': 'http://localhost:8788'
+    }
   },
   publicDir: 'public'
 });